@@ -0,0 +1,65 @@
+#!/usr/bin/env node
+/**
+ * bitblt-aot - Compile BitBLT code ahead of time
+ *
+ * Reads a JSON array of operation shapes (see compileAheadOfTime in
+ * src/aot.js) and writes a standalone module that runs them without
+ * compiling at run time.
+ *
+ * Usage:
+ *   bitblt-aot --shapes shapes.json --out dist [--name blitters]
+ *     [--format cjs|esm] [--generator javascript|wasm]
+ *     [--compiler '{"unrollLoops": true}']
+ */
+
+const fs = require("fs");
+const { parseArgs } = require("util");
+const { writeAheadOfTimeModule } = require("../src/aot");
+
+const usage =
+  "Usage: bitblt-aot --shapes <file.json> --out <dir> [--name <name>] " +
+  "[--format cjs|esm] [--generator <type>] [--compiler <json>]";
+
+function main() {
+  const { values } = parseArgs({
+    options: {
+      shapes: { type: "string" },
+      out: { type: "string" },
+      name: { type: "string" },
+      format: { type: "string" },
+      generator: { type: "string" },
+      compiler: { type: "string" },
+      help: { type: "boolean", short: "h" },
+    },
+  });
+
+  if (values.help) {
+    console.log(usage);
+    return 0;
+  }
+  if (!values.shapes || !values.out) {
+    console.error(usage);
+    return 1;
+  }
+
+  const shapes = JSON.parse(fs.readFileSync(values.shapes, "utf8"));
+  const result = writeAheadOfTimeModule(shapes, {
+    outDir: values.out,
+    name: values.name,
+    format: values.format,
+    generatorType: values.generator,
+    compiler: values.compiler ? JSON.parse(values.compiler) : {},
+  });
+
+  console.log(
+    `Compiled ${result.entries.length} functions for ${shapes.length} shapes into ${result.module}`
+  );
+  return 0;
+}
+
+try {
+  process.exit(main());
+} catch (err) {
+  console.error(`bitblt-aot: ${err.message}`);
+  process.exit(1);
+}
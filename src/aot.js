@@ -0,0 +1,496 @@
+/**
+ * Ahead-of-Time Compilation
+ *
+ * Compiles BitBLT code for a list of operation shapes at build time and
+ * writes it out as a standalone CommonJS or ES module, for environments
+ * where `new Function` is forbidden or compiling at run time is too slow.
+ *
+ * For the JavaScript generator the module contains the generated
+ * functions; for WebAssembly generators it loads one `.wasm` file per
+ * function, synchronously, the first time the function is needed. The
+ * module exports a `bitblt` with the same arguments as the library's. It
+ * clips each call, routes it to the precompiled function for its
+ * combination rule, pixel depth, halftone height, copy direction and
+ * alignment class (plus any pinned coordinates), and runs calls that match
+ * no function on the reference implementation. The module requires nothing from this
+ * library: the helpers it needs are copied into it.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const referenceBitBLT = require("./reference/bitblt").bitblt;
+const { clipRegion, config } = require("./bitblt");
+const { GeneratorFactory } = require("./compiler");
+const JavaScriptGenerator = require("./compiler/generators/JavaScriptGenerator");
+const { WASMGenerator } = require("./compiler/generators/WASMGenerator");
+const {
+  buffersAlias,
+  bitAddress,
+  getCopyDirection,
+} = require("./compiler/overlap");
+const { getAlignmentClass } = require("./compiler/specialization");
+const { normalizeDepth, getWordsPerRow } = require("./compiler/pixel-depth");
+
+/**
+ * Module formats, with the extension of the file written for each
+ */
+const FORMATS = {
+  cjs: ".cjs",
+  esm: ".mjs",
+};
+
+/**
+ * Get the key that routes a call to its precompiled function
+ *
+ * The key holds everything the compiled code is specialized for: the
+ * combination rule, the pixel depth, the halftone height, the copy
+ * direction and, when constants are inlined, the alignment class and the
+ * pinned coordinates.
+ * This function is copied into the generated modules, so it may only use
+ * the helpers copied along with it.
+ *
+ * @param {Object} dispatch - { alignment, pin }: whether code is specialized
+ *   for the alignment class, and the pinned coordinates
+ * @param {Object} call - The clipped call: buffers, widths, coordinates,
+ *   combinationRule, depth and halftoneHeight
+ * @returns {string} - The dispatch key
+ */
+function getDispatchKey(dispatch, call) {
+  const direction = getCopyDirection(
+    call.srcBuffer,
+    call.srcWidth,
+    call.srcX,
+    call.srcY,
+    call.dstBuffer,
+    call.dstWidth,
+    call.dstX,
+    call.dstY,
+    call.width,
+    call.height,
+    call.depth
+  );
+  const parts = [
+    call.combinationRule,
+    `d${call.depth}`,
+    call.halftoneHeight,
+    direction.reverseRows ? "reverse" : "forward",
+  ];
+
+  if (dispatch.alignment) {
+    const alignment = getAlignmentClass(call);
+    parts.push(
+      alignment.srcWordWidth,
+      alignment.dstWordWidth,
+      alignment.skew,
+      alignment.widthClass,
+      alignment.leftAligned,
+      alignment.rightAligned
+    );
+  }
+  for (const name of dispatch.pin) {
+    parts.push(`${name}=${call[name]}`);
+  }
+
+  return parts.join(",");
+}
+
+/**
+ * Resolve a shape to the clipped call it describes, with placeholder
+ * buffers
+ *
+ * @param {Object} shape - Operation shape
+ * @returns {Object|null} - The call for getDispatchKey, or null when
+ *   nothing is left after clipping
+ */
+function resolveShape(shape) {
+  for (const name of ["srcWidth", "dstWidth", "width", "height"]) {
+    if (!Number.isInteger(shape[name]) || shape[name] <= 0) {
+      throw new Error(
+        `Invalid shape ${JSON.stringify(shape)}: ${name} must be a positive integer`
+      );
+    }
+  }
+  if (shape.sameBuffer && shape.srcWidth !== shape.dstWidth) {
+    throw new Error(
+      `Invalid shape ${JSON.stringify(shape)}: a blit within one buffer needs srcWidth === dstWidth`
+    );
+  }
+
+  const srcX = shape.srcX || 0;
+  const srcY = shape.srcY || 0;
+  const dstX = shape.dstX || 0;
+  const dstY = shape.dstY || 0;
+  const srcHeight = shape.srcHeight || srcY + shape.height;
+  const dstHeight = shape.sameBuffer
+    ? srcHeight
+    : shape.dstHeight || dstY + shape.height;
+
+  const region = clipRegion({
+    srcWidth: shape.srcWidth,
+    srcHeight,
+    srcX,
+    srcY,
+    dstWidth: shape.dstWidth,
+    dstHeight,
+    dstX,
+    dstY,
+    width: shape.width,
+    height: shape.height,
+  });
+  if (region.width === 0) {
+    return null;
+  }
+
+  const depth = normalizeDepth(shape.depth);
+  const srcBuffer = new Uint32Array(
+    getWordsPerRow(shape.srcWidth, depth) * srcHeight
+  );
+  const dstBuffer = shape.sameBuffer
+    ? srcBuffer
+    : new Uint32Array(getWordsPerRow(shape.dstWidth, depth) * dstHeight);
+
+  return {
+    srcBuffer,
+    srcWidth: shape.srcWidth,
+    srcHeight,
+    dstBuffer,
+    dstWidth: shape.dstWidth,
+    ...region,
+    combinationRule:
+      shape.combinationRule === undefined ? 3 : shape.combinationRule,
+    depth,
+    halftoneHeight: shape.halftoneHeight || 0,
+  };
+}
+
+/**
+ * Get the source of a method as a property of an object literal
+ *
+ * @param {Function} method - Method of a class
+ * @returns {string} - The method's source
+ */
+function methodSource(method) {
+  return `  ${method.toString()}`;
+}
+
+/**
+ * Emit the source of a generated module
+ *
+ * @param {Object} options - Module options
+ * @param {string} options.format - "cjs" or "esm"
+ * @param {string} options.kind - "javascript" or "wasm"
+ * @param {Object} options.dispatch - Dispatch settings (see getDispatchKey)
+ * @param {Object[]} options.entries - { key, cacheKey, code, file } for each function
+ * @returns {string} - The module source
+ */
+function emitModule({ format, kind, dispatch, entries }) {
+  const esm = format === "esm";
+  const lines = [
+    "/**",
+    " * Precompiled BitBLT functions, generated by bitblt-aot. Do not edit.",
+    " *",
+    " * bitblt() runs each call on the precompiled function for its shape and",
+    " * falls back to the reference implementation for every other call.",
+    " */",
+    "",
+  ];
+
+  if (kind === "wasm") {
+    lines.push(
+      esm
+        ? 'import { readFileSync } from "fs";'
+        : 'const { readFileSync } = require("fs");\nconst path = require("path");',
+      ""
+    );
+  }
+
+  // The helpers the dispatcher shares with the library
+  lines.push(
+    `const DISPATCH = ${JSON.stringify(dispatch)};`,
+    "",
+    buffersAlias.toString(),
+    "",
+    bitAddress.toString(),
+    "",
+    getCopyDirection.toString(),
+    "",
+    getAlignmentClass.toString(),
+    "",
+    getDispatchKey.toString(),
+    "",
+    clipRegion.toString(),
+    "",
+    `const referenceBitBLT = ${referenceBitBLT.toString()};`,
+    ""
+  );
+
+  if (kind === "javascript") {
+    entries.forEach((entry, index) => {
+      lines.push(`// ${entry.cacheKey}`, `const blitter${index} = ${entry.code};`, "");
+    });
+    lines.push(
+      "const blitters = {",
+      ...entries.map((entry, index) => `  ${JSON.stringify(entry.key)}: blitter${index},`),
+      "};",
+      "",
+      "function getBlitter(key) {",
+      "  return blitters[key];",
+      "}",
+      ""
+    );
+  } else {
+    lines.push(
+      "const files = {",
+      ...entries.map((entry) => `  ${JSON.stringify(entry.key)}: ${JSON.stringify(entry.file)},`),
+      "};",
+      "",
+      "// The memory layout of WASMGenerator: the buffers are copied into the",
+      "// module's memory for each call",
+      "const wasmMemory = {",
+      [
+        WASMGenerator.prototype.runInMemory,
+        WASMGenerator.prototype.getMemoryLayout,
+        WASMGenerator.prototype.reserveMemory,
+      ]
+        .map(methodSource)
+        .join(",\n\n"),
+      "};",
+      "",
+      "const loaded = {};",
+      "",
+      "function loadBlitter(file) {",
+      esm
+        ? "  const bytes = readFileSync(new URL(file, import.meta.url));"
+        : "  const bytes = readFileSync(path.join(__dirname, file));",
+      "  const memory = new WebAssembly.Memory({ initial: 1 });",
+      "  const instance = new WebAssembly.Instance(new WebAssembly.Module(bytes), {",
+      "    env: { memory },",
+      "  });",
+      "  const bitbltFunction = instance.exports.bitblt;",
+      "  bitbltFunction.memory = memory;",
+      "  return bitbltFunction;",
+      "}",
+      "",
+      "function getBlitter(key) {",
+      "  const file = files[key];",
+      "  if (file === undefined) {",
+      "    return undefined;",
+      "  }",
+      "  if (!loaded[key]) {",
+      "    const bitbltFunction = loadBlitter(file);",
+      "    loaded[key] = (srcBuffer, srcWidth, srcHeight, srcX, srcY, dstBuffer, dstWidth, dstX, dstY, width, height, halftone) => {",
+      "      const call = { src: srcBuffer, srcWidth, srcHeight, srcX, srcY, dst: dstBuffer, dstWidth, dstX, dstY, width, height, mask: halftone };",
+      "      const memoryView = wasmMemory.runInMemory(bitbltFunction, call);",
+      "      const { dstBufferPtr } = wasmMemory.getMemoryLayout(srcBuffer, dstBuffer);",
+      "      for (let i = 0; i < dstBuffer.length; i++) {",
+      "        dstBuffer[i] = memoryView[dstBufferPtr + i];",
+      "      }",
+      "    };",
+      "  }",
+      "  return loaded[key];",
+      "}",
+      ""
+    );
+  }
+
+  lines.push(
+    "const stats = { compiledCalls: 0, referenceCalls: 0 };",
+    "",
+    "/**",
+    " * Run a BitBLT operation, with the arguments of the library's bitblt()",
+    " *",
+    " * @returns {Object} - The clipped region that was transferred",
+    " */",
+    "function bitblt(srcBuffer, srcWidth, srcHeight, srcX, srcY, dstBuffer, dstWidth, dstX, dstY, width, height, options = {}) {",
+    "  const combinationRule = options.combinationRule === undefined ? 3 : options.combinationRule;",
+    "  const depth = options.depth === undefined ? 1 : options.depth;",
+    "  const halftone = options.halftone || null;",
+    "  const region = clipRegion({",
+    "    srcWidth, srcHeight, srcX, srcY, dstWidth,",
+    "    dstHeight: options.dstHeight !== undefined ? options.dstHeight : Math.floor(dstBuffer.length / Math.ceil((dstWidth * depth) / 32)),",
+    "    dstX, dstY, width, height,",
+    "    clipX: options.clipX, clipY: options.clipY, clipWidth: options.clipWidth, clipHeight: options.clipHeight,",
+    "  });",
+    "  if (region.width === 0) {",
+    "    return region;",
+    "  }",
+    "",
+    "  const call = { srcBuffer, srcWidth, srcHeight, dstBuffer, dstWidth, ...region, combinationRule, depth, halftoneHeight: halftone ? halftone.length : 0 };",
+    "  const blitter = getBlitter(getDispatchKey(DISPATCH, call));",
+    "  const args = [srcBuffer, srcWidth, srcHeight, region.srcX, region.srcY, dstBuffer, dstWidth, region.dstX, region.dstY, region.width, region.height];",
+    "  if (blitter) {",
+    "    stats.compiledCalls++;",
+    "    blitter(...args, halftone);",
+    "  } else {",
+    "    stats.referenceCalls++;",
+    "    referenceBitBLT(...args, { combinationRule, halftone, depth });",
+    "  }",
+    "  return region;",
+    "}",
+    "",
+    "/**",
+    " * Count the calls that ran on precompiled code and on the reference",
+    " *",
+    " * @returns {Object} - { compiledCalls, referenceCalls, keys }",
+    " */",
+    "function getStats() {",
+    `  return { ...stats, keys: Object.keys(${kind === "javascript" ? "blitters" : "files"}) };`,
+    "}",
+    ""
+  );
+
+  lines.push(
+    esm
+      ? "export { bitblt, getStats, getDispatchKey };"
+      : "module.exports = { bitblt, getStats, getDispatchKey };",
+    ""
+  );
+
+  return lines.join("\n");
+}
+
+/**
+ * Compile BitBLT code for a list of shapes into the files of a standalone
+ * module
+ *
+ * A shape describes a call: srcWidth, dstWidth, width and height, plus
+ * optionally srcHeight, dstHeight, srcX, srcY, dstX, dstY, combinationRule,
+ * depth, halftoneHeight, and sameBuffer for blits within one buffer. Shapes that
+ * share a dispatch key share one function.
+ *
+ * @param {Object[]} shapes - Shapes to compile code for
+ * @param {Object} options - Compilation options
+ * @param {string} options.generatorType - Generator type (default: config.generatorType)
+ * @param {Object} options.compiler - Compiler options, over config.compiler
+ * @param {string} options.format - "cjs" or "esm" (default: "cjs")
+ * @param {string} options.name - Base name of the files (default: "bitblt-aot")
+ * @returns {Object} - { files, entries }: the contents of each file by
+ *   name, and the { key, cacheKey, shape } of each compiled function
+ */
+function compileAheadOfTime(shapes, options = {}) {
+  const format = options.format || "cjs";
+  const name = options.name || "bitblt-aot";
+  if (!FORMATS[format]) {
+    throw new Error(
+      `Unknown module format ${format}: expected one of ${Object.keys(FORMATS).join(", ")}`
+    );
+  }
+
+  const compiler = {
+    ...config.compiler,
+    ...options.compiler,
+    detectPatterns: false,
+    diskCache: null,
+  };
+  const generatorType = options.generatorType || config.generatorType;
+  const generator = GeneratorFactory.createGenerator(generatorType, compiler);
+  if (
+    !(generator instanceof WASMGenerator) &&
+    !(generator instanceof JavaScriptGenerator)
+  ) {
+    throw new Error(
+      `The ${generatorType} generator does not generate code to write out`
+    );
+  }
+  const kind = generator instanceof WASMGenerator ? "wasm" : "javascript";
+  const dispatch = {
+    alignment: Boolean(compiler.inlineConstants),
+    pin: compiler.pin || [],
+  };
+
+  const entries = [];
+  const byKey = new Map();
+  for (const shape of shapes) {
+    const call = resolveShape(shape);
+    if (!call) {
+      continue;
+    }
+
+    const params = generator.getExecutionParams({
+      src: call.srcBuffer,
+      srcWidth: call.srcWidth,
+      srcHeight: call.srcHeight,
+      srcX: call.srcX,
+      srcY: call.srcY,
+      dst: call.dstBuffer,
+      dstWidth: call.dstWidth,
+      dstHeight: call.dstHeight,
+      dstX: call.dstX,
+      dstY: call.dstY,
+      width: call.width,
+      height: call.height,
+      rule: call.combinationRule,
+      mask: call.halftoneHeight ? new Uint32Array(call.halftoneHeight) : null,
+      depth: call.depth,
+    });
+    const key = getDispatchKey(dispatch, call);
+    const cacheKey = generator.getCacheKey(params);
+
+    if (byKey.has(key)) {
+      if (byKey.get(key).cacheKey !== cacheKey) {
+        throw new Error(
+          `Shapes with dispatch key ${key} compile to different code (${byKey.get(key).cacheKey}, ${cacheKey})`
+        );
+      }
+      continue;
+    }
+
+    const entry = { key, cacheKey, shape };
+    if (kind === "javascript") {
+      entry.code = generator.generate(params);
+    } else {
+      entry.file = `${name}-${entries.length}.wasm`;
+      entry.bytes = generator.generate({ ...params, sharedMemory: false }, false);
+    }
+    byKey.set(key, entry);
+    entries.push(entry);
+  }
+
+  const files = {
+    [`${name}${FORMATS[format]}`]: emitModule({ format, kind, dispatch, entries }),
+  };
+  for (const entry of entries) {
+    if (entry.file) {
+      files[entry.file] = entry.bytes;
+    }
+  }
+
+  return {
+    files,
+    entries: entries.map(({ key, cacheKey, shape }) => ({ key, cacheKey, shape })),
+  };
+}
+
+/**
+ * Compile BitBLT code for a list of shapes and write the module to a
+ * directory
+ *
+ * @param {Object[]} shapes - Shapes to compile code for (see compileAheadOfTime)
+ * @param {Object} options - Compilation options (see compileAheadOfTime)
+ * @param {string} options.outDir - Directory to write the files to
+ * @returns {Object} - { module, files, entries }: the path of the module,
+ *   the paths of all files written and the compiled functions
+ */
+function writeAheadOfTimeModule(shapes, options = {}) {
+  if (!options.outDir) {
+    throw new Error("An output directory (outDir) is required");
+  }
+
+  const { files, entries } = compileAheadOfTime(shapes, options);
+  fs.mkdirSync(options.outDir, { recursive: true });
+
+  const written = Object.entries(files).map(([file, contents]) => {
+    const target = path.join(options.outDir, file);
+    fs.writeFileSync(target, contents);
+    return target;
+  });
+
+  return { module: written[0], files: written, entries };
+}
+
+module.exports = {
+  compileAheadOfTime,
+  writeAheadOfTimeModule,
+  getDispatchKey,
+};
@@ -0,0 +1,209 @@
+/**
+ * BitBlt - the Smalltalk-80 BitBlt object
+ *
+ * Smalltalk graphics code sets up a BitBlt with its forms, combination
+ * rule and rectangles, and then sends it copyBits. This class keeps the
+ * same state under the same names (see the Blue Book, chapter 18) and
+ * runs copyBits on bitblt(). Each BitBlt has a generator of its own, so
+ * repeated copyBits calls with one shape reuse the compiled blitter. The
+ * javascript and wasm generators compile code for each alignment of the
+ * rectangles; give a BitBlt a closure generator to keep one blitter
+ * wherever they move.
+ *
+ * As in Smalltalk, a BitBlt without a sourceForm copies an all-ones
+ * source (so that only the halftone and the rule matter), one without a
+ * halftoneForm does not mask the source, and the clipping rectangle
+ * defaults to the whole destination.
+ */
+
+const { Form } = require("./form");
+const { clipRegion } = require("./compiler/descriptor");
+
+/**
+ * Get the bitblt module
+ *
+ * bitblt.js requires this module, so it is only required when first used.
+ *
+ * @returns {Object} - The exports of bitblt.js
+ */
+function getBitBLTModule() {
+  return require("./bitblt");
+}
+
+/**
+ * Convert a halftone form into one word per row
+ *
+ * A halftone row narrower than 32 bits is repeated across the word, so
+ * its width in bits (its width times its depth) must divide 32.
+ * Smalltalk halftones are 16x16 at depth 1.
+ *
+ * @param {Form} halftoneForm - The halftone form
+ * @returns {Uint32Array} - The halftone, one word per row
+ */
+function getHalftoneWords(halftoneForm) {
+  const { width, height, depth, wordsPerRow, bits } = halftoneForm;
+  const rowBits = width * depth;
+  if (!(rowBits > 0 && 32 % rowBits === 0) || height === 0) {
+    throw new RangeError(
+      `A halftone form must be 1, 2, 4, 8, 16 or 32 bits wide and not empty, got ${width}x${height} at depth ${depth}`
+    );
+  }
+
+  const rowMask = rowBits === 32 ? 0xffffffff : (1 << rowBits) - 1;
+  const words = new Uint32Array(height);
+  for (let y = 0; y < height; y++) {
+    const row = bits[y * wordsPerRow] & rowMask;
+    let word = 0;
+    for (let x = 0; x < 32; x += rowBits) {
+      word |= row << x;
+    }
+    words[y] = word >>> 0;
+  }
+  return words;
+}
+
+class BitBlt {
+  /**
+   * Create a new BitBlt
+   *
+   * @param {Object} state - Initial values of the fields (see below)
+   */
+  constructor(state = {}) {
+    // The forms
+    this.destForm = null;
+    this.sourceForm = null;
+    this.halftoneForm = null;
+
+    // The combination rule (0-15, default: 3 = Form over)
+    this.combinationRule = 3;
+
+    // The destination rectangle, and the origin of the source
+    this.destX = 0;
+    this.destY = 0;
+    this.width = 0;
+    this.height = 0;
+    this.sourceX = 0;
+    this.sourceY = 0;
+
+    // The clipping rectangle in the destination (default: all of it)
+    this.clipX = 0;
+    this.clipY = 0;
+    this.clipWidth = undefined;
+    this.clipHeight = undefined;
+
+    // The generator copyBits runs on (default: one of config.generatorType,
+    // synchronous so that copyBits returns without a Promise)
+    this.generator = null;
+
+    // The all-ones source used when there is no sourceForm (see getOnesForm)
+    this.onesForm = null;
+
+    Object.assign(this, state);
+  }
+
+  /**
+   * Get the generator copyBits runs on, creating it on first use
+   *
+   * @returns {Generator} - The generator
+   */
+  getGenerator() {
+    if (!this.generator) {
+      const { config, createGenerator } = getBitBLTModule();
+      this.generator = createGenerator(config.generatorType, {
+        synchronous: true,
+      });
+    }
+    return this.generator;
+  }
+
+  /**
+   * Get the all-ones source used when there is no sourceForm
+   *
+   * @returns {Form} - A form at least width x height at the destination's
+   *   depth, kept between calls
+   */
+  getOnesForm() {
+    const { depth } = this.destForm;
+    if (
+      !this.onesForm ||
+      this.onesForm.width < this.width ||
+      this.onesForm.height < this.height ||
+      this.onesForm.depth !== depth
+    ) {
+      // Every bit of every pixel set, at the destination's depth
+      this.onesForm = new Form(this.width, this.height, null, depth).fill(
+        0xffffffff
+      );
+    }
+    return this.onesForm;
+  }
+
+  /**
+   * Transfer the source rectangle to the destination with the combination
+   * rule, masked by the halftone and clipped to the clipping rectangle,
+   * the destination and the source
+   *
+   * @returns {Object|Promise<Object>} - The clipped region that was actually transferred (or a Promise that resolves to it, if the generator is asynchronous)
+   */
+  copyBits() {
+    if (!(this.destForm instanceof Form)) {
+      throw new TypeError("copyBits needs a destForm");
+    }
+
+    // As in Smalltalk, an empty rectangle (after clipping) is a no-op.
+    // Without a sourceForm the source is the rectangle itself.
+    const sourceX = this.sourceForm ? this.sourceX : 0;
+    const sourceY = this.sourceForm ? this.sourceY : 0;
+    const region = clipRegion({
+      srcWidth: this.sourceForm ? this.sourceForm.width : this.width,
+      srcHeight: this.sourceForm ? this.sourceForm.height : this.height,
+      srcX: sourceX,
+      srcY: sourceY,
+      dstWidth: this.destForm.width,
+      dstHeight: this.destForm.height,
+      dstX: this.destX,
+      dstY: this.destY,
+      width: this.width,
+      height: this.height,
+      clipX: this.clipX,
+      clipY: this.clipY,
+      clipWidth: this.clipWidth,
+      clipHeight: this.clipHeight,
+    });
+    if (region.width === 0) {
+      const generator = this.getGenerator();
+      return generator.isAsync() ? Promise.resolve(region) : region;
+    }
+
+    const source = this.sourceForm || this.getOnesForm();
+    const halftone = this.halftoneForm
+      ? getHalftoneWords(this.halftoneForm)
+      : null;
+
+    return getBitBLTModule().bitblt(
+      source,
+      sourceX,
+      sourceY,
+      this.destForm,
+      this.destX,
+      this.destY,
+      this.width,
+      this.height,
+      {
+        generator: this.getGenerator(),
+        combinationRule: this.combinationRule,
+        halftone,
+        clipX: this.clipX,
+        clipY: this.clipY,
+        clipWidth:
+          this.clipWidth !== undefined ? this.clipWidth : this.destForm.width,
+        clipHeight:
+          this.clipHeight !== undefined
+            ? this.clipHeight
+            : this.destForm.height,
+      }
+    );
+  }
+}
+
+module.exports = { BitBlt, getHalftoneWords };
@@ -10,24 +10,93 @@ const referenceBitBLT = require("./reference/bitblt").bitblt;
 
 // Import the generator factory and generators
 const { GeneratorFactory } = require("./compiler");
+const { CombinationRule } = require("./compiler/combination-rules");
+const {
+  DEFAULT_THRESHOLD,
+  ShapeProfiler,
+  getShape,
+  getSpecializedOptions,
+} = require("./compiler/shape-profiler");
+const {
+  DEFAULT_TIER_THRESHOLD,
+  TieredExecutor,
+} = require("./compiler/tiers");
+const { DEFAULT_MAX_CACHE_SIZE } = require("./compiler/code-cache");
+const { getDefaultArena } = require("./compiler/memory-arena");
+const {
+  FIELDS,
+  BitBLTDescriptor,
+  clipRegion,
+} = require("./compiler/descriptor");
+const {
+  BitBLTError,
+  BitBLTRangeError,
+  BitBLTBufferError,
+  BitBLTCompileError,
+  BitBLTExecutionError,
+  BitBLTVerificationError,
+  getTypeName,
+} = require("./compiler/errors");
+const {
+  PIXEL_DEPTHS,
+  normalizeDepth,
+  getWordsPerRow,
+  getPixelMask,
+} = require("./compiler/pixel-depth");
+const { Form } = require("./form");
+const { BitBlt } = require("./bitblt-object");
+const {
+  DEFAULT_PARALLEL_THRESHOLD,
+  DEFAULT_WORKERS,
+  ParallelExecutor,
+} = require("./compiler/parallel");
 
 // Configuration
 const config = {
   // Whether to verify that compiled and reference implementations produce the same result
   verifyResults: true,
 
+  // Whether to check each call before anything runs: buffer types and
+  // lengths, integer coordinates and sizes (see validateFields). Switch it
+  // off for speed once the calls are known to be good; invalid calls then
+  // have undefined results.
+  validate: true,
+
   // Whether to use the compiled version (if false, only the reference implementation is used)
   useCompiled: true,
 
-  // Whether to analyze operations for optimization opportunities
+  // Whether to count calls by their shape (see getProfile)
   analyzeOperations: true,
 
   // Whether to log performance metrics
   logPerformance: false,
 
-  // Whether to automatically recompile when patterns are detected
+  // Whether to recompile hot shapes with specialized code
   autoRecompile: false,
 
+  // Calls with one shape before it gets specialized code
+  autoRecompileThreshold: DEFAULT_THRESHOLD,
+
+  // Called with each promotion event (optional)
+  onPromote: null,
+
+  // Whether to run calls on the reference implementation until their
+  // cache key has been called tierThreshold times (see getTierStats)
+  tiered: false,
+
+  // Calls with one cache key before its code is compiled
+  tierThreshold: DEFAULT_TIER_THRESHOLD,
+
+  // Whether to split large calls into bands of rows that run on a pool
+  // of worker threads (see getParallelStats)
+  parallel: false,
+
+  // Pixels a call must cover to run in parallel
+  parallelThreshold: DEFAULT_PARALLEL_THRESHOLD,
+
+  // Worker threads in the pool
+  parallelWorkers: DEFAULT_WORKERS,
+
   // Generator type to use ('javascript', 'wasm', etc.)
   generatorType: "javascript",
 
@@ -42,6 +111,36 @@ const config = {
     // Whether to optimize for word-aligned copies
     optimizeAlignedCopy: true,
 
+    // IR optimization passes, each of which can be switched off to
+    // measure its effect
+    removeAlignedEdgeMasks: true,
+    foldConstants: true,
+    strengthReduction: true,
+    hoistInvariants: true,
+
+    // Whether to look for patterns in the pixels (solid sources, repeating
+    // rows, single-word rows, no-op blits) and emit code specialized for
+    // them. Off by default: it reads the source region on every call.
+    detectPatterns: false,
+
+    // Coordinates to compile into the code exactly (for example
+    // ["width", "height"]). Code is otherwise keyed on the alignment
+    // class of a blit, so moving it does not compile new code.
+    pin: [],
+
+    // The most compiled functions each generator keeps; the least
+    // recently used are evicted first (see getCacheStats)
+    maxCacheSize: DEFAULT_MAX_CACHE_SIZE,
+
+    // Directory to keep generated code in, so later processes load it
+    // instead of generating it again (null: no disk cache)
+    diskCache: null,
+
+    // Whether WebAssembly generators compile with new WebAssembly.Module
+    // and run synchronously, so bitblt() returns the region itself
+    // instead of a Promise, as it does with the JavaScript generator
+    synchronous: false,
+
     // Whether to include debug information
     debug: false,
   },
@@ -53,20 +152,34 @@ let defaultGenerator = GeneratorFactory.createGenerator(
   config.compiler
 );
 
+// Generic generators, one per type and set of compiler options, so
+// their compiled code is kept from call to call
+const generators = new Map();
+
+// Call counts by shape, and the generators of promoted shapes
+const profiler = new ShapeProfiler();
+
+// Call counts by cache key, and the generators of tiered mode
+const tiers = new TieredExecutor();
+
+// The worker threads of parallel mode
+const parallel = new ParallelExecutor();
+
 /**
- * Get the value of a specific bit in a packed buffer
+ * Get the value of a pixel in a packed buffer
  *
  * @param {Uint32Array} buffer - The buffer containing packed pixels
  * @param {number} width - Width of the buffer in pixels
  * @param {number} x - X coordinate
  * @param {number} y - Y coordinate
- * @returns {number} - The bit value (0 or 1)
+ * @param {number} depth - Bits per pixel (default: 1)
+ * @returns {number} - The pixel value (0 or 1 at depth 1, up to 2^depth - 1)
  */
-function getPixel(buffer, width, x, y) {
-  const widthInUint32 = Math.ceil(width / 32);
-  const elementIndex = Math.floor(x / 32) + y * widthInUint32;
-  const bitPos = x % 32;
-  return (buffer[elementIndex] >>> bitPos) & 1;
+function getPixel(buffer, width, x, y, depth = 1) {
+  const widthInUint32 = getWordsPerRow(width, depth);
+  const elementIndex = Math.floor((x * depth) / 32) + y * widthInUint32;
+  const bitPos = (x * depth) % 32;
+  return ((buffer[elementIndex] >>> bitPos) & getPixelMask(depth)) >>> 0;
 }
 
 /**
@@ -97,13 +210,14 @@ function buffersAreEqual(buffer1, buffer2) {
  * @param {Uint32Array} buffer2 - Second buffer
  * @param {number} width - Width of the buffers in pixels
  * @param {number} height - Height of the buffers in pixels
+ * @param {number} depth - Bits per pixel (default: 1)
  * @returns {Object|null} - The first difference found, or null if buffers are identical
  */
-function findFirstDifference(buffer1, buffer2, width, height) {
+function findFirstDifference(buffer1, buffer2, width, height, depth = 1) {
   for (let y = 0; y < height; y++) {
     for (let x = 0; x < width; x++) {
-      const bit1 = getPixel(buffer1, width, x, y);
-      const bit2 = getPixel(buffer2, width, x, y);
+      const bit1 = getPixel(buffer1, width, x, y, depth);
+      const bit2 = getPixel(buffer2, width, x, y, depth);
 
       if (bit1 !== bit2) {
         return { x, y, expected: bit1, actual: bit2 };
@@ -136,19 +250,20 @@ function buffersAreEqual(buffer1, buffer2) {
 }
 
 /**
- * Get the value of a specific bit in a packed buffer
+ * Get the value of a pixel in a packed buffer
  *
  * @param {Uint32Array} buffer - The buffer containing packed pixels
  * @param {number} width - Width of the buffer in pixels
  * @param {number} x - X coordinate
  * @param {number} y - Y coordinate
- * @returns {number} - The bit value (0 or 1)
+ * @param {number} depth - Bits per pixel (default: 1)
+ * @returns {number} - The pixel value (0 or 1 at depth 1, up to 2^depth - 1)
  */
-function getPixel(buffer, width, x, y) {
-  const widthInUint32 = Math.ceil(width / 32);
-  const elementIndex = Math.floor(x / 32) + y * widthInUint32;
-  const bitPos = x % 32;
-  return (buffer[elementIndex] >>> bitPos) & 1;
+function getPixel(buffer, width, x, y, depth = 1) {
+  const widthInUint32 = getWordsPerRow(width, depth);
+  const elementIndex = Math.floor((x * depth) / 32) + y * widthInUint32;
+  const bitPos = (x * depth) % 32;
+  return ((buffer[elementIndex] >>> bitPos) & getPixelMask(depth)) >>> 0;
 }
 
 /**
@@ -158,13 +273,14 @@ function getPixel(buffer, width, x, y) {
  * @param {Uint32Array} buffer2 - Second buffer
  * @param {number} width - Width of the buffers in pixels
  * @param {number} height - Height of the buffers in pixels
+ * @param {number} depth - Bits per pixel (default: 1)
  * @returns {Object|null} - The first difference found, or null if buffers are identical
  */
-function findFirstDifference(buffer1, buffer2, width, height) {
+function findFirstDifference(buffer1, buffer2, width, height, depth = 1) {
   for (let y = 0; y < height; y++) {
     for (let x = 0; x < width; x++) {
-      const bit1 = getPixel(buffer1, width, x, y);
-      const bit2 = getPixel(buffer2, width, x, y);
+      const bit1 = getPixel(buffer1, width, x, y, depth);
+      const bit2 = getPixel(buffer2, width, x, y, depth);
 
       if (bit1 !== bit2) {
         return { x, y, expected: bit1, actual: bit2 };
@@ -175,12 +291,266 @@ function findFirstDifference(buffer1, buffer2, width, height) {
   return null;
 }
 
+// The fields of a clip rectangle
+const CLIP_FIELDS = ["x", "y", "width", "height"];
+
+/**
+ * Check that a field is an integer, or missing if it is optional
+ *
+ * @param {Object} fields - The fields of a call
+ * @param {string} name - Name of the field
+ * @param {Object} check - What to check
+ * @param {boolean} check.nonNegative - Whether it must be 0 or more
+ * @param {boolean} check.required - Whether the field must be given
+ * @param {string} check.label - Name for messages (default: name)
+ */
+function validateInteger(
+  fields,
+  name,
+  { nonNegative, required, label = name }
+) {
+  const value = fields[name];
+  if (value === undefined && !required) {
+    return;
+  }
+
+  const expected = nonNegative ? "a non-negative integer" : "an integer";
+  if (value === undefined) {
+    throw new BitBLTRangeError(`${label} is required`, {
+      field: label,
+      value,
+      expected,
+    });
+  }
+  if (!Number.isInteger(value)) {
+    throw new BitBLTRangeError(
+      `${label} must be an integer, got ${
+        typeof value === "number" ? value : getTypeName(value)
+      }`,
+      { field: label, value, expected: "an integer" }
+    );
+  }
+  if (nonNegative && value < 0) {
+    throw new BitBLTRangeError(`${label} must not be negative, got ${value}`, {
+      field: label,
+      value,
+      expected,
+    });
+  }
+}
+
+/**
+ * Check a buffer, its width, and its height if one is given
+ *
+ * @param {Object} fields - The fields of a call
+ * @param {string} name - "src" or "dst"
+ * @param {number} depth - Bits per pixel
+ */
+function validateBuffer(fields, name, depth) {
+  const buffer = fields[name];
+  if (buffer === undefined) {
+    throw new BitBLTBufferError(`${name} is required`, {
+      buffer: name,
+      type: "undefined",
+      length: undefined,
+      required: undefined,
+    });
+  }
+  if (!(buffer instanceof Uint32Array)) {
+    const type = getTypeName(buffer);
+    throw new BitBLTBufferError(
+      `${name} must be a Uint32Array, got ${type}`,
+      {
+        buffer: name,
+        type,
+        length: buffer && buffer.length,
+        required: undefined,
+      }
+    );
+  }
+
+  validateInteger(fields, `${name}Width`, {
+    nonNegative: true,
+    required: true,
+  });
+  validateInteger(fields, `${name}Height`, { nonNegative: true });
+
+  const width = fields[`${name}Width`];
+  const height = fields[`${name}Height`];
+  const required = getWordsPerRow(width, depth) * height;
+  if (height !== undefined && buffer.length < required) {
+    throw new BitBLTBufferError(
+      `${name} has ${buffer.length} words, too few for ${name}Width ${width} ` +
+        `and ${name}Height ${height} (${required} words)`,
+      { buffer: name, type: "Uint32Array", length: buffer.length, required }
+    );
+  }
+}
+
+/**
+ * Check the fields of a call before anything runs
+ *
+ * Generators read and write the buffers without bounds checks (typed
+ * arrays drop writes past their end, and WebAssembly copies whole rows),
+ * so a buffer that is too small or a fractional coordinate would
+ * otherwise corrupt pixels silently or fail deep inside a generator.
+ * Switched off with config.validate.
+ *
+ * @param {Object} fields - The fields of the call (see BitBLTDescriptor)
+ */
+function validateFields(fields) {
+  if (fields === null || typeof fields !== "object") {
+    throw new TypeError(
+      `bitblt() expects a descriptor object or positional arguments, got ${getTypeName(fields)}`
+    );
+  }
+  for (const key of Object.keys(fields)) {
+    if (!FIELDS.includes(key)) {
+      throw new TypeError(
+        `Unknown BitBLT field "${key}" (expected ${FIELDS.join(", ")}; ` +
+          "options such as the generator go in the second argument)"
+      );
+    }
+  }
+
+  const depth = normalizeDepth(fields.depth);
+  validateBuffer(fields, "src", depth);
+  validateBuffer(fields, "dst", depth);
+  if (fields.src === fields.dst && fields.srcWidth !== fields.dstWidth) {
+    throw new BitBLTRangeError(
+      `src and dst are the same buffer, but srcWidth ${fields.srcWidth} ` +
+        `and dstWidth ${fields.dstWidth} differ`,
+      {
+        field: "dstWidth",
+        value: fields.dstWidth,
+        expected: `srcWidth (${fields.srcWidth})`,
+      }
+    );
+  }
+
+  for (const name of ["srcX", "srcY", "dstX", "dstY"]) {
+    validateInteger(fields, name, {});
+  }
+  validateInteger(fields, "width", { nonNegative: true, required: true });
+  validateInteger(fields, "height", { nonNegative: true, required: true });
+
+  const { clip } = fields;
+  if (clip !== undefined && clip !== null) {
+    if (typeof clip !== "object") {
+      throw new TypeError(
+        `clip must be an object with x, y, width and height, got ${getTypeName(clip)}`
+      );
+    }
+    for (const key of Object.keys(clip)) {
+      if (!CLIP_FIELDS.includes(key)) {
+        throw new TypeError(
+          `Unknown clip field "${key}" (expected ${CLIP_FIELDS.join(", ")})`
+        );
+      }
+    }
+    for (const name of CLIP_FIELDS) {
+      validateInteger(clip, name, {
+        nonNegative: name === "width" || name === "height",
+        label: `clip.${name}`,
+      });
+    }
+  }
+}
+
+/**
+ * Get the generic generator for a type and set of compiler options,
+ * creating it on first use
+ *
+ * @param {string} type - Generator type ('javascript', 'wasm', etc.)
+ * @param {Object} compiler - Compiler options
+ * @returns {Generator} - The generator
+ */
+function getGenerator(type, compiler) {
+  const key = `${type}:${JSON.stringify(compiler)}`;
+  if (!generators.has(key)) {
+    generators.set(key, GeneratorFactory.createGenerator(type, compiler));
+  }
+  return generators.get(key);
+}
+
+/**
+ * Count a call in the shape profiler, and promote its shape once it has
+ * been called autoRecompileThreshold times
+ *
+ * @param {Object} opts - Options for the call, merged with config
+ * @param {Object} params - The clipped operation (see getShape)
+ * @returns {Generator|null} - The specialized generator for a promoted
+ *   shape, or null to use a generic one
+ */
+function profileShape(opts, params) {
+  if (!opts.analyzeOperations) {
+    return null;
+  }
+
+  const entry = profiler.record(getShape(params));
+  if (!opts.autoRecompile) {
+    return null;
+  }
+
+  if (!entry.promoted && entry.count >= opts.autoRecompileThreshold) {
+    const options = getSpecializedOptions(
+      entry.shape,
+      opts.compiler || config.compiler
+    );
+    const event = profiler.promote(
+      entry,
+      GeneratorFactory.createGenerator(params.generatorType, options),
+      options
+    );
+    if (opts.onPromote) {
+      opts.onPromote(event);
+    }
+  }
+
+  return entry.generator;
+}
+
+// Options of the positional form that the named form has as descriptor
+// fields
+const POSITIONAL_OPTIONS = {
+  combinationRule: "rule",
+  halftone: "mask",
+  clipX: "clip.x",
+  clipY: "clip.y",
+  clipWidth: "clip.width",
+  clipHeight: "clip.height",
+  dstHeight: "dstHeight",
+  depth: "depth",
+};
+
 /**
  * Main BitBLT function
  *
  * This function uses different generator backends (JavaScript, WebAssembly, etc.)
  * to perform bit block transfer operations.
  *
+ * The operation is given as named fields (see BitBLTDescriptor), with the
+ * options that choose how it runs as a second argument:
+ *
+ *   bitblt({ src, srcWidth, srcHeight, srcX, srcY, dst, dstWidth, dstX,
+ *            dstY, width, height, rule, mask, clip, depth }, options)
+ *
+ * The positional form below is a shim that builds the same descriptor,
+ * taking the rule, halftone, clip rectangle, pixel depth and destination
+ * height from its options. The buffers and their sizes can also be given as Forms
+ * (see bitbltForms): bitblt(source, srcX, srcY, destination, dstX, dstY,
+ * width, height, options).
+ *
+ * With config.tiered, calls that run on the reference implementation
+ * return synchronously even for asynchronous generators; once their code
+ * is compiled they return a Promise, so callers should await the result.
+ *
+ * WebAssembly generators return a Promise unless compiler.synchronous is
+ * set (see setGeneratorType).
+ *
+ * With config.parallel, calls that cover at least parallelThreshold
+ * pixels run in bands of rows on worker threads and return synchronously.
+ *
  * @param {Uint32Array} srcBuffer - Source pixel buffer
  * @param {number} srcWidth - Width of source buffer in pixels
  * @param {number} srcHeight - Height of source buffer
@@ -193,7 +563,15 @@ function findFirstDifference(buffer1, buffer2, width, height) {
  * @param {number} width - Width of region to copy
  * @param {number} height - Height of region to copy
  * @param {Object} options - Additional options
- * @returns {Uint32Array|Promise<Uint32Array>} - The destination buffer (or a Promise that resolves to it)
+ * @param {number} options.combinationRule - Smalltalk combination rule (0-15, default: 3 = store)
+ * @param {Uint32Array} options.halftone - Halftone mask ANDed with the source, one word per row (optional)
+ * @param {number} options.clipX - X coordinate of the clip rectangle in the destination (optional)
+ * @param {number} options.clipY - Y coordinate of the clip rectangle in the destination (optional)
+ * @param {number} options.clipWidth - Width of the clip rectangle (optional)
+ * @param {number} options.clipHeight - Height of the clip rectangle (optional)
+ * @param {number} options.dstHeight - Height of the destination buffer (default: derived from its length)
+ * @param {number} options.depth - Bits per pixel of both buffers: 1, 2, 4, 8, 16 or 32 (default: 1)
+ * @returns {Object|Promise<Object>} - The clipped region that was actually transferred (or a Promise that resolves to it)
  */
 function bitblt(
   srcBuffer,
@@ -209,39 +587,142 @@ function bitblt(
   height,
   options = {}
 ) {
+  if (srcBuffer instanceof Form) {
+    return bitbltForms(...arguments);
+  }
+
+  // The named form takes at most a descriptor and options, so a longer
+  // call is positional even if its source is not a typed array, and
+  // validation reports the source
+  if (!ArrayBuffer.isView(srcBuffer) && arguments.length <= 2) {
+    return bitbltDescriptor(srcBuffer, srcWidth);
+  }
+
+  return runBitBLT(BitBLTDescriptor.fieldsFromArguments(arguments), options);
+}
+
+/**
+ * Run bitblt() in its named form
+ *
+ * @param {Object|BitBLTDescriptor} fields - The operation
+ * @param {Object} options - Options, as for bitblt(), without the ones
+ *   that the descriptor has as fields
+ * @returns {Object|Promise<Object>} - The clipped region that was actually transferred (or a Promise that resolves to it)
+ */
+function bitbltDescriptor(fields, options = {}) {
+  if (options === null || typeof options !== "object") {
+    throw new TypeError(
+      `bitblt() expects its options as the second argument, got ${options}`
+    );
+  }
+
+  for (const [name, field] of Object.entries(POSITIONAL_OPTIONS)) {
+    if (options[name] !== undefined) {
+      throw new TypeError(
+        `The ${name} option only applies to positional bitblt() calls; ` +
+          `give ${field} in the descriptor instead`
+      );
+    }
+  }
+
+  return runBitBLT(fields, options);
+}
+
+/**
+ * Run a BitBLT operation on the implementation the options choose
+ *
+ * @param {Object|BitBLTDescriptor} fields - The operation
+ * @param {Object} options - Options, as for bitblt()
+ * @returns {Object|Promise<Object>} - The clipped region that was actually transferred (or a Promise that resolves to it)
+ */
+function runBitBLT(fields, options) {
   // Merge options with config
   const opts = { ...config, ...options };
 
+  if (opts.validate) {
+    validateFields(fields);
+  }
+  const descriptor =
+    fields instanceof BitBLTDescriptor ? fields : new BitBLTDescriptor(fields);
+
+  // Clip once, before any implementation runs, so that no generator ever
+  // sees coordinates outside the source or destination
+  const operation = descriptor.clipped();
+  const region = operation.getRegion();
+  const isEmpty = operation.isEmpty();
+  const { dst: dstBuffer, dstWidth } = operation;
+
   // If we're not using the compiled version, just use the reference implementation
   if (!opts.useCompiled) {
-    referenceBitBLT(
-      srcBuffer,
-      srcWidth,
-      srcHeight,
-      srcX,
-      srcY,
-      dstBuffer,
-      dstWidth,
-      dstX,
-      dstY,
-      width,
-      height
-    );
-    return dstBuffer;
+    if (isEmpty) {
+      return region;
+    }
+
+    referenceBitBLT(...operation.toArguments());
+    return region;
   }
 
-  // Get the generator to use (either from options or the default)
+  // Get the generator to use: the one from options, the specialized one
+  // for a hot shape, or a generic one
   const generatorType = opts.generatorType || config.generatorType;
-  const generator =
-    opts.generator ||
-    GeneratorFactory.createGenerator(
+  const compiler = opts.compiler || config.compiler;
+  let generator = opts.generator;
+
+  // In parallel mode, large calls run on the worker threads
+  if (
+    !generator &&
+    opts.parallel &&
+    !isEmpty &&
+    operation.width * operation.height >= opts.parallelThreshold
+  ) {
+    generator = parallel.getRunner(
       generatorType,
-      opts.compiler || config.compiler
+      compiler,
+      opts.parallelWorkers
     );
+  }
+
+  // In tiered mode, calls run on the reference implementation until
+  // their code has been compiled
+  if (!generator && opts.tiered && !isEmpty) {
+    generator = tiers.select(
+      generatorType,
+      compiler,
+      opts.tierThreshold,
+      operation
+    );
+
+    if (!generator) {
+      referenceBitBLT(...operation.toArguments());
+      return region;
+    }
+  }
+
+  generator =
+    generator ||
+    (!isEmpty &&
+      profileShape(opts, {
+        generatorType,
+        srcWidth: operation.srcWidth,
+        dstWidth,
+        srcX: operation.srcX,
+        dstX: operation.dstX,
+        width: operation.width,
+        height: operation.height,
+        combinationRule: operation.rule,
+        halftoneHeight: operation.mask ? operation.mask.length : 0,
+        depth: operation.depth,
+      })) ||
+    getGenerator(generatorType, compiler);
 
   // Check if the generator is asynchronous
   const isAsync = generator.isAsync && generator.isAsync();
 
+  // Nothing is left to transfer after clipping
+  if (isEmpty) {
+    return isAsync ? Promise.resolve(region) : region;
+  }
+
   // Function to execute the generator and verify results if needed
   const executeGenerator = () => {
     // If we're verifying results, we need to create a copy of the destination buffer
@@ -253,34 +734,10 @@ function bitblt(
       });
 
       // Apply the reference implementation to the copy
-      referenceBitBLT(
-        srcBuffer,
-        srcWidth,
-        srcHeight,
-        srcX,
-        srcY,
-        verifyBuffer,
-        dstWidth,
-        dstX,
-        dstY,
-        width,
-        height
-      );
+      referenceBitBLT(...operation.with({ dst: verifyBuffer }).toArguments());
 
       // Apply the generator implementation to the original
-      const result = generator.execute(
-        srcBuffer,
-        srcWidth,
-        srcHeight,
-        srcX,
-        srcY,
-        dstBuffer,
-        dstWidth,
-        dstX,
-        dstY,
-        width,
-        height
-      );
+      const result = generator.execute(operation);
 
       // Function to verify the results
       const verifyResults = () => {
@@ -290,11 +747,23 @@ function bitblt(
             verifyBuffer,
             dstBuffer,
             dstWidth,
-            Math.ceil((dstBuffer.length * 32) / dstWidth)
+            Math.ceil((dstBuffer.length * 32) / (dstWidth * operation.depth)),
+            operation.depth
           );
-          throw new Error(
+          // The buffers can also differ in their length (a view that was
+          // detached) or only in the padding at the end of each row
+          let where;
+          if (diff) {
+            where = `First difference at (${diff.x}, ${diff.y}): expected ${diff.expected}, got ${diff.actual}`;
+          } else if (dstBuffer.length !== verifyBuffer.length) {
+            where = `The destination has ${dstBuffer.length} words, expected ${verifyBuffer.length}`;
+          } else {
+            where = "The destinations differ in the padding of their rows";
+          }
+          throw new BitBLTVerificationError(
             `BitBLT verification failed: ${generatorType} and reference implementations produced different results. ` +
-              `First difference at (${diff.x}, ${diff.y}): expected ${diff.expected}, got ${diff.actual}`
+              where,
+            { generator: generatorType, ...diff }
           );
         }
 
@@ -303,26 +772,14 @@ function bitblt(
           console.log(`BitBLT operation with generator: ${generatorType}`);
         }
 
-        return dstBuffer;
+        return region;
       };
 
       // Handle synchronous or asynchronous execution
       return isAsync ? result.then(verifyResults) : verifyResults();
     } else {
       // Just apply the generator implementation
-      const result = generator.execute(
-        srcBuffer,
-        srcWidth,
-        srcHeight,
-        srcX,
-        srcY,
-        dstBuffer,
-        dstWidth,
-        dstX,
-        dstY,
-        width,
-        height
-      );
+      const result = generator.execute(operation);
 
       // Function to handle the result
       const handleResult = () => {
@@ -331,7 +788,7 @@ function bitblt(
           console.log(`BitBLT operation with generator: ${generatorType}`);
         }
 
-        return dstBuffer;
+        return region;
       };
 
       // Handle synchronous or asynchronous execution
@@ -343,17 +800,85 @@ function bitblt(
   return executeGenerator();
 }
 
+/**
+ * Run bitblt() on Forms, which carry their own buffer, width, height and
+ * pixel depth
+ *
+ * Both forms must have the same depth: there is no conversion between
+ * depths.
+ *
+ * @param {Form} source - Source form
+ * @param {number} srcX - X coordinate in the source
+ * @param {number} srcY - Y coordinate in the source
+ * @param {Form} destination - Destination form
+ * @param {number} dstX - X coordinate in the destination
+ * @param {number} dstY - Y coordinate in the destination
+ * @param {number} width - Width of region to copy
+ * @param {number} height - Height of region to copy
+ * @param {Object} options - Additional options, as for bitblt()
+ * @returns {Object|Promise<Object>} - The clipped region that was actually transferred (or a Promise that resolves to it)
+ */
+function bitbltForms(
+  source,
+  srcX,
+  srcY,
+  destination,
+  dstX,
+  dstY,
+  width,
+  height,
+  options = {}
+) {
+  if (!(destination instanceof Form)) {
+    throw new TypeError(
+      "bitblt() with a source Form expects a destination Form as its fourth argument"
+    );
+  }
+  if (source.depth !== destination.depth) {
+    throw new BitBLTRangeError(
+      `The source form has depth ${source.depth}, but the destination form ` +
+        `has depth ${destination.depth}`,
+      {
+        field: "depth",
+        value: source.depth,
+        expected: `the destination's depth (${destination.depth})`,
+      }
+    );
+  }
+
+  return bitblt(
+    source.bits,
+    source.width,
+    source.height,
+    srcX,
+    srcY,
+    destination.bits,
+    destination.width,
+    dstX,
+    dstY,
+    width,
+    height,
+    { ...options, dstHeight: destination.height, depth: destination.depth }
+  );
+}
+
 /**
  * Set the default generator type
+ *
+ * The options are merged into config.compiler, so later bitblt() calls
+ * use them; for example setGeneratorType("wasm", { synchronous: true })
+ * runs WebAssembly without returning Promises.
+ *
  * @param {string} type - Generator type ('javascript', 'wasm', etc.)
  * @param {Object} options - Generator options
  */
 function setGeneratorType(type, options = {}) {
   config.generatorType = type;
-  defaultGenerator = GeneratorFactory.createGenerator(type, {
-    ...config.compiler,
-    ...options,
-  });
+  config.compiler = { ...config.compiler, ...options };
+  defaultGenerator = GeneratorFactory.createGenerator(
+    type,
+    config.compiler
+  );
 }
 
 /**
@@ -369,13 +894,171 @@ function createGenerator(type, options = {}) {
   });
 }
 
+/**
+ * Get the statistics of the compiled code caches of the generators
+ * bitblt() has run on: the generic ones, the ones of tiered mode and the
+ * specialized ones of promoted shapes
+ *
+ * Generators passed in with options.generator keep their own statistics
+ * (see Generator.getCacheStats).
+ *
+ * @returns {Object} - { generators, size, hits, misses, evictions, compiles,
+ *   compileTime, disk }, summed over the generators, with compileTime in
+ *   milliseconds and disk the statistics of each disk cache in use
+ */
+function getCacheStats() {
+  const all = new Set([...generators.values(), ...tiers.generators.values()]);
+  for (const entry of profiler.entries.values()) {
+    if (entry.generator) {
+      all.add(entry.generator);
+    }
+  }
+
+  const totals = {
+    generators: all.size,
+    size: 0,
+    hits: 0,
+    misses: 0,
+    evictions: 0,
+    compiles: 0,
+    compileTime: 0,
+  };
+  const diskCaches = new Set();
+  for (const generator of all) {
+    const stats = generator.getCacheStats();
+    for (const name of Object.keys(totals)) {
+      if (name !== "generators") {
+        totals[name] += stats[name];
+      }
+    }
+    if (generator.diskCache) {
+      diskCaches.add(generator.diskCache);
+    }
+  }
+
+  totals.disk = Array.from(diskCaches, (cache) => cache.getStats());
+  return totals;
+}
+
+/**
+ * Allocate a bitmap in the memory arena of WebAssembly generators
+ *
+ * WebAssembly blits between arena bitmaps run in place, without copying
+ * the pixels in and out of WebAssembly memory. Pass bitmap.pixels to
+ * bitblt(), and get it again after allocating, since growing the arena
+ * detaches the views of its memory.
+ *
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @param {number} depth - Bits per pixel (default: 1)
+ * @returns {ArenaBitmap} - The bitmap, cleared to 0 (see ArenaBitmap)
+ */
+function createBitmap(width, height, depth = 1) {
+  return getDefaultArena().createBitmap(width, height, depth);
+}
+
+/**
+ * Get the statistics of the memory arena of WebAssembly generators
+ *
+ * @returns {Object} - { pages, maximumPages, allocated, free, blocks,
+ *   grows }, with allocated and free in words
+ */
+function getArenaStats() {
+  return getDefaultArena().getStats();
+}
+
+/**
+ * Get the shape profile: how often each shape was called and which
+ * shapes were promoted to specialized code
+ *
+ * @returns {Object} - { calls, shapes, promotions }; each shape has its
+ *   key, shape, count and whether it was promoted, and each promotion
+ *   event its key, shape, the calls it took and the compiler options used
+ */
+function getProfile() {
+  return profiler.getStats();
+}
+
+/**
+ * Clear the shape profile and drop the specialized generators
+ */
+function resetProfile() {
+  profiler.reset();
+}
+
+/**
+ * Get the state of tiered mode: how many calls ran on the reference and
+ * on compiled code, and the tier of each cache key
+ *
+ * @returns {Object} - { referenceCalls, compiledCalls, compiling, entries }
+ */
+function getTierStats() {
+  return tiers.getStats();
+}
+
+/**
+ * Wait for the background compiles of tiered mode to finish
+ *
+ * @returns {Promise<void>} - Resolves when nothing is compiling
+ */
+function settleTiers() {
+  return tiers.settle();
+}
+
+/**
+ * Clear the call counts of tiered mode and drop its generators
+ */
+function resetTiers() {
+  tiers.reset();
+}
+
+/**
+ * Get the state of parallel mode: the size of the worker pool, and how
+ * many calls and bands it has run
+ *
+ * @returns {Object} - { workers, calls, bands }
+ */
+function getParallelStats() {
+  return parallel.getStats();
+}
+
+/**
+ * Stop the worker threads of parallel mode; they start again on the next
+ * parallel call
+ */
+function resetParallel() {
+  parallel.terminate();
+}
+
 // Export the BitBLT function and utilities
 module.exports = {
   bitblt,
   getPixel,
+  clipRegion,
   config,
   setGeneratorType,
   createGenerator,
+  getCacheStats,
+  createBitmap,
+  getArenaStats,
+  getProfile,
+  resetProfile,
+  getTierStats,
+  settleTiers,
+  resetTiers,
+  getParallelStats,
+  resetParallel,
+  CombinationRule,
+  PIXEL_DEPTHS,
+  BitBLTDescriptor,
+  BitBLTError,
+  BitBLTRangeError,
+  BitBLTBufferError,
+  BitBLTCompileError,
+  BitBLTExecutionError,
+  BitBLTVerificationError,
+  Form,
+  BitBlt,
   // Re-export utilities from the reference implementation
   createTestBuffer: require("./reference/bitblt").createTestBuffer,
   // Export generator types
@@ -38,6 +38,17 @@ class GeneratorFactory {
         const ZeroCopyWASMGenerator = require("./generators/ZeroCopyWASMGenerator");
         return new ZeroCopyWASMGenerator(options);
 
+      case "simd-wasm":
+      case "simd":
+        // Lazy-load the SIMDWASMGenerator to avoid circular dependencies
+        const SIMDWASMGenerator = require("./generators/SIMDWASMGenerator");
+        return new SIMDWASMGenerator(options);
+
+      case "closure":
+        // Lazy-load the ClosureGenerator to avoid circular dependencies
+        const ClosureGenerator = require("./generators/ClosureGenerator");
+        return new ClosureGenerator(options);
+
       default:
         throw new Error(`Unknown generator type: ${type}`);
     }
@@ -49,7 +60,7 @@ class GeneratorFactory {
    * @returns {string[]} - Array of available generator types
    */
   static getAvailableGenerators() {
-    return ["javascript", "wasm", "zero-copy-wasm"];
+    return ["javascript", "wasm", "zero-copy-wasm", "simd-wasm", "closure"];
   }
 }
 
@@ -5,6 +5,16 @@
  * function based on specific use cases and patterns.
  */
 
+const {
+  CombinationRule,
+  normalizeRule,
+  applyRule,
+  ruleUsesSource,
+} = require("./combination-rules");
+const { buffersAlias } = require("./overlap");
+const { BitBLTCompileError, BitBLTRangeError } = require("./errors");
+const { normalizeDepth } = require("./pixel-depth");
+
 /**
  * Generate code for a specialized BitBLT function
  *
@@ -21,9 +31,18 @@
  * @param {boolean} options.unrollLoops - Whether to unroll loops for performance (default: false)
  * @param {boolean} options.inlineConstants - Whether to inline constant values (default: true)
  * @param {boolean} options.optimizeAlignedCopy - Whether to optimize for word-aligned copies (default: true)
+ * @param {number} options.depth - Bits per pixel: this compiler only
+ *   generates code for 1 (default: 1); the generators handle every depth
  * @returns {string} - Generated code as a string
  */
 function generateBitBLTCode(options = {}) {
+  if (normalizeDepth(options.depth) !== 1) {
+    throw new BitBLTRangeError(
+      `Unsupported pixel depth ${options.depth}: generateBitBLTCode only generates 1-bit code (use a generator for other depths)`,
+      { field: "depth", value: options.depth, expected: "1" }
+    );
+  }
+
   // Default options
   const opts = {
     unrollLoops: false,
@@ -226,6 +245,7 @@ function addPixelCopyCode(code, x, opts, pixelIndex = 0, y = null) {
  * @param {boolean} options.unrollLoops - Whether to unroll loops for performance (default: false)
  * @param {boolean} options.inlineConstants - Whether to inline constant values (default: true)
  * @param {boolean} options.optimizeAlignedCopy - Whether to optimize for word-aligned copies (default: true)
+ * @param {number} options.depth - Bits per pixel: only 1 (see generateBitBLTCode)
  * @param {boolean} options.debug - Whether to include debug information (default: false)
  * @returns {Function} - Compiled BitBLT function
  */
@@ -246,13 +266,138 @@ function compileBitBLT(options = {}) {
   } catch (err) {
     console.error("Error compiling BitBLT function:", err);
     console.error("Generated code:", code);
-    throw new Error(`Failed to compile BitBLT function: ${err.message}`);
+    throw new BitBLTCompileError(
+      `Failed to compile BitBLT function: ${err.message}`,
+      { generator: "javascript", cacheKey: undefined, cause: err }
+    );
+  }
+}
+
+/**
+ * The longest source row period that analyzeOperation looks for
+ */
+const MAX_ROW_PERIOD = 32;
+
+/**
+ * Read up to 32 consecutive pixels from a row of a packed buffer
+ *
+ * @param {Uint32Array} buffer - Packed pixel buffer
+ * @param {number} widthInUint32 - Words per row of the buffer
+ * @param {number} x - X coordinate of the first pixel
+ * @param {number} y - Row
+ * @param {number} count - Number of pixels (1-32)
+ * @returns {number} - The pixels, first pixel in bit 0 (unsigned)
+ */
+function readBits(buffer, widthInUint32, x, y, count) {
+  const index = y * widthInUint32 + (x >>> 5);
+  const shift = x & 31;
+  let bits = buffer[index] >>> shift;
+  if (shift + count > 32) {
+    bits |= buffer[index + 1] << (32 - shift);
+  }
+  return (count === 32 ? bits : bits & lowBits(count)) >>> 0;
+}
+
+/**
+ * A mask of the low `count` bits of a word
+ *
+ * @param {number} count - Number of bits (1-32)
+ * @returns {number} - The mask (unsigned)
+ */
+function lowBits(count) {
+  return count === 32 ? 0xffffffff : (1 << count) - 1;
+}
+
+/**
+ * Split a destination row into runs that each lie within one word
+ *
+ * @param {number} dstX - Destination X coordinate
+ * @param {number} width - Width of the row in pixels
+ * @returns {Object[]} - { x, count } for each run, x relative to dstX
+ */
+function wordRuns(dstX, width) {
+  const runs = [];
+  for (let x = 0; x < width; ) {
+    const count = Math.min(32 - ((dstX + x) & 31), width - x);
+    runs.push({ x, count });
+    x += count;
+  }
+  return runs;
+}
+
+/**
+ * Check whether every run of source pixels is all 0s or all 1s
+ *
+ * @param {number[][]} rows - Source pixels of each row, one entry per run
+ * @param {Object[]} runs - The runs of each row
+ * @returns {number|null} - 0 or 1 for a solid region, otherwise null
+ */
+function solidValue(rows, runs) {
+  for (const value of [0, 1]) {
+    const solid = rows.every((row) =>
+      row.every((bits, i) => bits === (value ? lowBits(runs[i].count) : 0))
+    );
+    if (solid) {
+      return value;
+    }
+  }
+  return null;
+}
+
+/**
+ * Find the shortest period after which the source rows repeat
+ *
+ * Only periods that repeat at least once within the region count.
+ *
+ * @param {number[][]} rows - Source pixels of each row, one entry per run
+ * @returns {number|null} - The period in rows, or null if there is none
+ */
+function rowPeriod(rows) {
+  const longest = Math.min(MAX_ROW_PERIOD, Math.floor(rows.length / 2));
+  for (let period = 1; period <= longest; period++) {
+    let repeats = true;
+    for (let y = period; y < rows.length && repeats; y++) {
+      repeats = rows[y].every((bits, i) => bits === rows[y - period][i]);
+    }
+    if (repeats) {
+      return period;
+    }
   }
+  return null;
+}
+
+/**
+ * The rule that gives the same result as `rule` when every source pixel
+ * has the value `value`; it depends only on the destination
+ *
+ * @param {number} rule - Combination rule (0-15)
+ * @param {number} value - The source pixel value (0 or 1)
+ * @returns {number} - One of the rules 0 (clear), 5 (no-op), 10 (invert) or 15 (set)
+ */
+function fillRule(rule, value) {
+  // Bit 3 - 2s of the rule is the result for (s, 0), bit 2 - 2s for (s, 1)
+  const whenClear = (rule >> (3 - 2 * value)) & 1;
+  const whenSet = (rule >> (2 - 2 * value)) & 1;
+  return (whenClear ? 10 : 0) | (whenSet ? 5 : 0);
 }
 
 /**
  * Analyze a BitBLT operation to detect optimization opportunities
  *
+ * Unlike the generators' own analysis, which only looks at the compile
+ * parameters, this looks at the pixels. It recognizes:
+ *
+ * - solid sources (all 0s or all 1s), which turn the rule into a fill
+ *   that never reads the source
+ * - source rows that repeat with a short period, so only the first
+ *   period of rows needs to be read
+ * - destination rows that fit in a single word
+ * - blits that leave the destination unchanged
+ *
+ * Each recommendation carries the compile parameters that select the
+ * specialized code (see Generator.applyPatterns). The analysis describes
+ * the data as it is now, so the recommendations only hold for this call.
+ *
  * @param {Uint32Array} srcBuffer - Source buffer
  * @param {number} srcWidth - Width of source buffer in pixels
  * @param {number} srcHeight - Height of source buffer in pixels
@@ -263,7 +408,14 @@ function compileBitBLT(options = {}) {
  * @param {number} dstY - Destination Y coordinate
  * @param {number} width - Width to copy
  * @param {number} height - Height to copy
- * @returns {Object} - Analysis results with optimization opportunities
+ * @param {Object} options - Details of the operation (optional)
+ * @param {Uint32Array} options.dstBuffer - Destination buffer, needed to detect no-op blits
+ * @param {number} options.combinationRule - Combination rule (0-15, default: 3)
+ * @param {Uint32Array} options.halftone - Halftone mask, one word per row (optional)
+ * @returns {Object} - { canOptimize, patterns, recommendations }, where each
+ *   pattern has a `type` ("solid", "repeating-rows", "single-word-column" or
+ *   "no-op") and each recommendation has a `type`, a `description` and the
+ *   compile `params` it calls for
  */
 function analyzeOperation(
   srcBuffer,
@@ -275,21 +427,127 @@ function analyzeOperation(
   dstX,
   dstY,
   width,
-  height
+  height,
+  options = {}
 ) {
-  // This is a placeholder for future implementation
-  // In the future, this will analyze the operation and detect patterns
-  // that can be optimized, such as:
-  // - Solid regions
-  // - Repeating patterns
-  // - Word-aligned operations
-  // - SIMD opportunities
-
-  return {
+  const analysis = {
     canOptimize: false,
     patterns: [],
     recommendations: [],
   };
+
+  if (!(width > 0 && height > 0)) {
+    return analysis;
+  }
+
+  const rule = normalizeRule(options.combinationRule);
+  const dstBuffer = options.dstBuffer || null;
+  const halftone = options.halftone || null;
+  const runs = wordRuns(dstX, width);
+
+  // Read the source region once, split at destination word boundaries
+  let rows = null;
+  if (ruleUsesSource(rule)) {
+    const srcWidthInUint32 = Math.ceil(srcWidth / 32);
+    rows = [];
+    for (let y = 0; y < height; y++) {
+      rows.push(
+        runs.map(({ x, count }) =>
+          readBits(srcBuffer, srcWidthInUint32, srcX + x, srcY + y, count)
+        )
+      );
+    }
+  }
+
+  // A solid source makes the result a function of the destination alone.
+  // The halftone keeps a solid 0 source solid but patterns a solid 1.
+  let effectiveRule = rule;
+  const solid = rows ? solidValue(rows, runs) : null;
+  if (solid !== null) {
+    analysis.patterns.push({ type: "solid", value: solid });
+    if (solid === 0 || !halftone) {
+      effectiveRule = fillRule(rule, solid);
+    }
+  }
+
+  if (rows && solid === null) {
+    const period = rowPeriod(rows);
+    if (period !== null) {
+      analysis.patterns.push({ type: "repeating-rows", period });
+    }
+  }
+
+  if ((dstX & 31) + width <= 32) {
+    analysis.patterns.push({ type: "single-word-column", word: dstX >>> 5 });
+  }
+
+  // The blit is a no-op if the rule ignores the source and keeps the
+  // destination, or if the destination already holds the result
+  let noop = effectiveRule === CombinationRule.NOOP;
+  if (!noop && dstBuffer) {
+    const dstWidthInUint32 = Math.ceil(dstWidth / 32);
+    noop = true;
+    for (let y = 0; y < height && noop; y++) {
+      const halftoneRow = halftone
+        ? halftone[(dstY + y) % halftone.length]
+        : 0xffffffff;
+      noop = runs.every(({ x, count }, i) => {
+        const dstBits = readBits(
+          dstBuffer,
+          dstWidthInUint32,
+          dstX + x,
+          dstY + y,
+          count
+        );
+        const srcBits = rows
+          ? rows[y][i] & (halftoneRow >>> ((dstX + x) & 31))
+          : 0;
+        const result = applyRule(rule, srcBits, dstBits) & lowBits(count);
+        return result >>> 0 === dstBits;
+      });
+    }
+  }
+
+  if (noop) {
+    analysis.patterns.push({ type: "no-op" });
+    analysis.recommendations.push({
+      type: "skip",
+      description: "The destination already holds the result",
+      params: { noop: true },
+    });
+  } else {
+    if (effectiveRule !== rule) {
+      analysis.recommendations.push({
+        type: "fill",
+        description: `Fill with rule ${effectiveRule}: the source is all ${solid}s`,
+        params: { combinationRule: effectiveRule },
+      });
+    }
+
+    // Reading earlier source rows again is only safe when the blit
+    // cannot overwrite them
+    const repeating = analysis.patterns.find(
+      (pattern) => pattern.type === "repeating-rows"
+    );
+    if (repeating && dstBuffer && !buffersAlias(srcBuffer, dstBuffer)) {
+      analysis.recommendations.push({
+        type: "repeat-rows",
+        description: `Read only the first ${repeating.period} source rows`,
+        params: { sourceRowPeriod: repeating.period },
+      });
+    }
+
+    if ((dstX & 31) + width <= 32) {
+      analysis.recommendations.push({
+        type: "single-word",
+        description: "Every destination row fits in one word",
+        params: { singleWordRows: true },
+      });
+    }
+  }
+
+  analysis.canOptimize = analysis.recommendations.length > 0;
+  return analysis;
 }
 
 module.exports = {
@@ -0,0 +1,147 @@
+/**
+ * Code Cache
+ *
+ * A bounded cache of compiled BitBLT functions, shared by every generator
+ * through the Generator base class. When the cache is full the least
+ * recently used function is evicted, so a long-running process that
+ * blits many different shapes keeps a fixed amount of compiled code.
+ */
+
+/**
+ * Compiled functions each generator keeps, unless configured
+ */
+const DEFAULT_MAX_CACHE_SIZE = 256;
+
+class CodeCache {
+  /**
+   * Create a new cache
+   *
+   * @param {number} maxSize - The most functions to keep (default: 256)
+   */
+  constructor(maxSize = DEFAULT_MAX_CACHE_SIZE) {
+    if (!(Number.isInteger(maxSize) && maxSize > 0)) {
+      throw new Error(
+        `Invalid cache size ${maxSize}: expected a positive integer`
+      );
+    }
+
+    this.maxSize = maxSize;
+    this.entries = new Map();
+    this.hits = 0;
+    this.misses = 0;
+    this.evictions = 0;
+    this.compiles = 0;
+    this.compileTime = 0;
+  }
+
+  /**
+   * Look up a function, counting a hit or a miss, and mark it as the most
+   * recently used
+   *
+   * @param {string} key - Cache key
+   * @returns {*} - The cached function, or undefined
+   */
+  get(key) {
+    if (!this.entries.has(key)) {
+      this.misses++;
+      return undefined;
+    }
+
+    // Move the entry to the end, so the map stays in order of use
+    const value = this.entries.get(key);
+    this.entries.delete(key);
+    this.entries.set(key, value);
+    this.hits++;
+    return value;
+  }
+
+  /**
+   * Check whether a function is cached, without counting a lookup
+   *
+   * @param {string} key - Cache key
+   * @returns {boolean} - Whether the key is cached
+   */
+  has(key) {
+    return this.entries.has(key);
+  }
+
+  /**
+   * Add a newly compiled function, evicting the least recently used ones
+   * to make room
+   *
+   * @param {string} key - Cache key
+   * @param {*} value - The compiled function
+   * @param {number} compileTime - Milliseconds spent generating and compiling it
+   * @returns {CodeCache} - The cache
+   */
+  set(key, value, compileTime = 0) {
+    this.entries.delete(key);
+    while (this.entries.size >= this.maxSize) {
+      this.entries.delete(this.entries.keys().next().value);
+      this.evictions++;
+    }
+
+    this.entries.set(key, value);
+    this.compiles++;
+    this.compileTime += compileTime;
+    return this;
+  }
+
+  /**
+   * Remove a function
+   *
+   * @param {string} key - Cache key
+   * @returns {boolean} - Whether the key was cached
+   */
+  delete(key) {
+    return this.entries.delete(key);
+  }
+
+  /**
+   * Remove every function; the statistics are kept
+   */
+  clear() {
+    this.entries.clear();
+  }
+
+  /**
+   * The cached keys, from least to most recently used
+   *
+   * @returns {Iterator<string>} - The keys
+   */
+  keys() {
+    return this.entries.keys();
+  }
+
+  /**
+   * The number of cached functions
+   *
+   * @returns {number} - The number of entries
+   */
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * Get the cache statistics
+   *
+   * @returns {Object} - { size, maxSize, hits, misses, evictions, compiles,
+   *   compileTime }, with compileTime the total milliseconds spent compiling
+   */
+  getStats() {
+    return {
+      size: this.entries.size,
+      maxSize: this.maxSize,
+      hits: this.hits,
+      misses: this.misses,
+      evictions: this.evictions,
+      compiles: this.compiles,
+      compileTime: this.compileTime,
+    };
+  }
+}
+
+module.exports = {
+  DEFAULT_MAX_CACHE_SIZE,
+  CodeCache,
+};
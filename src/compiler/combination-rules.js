@@ -0,0 +1,191 @@
+/**
+ * Combination Rules
+ *
+ * The 16 Smalltalk-80 BitBlt combination rules. Each rule is a boolean
+ * function of a source bit and a destination bit. The rule number is the
+ * function's truth table: bit 3 is the result for (src=0, dst=0), bit 2 for
+ * (0, 1), bit 1 for (1, 0) and bit 0 for (1, 1).
+ */
+
+const { BitBLTRangeError } = require("./errors");
+
+/**
+ * Rule numbers by name
+ */
+const CombinationRule = {
+  CLEAR: 0, // 0
+  AND: 1, // src & dst
+  AND_REVERSE: 2, // src & ~dst
+  STORE: 3, // src
+  AND_INVERTED: 4, // ~src & dst
+  NOOP: 5, // dst
+  XOR: 6, // src ^ dst
+  OR: 7, // src | dst
+  NOR: 8, // ~(src | dst)
+  EQUIV: 9, // ~(src ^ dst)
+  INVERT: 10, // ~dst
+  OR_REVERSE: 11, // src | ~dst
+  COPY_INVERTED: 12, // ~src
+  OR_INVERTED: 13, // ~src | dst
+  NAND: 14, // ~(src & dst)
+  SET: 15, // all ones
+};
+
+/**
+ * The default rule: the destination becomes the source
+ */
+const DEFAULT_RULE = CombinationRule.STORE;
+
+/**
+ * Each rule as a postfix program over the operands 's' (source) and 'd'
+ * (destination). Generators walk these programs to emit code, so every
+ * backend shares one definition of the rules.
+ */
+const RULE_PROGRAMS = [
+  ["zero"],
+  ["s", "d", "and"],
+  ["s", "d", "not", "and"],
+  ["s"],
+  ["s", "not", "d", "and"],
+  ["d"],
+  ["s", "d", "xor"],
+  ["s", "d", "or"],
+  ["s", "d", "or", "not"],
+  ["s", "d", "xor", "not"],
+  ["d", "not"],
+  ["s", "d", "not", "or"],
+  ["s", "not"],
+  ["s", "not", "d", "or"],
+  ["s", "d", "and", "not"],
+  ["ones"],
+];
+
+/**
+ * Check whether a value is a valid combination rule
+ *
+ * @param {*} rule - The value to check
+ * @returns {boolean} - Whether the value is an integer from 0 to 15
+ */
+function isValidRule(rule) {
+  return Number.isInteger(rule) && rule >= 0 && rule <= 15;
+}
+
+/**
+ * Resolve a combination rule, applying the default and validating it
+ *
+ * @param {number|undefined} rule - The requested rule
+ * @returns {number} - The rule to use
+ */
+function normalizeRule(rule) {
+  if (rule === undefined || rule === null) {
+    return DEFAULT_RULE;
+  }
+
+  if (!isValidRule(rule)) {
+    throw new BitBLTRangeError(
+      `Invalid combination rule: ${rule} (expected an integer from 0 to 15)`,
+      { field: "rule", value: rule, expected: "an integer from 0 to 15" }
+    );
+  }
+
+  return rule;
+}
+
+/**
+ * Get the postfix program for a rule
+ *
+ * @param {number} rule - Combination rule (0-15)
+ * @returns {string[]} - The rule's postfix program
+ */
+function getRuleProgram(rule) {
+  return RULE_PROGRAMS[normalizeRule(rule)];
+}
+
+/**
+ * Apply a rule to two 32-bit words
+ *
+ * @param {number} rule - Combination rule (0-15)
+ * @param {number} src - Source word
+ * @param {number} dst - Destination word
+ * @returns {number} - The combined word (as a signed 32-bit integer)
+ */
+function applyRule(rule, src, dst) {
+  return (
+    (rule & 8 ? ~src & ~dst : 0) |
+    (rule & 4 ? ~src & dst : 0) |
+    (rule & 2 ? src & ~dst : 0) |
+    (rule & 1 ? src & dst : 0)
+  );
+}
+
+/**
+ * Build a JavaScript expression that applies a rule
+ *
+ * @param {number} rule - Combination rule (0-15)
+ * @param {string} src - Expression for the source word
+ * @param {string} dst - Expression for the destination word
+ * @returns {string} - A parenthesized JavaScript expression
+ */
+function ruleExpression(rule, src, dst) {
+  const stack = [];
+
+  for (const op of getRuleProgram(rule)) {
+    switch (op) {
+      case "s":
+        stack.push(src);
+        break;
+      case "d":
+        stack.push(dst);
+        break;
+      case "zero":
+        stack.push("0");
+        break;
+      case "ones":
+        stack.push("-1");
+        break;
+      case "not":
+        stack.push(`~${stack.pop()}`);
+        break;
+      default: {
+        const right = stack.pop();
+        const left = stack.pop();
+        const operator = { and: "&", or: "|", xor: "^" }[op];
+        stack.push(`(${left} ${operator} ${right})`);
+      }
+    }
+  }
+
+  return `(${stack.pop()})`;
+}
+
+/**
+ * Check whether a rule reads the source
+ *
+ * @param {number} rule - Combination rule (0-15)
+ * @returns {boolean} - Whether the result depends on the source
+ */
+function ruleUsesSource(rule) {
+  return getRuleProgram(rule).includes("s");
+}
+
+/**
+ * Check whether a rule reads the destination
+ *
+ * @param {number} rule - Combination rule (0-15)
+ * @returns {boolean} - Whether the result depends on the destination
+ */
+function ruleUsesDestination(rule) {
+  return getRuleProgram(rule).includes("d");
+}
+
+module.exports = {
+  CombinationRule,
+  DEFAULT_RULE,
+  isValidRule,
+  normalizeRule,
+  getRuleProgram,
+  applyRule,
+  ruleExpression,
+  ruleUsesSource,
+  ruleUsesDestination,
+};
@@ -0,0 +1,443 @@
+/**
+ * BitBLT Descriptor
+ *
+ * A descriptor holds everything a BitBLT operation needs: the buffers and
+ * their sizes, the rectangle to copy, the combination rule, the halftone
+ * mask, the clip rectangle and the pixel depth. bitblt() takes one as a
+ * named-options object:
+ *
+ *   bitblt({ src, srcWidth, srcX, srcY, dst, dstWidth, dstX, dstY,
+ *            width, height, rule, mask, clip, depth }, options)
+ *
+ * and builds one from its positional arguments, and generators receive
+ * one in execute(). A descriptor fills in the defaults, so every layer
+ * below sees the same normalized values; checking the fields is up to
+ * bitblt() (see config.validate).
+ */
+
+const { normalizeRule } = require("./combination-rules");
+const { BitBLTBufferError, getTypeName } = require("./errors");
+const { normalizeDepth, getWordsPerRow } = require("./pixel-depth");
+
+// The fields of a descriptor, in the order of the positional arguments
+const FIELDS = [
+  "src",
+  "srcWidth",
+  "srcHeight",
+  "srcX",
+  "srcY",
+  "dst",
+  "dstWidth",
+  "dstHeight",
+  "dstX",
+  "dstY",
+  "width",
+  "height",
+  "rule",
+  "mask",
+  "clip",
+  "depth",
+];
+
+// The fields of a region, which clipping changes
+const REGION_FIELDS = ["srcX", "srcY", "dstX", "dstY", "width", "height"];
+
+/**
+ * Get the number of rows a buffer holds
+ *
+ * @param {Uint32Array} buffer - The buffer
+ * @param {number} width - Its width in pixels
+ * @param {number} depth - Bits per pixel
+ * @returns {number} - The number of whole rows in the buffer
+ */
+function getRows(buffer, width, depth) {
+  const wordsPerRow = getWordsPerRow(width, depth);
+  return wordsPerRow > 0 ? Math.floor(buffer.length / wordsPerRow) : 0;
+}
+
+/**
+ * Validate a halftone mask
+ *
+ * A halftone has one Uint32 word per row. The pattern repeats vertically
+ * every halftone.length rows (normally 16 or 32) and horizontally every
+ * 32 bits (32 / depth pixels), aligned to the destination.
+ *
+ * @param {Uint32Array|null|undefined} halftone - The halftone mask
+ * @returns {Uint32Array|null} - The halftone, or null if there is none
+ */
+function normalizeHalftone(halftone) {
+  if (halftone === undefined || halftone === null) {
+    return null;
+  }
+
+  if (!(halftone instanceof Uint32Array) || halftone.length === 0) {
+    throw new BitBLTBufferError(
+      "Invalid halftone: expected a non-empty Uint32Array with one word per row",
+      {
+        buffer: "mask",
+        type: getTypeName(halftone),
+        length: halftone.length,
+        required: 1,
+      }
+    );
+  }
+
+  return halftone;
+}
+
+/**
+ * Fill in the destination's bounds for the fields of a clip rectangle
+ * that are missing
+ *
+ * @param {Object|null|undefined} clip - { x, y, width, height }
+ * @param {number} dstWidth - Width of the destination in pixels
+ * @param {number} dstHeight - Height of the destination in pixels
+ * @returns {Object|null} - The clip rectangle, or null if there is none
+ */
+function normalizeClip(clip, dstWidth, dstHeight) {
+  if (clip === undefined || clip === null) {
+    return null;
+  }
+
+  const x = clip.x === undefined ? 0 : clip.x;
+  const y = clip.y === undefined ? 0 : clip.y;
+  return {
+    x,
+    y,
+    width: clip.width === undefined ? Math.max(0, dstWidth - x) : clip.width,
+    height:
+      clip.height === undefined ? Math.max(0, dstHeight - y) : clip.height,
+  };
+}
+
+/**
+ * Clip a BitBLT operation
+ *
+ * The destination rectangle is first clipped to the clip rectangle (which
+ * defaults to the whole destination) and to the destination bounds, then
+ * to the source bounds. The source origin moves with every edge that is
+ * clipped away, as in Smalltalk BitBlt.
+ *
+ * @param {Object} params - Operation parameters
+ * @param {number} params.srcWidth - Width of source buffer in pixels
+ * @param {number} params.srcHeight - Height of source buffer in pixels
+ * @param {number} params.srcX - X coordinate in source
+ * @param {number} params.srcY - Y coordinate in source
+ * @param {number} params.dstWidth - Width of destination buffer in pixels
+ * @param {number} params.dstHeight - Height of destination buffer in pixels
+ * @param {number} params.dstX - X coordinate in destination
+ * @param {number} params.dstY - Y coordinate in destination
+ * @param {number} params.width - Width of region to copy
+ * @param {number} params.height - Height of region to copy
+ * @param {number} params.clipX - X coordinate of the clip rectangle (optional)
+ * @param {number} params.clipY - Y coordinate of the clip rectangle (optional)
+ * @param {number} params.clipWidth - Width of the clip rectangle (optional)
+ * @param {number} params.clipHeight - Height of the clip rectangle (optional)
+ * @returns {Object} - The clipped { srcX, srcY, dstX, dstY, width, height };
+ *   width and height are 0 when nothing is left
+ */
+function clipRegion(params) {
+  let { srcX, srcY, dstX, dstY, width, height } = params;
+
+  // Intersect the clip rectangle with the destination bounds
+  const clipX = Math.max(0, params.clipX !== undefined ? params.clipX : 0);
+  const clipY = Math.max(0, params.clipY !== undefined ? params.clipY : 0);
+  const clipRight = Math.min(
+    params.dstWidth,
+    params.clipWidth !== undefined
+      ? (params.clipX || 0) + params.clipWidth
+      : params.dstWidth
+  );
+  const clipBottom = Math.min(
+    params.dstHeight,
+    params.clipHeight !== undefined
+      ? (params.clipY || 0) + params.clipHeight
+      : params.dstHeight
+  );
+
+  // Clip the destination on the left and top, moving the source with it
+  if (dstX < clipX) {
+    srcX += clipX - dstX;
+    width -= clipX - dstX;
+    dstX = clipX;
+  }
+  if (dstY < clipY) {
+    srcY += clipY - dstY;
+    height -= clipY - dstY;
+    dstY = clipY;
+  }
+
+  // Clip the destination on the right and bottom
+  width = Math.min(width, clipRight - dstX);
+  height = Math.min(height, clipBottom - dstY);
+
+  // Clip to the source bounds, moving the destination with it
+  if (srcX < 0) {
+    dstX -= srcX;
+    width += srcX;
+    srcX = 0;
+  }
+  if (srcY < 0) {
+    dstY -= srcY;
+    height += srcY;
+    srcY = 0;
+  }
+  width = Math.min(width, params.srcWidth - srcX);
+  height = Math.min(height, params.srcHeight - srcY);
+
+  if (width <= 0 || height <= 0) {
+    return { srcX, srcY, dstX, dstY, width: 0, height: 0 };
+  }
+
+  return { srcX, srcY, dstX, dstY, width, height };
+}
+
+class BitBLTDescriptor {
+  /**
+   * Create a descriptor from named fields, filling in the defaults
+   *
+   * @param {Object} fields - The fields of the operation
+   * @param {Uint32Array} fields.src - Source pixel buffer
+   * @param {number} fields.srcWidth - Width of the source in pixels
+   * @param {number} fields.srcHeight - Height of the source (default: derived from its length)
+   * @param {number} fields.srcX - X coordinate in the source (default: 0)
+   * @param {number} fields.srcY - Y coordinate in the source (default: 0)
+   * @param {Uint32Array} fields.dst - Destination pixel buffer
+   * @param {number} fields.dstWidth - Width of the destination in pixels
+   * @param {number} fields.dstHeight - Height of the destination (default: derived from its length)
+   * @param {number} fields.dstX - X coordinate in the destination (default: 0)
+   * @param {number} fields.dstY - Y coordinate in the destination (default: 0)
+   * @param {number} fields.width - Width of region to copy
+   * @param {number} fields.height - Height of region to copy
+   * @param {number} fields.rule - Combination rule (0-15, default: 3 = store)
+   * @param {Uint32Array} fields.mask - Halftone mask ANDed with the source, one word per row (optional)
+   * @param {Object} fields.clip - Clip rectangle { x, y, width, height } in the destination (optional)
+   * @param {number} fields.depth - Bits per pixel of both buffers: 1, 2, 4, 8, 16 or 32 (default: 1)
+   */
+  constructor(fields) {
+    this.depth = normalizeDepth(fields.depth);
+    this.src = fields.src;
+    this.srcWidth = fields.srcWidth;
+    this.srcHeight =
+      fields.srcHeight === undefined
+        ? getRows(fields.src, fields.srcWidth, this.depth)
+        : fields.srcHeight;
+    this.dst = fields.dst;
+    this.dstWidth = fields.dstWidth;
+    this.dstHeight =
+      fields.dstHeight === undefined
+        ? getRows(fields.dst, fields.dstWidth, this.depth)
+        : fields.dstHeight;
+
+    for (const name of ["srcX", "srcY", "dstX", "dstY"]) {
+      this[name] = fields[name] === undefined ? 0 : fields[name];
+    }
+    this.width = fields.width;
+    this.height = fields.height;
+
+    this.rule = normalizeRule(fields.rule);
+    this.mask = normalizeHalftone(fields.mask);
+    this.clip = normalizeClip(fields.clip, this.dstWidth, this.dstHeight);
+
+    Object.freeze(this);
+  }
+
+  /**
+   * Get the named fields of the positional arguments of bitblt() and of
+   * Generator.execute()
+   *
+   * @param {Array} args - srcBuffer, srcWidth, srcHeight, srcX, srcY,
+   *   dstBuffer, dstWidth, dstX, dstY, width, height and the options,
+   *   whose combinationRule, halftone, depth, dstHeight and clipX, clipY,
+   *   clipWidth and clipHeight describe the operation
+   * @returns {Object} - The fields, for the constructor
+   */
+  static fieldsFromArguments(args) {
+    const [
+      src,
+      srcWidth,
+      srcHeight,
+      srcX,
+      srcY,
+      dst,
+      dstWidth,
+      dstX,
+      dstY,
+      width,
+      height,
+      options = {},
+    ] = args;
+
+    const hasClip = ["clipX", "clipY", "clipWidth", "clipHeight"].some(
+      (name) => options[name] !== undefined
+    );
+
+    return {
+      src,
+      srcWidth,
+      srcHeight,
+      srcX,
+      srcY,
+      dst,
+      dstWidth,
+      dstHeight: options.dstHeight,
+      dstX,
+      dstY,
+      width,
+      height,
+      rule: options.combinationRule,
+      mask: options.halftone,
+      clip: hasClip
+        ? {
+            x: options.clipX,
+            y: options.clipY,
+            width: options.clipWidth,
+            height: options.clipHeight,
+          }
+        : null,
+      depth: options.depth,
+    };
+  }
+
+  /**
+   * Create a descriptor from positional arguments
+   *
+   * @param {Array} args - The arguments (see fieldsFromArguments)
+   * @returns {BitBLTDescriptor} - The descriptor
+   */
+  static fromArguments(args) {
+    return new BitBLTDescriptor(BitBLTDescriptor.fieldsFromArguments(args));
+  }
+
+  /**
+   * Get the descriptor for a call given either way: a descriptor, named
+   * fields, or positional arguments
+   *
+   * @param {Array} args - The arguments of the call
+   * @returns {BitBLTDescriptor} - The descriptor
+   */
+  static from(args) {
+    const [first] = args;
+    if (first instanceof BitBLTDescriptor) {
+      return first;
+    }
+    if (
+      first !== null &&
+      typeof first === "object" &&
+      !ArrayBuffer.isView(first)
+    ) {
+      return new BitBLTDescriptor(first);
+    }
+    return BitBLTDescriptor.fromArguments(args);
+  }
+
+  /**
+   * Get a copy of the descriptor with some fields changed
+   *
+   * @param {Object} fields - The fields to change
+   * @returns {BitBLTDescriptor} - The new descriptor
+   */
+  with(fields) {
+    return new BitBLTDescriptor({ ...this, ...fields });
+  }
+
+  /**
+   * Clip the operation to the clip rectangle and to the bounds of both
+   * buffers
+   *
+   * @returns {BitBLTDescriptor} - A descriptor of the clipped region
+   *   without a clip rectangle (this one, if nothing is clipped away)
+   */
+  clipped() {
+    const region = this.getClippedRegion();
+    if (
+      this.clip === null &&
+      REGION_FIELDS.every((name) => region[name] === this[name])
+    ) {
+      return this;
+    }
+    return this.with({ ...region, clip: null });
+  }
+
+  /**
+   * Get the region the operation transfers after clipping (see clipRegion)
+   *
+   * @returns {Object} - { srcX, srcY, dstX, dstY, width, height }
+   */
+  getClippedRegion() {
+    const clip = this.clip || {};
+    return clipRegion({
+      srcWidth: this.srcWidth,
+      srcHeight: this.srcHeight,
+      srcX: this.srcX,
+      srcY: this.srcY,
+      dstWidth: this.dstWidth,
+      dstHeight: this.dstHeight,
+      dstX: this.dstX,
+      dstY: this.dstY,
+      width: this.width,
+      height: this.height,
+      clipX: clip.x,
+      clipY: clip.y,
+      clipWidth: clip.width,
+      clipHeight: clip.height,
+    });
+  }
+
+  /**
+   * Get the region of the descriptor
+   *
+   * @returns {Object} - { srcX, srcY, dstX, dstY, width, height }
+   */
+  getRegion() {
+    const { srcX, srcY, dstX, dstY, width, height } = this;
+    return { srcX, srcY, dstX, dstY, width, height };
+  }
+
+  /**
+   * Check whether there is nothing to transfer
+   *
+   * @returns {boolean} - Whether the width or the height is 0
+   */
+  isEmpty() {
+    return this.width === 0 || this.height === 0;
+  }
+
+  /**
+   * Get the positional arguments of the operation, for the reference
+   * implementation
+   *
+   * The clip rectangle is not included: clip the descriptor first.
+   *
+   * @returns {Array} - srcBuffer, srcWidth, srcHeight, srcX, srcY,
+   *   dstBuffer, dstWidth, dstX, dstY, width, height and
+   *   { combinationRule, halftone, depth }
+   */
+  toArguments() {
+    return [
+      this.src,
+      this.srcWidth,
+      this.srcHeight,
+      this.srcX,
+      this.srcY,
+      this.dst,
+      this.dstWidth,
+      this.dstX,
+      this.dstY,
+      this.width,
+      this.height,
+      {
+        combinationRule: this.rule,
+        halftone: this.mask,
+        depth: this.depth,
+      },
+    ];
+  }
+}
+
+module.exports = {
+  FIELDS,
+  BitBLTDescriptor,
+  clipRegion,
+  normalizeHalftone,
+};
@@ -0,0 +1,302 @@
+/**
+ * Disk Cache
+ *
+ * An opt-in cache of generated code on disk, so a new process can load the
+ * JavaScript source and WebAssembly bytes that an earlier one generated
+ * instead of generating them again. Entries are keyed by the generator's
+ * cache key and live in a subdirectory named after a hash of the compiler
+ * sources (bitblt-cache-v<hash>): changing the compiler moves to a new
+ * subdirectory, and the old ones are removed. Nothing else in the cache
+ * directory is touched, so it can be shared with other files.
+ *
+ * Each entry is written to a temporary file and renamed into place, so a
+ * reader never sees half an entry. An entry that cannot be read, does not
+ * parse or fails its checksum is deleted and treated as a miss.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Version of the entry format
+ */
+const FORMAT = 1;
+
+/**
+ * Prefix of the name of each version's subdirectory
+ */
+const VERSION_PREFIX = "bitblt-cache-v";
+
+/**
+ * A version: a plain file name, so its subdirectory is inside the cache
+ */
+const VERSION = /^[\w.-]+$/;
+
+/**
+ * The name of a version subdirectory (the only entries prune() removes)
+ */
+const VERSION_DIRECTORY = /^bitblt-cache-v[\w.-]+$/;
+
+let generatorVersion = null;
+
+/**
+ * Hash a string or bytes
+ *
+ * @param {string|Uint8Array} data - Data to hash
+ * @returns {string} - Hex SHA-256 digest
+ */
+function hash(data) {
+  return crypto.createHash("sha256").update(data).digest("hex");
+}
+
+/**
+ * List the JavaScript files in a directory and its subdirectories
+ *
+ * @param {string} directory - Directory to search
+ * @returns {string[]} - File paths, sorted
+ */
+function listSources(directory) {
+  const files = [];
+  for (const entry of fs.readdirSync(directory, { withFileTypes: true })) {
+    const file = path.join(directory, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...listSources(file));
+    } else if (entry.name.endsWith(".js")) {
+      files.push(file);
+    }
+  }
+  return files.sort();
+}
+
+/**
+ * Get the version hash of the code generators: a hash of the compiler
+ * sources, so that any change to them invalidates the cached code
+ *
+ * @returns {string} - The version hash
+ */
+function getGeneratorVersion() {
+  if (generatorVersion === null) {
+    const digest = crypto.createHash("sha256");
+    for (const file of listSources(__dirname)) {
+      digest.update(path.relative(__dirname, file));
+      digest.update(fs.readFileSync(file));
+    }
+    generatorVersion = digest.digest("hex").slice(0, 16);
+  }
+  return generatorVersion;
+}
+
+class DiskCache {
+  /**
+   * Open a cache directory, creating it if needed
+   *
+   * @param {string} directory - Directory to keep the cache in
+   * @param {Object} options - Cache options
+   * @param {string} options.version - Version hash of the cached code (default: getGeneratorVersion())
+   */
+  constructor(directory, options = {}) {
+    if (typeof directory !== "string" || directory === "") {
+      throw new Error(`Invalid cache directory ${directory}`);
+    }
+
+    this.directory = path.resolve(directory);
+    this.version = options.version || getGeneratorVersion();
+    if (!VERSION.test(this.version)) {
+      throw new Error(
+        `Invalid cache version ${this.version}: expected letters, digits, "_", "." or "-"`
+      );
+    }
+    this.versionDirectory = path.join(
+      this.directory,
+      `${VERSION_PREFIX}${this.version}`
+    );
+    this.hits = 0;
+    this.misses = 0;
+    this.writes = 0;
+    this.errors = 0;
+
+    fs.mkdirSync(this.versionDirectory, { recursive: true });
+    this.prune();
+  }
+
+  /**
+   * Get the file of an entry
+   *
+   * @param {string} key - Cache key
+   * @returns {string} - The file path
+   */
+  getPath(key) {
+    return path.join(this.versionDirectory, `${hash(key).slice(0, 32)}.json`);
+  }
+
+  /**
+   * Load the code for a cache key
+   *
+   * @param {string} key - Cache key
+   * @returns {string|Uint8Array|null} - JavaScript source or WebAssembly
+   *   bytes, or null when the key is not cached
+   */
+  get(key) {
+    const file = this.getPath(key);
+
+    let text;
+    try {
+      text = fs.readFileSync(file, "utf8");
+    } catch (err) {
+      this.misses++;
+      return null;
+    }
+
+    const data = this.decode(text, key);
+    if (data === null) {
+      // Drop the corrupted entry, so the code is generated and stored again
+      this.errors++;
+      this.misses++;
+      fs.rmSync(file, { force: true });
+      return null;
+    }
+
+    this.hits++;
+    return data;
+  }
+
+  /**
+   * Decode an entry, checking that it is complete and belongs to the key
+   *
+   * @param {string} text - Contents of the entry's file
+   * @param {string} key - Cache key
+   * @returns {string|Uint8Array|null} - The code, or null for a corrupted entry
+   */
+  decode(text, key) {
+    let entry;
+    try {
+      entry = JSON.parse(text);
+    } catch (err) {
+      return null;
+    }
+
+    if (
+      !entry ||
+      entry.format !== FORMAT ||
+      entry.version !== this.version ||
+      entry.key !== key ||
+      typeof entry.data !== "string"
+    ) {
+      return null;
+    }
+
+    const data =
+      entry.encoding === "base64"
+        ? new Uint8Array(Buffer.from(entry.data, "base64"))
+        : entry.data;
+    return hash(data) === entry.checksum ? data : null;
+  }
+
+  /**
+   * Store the code for a cache key
+   *
+   * Failures to write are counted and otherwise ignored: the cache only
+   * saves work, so a read-only or full disk must not break a blit.
+   *
+   * @param {string} key - Cache key
+   * @param {string|Uint8Array} data - JavaScript source or WebAssembly bytes
+   * @returns {boolean} - Whether the entry was written
+   */
+  set(key, data) {
+    const binary = typeof data !== "string";
+    const entry = {
+      format: FORMAT,
+      version: this.version,
+      key,
+      encoding: binary ? "base64" : "utf8",
+      checksum: hash(data),
+      data: binary ? Buffer.from(data).toString("base64") : data,
+    };
+
+    const file = this.getPath(key);
+    const temporary = `${file}.${process.pid}.${crypto.randomBytes(4).toString("hex")}.tmp`;
+    try {
+      fs.mkdirSync(this.versionDirectory, { recursive: true });
+      fs.writeFileSync(temporary, JSON.stringify(entry));
+      fs.renameSync(temporary, file);
+    } catch (err) {
+      this.errors++;
+      fs.rmSync(temporary, { force: true });
+      return false;
+    }
+
+    this.writes++;
+    return true;
+  }
+
+  /**
+   * Remove the entries of other versions
+   *
+   * Only version subdirectories are removed: other files and directories
+   * next to them are left alone.
+   */
+  prune() {
+    const current = path.basename(this.versionDirectory);
+    for (const entry of fs.readdirSync(this.directory, { withFileTypes: true })) {
+      if (
+        entry.isDirectory() &&
+        VERSION_DIRECTORY.test(entry.name) &&
+        entry.name !== current
+      ) {
+        fs.rmSync(path.join(this.directory, entry.name), {
+          recursive: true,
+          force: true,
+        });
+      }
+    }
+  }
+
+  /**
+   * Remove every entry of this version
+   */
+  clear() {
+    fs.rmSync(this.versionDirectory, { recursive: true, force: true });
+    fs.mkdirSync(this.versionDirectory, { recursive: true });
+  }
+
+  /**
+   * Get the cache statistics
+   *
+   * @returns {Object} - { directory, version, hits, misses, writes, errors },
+   *   where errors counts corrupted entries and failed writes
+   */
+  getStats() {
+    return {
+      directory: this.directory,
+      version: this.version,
+      hits: this.hits,
+      misses: this.misses,
+      writes: this.writes,
+      errors: this.errors,
+    };
+  }
+}
+
+// Open caches by directory, so generators that share one share its counters
+const caches = new Map();
+
+/**
+ * Get the cache for a directory, opening it on first use
+ *
+ * @param {string} directory - Directory to keep the cache in
+ * @returns {DiskCache} - The cache
+ */
+function openDiskCache(directory) {
+  const resolved = path.resolve(directory);
+  if (!caches.has(resolved)) {
+    caches.set(resolved, new DiskCache(resolved));
+  }
+  return caches.get(resolved);
+}
+
+module.exports = {
+  DiskCache,
+  getGeneratorVersion,
+  openDiskCache,
+};
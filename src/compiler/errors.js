@@ -0,0 +1,163 @@
+/**
+ * BitBLT Errors
+ *
+ * The errors bitblt() throws, each with fields that say what went wrong
+ * without parsing the message:
+ *
+ * - BitBLTRangeError: a number that is not an integer, or out of range
+ * - BitBLTBufferError: a buffer of the wrong kind, or too small for its
+ *   dimensions
+ * - BitBLTCompileError: a generator could not compile its code
+ * - BitBLTExecutionError: compiled code, or a worker running a band of a
+ *   parallel call, failed or timed out
+ * - BitBLTVerificationError: a generator and the reference implementation
+ *   produced different results (see config.verifyResults)
+ *
+ * BitBLTRangeError extends RangeError, so code that catches RangeErrors
+ * keeps working; the others extend BitBLTError.
+ */
+
+/**
+ * Get the name of the type of a value, for error messages and fields
+ *
+ * @param {*} value - The value
+ * @returns {string} - Its class name (for example "Uint8Array"), or
+ *   "null" or "undefined"
+ */
+function getTypeName(value) {
+  if (value === null || value === undefined) {
+    return String(value);
+  }
+  const prototype = Object.getPrototypeOf(Object(value));
+  return prototype && prototype.constructor
+    ? prototype.constructor.name
+    : "Object";
+}
+
+class BitBLTError extends Error {
+  /**
+   * Create a new BitBLT error
+   *
+   * @param {string} message - Error message
+   */
+  constructor(message) {
+    super(message);
+    this.name = this.constructor.name;
+  }
+}
+
+class BitBLTRangeError extends RangeError {
+  /**
+   * Create a new range error
+   *
+   * @param {string} message - Error message
+   * @param {Object} fields - What was out of range
+   * @param {string} fields.field - Name of the field, as in the named form
+   *   of bitblt() (for example "srcX" or "clip.width")
+   * @param {*} fields.value - The value it had
+   * @param {string} fields.expected - What it should have been
+   */
+  constructor(message, { field, value, expected }) {
+    super(message);
+    this.name = "BitBLTRangeError";
+    this.field = field;
+    this.value = value;
+    this.expected = expected;
+  }
+}
+
+class BitBLTBufferError extends BitBLTError {
+  /**
+   * Create a new buffer error
+   *
+   * @param {string} message - Error message
+   * @param {Object} fields - What was wrong with the buffer
+   * @param {string} fields.buffer - Which buffer: "src", "dst" or "mask"
+   * @param {string} fields.type - The kind of object it was (for example
+   *   "Uint32Array" or "Uint8Array")
+   * @param {number} fields.length - Its length in words (if it is a
+   *   Uint32Array)
+   * @param {number} fields.required - The words its dimensions need (if
+   *   it is too small)
+   */
+  constructor(message, { buffer, type, length, required }) {
+    super(message);
+    this.buffer = buffer;
+    this.type = type;
+    this.length = length;
+    this.required = required;
+  }
+}
+
+class BitBLTCompileError extends BitBLTError {
+  /**
+   * Create a new compile error
+   *
+   * @param {string} message - Error message
+   * @param {Object} fields - What failed to compile
+   * @param {string} fields.generator - Generator type
+   * @param {string} fields.cacheKey - Cache key of the code
+   * @param {Error} fields.cause - The error the compiler threw
+   */
+  constructor(message, { generator, cacheKey, cause }) {
+    super(message);
+    this.generator = generator;
+    this.cacheKey = cacheKey;
+    this.cause = cause;
+  }
+}
+
+class BitBLTExecutionError extends BitBLTError {
+  /**
+   * Create a new execution error
+   *
+   * @param {string} message - Error message
+   * @param {Object} fields - What failed to run
+   * @param {string} fields.generator - Generator type
+   * @param {Error} fields.cause - The error the code threw (undefined if
+   *   it timed out)
+   * @param {number} fields.bands - Bands of the parallel call (undefined
+   *   for calls on this thread)
+   * @param {number} fields.done - Bands that finished without an error
+   *   (undefined for calls on this thread)
+   */
+  constructor(message, { generator, cause, bands, done }) {
+    super(message);
+    this.generator = generator;
+    this.cause = cause;
+    this.bands = bands;
+    this.done = done;
+  }
+}
+
+class BitBLTVerificationError extends BitBLTError {
+  /**
+   * Create a new verification error
+   *
+   * @param {string} message - Error message
+   * @param {Object} fields - Where the results differ
+   * @param {string} fields.generator - Generator type
+   * @param {number} fields.x - X coordinate of the first different pixel
+   * @param {number} fields.y - Y coordinate of the first different pixel
+   * @param {number} fields.expected - The reference implementation's pixel
+   * @param {number} fields.actual - The generator's pixel
+   */
+  constructor(message, { generator, x, y, expected, actual }) {
+    super(message);
+    this.generator = generator;
+    this.x = x;
+    this.y = y;
+    this.expected = expected;
+    this.actual = actual;
+  }
+}
+
+module.exports = {
+  BitBLTError,
+  BitBLTRangeError,
+  BitBLTBufferError,
+  BitBLTCompileError,
+  BitBLTExecutionError,
+  BitBLTVerificationError,
+  getTypeName,
+};
@@ -0,0 +1,385 @@
+/**
+ * Closure Generator
+ *
+ * Builds BitBLT functions by composing prebuilt closures instead of
+ * generating source code, so it works where `new Function` and eval are
+ * forbidden (a strict Content Security Policy, sandboxed runtimes). A
+ * blitter is put together from closures for the combination rule, for
+ * reading source words at the skew, for storing edge words through their
+ * masks and whole words between them, and for the row and word order.
+ *
+ * The row loop picks its kernel (one word or several, skewed or not) on
+ * each call, so one blitter serves every position of a blit and the
+ * coordinates are never compiled in. The kernels work on bits: a blitter
+ * for a pixel depth above 1 scales the x coordinates and widths it is
+ * called with by the depth.
+ */
+
+const { performance } = require("perf_hooks");
+const Generator = require("./Generator");
+const {
+  normalizeRule,
+  applyRule,
+  ruleUsesSource,
+} = require("../combination-rules");
+const { normalizeDepth } = require("../pixel-depth");
+const { getPatternCacheKeys } = require("../ir");
+
+/**
+ * Reduce a combination rule to four masks, so that it can be applied
+ * without branches or calls:
+ * result = constant ^ (s & src) ^ (d & dst) ^ (s & d & both)
+ *
+ * @param {number} rule - Combination rule (0-15)
+ * @returns {Object} - { constant, src, dst, both }
+ */
+function getRuleMasks(rule) {
+  const constant = applyRule(rule, 0, 0);
+  const src = applyRule(rule, -1, 0) ^ constant;
+  const dst = applyRule(rule, 0, -1) ^ constant;
+  const both = applyRule(rule, -1, -1) ^ src ^ dst ^ constant;
+  return { constant, src, dst, both };
+}
+
+/**
+ * Build the closure that applies a combination rule to two words
+ *
+ * @param {Object} masks - Masks from getRuleMasks
+ * @returns {Function} - (srcWord, dstWord) => result word
+ */
+function makeCombiner({ constant, src, dst, both }) {
+  return (s, d) => constant ^ (s & src) ^ (d & dst) ^ (s & d & both);
+}
+
+/**
+ * Readers for the source word lined up with a destination word: not at
+ * all for rules that ignore the source, one word when the skew is zero,
+ * and the two words the skew straddles otherwise. Words outside the
+ * buffer read as 0; their bits only land under the edge masks.
+ */
+const SOURCE_READERS = {
+  none: () => 0,
+  aligned: (src, index) => src[index],
+  skewed: (src, index, skew) =>
+    (src[index] >>> skew) | (src[index + 1] << (32 - skew)),
+};
+
+/**
+ * Build the store for an edge word, which only changes the bits under
+ * its mask
+ *
+ * @param {Function} combine - Closure from makeCombiner
+ * @param {Function} read - Source reader from SOURCE_READERS
+ * @returns {Function} - The edge store
+ */
+function makeEdgeStore(combine, read) {
+  return (src, dst, srcIndex, dstIndex, mask, skew, halftone) => {
+    const dstWord = dst[dstIndex];
+    const result = combine(read(src, srcIndex, skew) & halftone, dstWord);
+    dst[dstIndex] = (dstWord & ~mask) | (result & mask);
+  };
+}
+
+/**
+ * Builders for the loops that store the whole words between the edges,
+ * one for each source reader. The rule is applied inline, as in
+ * makeCombiner, so the loops make no calls.
+ */
+const WORD_RUNS = {
+  none: ({ constant, dst: dstMask }, reverse) =>
+    (src, dst, srcIndex, dstIndex, count) => {
+      for (let n = 0; n < count; n++) {
+        const i = reverse ? count - 1 - n : n;
+        dst[dstIndex + i] = constant ^ (dst[dstIndex + i] & dstMask);
+      }
+    },
+
+  aligned: ({ constant, src: srcMask, dst: dstMask, both }, reverse) => {
+    const store = constant === 0 && srcMask === -1 && dstMask === 0 && both === 0;
+    return (src, dst, srcIndex, dstIndex, count, skew, halftone) => {
+      if (store && halftone === -1) {
+        // Storing the source: copy the words in one go
+        dst.set(src.subarray(srcIndex, srcIndex + count), dstIndex);
+        return;
+      }
+      for (let n = 0; n < count; n++) {
+        const i = reverse ? count - 1 - n : n;
+        const s = src[srcIndex + i] & halftone;
+        const d = dst[dstIndex + i];
+        dst[dstIndex + i] = constant ^ (s & srcMask) ^ (d & dstMask) ^ (s & d & both);
+      }
+    };
+  },
+
+  skewed: ({ constant, src: srcMask, dst: dstMask, both }, reverse) =>
+    (src, dst, srcIndex, dstIndex, count, skew, halftone) => {
+      const unskew = 32 - skew;
+      for (let n = 0; n < count; n++) {
+        const i = reverse ? count - 1 - n : n;
+        const s =
+          ((src[srcIndex + i] >>> skew) | (src[srcIndex + i + 1] << unskew)) &
+          halftone;
+        const d = dst[dstIndex + i];
+        dst[dstIndex + i] = constant ^ (s & srcMask) ^ (d & dstMask) ^ (s & d & both);
+      }
+    },
+};
+
+/**
+ * Build the kernel that copies one row
+ *
+ * Rows within one word are stored through both edge masks. Wider rows
+ * store their edge words through the masks and the words between them
+ * whole, walking right to left for backward (overlapping) copies.
+ *
+ * @param {Function} edge - Edge store from makeEdgeStore
+ * @param {Function} run - Whole-word loop from WORD_RUNS
+ * @param {boolean} single - Whether the row fits in one word
+ * @param {boolean} reverse - Whether to walk the words right to left
+ * @returns {Function} - The row kernel
+ */
+function makeRowKernel(edge, run, single, reverse) {
+  if (single) {
+    return (src, dst, srcRow, dstRow, first, last, leftMask, rightMask, skew, halftone) => {
+      edge(src, dst, srcRow + first, dstRow + first, leftMask & rightMask, skew, halftone);
+    };
+  }
+
+  if (reverse) {
+    return (src, dst, srcRow, dstRow, first, last, leftMask, rightMask, skew, halftone) => {
+      edge(src, dst, srcRow + last, dstRow + last, rightMask, skew, halftone);
+      run(src, dst, srcRow + first + 1, dstRow + first + 1, last - first - 1, skew, halftone);
+      edge(src, dst, srcRow + first, dstRow + first, leftMask, skew, halftone);
+    };
+  }
+
+  return (src, dst, srcRow, dstRow, first, last, leftMask, rightMask, skew, halftone) => {
+    edge(src, dst, srcRow + first, dstRow + first, leftMask, skew, halftone);
+    run(src, dst, srcRow + first + 1, dstRow + first + 1, last - first - 1, skew, halftone);
+    edge(src, dst, srcRow + last, dstRow + last, rightMask, skew, halftone);
+  };
+}
+
+/**
+ * Compose a BitBLT function
+ *
+ * @param {Object} params - Compile parameters
+ * @param {number} params.combinationRule - Combination rule (0-15, default: 3)
+ * @param {number} params.depth - Bits per pixel (default: 1)
+ * @param {boolean} params.reverseRows - Copy rows bottom to top
+ * @param {boolean} params.reverseColumns - Copy right to left
+ * @param {boolean} params.noop - Leave the destination alone
+ * @param {number} params.sourceRowPeriod - Read source row srcY + (y % period)
+ * @returns {Function} - A function with the arguments of generated BitBLT code
+ */
+function composeBitBLT(params) {
+  if (params.noop) {
+    return function closureBitBLT() {};
+  }
+
+  const rule = normalizeRule(params.combinationRule);
+  const masks = getRuleMasks(rule);
+  const combine = makeCombiner(masks);
+  const reverseRows = Boolean(params.reverseRows);
+  const reverseColumns = Boolean(params.reverseColumns);
+  const period = params.sourceRowPeriod || 0;
+  const depth = normalizeDepth(params.depth);
+
+  // One kernel for each combination of single/multiple words and skew
+  const usesSource = ruleUsesSource(rule);
+  const kernel = (reader, single) =>
+    makeRowKernel(
+      makeEdgeStore(combine, SOURCE_READERS[usesSource ? reader : "none"]),
+      WORD_RUNS[usesSource ? reader : "none"](masks, reverseColumns),
+      single,
+      reverseColumns
+    );
+  const kernels = {
+    singleAligned: kernel("aligned", true),
+    singleSkewed: kernel("skewed", true),
+    multiAligned: kernel("aligned", false),
+    multiSkewed: kernel("skewed", false),
+  };
+
+  return function closureBitBLT(
+    srcBuffer,
+    srcWidth,
+    srcHeight,
+    srcX,
+    srcY,
+    dstBuffer,
+    dstWidth,
+    dstX,
+    dstY,
+    width,
+    height,
+    halftone
+  ) {
+    if (width <= 0 || height <= 0) {
+      return;
+    }
+
+    const srcWidthInUint32 = (srcWidth * depth + 31) >>> 5;
+    const dstWidthInUint32 = (dstWidth * depth + 31) >>> 5;
+
+    // The x coordinates in bits
+    const srcBitX = srcX * depth;
+    const dstBitX = dstX * depth;
+
+    // Words covered by each destination row and the edge masks
+    const lastX = dstBitX + width * depth - 1;
+    const first = dstBitX >>> 5;
+    const last = lastX >>> 5;
+    const leftMask = -1 << (dstBitX & 31);
+    const rightMask = -1 >>> (31 - (lastX & 31));
+
+    // Source word lined up with the first destination word, and the skew
+    const srcBitStart = srcBitX - (dstBitX & 31);
+    const srcWordOffset = (srcBitStart >> 5) - first;
+    const skew = srcBitStart & 31;
+
+    const copyRow =
+      first === last
+        ? skew === 0 ? kernels.singleAligned : kernels.singleSkewed
+        : skew === 0 ? kernels.multiAligned : kernels.multiSkewed;
+
+    for (let row = 0; row < height; row++) {
+      const y = reverseRows ? height - 1 - row : row;
+      const srcYPos = srcY + (period ? y % period : y);
+      const dstYPos = dstY + y;
+      const halftoneRow = halftone ? halftone[dstYPos % halftone.length] : -1;
+
+      copyRow(
+        srcBuffer,
+        dstBuffer,
+        srcYPos * srcWidthInUint32 + srcWordOffset,
+        dstYPos * dstWidthInUint32,
+        first,
+        last,
+        leftMask,
+        rightMask,
+        skew,
+        halftoneRow
+      );
+    }
+  };
+}
+
+class ClosureGenerator extends Generator {
+  constructor(options = {}) {
+    super(options);
+    this.name = "closure";
+    this.compiledFunctions = this.codeCache;
+  }
+
+  /**
+   * Check if this generator is asynchronous
+   *
+   * @returns {boolean} - Whether this generator requires async execution
+   */
+  isAsync() {
+    return false;
+  }
+
+  /**
+   * Compose the BitBLT function for the parameters
+   *
+   * There is no source code: the result is the function itself.
+   *
+   * @param {Object} params - Parameters for the BitBLT operation
+   * @returns {Function} - The composed function
+   */
+  generate(params) {
+    return composeBitBLT({ ...this.options, ...params });
+  }
+
+  /**
+   * Get the composed function for the parameters, composing it on first use
+   *
+   * @param {Object} params - Parameters for the BitBLT operation
+   * @returns {Function} - A callable function that performs the BitBLT operation
+   */
+  compile(params) {
+    const cacheKey = this.getCacheKey(params);
+
+    const cached = this.compiledFunctions.get(cacheKey);
+    if (cached) {
+      return cached;
+    }
+
+    const start = performance.now();
+    const composedFn = this.generate(params);
+    this.compiledFunctions.set(cacheKey, composedFn, performance.now() - start);
+
+    return composedFn;
+  }
+
+  /**
+   * Execute the BitBLT operation with the composed function
+   *
+   * @param {BitBLTDescriptor} descriptor - The operation, clipped (see Generator.execute)
+   * @returns {Uint32Array} - The destination buffer after the operation
+   */
+  executeDescriptor(descriptor) {
+    const params = this.getExecutionParams(descriptor);
+
+    this.compile(params)(
+      descriptor.src,
+      descriptor.srcWidth,
+      descriptor.srcHeight,
+      descriptor.srcX,
+      descriptor.srcY,
+      descriptor.dst,
+      descriptor.dstWidth,
+      descriptor.dstX,
+      descriptor.dstY,
+      descriptor.width,
+      descriptor.height,
+      descriptor.mask
+    );
+
+    return descriptor.dst;
+  }
+
+  /**
+   * Get a unique cache key for the given parameters
+   *
+   * The composed functions only depend on the rule, the pixel depth,
+   * whether there is a halftone, the copy direction and the pixel
+   * patterns: coordinates, pinned or not, are always read at run time.
+   *
+   * @param {Object} params - Parameters for the BitBLT operation
+   * @returns {string} - A unique cache key
+   */
+  getCacheKey(params) {
+    const keyParts = [
+      `r${normalizeRule(params.combinationRule)}`,
+      `d${normalizeDepth(params.depth)}`,
+    ];
+
+    if (params.halftoneHeight) keyParts.push("ht");
+    if (params.reverseRows) keyParts.push("rr");
+    if (params.reverseColumns) keyParts.push("rc");
+    keyParts.push(...getPatternCacheKeys(params));
+
+    return `closure_${keyParts.join("_")}`;
+  }
+
+  /**
+   * Analyze the operation for optimization opportunities
+   *
+   * The row kernels are chosen on each call, so there is nothing to decide
+   * ahead of time.
+   *
+   * @param {Object} params - Parameters for the BitBLT operation
+   * @returns {Object} - Analysis results with optimization opportunities
+   */
+  analyzeOperation(params) {
+    return {
+      canOptimize: false,
+      optimizations: [],
+    };
+  }
+}
+
+module.exports = ClosureGenerator;
@@ -5,14 +5,27 @@
  * It provides methods for generating, compiling, and executing BitBLT operations.
  */
 
+const { getCopyDirection } = require("../overlap");
+const { analyzeOperation } = require("../bitblt-compiler");
+const { normalizeDepth } = require("../pixel-depth");
+const { specializeParams } = require("../specialization");
+const { CodeCache } = require("../code-cache");
+const { openDiskCache } = require("../disk-cache");
+const { BitBLTDescriptor } = require("../descriptor");
+
 class Generator {
   /**
    * Create a new generator
    *
    * @param {Object} options - Configuration options for the generator
+   * @param {number} options.maxCacheSize - The most compiled functions to keep (default: 256)
+   * @param {string} options.diskCache - Directory to keep generated code in
+   *   across processes (optional)
    */
   constructor(options = {}) {
     this.options = options;
+    this.codeCache = new CodeCache(options.maxCacheSize);
+    this.diskCache = options.diskCache ? openDiskCache(options.diskCache) : null;
   }
 
   /**
@@ -36,37 +49,89 @@ class Generator {
   }
 
   /**
-   * Execute the BitBLT operation with the given parameters
+   * Execute the BitBLT operation
    *
-   * @param {Uint32Array} srcBuffer - Source buffer
-   * @param {number} srcWidth - Source width in pixels
-   * @param {number} srcHeight - Source height in pixels
-   * @param {number} srcX - Source X coordinate
-   * @param {number} srcY - Source Y coordinate
-   * @param {Uint32Array} dstBuffer - Destination buffer
-   * @param {number} dstWidth - Destination width in pixels
-   * @param {number} dstX - Destination X coordinate
-   * @param {number} dstY - Destination Y coordinate
-   * @param {number} width - Width to copy in pixels
-   * @param {number} height - Height to copy in pixels
+   * The operation can be given as a BitBLTDescriptor, as the named fields
+   * of one, or as positional arguments (see BitBLTDescriptor.fromArguments).
+   * It is normalized and clipped to the buffers here, so subclasses
+   * implement executeDescriptor() and only ever see a clipped descriptor
+   * with something to transfer.
+   *
+   * @param {...*} args - A descriptor, its fields, or srcBuffer, srcWidth,
+   *   srcHeight, srcX, srcY, dstBuffer, dstWidth, dstX, dstY, width,
+   *   height and { combinationRule, halftone, depth }
    * @returns {Uint32Array|Promise<Uint32Array>} - The destination buffer after the operation (or a Promise that resolves to it)
    */
-  execute(
-    srcBuffer,
-    srcWidth,
-    srcHeight,
-    srcX,
-    srcY,
-    dstBuffer,
-    dstWidth,
-    dstX,
-    dstY,
-    width,
-    height
-  ) {
-    throw new Error("Method execute() must be implemented by subclass");
+  execute(...args) {
+    const descriptor = BitBLTDescriptor.from(args).clipped();
+
+    if (descriptor.isEmpty()) {
+      return this.isAsync() ? Promise.resolve(descriptor.dst) : descriptor.dst;
+    }
+
+    return this.executeDescriptor(descriptor);
+  }
+
+  /**
+   * Execute a clipped, non-empty BitBLT operation
+   *
+   * @param {BitBLTDescriptor} descriptor - The operation
+   * @returns {Uint32Array|Promise<Uint32Array>} - The destination buffer after the operation (or a Promise that resolves to it)
+   */
+  executeDescriptor(descriptor) {
+    throw new Error(
+      "Method executeDescriptor() must be implemented by subclass"
+    );
+  }
+
+  /**
+   * Build the compile parameters for a call, the way execute() does
+   *
+   * The exact coordinates are only used for the analysis: the parameters
+   * that are returned carry the call's alignment class instead, plus any
+   * coordinates pinned with options.pin (see specializeParams). Callers
+   * can use them to look up the call's cache key, or to compile its code
+   * ahead of the call.
+   *
+   * @param {...*} args - The operation, given any way execute() takes it
+   * @returns {Object} - Compile parameters
+   */
+  getExecutionParams(...args) {
+    const descriptor = BitBLTDescriptor.from(args);
+    const params = {
+      srcWidth: descriptor.srcWidth,
+      srcHeight: descriptor.srcHeight,
+      srcX: descriptor.srcX,
+      srcY: descriptor.srcY,
+      dstWidth: descriptor.dstWidth,
+      dstX: descriptor.dstX,
+      dstY: descriptor.dstY,
+      width: descriptor.width,
+      height: descriptor.height,
+      ...this.options,
+      combinationRule: descriptor.rule,
+      halftoneHeight: descriptor.mask ? descriptor.mask.length : undefined,
+      depth: descriptor.depth,
+      ...this.getDirectionParams(descriptor),
+    };
+
+    // Specialize the code for patterns in the pixels
+    this.applyPatterns(params, descriptor.src, descriptor.dst, descriptor.mask);
+
+    // Analyze the operation for optimization opportunities
+    this.prepareParams(params);
+
+    // Key the code on the alignment class rather than the coordinates
+    return specializeParams(params, this.options.pin);
   }
 
+  /**
+   * Set the compile parameters that the generator's own analysis calls for
+   *
+   * @param {Object} params - Parameters for the BitBLT operation (updated in place)
+   */
+  prepareParams(params) {}
+
   /**
    * Check if this generator is asynchronous
    *
@@ -86,6 +151,40 @@ class Generator {
     throw new Error("Method getCacheKey() must be implemented by subclass");
   }
 
+  /**
+   * Get the compile parameters that select a safe copy direction
+   *
+   * Only overlapping copies within one buffer get reverse flags, so
+   * ordinary copies keep sharing compiled code.
+   *
+   * @param {BitBLTDescriptor} descriptor - The operation
+   * @returns {Object} - { reverseRows, reverseColumns }, or {} for forward copies
+   */
+  getDirectionParams(descriptor) {
+    const direction = getCopyDirection(
+      descriptor.src,
+      descriptor.srcWidth,
+      descriptor.srcX,
+      descriptor.srcY,
+      descriptor.dst,
+      descriptor.dstWidth,
+      descriptor.dstX,
+      descriptor.dstY,
+      descriptor.width,
+      descriptor.height,
+      descriptor.depth
+    );
+
+    if (!direction.reverseRows && !direction.reverseColumns) {
+      return {};
+    }
+
+    return {
+      reverseRows: direction.reverseRows,
+      reverseColumns: direction.reverseColumns,
+    };
+  }
+
   /**
    * Analyze the operation for optimization opportunities
    *
@@ -98,11 +197,91 @@ class Generator {
     );
   }
 
+  /**
+   * Look for patterns in the pixels of an operation and apply the
+   * compile parameters they call for
+   *
+   * Only runs when options.detectPatterns is set: the analysis reads the
+   * whole source region (and the destination region) on every call. It
+   * looks at bits, so at depths above 1 the x coordinates and widths are
+   * given to it in bits.
+   *
+   * @param {Object} params - Parameters for the BitBLT operation (updated in place)
+   * @param {Uint32Array} srcBuffer - Source buffer
+   * @param {Uint32Array} dstBuffer - Destination buffer
+   * @param {Uint32Array} halftone - Halftone mask, one word per row (optional)
+   * @returns {Object|null} - The analysis from analyzeOperation, or null when
+   *   pattern detection is off
+   */
+  applyPatterns(params, srcBuffer, dstBuffer, halftone = null) {
+    if (!this.options.detectPatterns) {
+      return null;
+    }
+
+    const depth = normalizeDepth(params.depth);
+    const analysis = analyzeOperation(
+      srcBuffer,
+      params.srcWidth * depth,
+      params.srcHeight,
+      params.srcX * depth,
+      params.srcY,
+      params.dstWidth * depth,
+      params.dstX * depth,
+      params.dstY,
+      params.width * depth,
+      params.height,
+      {
+        dstBuffer,
+        combinationRule: params.combinationRule,
+        halftone,
+      }
+    );
+
+    for (const recommendation of analysis.recommendations) {
+      Object.assign(params, recommendation.params);
+    }
+
+    return analysis;
+  }
+
+  /**
+   * Get the generated code for a cache key, loading it from the disk
+   * cache when it is there and generating (and storing) it otherwise
+   *
+   * @param {string} cacheKey - Cache key from getCacheKey
+   * @param {Function} generate - Generates the code when it is not cached
+   * @returns {string|Uint8Array} - The generated code
+   */
+  loadOrGenerate(cacheKey, generate) {
+    if (!this.diskCache) {
+      return generate();
+    }
+
+    const cached = this.diskCache.get(cacheKey);
+    if (cached !== null) {
+      return cached;
+    }
+
+    const code = generate();
+    this.diskCache.set(cacheKey, code);
+    return code;
+  }
+
+  /**
+   * Get the statistics of the compiled code cache
+   *
+   * @returns {Object} - { size, maxSize, hits, misses, evictions, compiles,
+   *   compileTime }, with compileTime the total milliseconds spent compiling
+   */
+  getCacheStats() {
+    return this.codeCache.getStats();
+  }
+
   /**
    * Clear any cached compiled functions
    */
   clearCache() {
-    throw new Error("Method clearCache() must be implemented by subclass");
+    this.codeCache.clear();
   }
 }
 
@@ -5,12 +5,25 @@
  * It generates optimized JavaScript code based on the provided parameters.
  */
 
+const { performance } = require("perf_hooks");
 const Generator = require("./Generator");
+const { normalizeRule } = require("../combination-rules");
+const { normalizeDepth } = require("../pixel-depth");
+const { BitBLTCompileError } = require("../errors");
+const { getAlignmentCacheKeys } = require("../specialization");
+const {
+  buildBitBLTProgram,
+  getPatternCacheKeys,
+  optimizeProgram,
+  getPassCacheKeys,
+  lowerToJavaScript,
+} = require("../ir");
 
 class JavaScriptGenerator extends Generator {
   constructor(options = {}) {
     super(options);
-    this.compiledFunctions = new Map();
+    this.name = "javascript";
+    this.compiledFunctions = this.codeCache;
   }
 
   /**
@@ -38,185 +51,26 @@ class JavaScriptGenerator extends Generator {
       ...this.options,
       ...params,
     };
+    opts.combinationRule = normalizeRule(opts.combinationRule);
+    opts.wordCopy = this.useWordCopy(opts);
 
-    // Start building the function code
-    let code = [];
-
-    // Function signature
-    code.push(`function generatedBitBLT(
-  srcBuffer,    // source pixel buffer (Uint32Array with 32 pixels per element)
-  srcWidth,     // width of source buffer in pixels (not Uint32 elements)
-  srcHeight,    // height of source buffer
-  srcX,         // x coordinate in source
-  srcY,         // y coordinate in source
-  dstBuffer,    // destination pixel buffer (Uint32Array with 32 pixels per element)
-  dstWidth,     // width of destination buffer in pixels (not Uint32 elements)
-  dstX,         // x coordinate in destination
-  dstY,         // y coordinate in destination
-  width,        // width of region to copy in pixels
-  height        // height of region to copy in pixels
-) {`);
-
-    // Add initialization code
-    code.push("  // Calculate width in Uint32 elements (32 bits per element)");
-
-    // If srcWidth is provided as a constant, inline it
-    if (opts.inlineConstants && opts.srcWidth !== undefined) {
-      code.push(`  const srcWidthInUint32 = ${Math.ceil(opts.srcWidth / 32)};`);
-    } else {
-      code.push("  const srcWidthInUint32 = Math.ceil(srcWidth / 32);");
-    }
-
-    // If dstWidth is provided as a constant, inline it
-    if (opts.inlineConstants && opts.dstWidth !== undefined) {
-      code.push(`  const dstWidthInUint32 = ${Math.ceil(opts.dstWidth / 32)};`);
-    } else {
-      code.push("  const dstWidthInUint32 = Math.ceil(dstWidth / 32);");
-    }
-
-    // Add the main loop structure
-    if (opts.unrollLoops && opts.height !== undefined) {
-      // Unroll the y-loop if height is known
-      for (let y = 0; y < opts.height; y++) {
-        // Add code for each row
-        if (opts.inlineConstants && opts.srcY !== undefined) {
-          code.push(`  // Row ${y}`);
-          code.push(`  const srcYPos_${y} = ${opts.srcY + y};`);
-        } else {
-          code.push(`  // Row ${y}`);
-          code.push(`  const srcYPos_${y} = srcY + ${y};`);
-        }
-
-        if (opts.inlineConstants && opts.dstY !== undefined) {
-          code.push(`  const dstYPos_${y} = ${opts.dstY + y};`);
-        } else {
-          code.push(`  const dstYPos_${y} = dstY + ${y};`);
-        }
-
-        // Add the inner loop for pixels in this row
-        if (opts.unrollLoops && opts.width !== undefined) {
-          // Unroll the x-loop if width is known
-          for (let x = 0; x < opts.width; x++) {
-            this.addPixelCopyCode(code, x, opts, x + y * opts.width, y);
-          }
-        } else {
-          // Use a regular loop for the x-dimension
-          code.push("  // Process each pixel in the row");
-          code.push("  for (let x = 0; x < width; x++) {");
-          this.addPixelCopyCode(code, null, opts, 0, null);
-          code.push("  }");
-        }
-      }
-    } else {
-      // Use a regular loop for the y-dimension
-      code.push("  // Iterate through each row");
-      code.push("  for (let y = 0; y < height; y++) {");
-      code.push(
-        "    // Calculate the y-position in the source and destination"
-      );
-      code.push("    const srcYPos = srcY + y;");
-      code.push("    const dstYPos = dstY + y;");
-      code.push("");
-      code.push("    // Process each pixel in the row");
-      code.push("    for (let x = 0; x < width; x++) {");
-      this.addPixelCopyCode(code, null, opts, 0, null);
-      code.push("    }");
-      code.push("  }");
-    }
-
-    // Close the function
-    code.push("}");
-
-    // Join the code lines and return
-    return code.join("\n");
+    // Build the IR for the operation, optimize it and lower it to JavaScript
+    const program = optimizeProgram(buildBitBLTProgram(opts), opts);
+    return lowerToJavaScript(program);
   }
 
   /**
-   * Add code for copying a single pixel
+   * Check whether to emit the word-at-a-time copy loop
+   *
+   * Small unrolled blits keep the pixel-at-a-time code, which needs no
+   * per-row edge masks.
    *
-   * @param {string[]} code - Array of code lines to append to
-   * @param {number|null} x - X position if known (for unrolled loops), or null
    * @param {Object} opts - Compilation options
-   * @param {number} pixelIndex - Index for variable names in unrolled loops
-   * @param {number|null} y - Y position if known (for unrolled loops), or null
+   * @returns {boolean} - Whether to copy whole words
    */
-  addPixelCopyCode(code, x, opts, pixelIndex = 0, y = null) {
-    const indent = x === null ? "    " : "  ";
-    const suffix = x === null ? "" : `_${pixelIndex}`;
-    const ySuffix = y === null ? "" : `_${y}`;
-
-    // Calculate source and destination positions
-    if (x === null) {
-      // Dynamic x position (inside a loop)
-      code.push(
-        `${indent}// Calculate the x-position in the source and destination`
-      );
-
-      if (opts.inlineConstants && opts.srcX !== undefined) {
-        code.push(`${indent}const srcXPos = ${opts.srcX} + x;`);
-      } else {
-        code.push(`${indent}const srcXPos = srcX + x;`);
-      }
-
-      if (opts.inlineConstants && opts.dstX !== undefined) {
-        code.push(`${indent}const dstXPos = ${opts.dstX} + x;`);
-      } else {
-        code.push(`${indent}const dstXPos = dstX + x;`);
-      }
-    } else {
-      // Static x position (unrolled loop)
-      code.push(`${indent}// Pixel at x=${x}`);
-
-      if (opts.inlineConstants && opts.srcX !== undefined) {
-        code.push(`${indent}const srcXPos${suffix} = ${opts.srcX + x};`);
-      } else {
-        code.push(`${indent}const srcXPos${suffix} = srcX + ${x};`);
-      }
-
-      if (opts.inlineConstants && opts.dstX !== undefined) {
-        code.push(`${indent}const dstXPos${suffix} = ${opts.dstX + x};`);
-      } else {
-        code.push(`${indent}const dstXPos${suffix} = dstX + ${x};`);
-      }
-    }
-
-    // Calculate buffer indices
-    code.push(`${indent}// Calculate which Uint32 element contains the pixel`);
-    code.push(
-      `${indent}const srcElementIndex${suffix} = Math.floor(srcXPos${suffix} / 32) + srcYPos${ySuffix} * srcWidthInUint32;`
-    );
-    code.push(
-      `${indent}const dstElementIndex${suffix} = Math.floor(dstXPos${suffix} / 32) + dstYPos${ySuffix} * dstWidthInUint32;`
-    );
-
-    // Calculate bit positions
-    code.push(
-      `${indent}// Calculate the bit position within the Uint32 element (0-31)`
-    );
-    code.push(`${indent}const srcBitPos${suffix} = srcXPos${suffix} % 32;`);
-    code.push(`${indent}const dstBitPos${suffix} = dstXPos${suffix} % 32;`);
-
-    // Extract and set the bit
-    code.push(`${indent}// Extract the bit from the source`);
-    code.push(
-      `${indent}const srcBit${suffix} = (srcBuffer[srcElementIndex${suffix}] >>> srcBitPos${suffix}) & 1;`
-    );
-
-    // Set or clear the bit
-    code.push(
-      `${indent}// Clear the destination bit and set it to the source bit value`
-    );
-    code.push(`${indent}if (srcBit${suffix} === 1) {`);
-    code.push(`${indent}  // Set the bit`);
-    code.push(
-      `${indent}  dstBuffer[dstElementIndex${suffix}] |= 1 << dstBitPos${suffix};`
-    );
-    code.push(`${indent}} else {`);
-    code.push(`${indent}  // Clear the bit`);
-    code.push(
-      `${indent}  dstBuffer[dstElementIndex${suffix}] &= ~(1 << dstBitPos${suffix});`
-    );
-    code.push(`${indent}}`);
+  useWordCopy(opts) {
+    const unrolled = opts.unrollLoops && opts.height !== undefined;
+    return opts.optimizeAlignedCopy !== false && !unrolled;
   }
 
   /**
@@ -230,12 +84,15 @@ class JavaScriptGenerator extends Generator {
     const cacheKey = this.getCacheKey(params);
 
     // Check if we already have a compiled function for these parameters
-    if (this.compiledFunctions.has(cacheKey)) {
-      return this.compiledFunctions.get(cacheKey);
+    const cached = this.compiledFunctions.get(cacheKey);
+    if (cached) {
+      return cached;
     }
 
-    // Generate the JavaScript code
-    const code = this.generate(params);
+    const start = performance.now();
+
+    // Generate the JavaScript code, or load it from the disk cache
+    const code = this.loadOrGenerate(cacheKey, () => this.generate(params));
 
     // If debug is enabled, log the generated code
     if (params.debug || this.options.debug) {
@@ -248,87 +105,48 @@ class JavaScriptGenerator extends Generator {
       const compiledFn = new Function("return " + code)();
 
       // Cache the compiled function
-      this.compiledFunctions.set(cacheKey, compiledFn);
+      this.compiledFunctions.set(cacheKey, compiledFn, performance.now() - start);
 
       return compiledFn;
     } catch (err) {
       console.error("Error compiling JavaScript function:", err);
       console.error("Generated code:", code);
-      throw new Error(`Failed to compile JavaScript function: ${err.message}`);
+      throw new BitBLTCompileError(
+        `Failed to compile JavaScript function: ${err.message}`,
+        { generator: this.name, cacheKey, cause: err }
+      );
     }
   }
 
   /**
    * Execute the BitBLT operation with the compiled JavaScript function
    *
-   * @param {Uint32Array} srcBuffer - Source buffer
-   * @param {number} srcWidth - Source width in pixels
-   * @param {number} srcHeight - Source height in pixels
-   * @param {number} srcX - Source X coordinate
-   * @param {number} srcY - Source Y coordinate
-   * @param {Uint32Array} dstBuffer - Destination buffer
-   * @param {number} dstWidth - Destination width in pixels
-   * @param {number} dstX - Destination X coordinate
-   * @param {number} dstY - Destination Y coordinate
-   * @param {number} width - Width to copy in pixels
-   * @param {number} height - Height to copy in pixels
+   * @param {BitBLTDescriptor} descriptor - The operation, clipped (see Generator.execute)
    * @returns {Uint32Array} - The destination buffer after the operation
    */
-  execute(
-    srcBuffer,
-    srcWidth,
-    srcHeight,
-    srcX,
-    srcY,
-    dstBuffer,
-    dstWidth,
-    dstX,
-    dstY,
-    width,
-    height
-  ) {
-    const params = {
-      srcWidth,
-      srcHeight,
-      srcX,
-      srcY,
-      dstWidth,
-      dstX,
-      dstY,
-      width,
-      height,
-      ...this.options,
-    };
-
-    // Analyze the operation for optimization opportunities
-    if (this.options.analyzeOperations) {
-      const analysis = this.analyzeOperation(params);
-
-      if (analysis.canOptimize) {
-        // Apply optimizations
-        params.optimizations = analysis.optimizations;
-      }
-    }
+  executeDescriptor(descriptor) {
+    const params = this.getExecutionParams(descriptor);
 
     // Compile the JavaScript function
     const bitbltFunction = this.compile(params);
 
     // Execute the function
     bitbltFunction(
-      srcBuffer,
-      srcWidth,
-      srcHeight,
-      srcX,
-      srcY,
-      dstBuffer,
-      dstWidth,
-      dstX,
-      dstY,
-      width,
-      height
+      descriptor.src,
+      descriptor.srcWidth,
+      descriptor.srcHeight,
+      descriptor.srcX,
+      descriptor.srcY,
+      descriptor.dst,
+      descriptor.dstWidth,
+      descriptor.dstX,
+      descriptor.dstY,
+      descriptor.width,
+      descriptor.height,
+      descriptor.mask
     );
 
-    return dstBuffer;
+    return descriptor.dst;
   }
 
   /**
@@ -352,12 +170,30 @@ class JavaScriptGenerator extends Generator {
     if (params.width !== undefined) keyParts.push(`w${params.width}`);
     if (params.height !== undefined) keyParts.push(`h${params.height}`);
 
+    // Add the combination rule and the pixel depth
+    keyParts.push(`r${normalizeRule(params.combinationRule)}`);
+    keyParts.push(`d${normalizeDepth(params.depth)}`);
+
+    // Add the halftone height (the halftone contents are a runtime argument)
+    if (params.halftoneHeight) keyParts.push(`ht${params.halftoneHeight}`);
+
+    // Add the copy direction for overlapping copies
+    if (params.reverseRows) keyParts.push("rr");
+    if (params.reverseColumns) keyParts.push("rc");
+
+    // Add the alignment class the code is specialized for
+    keyParts.push(...getAlignmentCacheKeys(params));
+
+    // Add the specializations chosen from the pixels (see applyPatterns)
+    keyParts.push(...getPatternCacheKeys(params));
+
     // Add compiler flags
     if (params.unrollLoops) keyParts.push("ul");
     if (params.inlineConstants) keyParts.push("ic");
     if (params.optimizeAlignedCopy) keyParts.push("oa");
+    keyParts.push(...getPassCacheKeys(params));
 
-    return `js_${keyParts.join("_")}` || "js_default";
+    return `js_${keyParts.join("_")}`;
   }
 
   /**
@@ -381,11 +217,12 @@ class JavaScriptGenerator extends Generator {
         params.unrollLoops = true;
       }
 
-      // Check for word-aligned operations
+      // Check for word-aligned operations (in bits, at any depth)
+      const depth = normalizeDepth(params.depth);
       if (
-        params.width % 32 === 0 &&
-        (params.srcX === undefined || params.srcX % 32 === 0) &&
-        (params.dstX === undefined || params.dstX % 32 === 0)
+        (params.width * depth) % 32 === 0 &&
+        (params.srcX === undefined || (params.srcX * depth) % 32 === 0) &&
+        (params.dstX === undefined || (params.dstX * depth) % 32 === 0)
       ) {
         analysis.canOptimize = true;
         analysis.optimizations.push("word-aligned");
@@ -397,10 +234,20 @@ class JavaScriptGenerator extends Generator {
   }
 
   /**
-   * Clear the cache of compiled functions
+   * Record the optimizations found by analyzeOperation, when
+   * options.analyzeOperations is set
+   *
+   * @param {Object} params - Parameters for the BitBLT operation (updated in place)
    */
-  clearCache() {
-    this.compiledFunctions.clear();
+  prepareParams(params) {
+    if (this.options.analyzeOperations) {
+      const analysis = this.analyzeOperation(params);
+
+      if (analysis.canOptimize) {
+        // Apply optimizations
+        params.optimizations = analysis.optimizations;
+      }
+    }
   }
 }
 
@@ -0,0 +1,64 @@
+/**
+ * SIMD WebAssembly Generator
+ *
+ * This generator produces WebAssembly code that handles the words between
+ * the row edges four at a time with v128 loads, stores and bitwise
+ * operations. It falls back to the scalar word-oriented WebAssembly code
+ * when the engine does not support SIMD.
+ */
+
+const { WASMGenerator, isSIMDSupported } = require("./WASMGenerator");
+
+/**
+ * SIMD WebAssembly Generator
+ *
+ * Generates v128 code for the middle of each row (128 pixels per
+ * iteration) and scalar code for the row edges.
+ */
+class SIMDWASMGenerator extends WASMGenerator {
+  /**
+   * Create a new SIMDWASMGenerator
+   *
+   * @param {Object} options - Generator options
+   */
+  constructor(options = {}) {
+    super(options);
+    this.name = "simd-wasm";
+    this.description = "SIMD WebAssembly Generator";
+    this.simdSupported = this.wasmSupported && isSIMDSupported();
+
+    if (this.wasmSupported && !this.simdSupported) {
+      console.warn(
+        "WebAssembly SIMD is not supported in this environment, using scalar WebAssembly"
+      );
+    }
+  }
+
+  /**
+   * Check if this generator can use SIMD in the current environment
+   *
+   * @returns {boolean} - Whether SIMD code will be generated
+   */
+  isSupported() {
+    return this.simdSupported;
+  }
+
+  /**
+   * Analyze an operation and set the compile parameters it calls for
+   *
+   * SIMD is used for the word-oriented body whenever the engine supports
+   * it, and the scalar body is used otherwise.
+   *
+   * @param {Object} params - Parameters for the BitBLT operation (updated in place)
+   * @returns {Object} - Analysis results with optimization opportunities
+   */
+  applyAnalysis(params) {
+    const analysis = super.applyAnalysis(params);
+
+    params.useSIMD = params.wordCopy && this.simdSupported;
+
+    return analysis;
+  }
+}
+
+module.exports = SIMDWASMGenerator;
@@ -5,21 +5,70 @@
  * It directly generates WASM binary format without dependencies on external tools.
  */
 
+const { performance } = require("perf_hooks");
 const Generator = require("./Generator");
 const { generateWasmBitBLTModule } = require("./wasm-bitblt-generator");
+const { normalizeRule } = require("../combination-rules");
+const { normalizeDepth } = require("../pixel-depth");
+const { BitBLTCompileError, BitBLTExecutionError } = require("../errors");
+const { getAlignmentCacheKeys } = require("../specialization");
+const { buffersAlias } = require("../overlap");
+const { MAX_MEMORY_PAGES, getDefaultArena } = require("../memory-arena");
+const { getPatternCacheKeys, getPassCacheKeys } = require("../ir");
+
+/**
+ * Whether the engine supports WebAssembly SIMD, once probed
+ */
+let simdSupported = null;
+
+/**
+ * Check whether WebAssembly SIMD (v128) is available
+ *
+ * Validates a tiny module whose only function returns i32x4.splat(0).
+ *
+ * @returns {boolean} - Whether SIMD modules can be compiled
+ */
+function isSIMDSupported() {
+  if (simdSupported === null) {
+    simdSupported =
+      typeof WebAssembly !== "undefined" &&
+      typeof WebAssembly.validate === "function" &&
+      WebAssembly.validate(
+        new Uint8Array([
+          0x00, 0x61, 0x73, 0x6d, 0x01, 0x00, 0x00, 0x00, // header
+          0x01, 0x05, 0x01, 0x60, 0x00, 0x01, 0x7b, // type: () -> v128
+          0x03, 0x02, 0x01, 0x00, // function 0 has type 0
+          0x0a, 0x08, 0x01, 0x06, 0x00, // code: one body, no locals
+          0x41, 0x00, 0xfd, 0x11, 0x0b, // i32.const 0, i32x4.splat, end
+        ])
+      );
+  }
+  return simdSupported;
+}
 
 class WASMGenerator extends Generator {
   constructor(options = {}) {
     super(options);
+    this.name = "wasm";
     this.isInitialized = false;
-    this.compiledModules = new Map();
+    this.compiledModules = this.codeCache;
     this.wasmSupported = typeof WebAssembly !== "undefined";
+    this.arena = options.arena || null;
 
     if (!this.wasmSupported) {
       console.warn("WebAssembly is not supported in this environment");
     }
   }
 
+  /**
+   * Get the memory arena the generator's modules run in
+   *
+   * @returns {MemoryArena} - options.arena, or the default arena
+   */
+  getArena() {
+    return this.arena || getDefaultArena();
+  }
+
   /**
    * Initialize the WebAssembly environment
    */
@@ -69,69 +118,211 @@ class WASMGenerator extends Generator {
     if (params.width !== undefined) keyParts.push(`w${params.width}`);
     if (params.height !== undefined) keyParts.push(`h${params.height}`);
 
-    // Add optimization flags
+    // Add the combination rule and the pixel depth
+    keyParts.push(`r${normalizeRule(params.combinationRule)}`);
+    keyParts.push(`d${normalizeDepth(params.depth)}`);
+
+    // Add the halftone height (the halftone contents are a runtime argument)
+    if (params.halftoneHeight) keyParts.push(`ht${params.halftoneHeight}`);
+
+    // Add the copy direction for overlapping blits
+    if (params.reverseRows) keyParts.push("rr");
+    if (params.reverseColumns) keyParts.push("rc");
+
+    // Add the alignment class the code is specialized for
+    keyParts.push(...getAlignmentCacheKeys(params));
+
+    // Add the specializations chosen from the pixels (see applyPatterns)
+    keyParts.push(...getPatternCacheKeys(params));
+
+    // Add the body variant and optimization flags
+    if (params.wordCopy) keyParts.push("wc");
     if (params.unrollLoops) keyParts.push("ul");
     if (params.optimizeAlignedCopy) keyParts.push("oa");
     if (params.useSIMD) keyParts.push("simd");
+    if (params.sharedMemory) keyParts.push("shm");
+    keyParts.push(...getPassCacheKeys(params));
 
-    return `wasm_${keyParts.join("_")}` || "wasm_default";
+    return `wasm_${keyParts.join("_")}`;
   }
 
   /**
    * Compile the generated WebAssembly code
+   *
+   * With options.synchronous the module is compiled and instantiated with
+   * new WebAssembly.Module and new WebAssembly.Instance, and the function
+   * is returned directly. Otherwise a Promise that resolves to it is
+   * returned (see isAsync).
+   *
    * @param {Object} params - Parameters for the BitBLT operation
    * @param {Object} importObject - Optional import object for WebAssembly
    * @param {Uint8Array} wasmBinary - Optional pre-generated WebAssembly binary
-   * @returns {Function} - A callable function that performs the BitBLT operation
+   * @returns {Function|Promise<Function>} - A callable function that performs the BitBLT operation
    */
-  async compile(params, importObject = null, wasmBinary = null) {
+  compile(params, importObject = null, wasmBinary = null) {
+    return this.isAsync()
+      ? this.compileAsync(params, importObject, wasmBinary)
+      : this.compileSync(params, importObject, wasmBinary);
+  }
+
+  /**
+   * Compile the generated WebAssembly code with WebAssembly.compile
+   * @param {Object} params - Parameters for the BitBLT operation
+   * @param {Object} importObject - Optional import object for WebAssembly
+   * @param {Uint8Array} wasmBinary - Optional pre-generated WebAssembly binary
+   * @returns {Promise<Function>} - A callable function that performs the BitBLT operation
+   */
+  async compileAsync(params, importObject = null, wasmBinary = null) {
     await this.initialize();
 
     const cacheKey = this.getCacheKey(params);
 
     // Check if we already have a compiled module for these parameters
-    if (this.compiledModules.has(cacheKey)) {
-      return this.compiledModules.get(cacheKey);
+    const cached = this.compiledModules.get(cacheKey);
+    if (cached) {
+      return cached;
     }
 
-    // Generate the WebAssembly binary module if not provided
-    if (!wasmBinary) {
-      wasmBinary = this.generate(params);
-    }
+    const start = performance.now();
+    wasmBinary = wasmBinary || this.getBinary(cacheKey, params);
 
     try {
-      // Compile the WebAssembly module
+      // Compile the WebAssembly module and instantiate it
       const module = await WebAssembly.compile(wasmBinary);
+      importObject = importObject || this.createImportObject(params);
+      const instance = await WebAssembly.instantiate(module, importObject);
 
-      // Create default import object if none provided
-      if (!importObject) {
-        importObject = {
-          env: {
-            memory: new WebAssembly.Memory({ initial: 1 }),
-          },
-        };
-      }
+      return this.storeFunction(
+        cacheKey,
+        module,
+        instance,
+        importObject,
+        start
+      );
+    } catch (err) {
+      console.error("Error compiling WebAssembly module:", err);
+      throw new BitBLTCompileError(
+        `Failed to compile WebAssembly module: ${err.message}`,
+        { generator: this.name, cacheKey, cause: err }
+      );
+    }
+  }
 
-      // Instantiate the module with the import object
-      const instance = await WebAssembly.instantiate(module, importObject);
+  /**
+   * Compile the generated WebAssembly code with new WebAssembly.Module
+   *
+   * Node compiles modules of any size this way. Browsers limit synchronous
+   * compilation on the main thread to small modules, which the generated
+   * ones are.
+   *
+   * @param {Object} params - Parameters for the BitBLT operation
+   * @param {Object} importObject - Optional import object for WebAssembly
+   * @param {Uint8Array} wasmBinary - Optional pre-generated WebAssembly binary
+   * @returns {Function} - A callable function that performs the BitBLT operation
+   */
+  compileSync(params, importObject = null, wasmBinary = null) {
+    if (!this.wasmSupported) {
+      throw new Error("WebAssembly is not supported in this environment");
+    }
 
-      // Get the exported function
-      const bitbltFunction = instance.exports.bitblt;
+    const cacheKey = this.getCacheKey(params);
 
-      // Store the memory and instance with the function
-      bitbltFunction.memory = importObject.env.memory;
-      bitbltFunction.instance = instance;
+    // Check if we already have a compiled module for these parameters
+    const cached = this.compiledModules.get(cacheKey);
+    if (cached) {
+      return cached;
+    }
 
-      // Cache the compiled function
-      this.compiledModules.set(cacheKey, bitbltFunction);
+    const start = performance.now();
+    wasmBinary = wasmBinary || this.getBinary(cacheKey, params);
 
-      return bitbltFunction;
+    try {
+      // Compile the WebAssembly module and instantiate it
+      const module = new WebAssembly.Module(wasmBinary);
+      importObject = importObject || this.createImportObject(params);
+      const instance = new WebAssembly.Instance(module, importObject);
+
+      return this.storeFunction(
+        cacheKey,
+        module,
+        instance,
+        importObject,
+        start
+      );
     } catch (err) {
       console.error("Error compiling WebAssembly module:", err);
-      throw new Error(`Failed to compile WebAssembly module: ${err.message}`);
+      throw new BitBLTCompileError(
+        `Failed to compile WebAssembly module: ${err.message}`,
+        { generator: this.name, cacheKey, cause: err }
+      );
     }
   }
 
+  /**
+   * Generate the WebAssembly binary module, or load it from the disk cache
+   * @param {string} cacheKey - Cache key of the parameters
+   * @param {Object} params - Parameters for the BitBLT operation
+   * @returns {Uint8Array} - WebAssembly binary module
+   */
+  getBinary(cacheKey, params) {
+    return this.loadOrGenerate(cacheKey, () =>
+      this.generate(params, params.sharedMemory === true)
+    );
+  }
+
+  /**
+   * Create the default import object
+   *
+   * Modules run in the generator's memory arena. Modules for shared memory
+   * get a shared memory of their own, whose limits must match the ones
+   * declared by the module's memory import.
+   *
+   * @param {Object} params - Parameters for the BitBLT operation
+   * @returns {Object} - Import object with env.memory
+   */
+  createImportObject(params) {
+    if (params.sharedMemory !== true) {
+      return { env: { memory: this.getArena().memory } };
+    }
+
+    return {
+      env: {
+        memory: new WebAssembly.Memory({
+          initial: 1,
+          maximum: MAX_MEMORY_PAGES,
+          shared: true,
+        }),
+      },
+    };
+  }
+
+  /**
+   * Cache the exported function of an instance
+   * @param {string} cacheKey - Cache key of the parameters
+   * @param {WebAssembly.Module} module - The compiled module
+   * @param {WebAssembly.Instance} instance - The instantiated module
+   * @param {Object} importObject - The import object it was instantiated with
+   * @param {number} start - When compilation started (performance.now())
+   * @returns {Function} - The exported bitblt function
+   */
+  storeFunction(cacheKey, module, instance, importObject, start) {
+    const bitbltFunction = instance.exports.bitblt;
+
+    // Store the memory, module and instance with the function
+    bitbltFunction.memory = importObject.env.memory;
+    bitbltFunction.module = module;
+    bitbltFunction.instance = instance;
+
+    // Cache the compiled function
+    this.compiledModules.set(
+      cacheKey,
+      bitbltFunction,
+      performance.now() - start
+    );
+
+    return bitbltFunction;
+  }
+
   /**
    * Analyze the operation for optimization opportunities
    * @param {Object} params - Parameters for the BitBLT operation
@@ -143,27 +334,25 @@ class WASMGenerator extends Generator {
       optimizations: [],
     };
 
-    // Check if the operation can be optimized
+    // Work on whole words unless the caller asked for the bit loop
+    if (params.optimizeAlignedCopy !== false) {
+      analysis.canOptimize = true;
+      analysis.optimizations.push("word-copy");
+    }
+
+    // Check if the operation can be optimized (in bits, at any depth)
+    const depth = normalizeDepth(params.depth);
     if (
-      params.width % 32 === 0 &&
-      params.srcX % 32 === 0 &&
-      params.dstX % 32 === 0
+      (params.width * depth) % 32 === 0 &&
+      (params.srcX * depth) % 32 === 0 &&
+      (params.dstX * depth) % 32 === 0
     ) {
       analysis.canOptimize = true;
       analysis.optimizations.push("word-aligned");
     }
 
     // Check if SIMD can be used
-    if (
-      typeof WebAssembly.validate === "function" &&
-      WebAssembly.validate(
-        new Uint8Array([
-          0x00, 0x61, 0x73, 0x6d, 0x01, 0x00, 0x00, 0x00, 0x01, 0x04, 0x01,
-          0x60, 0x00, 0x00, 0x03, 0x02, 0x01, 0x00, 0x0a, 0x09, 0x01, 0x07,
-          0x00, 0xfd, 0x0f, 0x00, 0x00, 0x0b,
-        ])
-      )
-    ) {
+    if (isSIMDSupported()) {
       analysis.canOptimize = true;
       analysis.optimizations.push("simd");
     }
@@ -171,13 +360,84 @@ class WASMGenerator extends Generator {
     return analysis;
   }
 
+  /**
+   * Analyze an operation and set the compile parameters it calls for
+   *
+   * The choice of function body (whole words or bit by bit) is always
+   * taken from the analysis. The full list of optimizations is only
+   * recorded when options.analyzeOperations is set.
+   *
+   * @param {Object} params - Parameters for the BitBLT operation (updated in place)
+   * @returns {Object} - Analysis results with optimization opportunities
+   */
+  applyAnalysis(params) {
+    const analysis = this.analyzeOperation(params);
+
+    params.wordCopy = analysis.optimizations.includes("word-copy");
+
+    if (this.options.analyzeOperations && analysis.canOptimize) {
+      // Apply optimizations
+      params.optimizations = analysis.optimizations;
+    }
+
+    return analysis;
+  }
+
+  /**
+   * Set the compile parameters that the analysis calls for
+   *
+   * @param {Object} params - Parameters for the BitBLT operation (updated in place)
+   */
+  prepareParams(params) {
+    this.applyAnalysis(params);
+  }
+
   /**
    * Check if this generator is asynchronous
    *
+   * Modules are compiled with WebAssembly.compile unless
+   * options.synchronous is set, in which case compile() and execute()
+   * return their results directly.
+   *
    * @returns {boolean} - Whether this generator requires async execution
    */
   isAsync() {
-    return true;
+    return !this.options.synchronous;
+  }
+
+  /**
+   * Run a callback with the function compiled for some parameters
+   *
+   * Compile errors are thrown as they are; errors from running are
+   * reported as a BitBLTExecutionError for the given kind of execution.
+   *
+   * @param {Object} params - Compilation parameters
+   * @param {Function} run - Called with the compiled function
+   * @param {string} kind - The kind of execution, for error messages
+   * @returns {*|Promise<*>} - What run returns (or a Promise that resolves
+   *   to it, if the generator is asynchronous)
+   */
+  withCompiled(params, run, kind) {
+    const fail = (err) => {
+      if (err instanceof BitBLTCompileError) {
+        throw err;
+      }
+      console.error(`Error executing ${kind}:`, err);
+      throw new BitBLTExecutionError(
+        `Failed to execute ${kind}: ${err.message}`,
+        { generator: this.name, cause: err }
+      );
+    };
+
+    if (this.isAsync()) {
+      return this.compile(params).then(run).catch(fail);
+    }
+
+    try {
+      return run(this.compile(params));
+    } catch (err) {
+      return fail(err);
+    }
   }
 
   /**
@@ -194,311 +454,307 @@ class WASMGenerator extends Generator {
   /**
    * Execute the BitBLT operation with WebAssembly using zero-copy if possible
    *
-   * @param {Uint32Array} srcBuffer - Source buffer
-   * @param {number} srcWidth - Source width in pixels
-   * @param {number} srcHeight - Source height in pixels
-   * @param {number} srcX - Source X coordinate
-   * @param {number} srcY - Source Y coordinate
-   * @param {Uint32Array} dstBuffer - Destination buffer
-   * @param {number} dstWidth - Destination width in pixels
-   * @param {number} dstX - Destination X coordinate
-   * @param {number} dstY - Destination Y coordinate
-   * @param {number} width - Width to copy in pixels
-   * @param {number} height - Height to copy in pixels
-   * @returns {Promise<Uint32Array>} - A Promise that resolves to the destination buffer after the operation
+   * @param {BitBLTDescriptor} descriptor - The operation, clipped (see Generator.execute)
+   * @returns {Uint32Array|Promise<Uint32Array>} - The destination buffer after the operation (or a Promise that resolves to it, see isAsync)
    */
-  async execute(
-    srcBuffer,
-    srcWidth,
-    srcHeight,
-    srcX,
-    srcY,
-    dstBuffer,
-    dstWidth,
-    dstX,
-    dstY,
-    width,
-    height
-  ) {
-    const params = {
-      srcWidth,
-      srcHeight,
-      srcX,
-      srcY,
-      dstWidth,
-      dstX,
-      dstY,
-      width,
-      height,
-      ...this.options,
-    };
-
-    // Analyze the operation for optimization opportunities
-    if (this.options.analyzeOperations) {
-      const analysis = this.analyzeOperation(params);
-
-      if (analysis.canOptimize) {
-        // Apply optimizations
-        params.optimizations = analysis.optimizations;
-      }
-    }
+  executeDescriptor(descriptor) {
+    const params = this.getExecutionParams(descriptor);
 
     // Check if we can use zero-copy with SharedArrayBuffer
     const canUseZeroCopy =
       this.isSharedArrayBufferAvailable() &&
-      srcBuffer.buffer instanceof SharedArrayBuffer &&
-      dstBuffer.buffer instanceof SharedArrayBuffer;
+      descriptor.src.buffer instanceof SharedArrayBuffer &&
+      descriptor.dst.buffer instanceof SharedArrayBuffer;
 
     if (canUseZeroCopy) {
-      return this.executeZeroCopy(
-        srcBuffer,
-        srcWidth,
-        srcHeight,
-        srcX,
-        srcY,
-        dstBuffer,
-        dstWidth,
-        dstX,
-        dstY,
-        width,
-        height,
-        params
-      );
+      return this.executeZeroCopy(descriptor, params);
     } else {
-      return this.executeWithCopy(
-        srcBuffer,
-        srcWidth,
-        srcHeight,
-        srcX,
-        srcY,
-        dstBuffer,
-        dstWidth,
-        dstX,
-        dstY,
-        width,
-        height,
-        params
-      );
+      return this.executeInArena(descriptor, params);
     }
   }
 
   /**
    * Execute BitBLT with zero-copy using SharedArrayBuffer
    *
-   * @param {Uint32Array} srcBuffer - Source buffer
-   * @param {number} srcWidth - Source width in pixels
-   * @param {number} srcHeight - Source height in pixels
-   * @param {number} srcX - Source X coordinate
-   * @param {number} srcY - Source Y coordinate
-   * @param {Uint32Array} dstBuffer - Destination buffer
-   * @param {number} dstWidth - Destination width in pixels
-   * @param {number} dstX - Destination X coordinate
-   * @param {number} dstY - Destination Y coordinate
-   * @param {number} width - Width to copy in pixels
-   * @param {number} height - Height to copy in pixels
+   * @param {BitBLTDescriptor} descriptor - The operation, clipped
    * @param {Object} params - Compilation parameters
-   * @returns {Promise<Uint32Array>} - A Promise that resolves to the destination buffer
+   * @returns {Uint32Array|Promise<Uint32Array>} - The destination buffer (or a Promise that resolves to it)
    */
-  async executeZeroCopy(
-    srcBuffer,
-    srcWidth,
-    srcHeight,
-    srcX,
-    srcY,
-    dstBuffer,
-    dstWidth,
-    dstX,
-    dstY,
-    width,
-    height,
-    params
-  ) {
-    try {
-      console.log(
-        "Using zero-copy WebAssembly execution with SharedArrayBuffer"
-      );
-
-      // Get the underlying SharedArrayBuffers
-      const srcArrayBuffer = srcBuffer.buffer;
-      const dstArrayBuffer = dstBuffer.buffer;
-
-      // Create WebAssembly memory that directly references the JavaScript buffers
-      // Note: WebAssembly.Memory doesn't directly support using an existing ArrayBuffer
-      // So we'll create a memory and then use it to access the buffers
+  executeZeroCopy(descriptor, params) {
+    console.log(
+      "Using zero-copy WebAssembly execution with SharedArrayBuffer"
+    );
 
-      // Calculate memory size needed (in pages of 64KB)
-      const memoryPages =
-        Math.max(
-          Math.ceil(srcArrayBuffer.byteLength / 65536),
-          Math.ceil(dstArrayBuffer.byteLength / 65536)
-        ) + 1; // Add an extra page for safety
+    // Compile the WebAssembly function against a shared memory
+    return this.withCompiled(
+      { ...params, sharedMemory: true },
+      (bitbltFunction) => {
+        const { src: srcBuffer, dst: dstBuffer } = descriptor;
+
+        // Copy source and destination buffers to WebAssembly memory
+        // This is still a copy, but in a true zero-copy implementation with
+        // a custom WASM module, we would pass the buffer addresses directly
+        const wasmMemory = this.runInMemory(bitbltFunction, descriptor);
+        const { dstBufferPtr } = this.getMemoryLayout(srcBuffer, dstBuffer);
+
+        // Copy the result back to the destination buffer
+        // In a true zero-copy implementation, this would be unnecessary
+        for (let i = 0; i < dstBuffer.length; i++) {
+          dstBuffer[i] = wasmMemory[dstBufferPtr + i];
+        }
+
+        return dstBuffer;
+      },
+      "zero-copy WebAssembly BitBLT"
+    );
+  }
 
-      const memory = new WebAssembly.Memory({
-        initial: memoryPages,
-        maximum: Math.max(memoryPages, 16), // Maximum of 16 pages (1MB) or what we need
-        shared: true,
-      });
+  /**
+   * Execute BitBLT in the memory arena
+   *
+   * Buffers that live in the arena (see MemoryArena.createBitmap) are used
+   * in place; other buffers are copied in and out.
+   *
+   * @param {BitBLTDescriptor} descriptor - The operation, clipped
+   * @param {Object} params - Compilation parameters
+   * @returns {Uint32Array|Promise<Uint32Array>} - The destination buffer (or a Promise that resolves to it)
+   */
+  executeInArena(descriptor, params) {
+    // Compile the WebAssembly function against the arena's memory
+    return this.withCompiled(
+      { ...params, sharedMemory: false },
+      (bitbltFunction) => {
+        this.runInArena(bitbltFunction, descriptor);
+        return descriptor.dst;
+      },
+      "WebAssembly BitBLT in the memory arena"
+    );
+  }
 
-      // Create import object with the shared memory
-      const importObject = {
-        env: {
-          memory: memory,
-        },
+  /**
+   * Call a compiled function on buffers in or out of the memory arena
+   *
+   * Buffers from outside the arena, and the halftone, are copied into a
+   * scratch block laid out as getMemoryLayout() describes, and the
+   * destination is copied back after the call. A blit between two arena
+   * bitmaps without a halftone copies nothing. If the scratch block does
+   * not fit in the arena without growing it (see
+   * MemoryArena.allocateScratch), the call runs in a memory of its own.
+   *
+   * @param {Function} bitbltFunction - Compiled function returned by compile()
+   * @param {BitBLTDescriptor} descriptor - The operation, clipped
+   */
+  runInArena(bitbltFunction, descriptor) {
+    const { src: srcBuffer, dst: dstBuffer, mask: halftone } = descriptor;
+    const arena = this.getArena();
+    const srcInArena = arena.pointerOf(srcBuffer);
+    const dstInArena = arena.pointerOf(dstBuffer);
+
+    let layout;
+    if (srcInArena === -1 && dstInArena === -1) {
+      layout = this.getMemoryLayout(srcBuffer, dstBuffer);
+    } else {
+      layout = {
+        srcBufferPtr: 0,
+        dstBufferPtr: 0,
+        halftonePtr: 0,
+        span: null,
       };
+      if (srcInArena === -1) layout.halftonePtr = srcBuffer.length;
+      if (dstInArena === -1) layout.halftonePtr = dstBuffer.length;
+    }
 
-      // Generate WASM with shared memory flag
-      const wasmBinary = this.generate(params, true);
-
-      // Compile the WebAssembly function with the shared memory
-      const bitbltFunction = await this.compile(
-        params,
-        importObject,
-        wasmBinary
-      );
-
-      // Create views of the source and destination buffers
-      const wasmMemory = new Uint32Array(memory.buffer);
-
-      // Copy source and destination buffers to WebAssembly memory
-      // This is still a copy, but in a true zero-copy implementation with
-      // a custom WASM module, we would pass the buffer addresses directly
-      const srcOffset = 0;
-      const dstOffset = srcBuffer.length;
+    // Allocate before taking any views, since allocating can grow the memory
+    const scratchLength = layout.halftonePtr + (halftone ? halftone.length : 0);
+    const scratch =
+      scratchLength > 0 ? arena.allocateScratch(scratchLength) : 0;
+    if (scratch === -1) {
+      this.runOutsideArena(bitbltFunction, descriptor);
+      return;
+    }
+    const srcBufferPtr =
+      srcInArena === -1 ? scratch + layout.srcBufferPtr : srcInArena;
+    const dstBufferPtr =
+      dstInArena === -1 ? scratch + layout.dstBufferPtr : dstInArena;
+    const halftonePtr = scratch + layout.halftonePtr;
 
-      wasmMemory.set(srcBuffer, srcOffset);
-      wasmMemory.set(dstBuffer, dstOffset);
+    try {
+      const memoryView = arena.getView();
+      if (layout.span) {
+        memoryView.set(layout.span, scratch);
+      } else {
+        if (srcInArena === -1) memoryView.set(srcBuffer, srcBufferPtr);
+        if (dstInArena === -1) memoryView.set(dstBuffer, dstBufferPtr);
+      }
+      if (halftone) {
+        memoryView.set(halftone, halftonePtr);
+      }
 
-      // Call the WebAssembly function
       bitbltFunction(
-        srcOffset,
-        srcWidth,
-        srcHeight,
-        srcX,
-        srcY,
-        dstOffset,
-        dstWidth,
-        dstX,
-        dstY,
-        width,
-        height
+        srcBufferPtr,
+        descriptor.srcWidth,
+        descriptor.srcHeight,
+        descriptor.srcX,
+        descriptor.srcY,
+        dstBufferPtr,
+        descriptor.dstWidth,
+        descriptor.dstX,
+        descriptor.dstY,
+        descriptor.width,
+        descriptor.height,
+        halftonePtr
       );
 
-      // Copy the result back to the destination buffer
-      // In a true zero-copy implementation, this would be unnecessary
-      for (let i = 0; i < dstBuffer.length; i++) {
-        dstBuffer[i] = wasmMemory[dstOffset + i];
+      if (dstInArena === -1) {
+        dstBuffer.set(
+          memoryView.subarray(dstBufferPtr, dstBufferPtr + dstBuffer.length)
+        );
+      }
+    } finally {
+      if (scratchLength > 0) {
+        arena.free(scratch);
       }
-
-      return dstBuffer;
-    } catch (err) {
-      console.error("Error executing zero-copy WebAssembly BitBLT:", err);
-      throw new Error(
-        `Failed to execute zero-copy WebAssembly BitBLT: ${err.message}`
-      );
     }
   }
 
   /**
-   * Execute BitBLT with copying (fallback method)
+   * Call a compiled function in a memory of its own
    *
-   * @param {Uint32Array} srcBuffer - Source buffer
-   * @param {number} srcWidth - Source width in pixels
-   * @param {number} srcHeight - Source height in pixels
-   * @param {number} srcX - Source X coordinate
-   * @param {number} srcY - Source Y coordinate
-   * @param {Uint32Array} dstBuffer - Destination buffer
-   * @param {number} dstWidth - Destination width in pixels
-   * @param {number} dstX - Destination X coordinate
-   * @param {number} dstY - Destination Y coordinate
-   * @param {number} width - Width to copy in pixels
-   * @param {number} height - Height to copy in pixels
-   * @param {Object} params - Compilation parameters
-   * @returns {Promise<Uint32Array>} - A Promise that resolves to the destination buffer
+   * The function's module is instantiated again against a memory of its
+   * own on the first such call, and that instance is kept with the
+   * function for the next ones. The buffers are copied in (see
+   * runInMemory), and the destination is copied back after the call. The
+   * arena is left as it is.
+   *
+   * @param {Function} bitbltFunction - Compiled function returned by compile()
+   * @param {BitBLTDescriptor} descriptor - The operation, clipped
    */
-  async executeWithCopy(
-    srcBuffer,
-    srcWidth,
-    srcHeight,
-    srcX,
-    srcY,
-    dstBuffer,
-    dstWidth,
-    dstX,
-    dstY,
-    width,
-    height,
-    params
-  ) {
-    try {
-      console.log("Using standard WebAssembly execution with copying");
-
-      // Create a memory for WebAssembly to access JavaScript buffers directly
+  runOutsideArena(bitbltFunction, descriptor) {
+    if (!bitbltFunction.outside) {
       const memory = new WebAssembly.Memory({
         initial: 1,
-        maximum: 16, // Maximum of 16 pages (1MB)
+        maximum: MAX_MEMORY_PAGES,
       });
-      const memoryView = new Uint32Array(memory.buffer);
-
-      // Create import object with the shared memory
-      const importObject = {
-        env: {
-          memory: memory,
-        },
-      };
-
-      // Generate WASM with regular memory (not shared)
-      const wasmBinary = this.generate(params, false);
+      const instance = new WebAssembly.Instance(bitbltFunction.module, {
+        env: { memory },
+      });
+      bitbltFunction.outside = instance.exports.bitblt;
+      bitbltFunction.outside.memory = memory;
+    }
 
-      // Compile the WebAssembly function with regular memory
-      const bitbltFunction = await this.compile(
-        params,
-        importObject,
-        wasmBinary
-      );
+    const { src: srcBuffer, dst: dstBuffer } = descriptor;
+    const memoryView = this.runInMemory(bitbltFunction.outside, descriptor);
+    const { dstBufferPtr } = this.getMemoryLayout(srcBuffer, dstBuffer);
+    dstBuffer.set(
+      memoryView.subarray(dstBufferPtr, dstBufferPtr + dstBuffer.length)
+    );
+  }
 
-      // Get direct pointers to the source and destination buffers
-      const srcBufferPtr = 0;
-      const dstBufferPtr = srcBuffer.length;
+  /**
+   * Copy the buffers into a compiled function's memory and call it
+   *
+   * The buffers are placed as described by getMemoryLayout(). Buffers that
+   * share memory are copied in once, so the module sees the overlap.
+   *
+   * @param {Function} bitbltFunction - Compiled function returned by compile()
+   * @param {BitBLTDescriptor|Object} descriptor - The operation, clipped
+   *   (or an object with the same fields, as in ahead-of-time modules)
+   * @returns {Uint32Array} - A view of the memory after the call
+   */
+  runInMemory(bitbltFunction, descriptor) {
+    const { src: srcBuffer, dst: dstBuffer, mask: halftone } = descriptor;
+    const { srcBufferPtr, dstBufferPtr, halftonePtr, span } =
+      this.getMemoryLayout(srcBuffer, dstBuffer);
+    const halftoneLength = halftone ? halftone.length : 0;
+
+    const memory = this.reserveMemory(
+      bitbltFunction.memory,
+      halftonePtr + halftoneLength
+    );
+    const memoryView = new Uint32Array(memory.buffer);
 
-      // Copy source and destination buffers to shared memory
+    if (span) {
+      memoryView.set(span, 0);
+    } else {
       memoryView.set(srcBuffer, srcBufferPtr);
       memoryView.set(dstBuffer, dstBufferPtr);
+    }
+    if (halftone) {
+      memoryView.set(halftone, halftonePtr);
+    }
 
-      // Call the WebAssembly function with buffer pointers
-      bitbltFunction(
-        srcBufferPtr,
-        srcWidth,
-        srcHeight,
-        srcX,
-        srcY,
-        dstBufferPtr,
-        dstWidth,
-        dstX,
-        dstY,
-        width,
-        height
-      );
+    bitbltFunction(
+      srcBufferPtr,
+      descriptor.srcWidth,
+      descriptor.srcHeight,
+      descriptor.srcX,
+      descriptor.srcY,
+      dstBufferPtr,
+      descriptor.dstWidth,
+      descriptor.dstX,
+      descriptor.dstY,
+      descriptor.width,
+      descriptor.height,
+      halftonePtr
+    );
 
-      // Copy the result back from shared memory to the destination buffer
-      for (let i = 0; i < dstBuffer.length; i++) {
-        dstBuffer[i] = memoryView[dstBufferPtr + i];
-      }
+    return memoryView;
+  }
 
-      return dstBuffer;
-    } catch (err) {
-      console.error("Error executing WebAssembly BitBLT with copying:", err);
-      throw new Error(
-        `Failed to execute WebAssembly BitBLT with copying: ${err.message}`
-      );
+  /**
+   * Decide where the buffers go in WebAssembly memory
+   *
+   * Normally the source is placed at offset 0, the destination right after
+   * it and the halftone (if any) after the destination. When the source and
+   * destination share memory, the span of the ArrayBuffer covering both is
+   * placed at offset 0 instead and each pointer keeps its relative offset.
+   *
+   * @param {Uint32Array} srcBuffer - Source buffer
+   * @param {Uint32Array} dstBuffer - Destination buffer
+   * @returns {Object} - { srcBufferPtr, dstBufferPtr, halftonePtr, span }
+   */
+  getMemoryLayout(srcBuffer, dstBuffer) {
+    if (!buffersAlias(srcBuffer, dstBuffer)) {
+      return {
+        srcBufferPtr: 0,
+        dstBufferPtr: srcBuffer.length,
+        halftonePtr: srcBuffer.length + dstBuffer.length,
+        span: null,
+      };
     }
+
+    const start = Math.min(srcBuffer.byteOffset, dstBuffer.byteOffset);
+    const end = Math.max(
+      srcBuffer.byteOffset + srcBuffer.byteLength,
+      dstBuffer.byteOffset + dstBuffer.byteLength
+    );
+    const span = new Uint32Array(srcBuffer.buffer, start, (end - start) / 4);
+
+    return {
+      srcBufferPtr: (srcBuffer.byteOffset - start) / 4,
+      dstBufferPtr: (dstBuffer.byteOffset - start) / 4,
+      halftonePtr: span.length,
+      span,
+    };
   }
 
   /**
-   * Clear the cache of compiled modules
+   * Grow a memory so that it can hold the given number of Uint32 elements
+   *
+   * @param {WebAssembly.Memory} memory - The memory the compiled function uses
+   * @param {number} elementCount - Number of Uint32 elements needed
+   * @returns {WebAssembly.Memory} - The same memory, grown if necessary
    */
-  clearCache() {
-    this.compiledModules.clear();
+  reserveMemory(memory, elementCount) {
+    const bytesNeeded = elementCount * 4;
+    const bytesAvailable = memory.buffer.byteLength;
+
+    if (bytesNeeded > bytesAvailable) {
+      memory.grow(Math.ceil((bytesNeeded - bytesAvailable) / 65536));
+    }
+
+    return memory;
   }
 }
 
-module.exports = { WASMGenerator };
+module.exports = { WASMGenerator, isSIMDSupported };
@@ -109,6 +109,7 @@ const Opcodes = {
 
   // Parametric operators
   DROP: 0x1a,
+  SELECT: 0x1b,
 
   // Variable access
   LOCAL_GET: 0x20,
@@ -155,6 +156,38 @@ const Opcodes = {
   I32_ROTR: 0x78,
 };
 
+/**
+ * Prefix byte of the SIMD (v128) instructions
+ */
+const SIMD_PREFIX = 0xfd;
+
+/**
+ * WASM SIMD opcodes, emitted as SIMD_PREFIX followed by the opcode in
+ * unsigned LEB128
+ */
+const SimdOpcodes = {
+  // Memory operators
+  V128_LOAD: 0x00,
+  V128_STORE: 0x0b,
+
+  // Constants
+  V128_CONST: 0x0c,
+
+  // Lane operators
+  I32X4_SPLAT: 0x11,
+
+  // Bitwise operators
+  V128_NOT: 0x4d,
+  V128_AND: 0x4e,
+  V128_ANDNOT: 0x4f,
+  V128_OR: 0x50,
+  V128_XOR: 0x51,
+
+  // Shifts
+  I32X4_SHL: 0xab,
+  I32X4_SHR_U: 0xad,
+};
+
 /**
  * WASM value types
  */
@@ -163,6 +196,7 @@ const ValueType = {
   I64: 0x7e,
   F32: 0x7d,
   F64: 0x7c,
+  V128: 0x7b,
 };
 
 /**
@@ -183,6 +217,8 @@ module.exports = {
   createSection,
   concatUint8Arrays,
   Opcodes,
+  SIMD_PREFIX,
+  SimdOpcodes,
   ValueType,
   SectionId,
 };
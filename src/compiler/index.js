@@ -14,4 +14,10 @@ module.exports = {
   JavaScriptGenerator: require("./generators/JavaScriptGenerator"),
   WASMGenerator: require("./generators/WASMGenerator").WASMGenerator,
   ZeroCopyWASMGenerator: require("./generators/ZeroCopyWASMGenerator"),
+  SIMDWASMGenerator: require("./generators/SIMDWASMGenerator"),
+  ClosureGenerator: require("./generators/ClosureGenerator"),
+  CombinationRule: require("./combination-rules").CombinationRule,
+  BitBLTDescriptor: require("./descriptor").BitBLTDescriptor,
+  MemoryArena: require("./memory-arena").MemoryArena,
+  ir: require("./ir"),
 };
@@ -0,0 +1,769 @@
+/**
+ * BitBLT IR Front End
+ *
+ * Turns compile parameters into an IR program. Everything that decides
+ * what a BitBLT function does lives here: the loop nest, the copy
+ * direction, the combination rule, the halftone and the choice between
+ * copying pixel by pixel and word by word. Backends only lower the result.
+ */
+
+const {
+  normalizeRule,
+  ruleUsesSource,
+  ruleUsesDestination,
+} = require("../combination-rules");
+const { normalizeDepth, getPixelMask } = require("../pixel-depth");
+const {
+  constant,
+  param,
+  local,
+  not,
+  load,
+  splat,
+  select,
+  combine,
+  comment,
+  define,
+  assign,
+  store,
+  loop,
+  ifThen,
+  block,
+  ret,
+  program,
+  add,
+  sub,
+  mul,
+  divU,
+  remU,
+  and,
+  or,
+  andNot,
+  shl,
+  shrU,
+  shrS,
+  rotl,
+  eq,
+  ne,
+  ltS,
+  leS,
+  gtS,
+  geS,
+} = require("./nodes");
+
+/**
+ * Build the IR program for a BitBLT function
+ *
+ * @param {Object} params - Compile parameters
+ * @param {number} params.combinationRule - Combination rule (0-15, default: 3)
+ * @param {number} params.depth - Bits per pixel (1, 2, 4, 8, 16 or 32, default: 1)
+ * @param {number} params.halftoneHeight - Rows in the halftone, if any
+ * @param {boolean} params.reverseRows - Copy rows bottom to top
+ * @param {boolean} params.reverseColumns - Copy right to left
+ * @param {boolean} params.wordCopy - Copy whole words instead of pixels
+ * @param {boolean} params.useSIMD - Copy the middle of each row four words at a time
+ * @param {boolean} params.unrollLoops - Unroll the pixel loops when the size is known
+ * @param {boolean} params.inlineConstants - Specialize the code for known coordinates
+ * @param {boolean} params.noop - Emit a function that leaves the destination alone
+ * @param {number} params.sourceRowPeriod - Read source row srcY + (y % period)
+ *   for source rows known to repeat
+ * @param {boolean} params.singleWordRows - Every destination row fits in one word
+ * @param {number} params.srcWordWidth - Words per source row, when srcWidth is not known
+ * @param {number} params.dstWordWidth - Words per destination row, when dstWidth is not known
+ * @param {number} params.skew - The bit offset (srcX - (dstX & 31)) & 31, with x in bits, when
+ *   srcX and dstX are not known
+ * @param {string} params.widthClass - "single" or "multi" words per destination row
+ * @returns {Object} - IR program
+ */
+function buildBitBLTProgram(params) {
+  const ctx = {
+    ...params,
+    rule: normalizeRule(params.combinationRule),
+    usesSource: ruleUsesSource(params.combinationRule),
+    usesDestination: ruleUsesDestination(params.combinationRule),
+    depth: normalizeDepth(params.depth),
+  };
+  // The bits of one pixel, as a signed 32-bit constant
+  ctx.pixelMask = getPixelMask(ctx.depth) | 0;
+
+  // Known parameters decide the shape of the code; the constant folding
+  // pass replaces them with their values
+  ctx.known = (name) => ctx.inlineConstants && ctx[name] !== undefined;
+
+  if (ctx.noop) {
+    return program([comment("The destination already holds the result")]);
+  }
+
+  const body = [comment("Calculate width in Uint32 elements (32 bits per element)")];
+  body.push(define("srcWidthInUint32", widthInWords(ctx, "src")));
+  body.push(define("dstWidthInUint32", widthInWords(ctx, "dst")));
+
+  if (ctx.wordCopy) {
+    body.push(...buildWordCopy(ctx));
+  } else {
+    body.push(...buildPixelCopy(ctx));
+  }
+
+  return program(body);
+}
+
+/**
+ * A number of pixels as a number of bits: pixels * depth, as a shift
+ * @param {Object} ctx - Front end context
+ * @param {Object} pixels - IR expression
+ * @returns {Object} - IR expression
+ */
+function toBits(ctx, pixels) {
+  if (ctx.depth === 1) {
+    return pixels;
+  }
+  return shl(pixels, constant(Math.log2(ctx.depth)));
+}
+
+/**
+ * Words per row of a buffer: (width * depth + 31) >>> 5, or the known
+ * word width
+ * @param {Object} ctx - Front end context
+ * @param {string} buffer - "src" or "dst"
+ * @returns {Object} - IR expression
+ */
+function widthInWords(ctx, buffer) {
+  if (ctx.known(`${buffer}WordWidth`)) {
+    return constant(ctx[`${buffer}WordWidth`]);
+  }
+  return shrU(
+    add(toBits(ctx, param(`${buffer}Width`)), constant(31)),
+    constant(5)
+  );
+}
+
+/**
+ * A counted loop over 0 .. count - 1, or backwards
+ * @param {string} variable - Loop variable
+ * @param {Object} count - Number of iterations
+ * @param {boolean} reverse - Whether to count down
+ * @param {Object[]} body - Loop body
+ * @returns {Object} - IR statement
+ */
+function countedLoop(variable, count, reverse, body) {
+  const v = local(variable);
+  if (reverse) {
+    return loop(variable, sub(count, constant(1)), geS(v, constant(0)), -1, body);
+  }
+  return loop(variable, constant(0), ltS(v, count), 1, body);
+}
+
+/**
+ * The iteration order of an unrolled loop
+ * @param {number} count - Number of iterations
+ * @param {boolean} reverse - Whether to emit them in reverse order
+ * @returns {number[]} - Iteration indices in emission order
+ */
+function unrolledOrder(count, reverse) {
+  const order = Array.from({ length: count }, (_, i) => i);
+  return reverse ? order.reverse() : order;
+}
+
+/**
+ * The halftone row index for a destination row: dstYPos % halftoneHeight,
+ * as a mask when the height is a power of two
+ * @param {Object} dstYPos - Destination row
+ * @param {number} height - Halftone height
+ * @returns {Object} - IR expression
+ */
+function halftoneIndex(dstYPos, height) {
+  if ((height & (height - 1)) === 0) {
+    return and(dstYPos, constant(height - 1));
+  }
+  return remU(dstYPos, constant(height));
+}
+
+/**
+ * The source row read for row y: y itself, or y % sourceRowPeriod when
+ * the source rows repeat
+ * @param {Object} ctx - Front end context
+ * @param {Object} y - Row within the copied region
+ * @returns {Object} - IR expression
+ */
+function sourceRow(ctx, y) {
+  const period = ctx.sourceRowPeriod;
+  if (!period) {
+    return y;
+  }
+  return period === 1 ? constant(0) : remU(y, constant(period));
+}
+
+/**
+ * Statements that start a row: its source and destination y positions
+ * and its halftone word
+ * @param {Object} ctx - Front end context
+ * @param {Object} y - Row within the copied region
+ * @returns {Object[]} - IR statements
+ */
+function rowStart(ctx, y) {
+  const stmts = [
+    comment("Calculate the y-position in the source and destination"),
+    define("srcYPos", add(param("srcY"), sourceRow(ctx, y))),
+    define("dstYPos", add(param("dstY"), y)),
+  ];
+
+  if (ctx.usesSource && ctx.halftoneHeight) {
+    stmts.push(comment("The halftone word for this destination row"));
+    stmts.push(
+      define(
+        "halftoneRow",
+        load("halftone", halftoneIndex(local("dstYPos"), ctx.halftoneHeight))
+      )
+    );
+  }
+
+  return stmts;
+}
+
+// Pixel-at-a-time copies
+
+/**
+ * Build the pixel-at-a-time loop nest, unrolled when requested and the
+ * size is known
+ * @param {Object} ctx - Front end context
+ * @returns {Object[]} - IR statements
+ */
+function buildPixelCopy(ctx) {
+  const unrollRows = ctx.unrollLoops && ctx.height !== undefined;
+  const unrollColumns = unrollRows && ctx.width !== undefined;
+
+  const row = (y) => {
+    const stmts = rowStart(ctx, y);
+    if (unrollColumns) {
+      for (const x of unrolledOrder(ctx.width, ctx.reverseColumns)) {
+        stmts.push(comment(`Pixel at x=${x}`));
+        stmts.push(block(copyPixel(ctx, constant(x))));
+      }
+    } else {
+      stmts.push(comment("Process each pixel in the row"));
+      stmts.push(
+        countedLoop(
+          "x",
+          param("width"),
+          ctx.reverseColumns,
+          copyPixel(ctx, local("x"))
+        )
+      );
+    }
+    return stmts;
+  };
+
+  if (unrollRows) {
+    // Emit rows bottom-to-top for backward (overlapping) copies
+    return unrolledOrder(ctx.height, ctx.reverseRows).map((y) =>
+      block([comment(`Row ${y}`), ...row(constant(y))])
+    );
+  }
+
+  return [
+    comment("Iterate through each row"),
+    countedLoop("y", param("height"), ctx.reverseRows, row(local("y"))),
+  ];
+}
+
+/**
+ * Statements that copy one pixel
+ *
+ * At depths above 1, srcBit, dstBit and resultBit hold all the bits of a
+ * pixel, which the rule combines bit by bit.
+ *
+ * @param {Object} ctx - Front end context
+ * @param {Object} x - Column within the copied region
+ * @returns {Object[]} - IR statements
+ */
+function copyPixel(ctx, x) {
+  const c = constant;
+  const stmts = [
+    comment("Calculate the x-position in the source and destination"),
+  ];
+
+  if (ctx.usesSource) {
+    stmts.push(define("srcXPos", add(param("srcX"), x)));
+  }
+  stmts.push(define("dstXPos", add(param("dstX"), x)));
+
+  stmts.push(comment("Calculate which Uint32 element contains the pixel"));
+  if (ctx.usesSource) {
+    stmts.push(
+      define(
+        "srcElementIndex",
+        add(
+          divU(toBits(ctx, local("srcXPos")), c(32)),
+          mul(local("srcYPos"), local("srcWidthInUint32"))
+        )
+      )
+    );
+  }
+  stmts.push(
+    define(
+      "dstElementIndex",
+      add(
+        divU(toBits(ctx, local("dstXPos")), c(32)),
+        mul(local("dstYPos"), local("dstWidthInUint32"))
+      )
+    )
+  );
+
+  stmts.push(
+    comment("Calculate the bit position within the Uint32 element (0-31)")
+  );
+  if (ctx.usesSource) {
+    stmts.push(
+      define("srcBitPos", remU(toBits(ctx, local("srcXPos")), c(32)))
+    );
+  }
+  stmts.push(
+    define("dstBitPos", remU(toBits(ctx, local("dstXPos")), c(32)))
+  );
+
+  if (ctx.usesSource) {
+    let srcBit = shrU(load("src", local("srcElementIndex")), local("srcBitPos"));
+    if (ctx.halftoneHeight) {
+      stmts.push(comment("Extract the source bit masked by the halftone"));
+      srcBit = and(srcBit, shrU(local("halftoneRow"), local("dstBitPos")));
+    } else {
+      stmts.push(comment("Extract the bit from the source"));
+    }
+    stmts.push(define("srcBit", and(srcBit, c(ctx.pixelMask))));
+  }
+
+  stmts.push(define("dstWord", load("dst", local("dstElementIndex"))));
+  if (ctx.usesDestination) {
+    stmts.push(comment("Extract the bit from the destination"));
+    stmts.push(
+      define(
+        "dstBit",
+        and(shrU(local("dstWord"), local("dstBitPos")), c(ctx.pixelMask))
+      )
+    );
+  }
+
+  stmts.push(comment(`Apply combination rule ${ctx.rule}`));
+  stmts.push(
+    define(
+      "resultBit",
+      and(
+        combine(ctx.rule, local("srcBit"), local("dstBit")),
+        c(ctx.pixelMask)
+      )
+    )
+  );
+
+  stmts.push(comment("Replace the destination bit with the result bit"));
+  stmts.push(
+    store(
+      "dst",
+      local("dstElementIndex"),
+      or(
+        and(
+          local("dstWord"),
+          not(shl(c(ctx.pixelMask), local("dstBitPos")))
+        ),
+        shl(local("resultBit"), local("dstBitPos"))
+      )
+    )
+  );
+
+  return stmts;
+}
+
+// Word-at-a-time copies
+
+/**
+ * Build the word-at-a-time loop nest
+ *
+ * The x coordinates and the width are turned into bits first, so the
+ * loops below are the same at every depth: only the masks and the skew
+ * they are built from move by whole pixels.
+ *
+ * Each destination row is covered by the words firstWord..lastWord. The
+ * edge words are stored through leftMask and rightMask and the words
+ * between them are stored whole. Unless the skew (the bit offset between
+ * source and destination) is known to be zero, each source word is
+ * rotated by the skew as it is loaded, so the word lined up with a
+ * destination word is (carry & mergeMask) | (next & ~mergeMask), and each
+ * rotated word is loaded once and carried to the next destination word.
+ * Loads at the row edges are clamped to the source words the row reads.
+ *
+ * @param {Object} ctx - Front end context
+ * @returns {Object[]} - IR statements
+ */
+function buildWordCopy(ctx) {
+  const c = constant;
+  const srcX = toBits(ctx, param("srcX"));
+  const dstX = toBits(ctx, param("dstX"));
+  const width = toBits(ctx, param("width"));
+  const lastX = sub(add(dstX, width), c(1));
+  const stmts = [];
+
+  if (!ctx.known("width")) {
+    stmts.push(comment("An empty row would have no edge words"));
+    stmts.push(ifThen(leS(param("width"), c(0)), [ret()]));
+  }
+
+  stmts.push(comment("Words covered by each destination row and the edge masks"));
+  stmts.push(define("firstWord", shrU(dstX, c(5))));
+  stmts.push(define("lastWord", shrU(lastX, c(5))));
+  stmts.push(define("leftMask", shl(c(-1), and(dstX, c(31)))));
+  stmts.push(
+    define("rightMask", shrU(c(-1), sub(c(31), and(lastX, c(31)))))
+  );
+
+  // The skew is known when both x coordinates are compiled in, or when
+  // the code is specialized for an alignment class
+  if (ctx.known("srcX") && ctx.known("dstX")) {
+    ctx.skew = (ctx.srcX * ctx.depth - ((ctx.dstX * ctx.depth) & 31)) & 31;
+  } else if (!ctx.known("skew")) {
+    ctx.skew = null;
+  }
+  ctx.skewed = ctx.skew !== 0;
+
+  if (ctx.usesSource) {
+    stmts.push(
+      comment("Source bit that lines up with the first destination word's bit 0")
+    );
+    stmts.push(define("srcBitStart", sub(srcX, and(dstX, c(31)))));
+    stmts.push(
+      define(
+        "srcWordOffset",
+        sub(shrS(local("srcBitStart"), c(5)), local("firstWord"))
+      )
+    );
+
+    if (ctx.skewed) {
+      stmts.push(comment("The source words the row reads"));
+      stmts.push(define("srcFirstWord", shrU(srcX, c(5))));
+      stmts.push(
+        define("srcLastWord", shrU(sub(add(srcX, width), c(1)), c(5)))
+      );
+      stmts.push(
+        define(
+          "skew",
+          ctx.skew === null ? and(local("srcBitStart"), c(31)) : c(ctx.skew)
+        )
+      );
+      stmts.push(define("mergeMask", shrU(c(-1), local("skew"))));
+      if (ctx.useSIMD) {
+        stmts.push(define("vecMergeMask", splat(local("mergeMask"))));
+      }
+    }
+  }
+
+  const rowBody = [...rowStart(ctx, local("y"))];
+  if (ctx.usesSource) {
+    rowBody.push(
+      define(
+        "srcRowStart",
+        mul(local("srcYPos"), local("srcWidthInUint32"))
+      )
+    );
+    rowBody.push(
+      define("srcRow", add(local("srcRowStart"), local("srcWordOffset")))
+    );
+  }
+  rowBody.push(
+    define("dstRow", mul(local("dstYPos"), local("dstWidthInUint32")))
+  );
+  if (ctx.usesSource && ctx.halftoneHeight && ctx.useSIMD) {
+    rowBody.push(define("vecHalftone", splat(local("halftoneRow"))));
+  }
+
+  // Rows that fit in one word are decided at compile time when possible
+  const singleWord = () => [
+    comment("The row fits in a single word"),
+    ...carriedWords(ctx),
+    define("word", local("firstWord"), true),
+    define("mask", and(local("leftMask"), local("rightMask"))),
+    ...storeEdgeWord(ctx, local("mask"), [
+      loadSource(ctx, "carry", 0, "srcFirstWord"),
+      loadSource(ctx, "next", 1, "srcLastWord"),
+    ]),
+  ];
+
+  if (ctx.singleWordRows || ctx.widthClass === "single") {
+    rowBody.push(...singleWord());
+  } else if (ctx.widthClass === "multi") {
+    rowBody.push(...multipleWords(ctx));
+  } else if (ctx.known("dstX") && ctx.known("width")) {
+    const first = (ctx.dstX * ctx.depth) >>> 5;
+    const last = ((ctx.dstX + ctx.width) * ctx.depth - 1) >>> 5;
+    rowBody.push(...(first === last ? singleWord() : multipleWords(ctx)));
+  } else {
+    rowBody.push(
+      ifThen(
+        eq(local("firstWord"), local("lastWord")),
+        singleWord(),
+        multipleWords(ctx)
+      )
+    );
+  }
+
+  stmts.push(comment("Iterate through each row"));
+  stmts.push(countedLoop("y", param("height"), ctx.reverseRows, rowBody));
+
+  return stmts;
+}
+
+/**
+ * Define the rotated source words carried from one destination word to
+ * the next
+ * @param {Object} ctx - Front end context
+ * @returns {Object[]} - IR statements
+ */
+function carriedWords(ctx) {
+  if (!ctx.usesSource || !ctx.skewed) {
+    return [];
+  }
+  return [define("carry", constant(0), true), define("next", constant(0), true)];
+}
+
+/**
+ * The source word index lined up with destination word `word`
+ * @param {number} offset - 0, or 1 for the following source word
+ * @returns {Object} - IR expression
+ */
+function sourceIndex(offset) {
+  const index = add(local("srcRow"), local("word"));
+  return offset ? add(index, constant(offset)) : index;
+}
+
+/**
+ * Load a source word into a carried variable, rotated by the skew
+ * @param {Object} ctx - Front end context
+ * @param {string} name - "carry" or "next"
+ * @param {number} offset - 0, or 1 for the following source word
+ * @param {string|null} clamp - "srcFirstWord" or "srcLastWord" to keep the
+ *   index inside the words the row reads
+ * @returns {Object[]} - IR statements
+ */
+function loadSource(ctx, name, offset, clamp = null) {
+  if (!ctx.usesSource || !ctx.skewed) {
+    return [];
+  }
+
+  let index = sourceIndex(offset);
+  if (clamp) {
+    const bound = add(local("srcRowStart"), local(clamp));
+    index =
+      clamp === "srcFirstWord"
+        ? select(gtS(index, bound), index, bound)
+        : select(ltS(index, bound), index, bound);
+  }
+
+  return [
+    assign(name, load("src", index)),
+    assign(name, rotl(local(name), sub(constant(32), local("skew")))),
+  ];
+}
+
+/**
+ * The source word lined up with destination word `word`, masked by the
+ * halftone
+ * @param {Object} ctx - Front end context
+ * @returns {Object} - IR expression
+ */
+function alignedSourceWord(ctx) {
+  let srcWord = ctx.skewed
+    ? or(
+        and(local("carry"), local("mergeMask")),
+        and(local("next"), not(local("mergeMask")))
+      )
+    : load("src", sourceIndex(0));
+  if (ctx.halftoneHeight) {
+    srcWord = and(srcWord, local("halftoneRow"));
+  }
+  return srcWord;
+}
+
+/**
+ * Combine the source into destination word `word`
+ * @param {Object} ctx - Front end context
+ * @param {Object|null} mask - Edge mask, or null to store the whole word
+ * @returns {Object[]} - IR statements
+ */
+function storeWord(ctx, mask) {
+  const stmts = [];
+  const dstIndex = add(local("dstRow"), local("word"));
+
+  if (ctx.usesSource) {
+    stmts.push(define("srcWord", alignedSourceWord(ctx)));
+  }
+  if (mask !== null || ctx.usesDestination) {
+    stmts.push(define("dstWord", load("dst", dstIndex)));
+  }
+
+  let result = combine(ctx.rule, local("srcWord"), local("dstWord"));
+  if (mask !== null) {
+    // (dstWord & ~mask) | (result & mask)
+    result = or(and(local("dstWord"), not(mask)), and(result, mask));
+  }
+  stmts.push(store("dst", dstIndex, result));
+
+  return stmts;
+}
+
+/**
+ * Load the source words for an edge word, then store it through a mask
+ * @param {Object} ctx - Front end context
+ * @param {Object} mask - Edge mask
+ * @param {Object[][]} loads - Source loads to run first
+ * @returns {Object[]} - IR statements
+ */
+function storeEdgeWord(ctx, mask, loads) {
+  return [...loads.flat(), ...storeWord(ctx, mask)];
+}
+
+/**
+ * Statements for a row spanning several words: the edge words, groups of
+ * four middle words when SIMD is enabled, and the remaining middle words
+ * @param {Object} ctx - Front end context
+ * @returns {Object[]} - IR statements
+ */
+function multipleWords(ctx) {
+  const reverse = ctx.reverseColumns;
+  const carrying = ctx.usesSource && ctx.skewed;
+  const stmts = [];
+
+  // Walk the words right-to-left for backward (overlapping) copies
+  const edges = reverse
+    ? {
+        start: "lastWord",
+        end: "firstWord",
+        startMask: "rightMask",
+        endMask: "leftMask",
+        // The start word reads its own source word and the one after it
+        startLoads: [
+          loadSource(ctx, "next", 1, "srcLastWord"),
+          loadSource(ctx, "carry", 0),
+        ],
+        endLoads: [loadSource(ctx, "carry", 0, "srcFirstWord")],
+        middleLoads: [loadSource(ctx, "carry", 0)],
+        handOff: assign("next", local("carry")),
+      }
+    : {
+        start: "firstWord",
+        end: "lastWord",
+        startMask: "leftMask",
+        endMask: "rightMask",
+        startLoads: [
+          loadSource(ctx, "carry", 0, "srcFirstWord"),
+          loadSource(ctx, "next", 1),
+        ],
+        endLoads: [loadSource(ctx, "next", 1, "srcLastWord")],
+        middleLoads: [loadSource(ctx, "next", 1)],
+        handOff: assign("carry", local("next")),
+      };
+  const step = reverse ? -1 : 1;
+
+  stmts.push(...carriedWords(ctx));
+  stmts.push(comment(reverse ? "Right edge" : "Left edge"));
+  stmts.push(define("word", local(edges.start), true));
+  stmts.push(
+    block(storeEdgeWord(ctx, local(edges.startMask), edges.startLoads))
+  );
+  if (carrying) {
+    stmts.push(edges.handOff);
+  }
+  stmts.push(assign("word", add(local(edges.start), constant(step))));
+
+  if (ctx.useSIMD) {
+    stmts.push(...vectorWords(ctx));
+  }
+
+  stmts.push(comment("Whole words between the edges"));
+  const middle = [...edges.middleLoads.flat(), ...storeWord(ctx, null)];
+  if (carrying) {
+    middle.push(edges.handOff);
+  }
+  stmts.push(loop("word", null, ne(local("word"), local(edges.end)), step, middle));
+
+  stmts.push(comment(reverse ? "Left edge" : "Right edge"));
+  stmts.push(block(storeEdgeWord(ctx, local(edges.endMask), edges.endLoads)));
+
+  return stmts;
+}
+
+/**
+ * Statements that copy middle words four at a time with v128 operations.
+ * The scalar loop finishes what is left, so the word it carries is
+ * reloaded afterwards.
+ * @param {Object} ctx - Front end context
+ * @returns {Object[]} - IR statements
+ */
+function vectorWords(ctx) {
+  const c = constant;
+  const reverse = ctx.reverseColumns;
+  const v = "v128";
+
+  // The lowest of the four words
+  const base = reverse ? sub(local("word"), c(3)) : local("word");
+  const remaining = reverse
+    ? sub(local("word"), local("firstWord"))
+    : sub(local("lastWord"), local("word"));
+
+  const body = [];
+  if (ctx.usesSource) {
+    const srcIndex = add(local("srcRow"), base);
+    let srcVec = load("src", srcIndex, v);
+    if (ctx.skewed) {
+      // (words >>> skew) | ((next words << (32 - skew)) & ~mergeMask)
+      srcVec = or(
+        shrU(srcVec, local("skew"), v),
+        andNot(
+          shl(load("src", srcIndex, v, 1), sub(c(32), local("skew")), v),
+          local("vecMergeMask"),
+          v
+        ),
+        v
+      );
+    }
+    if (ctx.halftoneHeight) {
+      srcVec = and(srcVec, local("vecHalftone"), v);
+    }
+    body.push(define("vecSrc", srcVec));
+  }
+
+  const dstIndex = add(local("dstRow"), base);
+  if (ctx.usesDestination) {
+    body.push(define("vecDst", load("dst", dstIndex, v)));
+  }
+  body.push(
+    store("dst", dstIndex, combine(ctx.rule, local("vecSrc"), local("vecDst"), v), v)
+  );
+
+  const stmts = [
+    comment("Groups of four whole words"),
+    loop("word", null, geS(remaining, c(4)), reverse ? -4 : 4, body),
+  ];
+
+  if (ctx.usesSource && ctx.skewed) {
+    stmts.push(
+      ...(reverse ? loadSource(ctx, "next", 1) : loadSource(ctx, "carry", 0))
+    );
+  }
+
+  return stmts;
+}
+
+/**
+ * Cache key parts for the parameters that pattern detection sets
+ * @param {Object} params - Compile parameters
+ * @returns {string[]} - Key parts
+ */
+function getPatternCacheKeys(params) {
+  const keyParts = [];
+  if (params.noop) keyParts.push("nop");
+  if (params.sourceRowPeriod) keyParts.push(`rp${params.sourceRowPeriod}`);
+  if (params.singleWordRows) keyParts.push("swr");
+  return keyParts;
+}
+
+module.exports = {
+  buildBitBLTProgram,
+  getPatternCacheKeys,
+};
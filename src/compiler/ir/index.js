@@ -0,0 +1,23 @@
+/**
+ * BitBLT Intermediate Representation
+ *
+ * The front end turns compile parameters into an IR program, the
+ * optimization passes simplify it, and the backends lower it to
+ * JavaScript source or a WebAssembly function body.
+ */
+
+const nodes = require("./nodes");
+const { buildBitBLTProgram, getPatternCacheKeys } = require("./front-end");
+const { lowerToJavaScript } = require("./js-backend");
+const { lowerToWasm } = require("./wasm-backend");
+const { optimizeProgram, getPassCacheKeys } = require("./passes");
+
+module.exports = {
+  ...nodes,
+  buildBitBLTProgram,
+  getPatternCacheKeys,
+  optimizeProgram,
+  getPassCacheKeys,
+  lowerToJavaScript,
+  lowerToWasm,
+};
@@ -0,0 +1,307 @@
+/**
+ * BitBLT IR JavaScript Backend
+ *
+ * Lowers an IR program to the source text of a JavaScript function named
+ * generatedBitBLT. Buffers are Uint32Arrays, so loads and stores become
+ * element accesses.
+ */
+
+const { ruleExpression } = require("../combination-rules");
+const { BUFFERS } = require("./nodes");
+
+/**
+ * JavaScript operators and their precedence
+ */
+const OPERATORS = {
+  mul: ["*", 13],
+  div_u: ["/", 13],
+  rem_u: ["%", 13],
+  add: ["+", 12],
+  sub: ["-", 12],
+  shl: ["<<", 11],
+  shr_u: [">>>", 11],
+  shr_s: [">>", 11],
+  lt_s: ["<", 10],
+  le_s: ["<=", 10],
+  gt_s: [">", 10],
+  ge_s: [">=", 10],
+  eq: ["===", 9],
+  ne: ["!==", 9],
+  and: ["&", 8],
+  xor: ["^", 7],
+  or: ["|", 6],
+};
+
+/**
+ * Operators that are parenthesized inside each other for readability, even
+ * where precedence would not require it
+ */
+const BITWISE = new Set(["shl", "shr_u", "shr_s", "and", "or", "xor"]);
+
+/**
+ * Comments for the function's parameters
+ */
+const PARAMETER_COMMENTS = {
+  srcBuffer: "source pixel buffer (Uint32Array with 32 pixels per element)",
+  srcWidth: "width of source buffer in pixels (not Uint32 elements)",
+  srcHeight: "height of source buffer",
+  srcX: "x coordinate in source",
+  srcY: "y coordinate in source",
+  dstBuffer: "destination pixel buffer (Uint32Array with 32 pixels per element)",
+  dstWidth: "width of destination buffer in pixels (not Uint32 elements)",
+  dstX: "x coordinate in destination",
+  dstY: "y coordinate in destination",
+  width: "width of region to copy in pixels",
+  height: "height of region to copy in pixels",
+  halftone:
+    "halftone mask, one word per row (only read when compiled with halftoneHeight)",
+};
+
+/**
+ * Lower an IR program to JavaScript
+ *
+ * @param {Object} program - IR program
+ * @returns {string} - Source of the function generatedBitBLT
+ */
+function lowerToJavaScript(program) {
+  const code = ["function generatedBitBLT("];
+
+  // One parameter per line, with its comment lined up after it
+  program.params.forEach((name, i) => {
+    const last = i === program.params.length - 1;
+    const text = `  ${name}${last ? "" : ","}`;
+    code.push(`${text.padEnd(16)}// ${PARAMETER_COMMENTS[name]}`);
+  });
+  code.push(") {");
+
+  lowerStatements(program.body, code, "  ");
+
+  code.push("}");
+  return code.join("\n");
+}
+
+/**
+ * Lower a list of statements
+ * @param {Object[]} statements - IR statements
+ * @param {string[]} code - Lines to append to
+ * @param {string} indent - Current indentation
+ */
+function lowerStatements(statements, code, indent) {
+  for (const statement of statements) {
+    lowerStatement(statement, code, indent);
+  }
+}
+
+/**
+ * Lower a statement
+ * @param {Object} node - IR statement
+ * @param {string[]} code - Lines to append to
+ * @param {string} indent - Current indentation
+ */
+function lowerStatement(node, code, indent) {
+  const inner = `${indent}  `;
+
+  switch (node.kind) {
+    case "comment":
+      code.push(`${indent}// ${node.text}`);
+      break;
+
+    case "let":
+      code.push(
+        `${indent}${node.mutable ? "let" : "const"} ${node.name} = ${expression(node.value)};`
+      );
+      break;
+
+    case "assign":
+      code.push(`${indent}${node.name} = ${expression(node.value)};`);
+      break;
+
+    case "store":
+      checkType(node);
+      code.push(
+        `${indent}${BUFFERS[node.buffer]}[${expression(node.index)}] = ${expression(node.value)};`
+      );
+      break;
+
+    case "loop": {
+      const v = node.variable;
+      const init = node.init === null ? "" : `let ${v} = ${expression(node.init)}`;
+      let step;
+      if (node.step === 1) step = `${v}++`;
+      else if (node.step === -1) step = `${v}--`;
+      else if (node.step < 0) step = `${v} -= ${-node.step}`;
+      else step = `${v} += ${node.step}`;
+
+      code.push(`${indent}for (${init}; ${expression(node.cond)}; ${step}) {`);
+      lowerStatements(node.body, code, inner);
+      code.push(`${indent}}`);
+      break;
+    }
+
+    case "if":
+      code.push(`${indent}if (${expression(node.cond)}) {`);
+      lowerStatements(node.then, code, inner);
+      if (node.otherwise.length > 0) {
+        code.push(`${indent}} else {`);
+        lowerStatements(node.otherwise, code, inner);
+      }
+      code.push(`${indent}}`);
+      break;
+
+    case "block":
+      code.push(`${indent}{`);
+      lowerStatements(node.body, code, inner);
+      code.push(`${indent}}`);
+      break;
+
+    case "return":
+      code.push(`${indent}return;`);
+      break;
+
+    default:
+      throw new Error(`Unknown IR statement: ${node.kind}`);
+  }
+}
+
+/**
+ * Reject v128 nodes, which have no JavaScript lowering
+ * @param {Object} node - IR node
+ */
+function checkType(node) {
+  if (node.type === "v128") {
+    throw new Error("The JavaScript backend does not support v128 operations");
+  }
+}
+
+/**
+ * Lower an expression
+ * @param {Object} node - IR expression
+ * @returns {string} - JavaScript expression
+ */
+function expression(node) {
+  switch (node.kind) {
+    case "const":
+      return `${node.value}`;
+
+    case "param":
+    case "local":
+      return node.name;
+
+    case "binary":
+      return binaryExpression(node);
+
+    case "not":
+      checkType(node);
+      return `~${operand(node.value)}`;
+
+    case "load": {
+      checkType(node);
+      const index = node.offset
+        ? `${expression(node.index)} + ${node.offset}`
+        : expression(node.index);
+      return `${BUFFERS[node.buffer]}[${index}]`;
+    }
+
+    case "splat":
+      // Splats are always v128, so this throws
+      checkType(node);
+      break;
+
+    case "select":
+      // Every binary operator binds more tightly than the conditional
+      return `${expression(node.cond)} ? ${expression(node.then)} : ${expression(node.otherwise)}`;
+
+    case "combine":
+      checkType(node);
+      return ruleExpression(node.rule, operand(node.src), operand(node.dst));
+
+    default:
+      throw new Error(`Unknown IR expression: ${node.kind}`);
+  }
+}
+
+/**
+ * Lower an expression used as an operand, parenthesizing it unless it is
+ * a single term
+ * @param {Object} node - IR expression
+ * @returns {string} - JavaScript expression
+ */
+function operand(node) {
+  const text = expression(node);
+  return ["binary", "select"].includes(node.kind) ? `(${text})` : text;
+}
+
+/**
+ * Lower a binary operation, adding parentheses where precedence requires
+ * them and around bitwise operations nested in other bitwise operations
+ * @param {Object} node - IR binary expression
+ * @returns {string} - JavaScript expression
+ */
+function binaryExpression(node) {
+  checkType(node);
+  const left = expression(node.left);
+
+  switch (node.op) {
+    case "div_u":
+      return `Math.floor(${left} / ${operand(node.right)})`;
+    case "andnot":
+      return `${operand(node.left)} & ~${operand(node.right)}`;
+    case "rotl": {
+      const value = operand(node.left);
+      const count = operand(node.right);
+      // Rotating left by 32 - n is rotating right by n
+      const { right } = node;
+      let complement = `(32 - ${count})`;
+      if (right.kind === "const") {
+        complement = `${(32 - right.value) & 31}`;
+      } else if (
+        right.kind === "binary" &&
+        right.op === "sub" &&
+        right.left.kind === "const" &&
+        right.left.value === 32
+      ) {
+        complement = operand(right.right);
+      }
+      return `(${value} << ${count}) | (${value} >>> ${complement})`;
+    }
+  }
+
+  const [operator] = OPERATORS[node.op];
+  return `${child(node, node.left, false)} ${operator} ${child(node, node.right, true)}`;
+}
+
+/**
+ * Lower an operand of a binary operation
+ * @param {Object} parent - IR binary expression
+ * @param {Object} node - The operand
+ * @param {boolean} right - Whether it is the right operand
+ * @returns {string} - JavaScript expression
+ */
+function child(parent, node, right) {
+  const text = expression(node);
+  if (node.kind === "select") {
+    return `(${text})`;
+  }
+  if (node.kind !== "binary" || node.op === "div_u") {
+    // Single terms and calls
+    return text;
+  }
+  if (!OPERATORS[node.op]) {
+    // Rotations and masked operands
+    return `(${text})`;
+  }
+
+  const [, precedence] = OPERATORS[node.op];
+  const [, parentPrecedence] = OPERATORS[parent.op];
+  const needed =
+    precedence < parentPrecedence ||
+    (precedence === parentPrecedence && right) ||
+    (BITWISE.has(parent.op) && !BITWISE.has(node.op)) ||
+    (BITWISE.has(node.op) && BITWISE.has(parent.op) && node.op !== parent.op);
+
+  return needed ? `(${text})` : text;
+}
+
+module.exports = {
+  lowerToJavaScript,
+};
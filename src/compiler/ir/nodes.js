@@ -0,0 +1,322 @@
+/**
+ * BitBLT IR Nodes
+ *
+ * The BitBLT intermediate representation is a small tree of statements and
+ * expressions over 32-bit words (and, for SIMD, 128-bit vectors of four
+ * words). The front end builds it from compile parameters and each backend
+ * lowers it to its target. All expressions are free of side effects, so a
+ * backend may evaluate one more than once.
+ *
+ * Expressions:
+ *   const, param, local, binary, not, load, splat, select, combine
+ * Statements:
+ *   comment, let, assign, store, loop, if, block, return
+ */
+
+/**
+ * Parameters of every generated BitBLT function, in order. Buffer
+ * parameters are Uint32Arrays in JavaScript and element offsets into
+ * memory in WebAssembly.
+ */
+const PARAMETERS = [
+  "srcBuffer",
+  "srcWidth",
+  "srcHeight",
+  "srcX",
+  "srcY",
+  "dstBuffer",
+  "dstWidth",
+  "dstX",
+  "dstY",
+  "width",
+  "height",
+  "halftone",
+];
+
+/**
+ * Buffer names used by load and store nodes, mapped to their parameters
+ */
+const BUFFERS = {
+  src: "srcBuffer",
+  dst: "dstBuffer",
+  halftone: "halftone",
+};
+
+// Expressions
+
+/**
+ * An i32 constant
+ * @param {number} value - The constant
+ * @returns {Object} - IR expression
+ */
+function constant(value) {
+  return { kind: "const", value: value | 0 };
+}
+
+/**
+ * A function parameter
+ * @param {string} name - One of PARAMETERS
+ * @returns {Object} - IR expression
+ */
+function param(name) {
+  return { kind: "param", name };
+}
+
+/**
+ * A local variable
+ * @param {string} name - Variable name
+ * @returns {Object} - IR expression
+ */
+function local(name) {
+  return { kind: "local", name };
+}
+
+/**
+ * A binary operation
+ *
+ * Operators: add, sub, mul, div_u, rem_u, and, or, xor, andnot, shl,
+ * shr_u, shr_s, rotl, eq, ne, lt_s, le_s, gt_s, ge_s. Comparisons are only
+ * used as conditions. For v128 operations the right operand of a shift is
+ * an i32 shift count.
+ *
+ * @param {string} op - Operator
+ * @param {Object} left - Left operand
+ * @param {Object} right - Right operand
+ * @param {string} type - "i32" or "v128"
+ * @returns {Object} - IR expression
+ */
+function binary(op, left, right, type = "i32") {
+  return { kind: "binary", op, left, right, type };
+}
+
+/**
+ * Bitwise complement
+ * @param {Object} value - Operand
+ * @param {string} type - "i32" or "v128"
+ * @returns {Object} - IR expression
+ */
+function not(value, type = "i32") {
+  return { kind: "not", value, type };
+}
+
+/**
+ * Load a word (or four words for v128) from a buffer
+ * @param {string} buffer - "src", "dst" or "halftone"
+ * @param {Object} index - Element index within the buffer
+ * @param {string} type - "i32" or "v128"
+ * @param {number} offset - Constant number of elements added to the index
+ * @returns {Object} - IR expression
+ */
+function load(buffer, index, type = "i32", offset = 0) {
+  return { kind: "load", buffer, index, type, offset };
+}
+
+/**
+ * Repeat an i32 in all four lanes of a v128
+ * @param {Object} value - The i32 to repeat
+ * @returns {Object} - IR expression
+ */
+function splat(value) {
+  return { kind: "splat", value, type: "v128" };
+}
+
+/**
+ * Choose between two i32 values
+ * @param {Object} cond - Condition
+ * @param {Object} then - Value when the condition holds
+ * @param {Object} otherwise - Value when it does not
+ * @returns {Object} - IR expression
+ */
+function select(cond, then, otherwise) {
+  return { kind: "select", cond, then, otherwise };
+}
+
+/**
+ * Apply a combination rule to a source and a destination value
+ * @param {number} rule - Combination rule (0-15)
+ * @param {Object} src - Source operand
+ * @param {Object} dst - Destination operand
+ * @param {string} type - "i32" or "v128"
+ * @returns {Object} - IR expression
+ */
+function combine(rule, src, dst, type = "i32") {
+  return { kind: "combine", rule, src, dst, type };
+}
+
+// Statements
+
+/**
+ * A comment, kept by backends that emit source text
+ * @param {string} text - Comment text
+ * @returns {Object} - IR statement
+ */
+function comment(text) {
+  return { kind: "comment", text };
+}
+
+/**
+ * Define a local variable
+ * @param {string} name - Variable name
+ * @param {Object} value - Initial value
+ * @param {boolean} mutable - Whether the variable is assigned again later
+ * @returns {Object} - IR statement
+ */
+function define(name, value, mutable = false) {
+  return { kind: "let", name, value, mutable };
+}
+
+/**
+ * Assign to a mutable local variable
+ * @param {string} name - Variable name
+ * @param {Object} value - New value
+ * @returns {Object} - IR statement
+ */
+function assign(name, value) {
+  return { kind: "assign", name, value };
+}
+
+/**
+ * Store a word (or four words for v128) into a buffer
+ * @param {string} buffer - "src", "dst" or "halftone"
+ * @param {Object} index - Element index within the buffer
+ * @param {Object} value - Value to store
+ * @param {string} type - "i32" or "v128"
+ * @returns {Object} - IR statement
+ */
+function store(buffer, index, value, type = "i32") {
+  return { kind: "store", buffer, index, value, type };
+}
+
+/**
+ * A loop: `for (variable = init; cond; variable += step) body`
+ * @param {string} variable - Loop variable
+ * @param {Object|null} init - Initial value, or null to continue with the
+ *   variable's current value (it must then be defined as mutable)
+ * @param {Object} cond - Condition checked before each iteration
+ * @param {number} step - Constant added after each iteration
+ * @param {Object[]} body - Loop body
+ * @returns {Object} - IR statement
+ */
+function loop(variable, init, cond, step, body) {
+  return { kind: "loop", variable, init, cond, step, body };
+}
+
+/**
+ * A conditional
+ * @param {Object} cond - Condition
+ * @param {Object[]} then - Statements when the condition holds
+ * @param {Object[]} otherwise - Statements when it does not
+ * @returns {Object} - IR statement
+ */
+function ifThen(cond, then, otherwise = []) {
+  return { kind: "if", cond, then, otherwise };
+}
+
+/**
+ * A nested scope, so names can be defined again in sibling blocks
+ * @param {Object[]} body - Statements
+ * @returns {Object} - IR statement
+ */
+function block(body) {
+  return { kind: "block", body };
+}
+
+/**
+ * Return from the function
+ * @returns {Object} - IR statement
+ */
+function ret() {
+  return { kind: "return" };
+}
+
+/**
+ * Create a program: the body of a BitBLT function
+ * @param {Object[]} body - Statements
+ * @returns {Object} - IR program
+ */
+function program(body) {
+  return { kind: "program", params: PARAMETERS, body };
+}
+
+// Shorthands for the binary operators used by the front end
+const add = (a, b) => binary("add", a, b);
+const sub = (a, b) => binary("sub", a, b);
+const mul = (a, b) => binary("mul", a, b);
+const divU = (a, b) => binary("div_u", a, b);
+const remU = (a, b) => binary("rem_u", a, b);
+const and = (a, b, type) => binary("and", a, b, type);
+const or = (a, b, type) => binary("or", a, b, type);
+const andNot = (a, b, type) => binary("andnot", a, b, type);
+const shl = (a, b, type) => binary("shl", a, b, type);
+const shrU = (a, b, type) => binary("shr_u", a, b, type);
+const shrS = (a, b) => binary("shr_s", a, b);
+const rotl = (a, b) => binary("rotl", a, b);
+const eq = (a, b) => binary("eq", a, b);
+const ne = (a, b) => binary("ne", a, b);
+const ltS = (a, b) => binary("lt_s", a, b);
+const leS = (a, b) => binary("le_s", a, b);
+const gtS = (a, b) => binary("gt_s", a, b);
+const geS = (a, b) => binary("ge_s", a, b);
+
+/**
+ * Get the type of an expression
+ * @param {Object} node - IR expression
+ * @param {Map<string, string>} locals - Types of the locals defined so far
+ * @returns {string} - "i32" or "v128"
+ */
+function typeOf(node, locals) {
+  switch (node.kind) {
+    case "local":
+      return locals.get(node.name) || "i32";
+    case "binary":
+    case "not":
+    case "load":
+    case "splat":
+    case "combine":
+      return node.type;
+    default:
+      return "i32";
+  }
+}
+
+module.exports = {
+  PARAMETERS,
+  BUFFERS,
+  constant,
+  param,
+  local,
+  binary,
+  not,
+  load,
+  splat,
+  select,
+  combine,
+  comment,
+  define,
+  assign,
+  store,
+  loop,
+  ifThen,
+  block,
+  ret,
+  program,
+  add,
+  sub,
+  mul,
+  divU,
+  remU,
+  and,
+  or,
+  andNot,
+  shl,
+  shrU,
+  shrS,
+  rotl,
+  eq,
+  ne,
+  ltS,
+  leS,
+  gtS,
+  geS,
+  typeOf,
+};
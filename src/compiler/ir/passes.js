@@ -0,0 +1,747 @@
+/**
+ * BitBLT IR Optimization Passes
+ *
+ * Each pass takes an IR program and the compile parameters and returns a
+ * new program; none of them modify their input. optimizeProgram runs the
+ * passes that are switched on, so the effect of each one can be measured
+ * by switching it off in config.compiler:
+ *
+ *   removeAlignedEdgeMasks - store whole words at row edges that are aligned
+ *   foldConstants          - fold known parameters and constant expressions
+ *   strengthReduction      - turn multiplies, divides and remainders by
+ *                            powers of two into shifts and masks
+ *   hoistInvariants        - compute loop-invariant expressions (such as row
+ *                            base addresses) before the loop
+ */
+
+const {
+  ruleUsesSource,
+  ruleUsesDestination,
+} = require("../combination-rules");
+const { getAlignmentClass } = require("../specialization");
+const { constant, local, binary, define, block } = require("./nodes");
+
+// Traversal
+
+/**
+ * Rebuild an expression bottom-up
+ * @param {Object} node - IR expression
+ * @param {Function} fn - Called with each rebuilt node, returns its replacement
+ * @returns {Object} - The new expression
+ */
+function mapExpression(node, fn) {
+  const map = (child) => mapExpression(child, fn);
+
+  switch (node.kind) {
+    case "binary":
+      return fn({ ...node, left: map(node.left), right: map(node.right) });
+    case "not":
+    case "splat":
+      return fn({ ...node, value: map(node.value) });
+    case "load":
+      return fn({ ...node, index: map(node.index) });
+    case "select":
+      return fn({
+        ...node,
+        cond: map(node.cond),
+        then: map(node.then),
+        otherwise: map(node.otherwise),
+      });
+    case "combine":
+      // Operands the rule ignores are never evaluated, so they are skipped
+      return fn({
+        ...node,
+        src: ruleUsesSource(node.rule) ? map(node.src) : node.src,
+        dst: ruleUsesDestination(node.rule) ? map(node.dst) : node.dst,
+      });
+    default:
+      return fn(node);
+  }
+}
+
+/**
+ * Call a function for every expression directly inside a statement
+ * (not inside its nested statements)
+ * @param {Object} node - IR statement
+ * @param {Function} fn - Called with each expression
+ */
+function forEachExpression(node, fn) {
+  switch (node.kind) {
+    case "let":
+    case "assign":
+      fn(node.value);
+      break;
+    case "store":
+      fn(node.index);
+      fn(node.value);
+      break;
+    case "loop":
+      if (node.init !== null) fn(node.init);
+      fn(node.cond);
+      break;
+    case "if":
+      fn(node.cond);
+      break;
+  }
+}
+
+/**
+ * Rebuild the expressions directly inside a statement
+ * @param {Object} node - IR statement
+ * @param {Function} fn - Called with each expression, returns its replacement
+ * @returns {Object} - The new statement
+ */
+function mapStatementExpressions(node, fn) {
+  switch (node.kind) {
+    case "let":
+    case "assign":
+      return { ...node, value: fn(node.value) };
+    case "store":
+      return { ...node, index: fn(node.index), value: fn(node.value) };
+    case "loop":
+      return {
+        ...node,
+        init: node.init === null ? null : fn(node.init),
+        cond: fn(node.cond),
+      };
+    case "if":
+      return { ...node, cond: fn(node.cond) };
+    default:
+      return node;
+  }
+}
+
+/**
+ * Get the statement lists nested in a statement
+ * @param {Object} node - IR statement
+ * @returns {Object[][]} - Nested statement lists
+ */
+function nestedBodies(node) {
+  switch (node.kind) {
+    case "loop":
+    case "block":
+      return [node.body];
+    case "if":
+      return [node.then, node.otherwise];
+    default:
+      return [];
+  }
+}
+
+/**
+ * Rebuild every expression in a list of statements, including nested ones
+ * @param {Object[]} statements - IR statements
+ * @param {Function} fn - Called with each rebuilt expression node
+ * @returns {Object[]} - The new statements
+ */
+function mapAllExpressions(statements, fn) {
+  return statements.map((node) => {
+    const mapped = mapStatementExpressions(node, (e) => mapExpression(e, fn));
+    switch (node.kind) {
+      case "loop":
+      case "block":
+        return { ...mapped, body: mapAllExpressions(node.body, fn) };
+      case "if":
+        return {
+          ...mapped,
+          then: mapAllExpressions(node.then, fn),
+          otherwise: mapAllExpressions(node.otherwise, fn),
+        };
+      default:
+        return mapped;
+    }
+  });
+}
+
+/**
+ * Check whether an expression satisfies a predicate anywhere in its tree
+ * @param {Object} node - IR expression
+ * @param {Function} predicate - Called with each node
+ * @returns {boolean} - Whether any node satisfies the predicate
+ */
+function someNode(node, predicate) {
+  let found = false;
+  mapExpression(node, (n) => {
+    found = found || predicate(n);
+    return n;
+  });
+  return found;
+}
+
+/**
+ * Collect the names a list of statements defines, assigns or loops over,
+ * including nested statements
+ * @param {Object[]} statements - IR statements
+ * @param {Set<string>} names - Set to add the names to
+ * @returns {Set<string>} - The names
+ */
+function writtenNames(statements, names = new Set()) {
+  for (const node of statements) {
+    if (node.kind === "let" || node.kind === "assign") names.add(node.name);
+    if (node.kind === "loop") names.add(node.variable);
+    for (const body of nestedBodies(node)) writtenNames(body, names);
+  }
+  return names;
+}
+
+/**
+ * Check whether a list of statements contains a loop
+ * @param {Object[]} statements - IR statements
+ * @returns {boolean} - Whether any statement is or contains a loop
+ */
+function containsLoop(statements) {
+  return statements.some(
+    (node) => node.kind === "loop" || nestedBodies(node).some(containsLoop)
+  );
+}
+
+/**
+ * Check whether a value is a constant power of two
+ * @param {Object} node - IR expression
+ * @returns {boolean} - Whether it is a positive power-of-two constant
+ */
+function isPowerOfTwo(node) {
+  return (
+    node.kind === "const" && node.value > 0 && (node.value & (node.value - 1)) === 0
+  );
+}
+
+// Constant folding
+
+/**
+ * Parameters that may be replaced by their known values
+ */
+const FOLDABLE_PARAMETERS = [
+  "srcWidth",
+  "srcHeight",
+  "srcX",
+  "srcY",
+  "dstWidth",
+  "dstX",
+  "dstY",
+  "width",
+  "height",
+];
+
+/**
+ * Evaluate an i32 operator on constants, with WebAssembly semantics
+ * @param {string} op - Binary operator
+ * @param {number} a - Left operand
+ * @param {number} b - Right operand
+ * @returns {number|null} - The result, or null if it cannot be folded
+ */
+function evaluate(op, a, b) {
+  switch (op) {
+    case "add": return a + b;
+    case "sub": return a - b;
+    case "mul": return Math.imul(a, b);
+    case "div_u": return b === 0 ? null : Math.floor((a >>> 0) / (b >>> 0));
+    case "rem_u": return b === 0 ? null : (a >>> 0) % (b >>> 0);
+    case "and": return a & b;
+    case "or": return a | b;
+    case "xor": return a ^ b;
+    case "andnot": return a & ~b;
+    case "shl": return a << b;
+    case "shr_u": return a >>> b;
+    case "shr_s": return a >> b;
+    case "rotl": return (a << b) | (a >>> (32 - (b & 31)));
+    case "eq": return a === b ? 1 : 0;
+    case "ne": return a !== b ? 1 : 0;
+    case "lt_s": return a < b ? 1 : 0;
+    case "le_s": return a <= b ? 1 : 0;
+    case "gt_s": return a > b ? 1 : 0;
+    case "ge_s": return a >= b ? 1 : 0;
+    default: return null;
+  }
+}
+
+/**
+ * Simplify an i32 operation with one constant operand
+ * @param {Object} node - IR binary expression whose operands are folded
+ * @returns {Object} - The simplified expression, or the node itself
+ */
+function simplify(node) {
+  const { op, left, right } = node;
+  const l = left.kind === "const" ? left.value : null;
+  const r = right.kind === "const" ? right.value : null;
+
+  switch (op) {
+    case "add":
+      if (l === 0) return right;
+      if (r === 0) return left;
+      // x + -n reads better as x - n
+      if (r < 0 && r !== -0x80000000) return binary("sub", left, constant(-r));
+      break;
+    case "or":
+    case "xor":
+      if (l === 0) return right;
+      if (r === 0) return left;
+      break;
+    case "sub":
+    case "shl":
+    case "shr_u":
+    case "shr_s":
+    case "rotl":
+      if (r === 0) return left;
+      break;
+    case "mul":
+      if (l === 1) return right;
+      if (r === 1) return left;
+      if (l === 0 || r === 0) return constant(0);
+      break;
+    case "and":
+      if (l === -1) return right;
+      if (r === -1) return left;
+      if (l === 0 || r === 0) return constant(0);
+      break;
+  }
+
+  return node;
+}
+
+/**
+ * Fold an expression whose operands are already folded
+ * @param {Object} node - IR expression
+ * @returns {Object} - The folded expression
+ */
+function foldNode(node) {
+  if (node.type === "v128") {
+    return node;
+  }
+
+  switch (node.kind) {
+    case "binary": {
+      if (node.left.kind === "const" && node.right.kind === "const") {
+        const value = evaluate(node.op, node.left.value, node.right.value);
+        if (value !== null) return constant(value);
+      }
+      return simplify(node);
+    }
+    case "not":
+      if (node.value.kind === "const") return constant(~node.value.value);
+      if (node.value.kind === "not") return node.value.value;
+      return node;
+    case "select":
+      if (node.cond.kind === "const") {
+        return node.cond.value ? node.then : node.otherwise;
+      }
+      return node;
+    default:
+      return node;
+  }
+}
+
+/**
+ * Fold constants
+ *
+ * Known parameters become constants (when inlineConstants is set),
+ * operations on constants are evaluated, identities such as x + 0 and
+ * x & -1 are removed, and immutable locals whose value folds to a
+ * constant are replaced by it. Conditionals on constants keep only the
+ * branch that runs.
+ *
+ * @param {Object} program - IR program
+ * @param {Object} params - Compile parameters
+ * @returns {Object} - The folded program
+ */
+function foldConstants(program, params) {
+  const known = new Map();
+  if (params.inlineConstants) {
+    for (const name of FOLDABLE_PARAMETERS) {
+      if (params[name] !== undefined) known.set(name, params[name]);
+    }
+  }
+
+  const fold = (node, constants) =>
+    mapExpression(node, (n) => {
+      if (n.kind === "param" && known.has(n.name)) {
+        return constant(known.get(n.name));
+      }
+      if (n.kind === "local" && constants.has(n.name)) {
+        return constant(constants.get(n.name));
+      }
+      return foldNode(n);
+    });
+
+  // Constants are scoped like the locals they replace
+  const foldStatements = (statements, outer) => {
+    const constants = new Map(outer);
+    const result = [];
+
+    for (const node of statements) {
+      const folded = mapStatementExpressions(node, (e) => fold(e, constants));
+
+      switch (node.kind) {
+        case "let":
+          if (!node.mutable && folded.value.kind === "const") {
+            constants.set(node.name, folded.value.value);
+            continue;
+          }
+          constants.delete(node.name);
+          result.push(folded);
+          break;
+
+        case "if":
+          if (folded.cond.kind === "const") {
+            const taken = folded.cond.value ? node.then : node.otherwise;
+            result.push(block(foldStatements(taken, constants)));
+          } else {
+            result.push({
+              ...folded,
+              then: foldStatements(node.then, constants),
+              otherwise: foldStatements(node.otherwise, constants),
+            });
+          }
+          break;
+
+        case "loop":
+          constants.delete(node.variable);
+          result.push({ ...folded, body: foldStatements(node.body, constants) });
+          break;
+
+        case "block":
+          result.push({ ...folded, body: foldStatements(node.body, constants) });
+          break;
+
+        default:
+          result.push(folded);
+      }
+    }
+
+    return result;
+  };
+
+  return { ...program, body: foldStatements(program.body, new Map()) };
+}
+
+// Strength reduction
+
+/**
+ * Reduce the strength of operations by powers of two
+ *
+ * x * 2^k becomes x << k, x / 2^k becomes x >>> k and x % 2^k becomes
+ * x & (2^k - 1). Divisions and remainders are unsigned, so this is exact.
+ *
+ * @param {Object} program - IR program
+ * @returns {Object} - The reduced program
+ */
+function reduceStrength(program) {
+  const reduce = (node) => {
+    if (node.kind !== "binary" || node.type === "v128" || !isPowerOfTwo(node.right)) {
+      return node;
+    }
+
+    const shift = constant(Math.log2(node.right.value >>> 0));
+    switch (node.op) {
+      case "mul":
+        return binary("shl", node.left, shift);
+      case "div_u":
+        return binary("shr_u", node.left, shift);
+      case "rem_u":
+        return binary("and", node.left, constant(node.right.value - 1));
+      default:
+        return node;
+    }
+  };
+
+  return { ...program, body: mapAllExpressions(program.body, reduce) };
+}
+
+// Loop-invariant hoisting
+
+/**
+ * Hoist loop-invariant expressions
+ *
+ * Expressions inside an innermost loop that read no memory and no
+ * variable written in the loop are computed once, into a new local
+ * defined just before the loop. In the pixel loop this computes each
+ * row's base address once per row instead of once per pixel. Outer loops
+ * are left alone: their bodies run once per row, where the saving is
+ * small.
+ *
+ * @param {Object} program - IR program
+ * @returns {Object} - The program with invariants hoisted
+ */
+function hoistInvariants(program) {
+  let count = 0;
+
+  const hoistStatements = (statements) => {
+    const result = [];
+
+    for (const node of statements) {
+      const innermost =
+        node.kind === "loop" && !nestedBodies(node).some(containsLoop);
+      if (!innermost) {
+        const bodies = nestedBodies(node).map(hoistStatements);
+        if (node.kind === "if") {
+          result.push({ ...node, then: bodies[0], otherwise: bodies[1] });
+        } else if (bodies.length > 0) {
+          result.push({ ...node, body: bodies[0] });
+        } else {
+          result.push(node);
+        }
+        continue;
+      }
+
+      const variant = writtenNames(node.body, new Set([node.variable]));
+      const hoisted = new Map();
+
+      const isInvariant = (e) =>
+        !someNode(
+          e,
+          (n) =>
+            n.kind === "load" ||
+            (n.kind === "local" && variant.has(n.name)) ||
+            // Keep divisions by variables where they are, in case they trap
+            ((n.op === "div_u" || n.op === "rem_u") && n.right.kind !== "const")
+        );
+
+      // Replace each largest invariant expression by a hoisted local
+      const replace = (e) => {
+        if (["const", "param", "local"].includes(e.kind)) {
+          return e;
+        }
+        if (isInvariant(e)) {
+          const key = JSON.stringify(e);
+          if (!hoisted.has(key)) {
+            hoisted.set(key, define(`invariant${count++}`, e));
+          }
+          return local(hoisted.get(key).name);
+        }
+        return rebuildChildren(e, replace);
+      };
+
+      const rewrite = (stmts) =>
+        stmts.map((s) => {
+          const mapped = mapStatementExpressions(s, replace);
+          switch (s.kind) {
+            case "block":
+              return { ...mapped, body: rewrite(s.body) };
+            case "if":
+              return { ...mapped, then: rewrite(s.then), otherwise: rewrite(s.otherwise) };
+            default:
+              return mapped;
+          }
+        });
+
+      const loop = { ...node, cond: replace(node.cond), body: rewrite(node.body) };
+
+      result.push(...hoisted.values());
+      result.push(loop);
+    }
+
+    return result;
+  };
+
+  return { ...program, body: hoistStatements(program.body) };
+}
+
+/**
+ * Rebuild the direct children of an expression
+ * @param {Object} node - IR expression
+ * @param {Function} fn - Called with each child, returns its replacement
+ * @returns {Object} - The new expression
+ */
+function rebuildChildren(node, fn) {
+  switch (node.kind) {
+    case "binary":
+      return { ...node, left: fn(node.left), right: fn(node.right) };
+    case "not":
+    case "splat":
+      return { ...node, value: fn(node.value) };
+    case "load":
+      return { ...node, index: fn(node.index) };
+    case "select":
+      return {
+        ...node,
+        cond: fn(node.cond),
+        then: fn(node.then),
+        otherwise: fn(node.otherwise),
+      };
+    case "combine":
+      return { ...node, src: fn(node.src), dst: fn(node.dst) };
+    default:
+      return node;
+  }
+}
+
+// Edge masks
+
+/**
+ * Remove edge masks that select whole words
+ *
+ * The word-at-a-time body stores its edge words as
+ * (dstWord & ~mask) | (result & mask). When the left edge of the region
+ * is word-aligned leftMask is all ones, when its right edge is rightMask
+ * is, and when both are the single-word mask is too; those stores become
+ * plain stores of the result, and the destination loads they needed are
+ * removed when nothing else reads them. Which edges are aligned comes
+ * from the alignment class (see getAlignmentClass), so the pass also
+ * applies to code that takes its coordinates at run time.
+ *
+ * @param {Object} program - IR program
+ * @param {Object} params - Compile parameters
+ * @returns {Object} - The program without all-ones edge masks
+ */
+function removeAlignedEdgeMasks(program, params) {
+  if (!params.inlineConstants) {
+    return program;
+  }
+
+  // Specialized code carries the alignment of its edges in its alignment
+  // class; code for exact coordinates works it out from them
+  let edges = params;
+  if (params.leftAligned === undefined) {
+    if (params.dstX === undefined || params.width === undefined || params.width <= 0) {
+      return program;
+    }
+    edges = getAlignmentClass(params);
+  }
+  const { leftAligned, rightAligned } = edges;
+  const wholeWords = new Set();
+  if (leftAligned) wholeWords.add("leftMask");
+  if (rightAligned) wholeWords.add("rightMask");
+  if (leftAligned && rightAligned) wholeWords.add("mask");
+
+  // Match (dstWord & ~mask) | (result & mask) and keep the result
+  const unmask = (node) => {
+    if (node.kind !== "binary" || node.op !== "or") return node;
+    const { left, right } = node;
+    const isMask = (n) => n.kind === "local" && wholeWords.has(n.name);
+    if (
+      left.kind === "binary" &&
+      left.op === "and" &&
+      left.right.kind === "not" &&
+      isMask(left.right.value) &&
+      right.kind === "binary" &&
+      right.op === "and" &&
+      isMask(right.right) &&
+      right.right.name === left.right.value.name
+    ) {
+      return right.left;
+    }
+    return node;
+  };
+
+  const rewrite = (statements) =>
+    statements.map((node) => {
+      if (node.kind === "store") {
+        return { ...node, value: unmask(node.value) };
+      }
+      const bodies = nestedBodies(node).map(rewrite);
+      if (node.kind === "if") return { ...node, then: bodies[0], otherwise: bodies[1] };
+      if (bodies.length > 0) return { ...node, body: bodies[0] };
+      return node;
+    });
+
+  return { ...program, body: rewrite(program.body) };
+}
+
+// Dead definitions
+
+/**
+ * Check whether any of a list of statements reads a local
+ * @param {Object[]} statements - IR statements
+ * @param {string} name - Local name
+ * @returns {boolean} - Whether the local is read or assigned
+ */
+function readsName(statements, name) {
+  return statements.some((node) => {
+    let found =
+      (node.kind === "assign" && node.name === name) ||
+      (node.kind === "loop" && node.variable === name);
+    forEachExpression(node, (e) => {
+      found = found || someNode(e, (n) => n.kind === "local" && n.name === name);
+    });
+    return found || nestedBodies(node).some((body) => readsName(body, name));
+  });
+}
+
+/**
+ * Remove immutable locals that nothing reads
+ *
+ * A local is in scope for the statements after it in the same list, so it
+ * is unused when none of those read it. Loads have no side effects, so
+ * unused loads are removed too.
+ *
+ * @param {Object} program - IR program
+ * @returns {Object} - The program without unused definitions
+ */
+function removeUnusedDefinitions(program) {
+  const prune = (statements) => {
+    // Work backwards so that removing a local can leave its operands unused
+    const result = [];
+    for (let i = statements.length - 1; i >= 0; i--) {
+      const node = statements[i];
+      if (node.kind === "let" && !node.mutable && !readsName(result, node.name)) {
+        continue;
+      }
+      if (node.kind === "if") {
+        result.unshift({ ...node, then: prune(node.then), otherwise: prune(node.otherwise) });
+      } else if (node.kind === "loop" || node.kind === "block") {
+        result.unshift({ ...node, body: prune(node.body) });
+      } else {
+        result.unshift(node);
+      }
+    }
+    return result;
+  };
+
+  return { ...program, body: prune(program.body) };
+}
+
+// Pipeline
+
+/**
+ * The optimization passes, in the order they run, with the config.compiler
+ * option that switches each one and its cache key part when it is off
+ */
+const PASSES = [
+  { option: "removeAlignedEdgeMasks", key: "noem", run: removeAlignedEdgeMasks },
+  { option: "foldConstants", key: "nocf", run: foldConstants },
+  { option: "strengthReduction", key: "nosr", run: reduceStrength },
+  { option: "hoistInvariants", key: "nohi", run: hoistInvariants },
+];
+
+/**
+ * Run the optimization passes that are switched on (all of them unless an
+ * option is set to false)
+ *
+ * @param {Object} program - IR program
+ * @param {Object} params - Compile parameters and compiler options
+ * @returns {Object} - The optimized program
+ */
+function optimizeProgram(program, params) {
+  let optimized = program;
+
+  for (const pass of PASSES) {
+    if (params[pass.option] !== false) {
+      optimized = pass.run(optimized, params);
+    }
+  }
+
+  return removeUnusedDefinitions(optimized);
+}
+
+/**
+ * Get the cache key parts for the passes that are switched off
+ *
+ * @param {Object} params - Compile parameters and compiler options
+ * @returns {string[]} - One key part per disabled pass
+ */
+function getPassCacheKeys(params) {
+  return PASSES.filter((pass) => params[pass.option] === false).map(
+    (pass) => pass.key
+  );
+}
+
+module.exports = {
+  PASSES,
+  optimizeProgram,
+  getPassCacheKeys,
+  foldConstants,
+  reduceStrength,
+  hoistInvariants,
+  removeAlignedEdgeMasks,
+  removeUnusedDefinitions,
+};
@@ -0,0 +1,398 @@
+/**
+ * BitBLT IR WebAssembly Backend
+ *
+ * Lowers an IR program to a WebAssembly function body (locals and code).
+ * Buffer parameters are offsets in Uint32 elements from the start of
+ * memory, so a load or store addresses (buffer + index) * 4. v128 nodes
+ * are lowered to SIMD instructions.
+ */
+
+const {
+  encodeULEB128,
+  encodeSLEB128,
+  concatUint8Arrays,
+  Opcodes,
+  SIMD_PREFIX,
+  SimdOpcodes,
+  ValueType,
+} = require("../generators/wasm-binary-utils");
+const { getRuleProgram } = require("../combination-rules");
+const { BUFFERS, typeOf } = require("./nodes");
+
+/**
+ * i32 opcodes of the binary operators
+ */
+const I32_OPCODES = {
+  add: Opcodes.I32_ADD,
+  sub: Opcodes.I32_SUB,
+  mul: Opcodes.I32_MUL,
+  div_u: Opcodes.I32_DIV_U,
+  rem_u: Opcodes.I32_REM_U,
+  and: Opcodes.I32_AND,
+  or: Opcodes.I32_OR,
+  xor: Opcodes.I32_XOR,
+  shl: Opcodes.I32_SHL,
+  shr_u: Opcodes.I32_SHR_U,
+  shr_s: Opcodes.I32_SHR_S,
+  rotl: Opcodes.I32_ROTL,
+  eq: Opcodes.I32_EQ,
+  ne: Opcodes.I32_NE,
+  lt_s: Opcodes.I32_LT_S,
+  le_s: Opcodes.I32_LE_S,
+  gt_s: Opcodes.I32_GT_S,
+  ge_s: Opcodes.I32_GE_S,
+};
+
+/**
+ * SIMD opcodes of the v128 binary operators
+ */
+const V128_OPCODES = {
+  and: SimdOpcodes.V128_AND,
+  or: SimdOpcodes.V128_OR,
+  xor: SimdOpcodes.V128_XOR,
+  andnot: SimdOpcodes.V128_ANDNOT,
+  shl: SimdOpcodes.I32X4_SHL,
+  shr_u: SimdOpcodes.I32X4_SHR_U,
+};
+
+/**
+ * Lower an IR program to a WebAssembly function body
+ *
+ * @param {Object} program - IR program
+ * @returns {Uint8Array} - The function body: local declarations and code
+ */
+function lowerToWasm(program) {
+  const locals = allocateLocals(program);
+  const code = [];
+
+  lowerStatements(program.body, code, locals);
+  code.push(Opcodes.END);
+
+  // Declare the i32 locals, then the v128 locals
+  const groups = [ValueType.I32, ValueType.V128]
+    .map((type) => ({
+      type,
+      count: locals.declared.filter((t) => t === type).length,
+    }))
+    .filter((group) => group.count > 0);
+
+  return concatUint8Arrays([
+    encodeULEB128(groups.length),
+    ...groups.map((group) =>
+      concatUint8Arrays([encodeULEB128(group.count), new Uint8Array([group.type])])
+    ),
+    new Uint8Array(code),
+  ]);
+}
+
+/**
+ * Give every parameter and local variable an index. Parameters come first;
+ * local variables follow with the i32 locals before the v128 locals, to
+ * match their declaration groups.
+ * @param {Object} program - IR program
+ * @returns {Object} - indices: name to index, types: name to type,
+ *   declared: the types of the declared locals in index order
+ */
+function allocateLocals(program) {
+  const types = new Map();
+
+  const visit = (statements) => {
+    for (const node of statements) {
+      switch (node.kind) {
+        case "let":
+          if (!types.has(node.name)) {
+            types.set(node.name, typeOf(node.value, types));
+          }
+          break;
+        case "loop":
+          if (!types.has(node.variable)) {
+            types.set(node.variable, "i32");
+          }
+          visit(node.body);
+          break;
+        case "if":
+          visit(node.then);
+          visit(node.otherwise);
+          break;
+        case "block":
+          visit(node.body);
+          break;
+      }
+    }
+  };
+  visit(program.body);
+
+  const indices = new Map();
+  program.params.forEach((name, i) => indices.set(name, i));
+
+  const declared = [];
+  for (const [type, valueType] of [
+    ["i32", ValueType.I32],
+    ["v128", ValueType.V128],
+  ]) {
+    for (const [name, t] of types) {
+      if (t === type) {
+        indices.set(name, program.params.length + declared.length);
+        declared.push(valueType);
+      }
+    }
+  }
+
+  return { indices, types, declared };
+}
+
+/**
+ * Look up the index of a parameter or local
+ * @param {Object} locals - Allocated locals
+ * @param {string} name - Parameter or local name
+ * @returns {number} - Local index
+ */
+function indexOf(locals, name) {
+  if (!locals.indices.has(name)) {
+    throw new Error(`Unknown IR variable: ${name}`);
+  }
+  return locals.indices.get(name);
+}
+
+/**
+ * Emit a SIMD instruction
+ * @param {number[]} code - Opcode array to append to
+ * @param {number} op - One of SimdOpcodes
+ */
+function emitSimd(code, op) {
+  code.push(SIMD_PREFIX, ...encodeULEB128(op));
+}
+
+/**
+ * Lower a list of statements
+ * @param {Object[]} statements - IR statements
+ * @param {number[]} code - Opcode array to append to
+ * @param {Object} locals - Allocated locals
+ */
+function lowerStatements(statements, code, locals) {
+  for (const statement of statements) {
+    lowerStatement(statement, code, locals);
+  }
+}
+
+/**
+ * Lower a statement
+ * @param {Object} node - IR statement
+ * @param {number[]} code - Opcode array to append to
+ * @param {Object} locals - Allocated locals
+ */
+function lowerStatement(node, code, locals) {
+  switch (node.kind) {
+    case "comment":
+      break;
+
+    case "let":
+    case "assign":
+      lowerExpression(node.value, code, locals);
+      code.push(Opcodes.LOCAL_SET, ...encodeULEB128(indexOf(locals, node.name)));
+      break;
+
+    case "store":
+      emitAddress(node.buffer, node.index, code, locals);
+      lowerExpression(node.value, code, locals);
+      if (node.type === "v128") {
+        emitSimd(code, SimdOpcodes.V128_STORE);
+        code.push(0x02, 0x00); // alignment=2 (4 bytes), offset=0
+      } else {
+        code.push(Opcodes.I32_STORE, 0x02, 0x00); // alignment=2 (4 bytes), offset=0
+      }
+      break;
+
+    case "loop": {
+      const variable = indexOf(locals, node.variable);
+      if (node.init !== null) {
+        lowerExpression(node.init, code, locals);
+        code.push(Opcodes.LOCAL_SET, ...encodeULEB128(variable));
+      }
+
+      code.push(Opcodes.BLOCK, 0x40); // block with no return type
+      code.push(Opcodes.LOOP, 0x40); // loop with no return type
+
+      // Break out of the loop once the condition fails
+      lowerExpression(node.cond, code, locals);
+      code.push(Opcodes.I32_EQZ);
+      code.push(Opcodes.BR_IF, 0x01); // break to outer block
+
+      lowerStatements(node.body, code, locals);
+
+      // Step the variable and continue the loop
+      code.push(Opcodes.LOCAL_GET, ...encodeULEB128(variable));
+      code.push(Opcodes.I32_CONST, ...encodeSLEB128(node.step));
+      code.push(Opcodes.I32_ADD);
+      code.push(Opcodes.LOCAL_SET, ...encodeULEB128(variable));
+      code.push(Opcodes.BR, 0x00);
+      code.push(Opcodes.END); // end loop
+      code.push(Opcodes.END); // end block
+      break;
+    }
+
+    case "if":
+      lowerExpression(node.cond, code, locals);
+      code.push(Opcodes.IF, 0x40); // if with no return type
+      lowerStatements(node.then, code, locals);
+      if (node.otherwise.length > 0) {
+        code.push(Opcodes.ELSE);
+        lowerStatements(node.otherwise, code, locals);
+      }
+      code.push(Opcodes.END);
+      break;
+
+    case "block":
+      // Locals are function-wide, so a scope needs no code
+      lowerStatements(node.body, code, locals);
+      break;
+
+    case "return":
+      code.push(Opcodes.RETURN);
+      break;
+
+    default:
+      throw new Error(`Unknown IR statement: ${node.kind}`);
+  }
+}
+
+/**
+ * Emit the byte address of an element: (buffer + index) << 2
+ * @param {string} buffer - "src", "dst" or "halftone"
+ * @param {Object} index - Element index within the buffer
+ * @param {number[]} code - Opcode array to append to
+ * @param {Object} locals - Allocated locals
+ */
+function emitAddress(buffer, index, code, locals) {
+  code.push(Opcodes.LOCAL_GET, ...encodeULEB128(indexOf(locals, BUFFERS[buffer])));
+  lowerExpression(index, code, locals);
+  code.push(Opcodes.I32_ADD);
+  code.push(Opcodes.I32_CONST, ...encodeSLEB128(2));
+  code.push(Opcodes.I32_SHL); // Multiply by 4 (bytes per i32)
+}
+
+/**
+ * Lower an expression, leaving its value on the stack
+ * @param {Object} node - IR expression
+ * @param {number[]} code - Opcode array to append to
+ * @param {Object} locals - Allocated locals
+ */
+function lowerExpression(node, code, locals) {
+  switch (node.kind) {
+    case "const":
+      code.push(Opcodes.I32_CONST, ...encodeSLEB128(node.value));
+      break;
+
+    case "param":
+    case "local":
+      code.push(Opcodes.LOCAL_GET, ...encodeULEB128(indexOf(locals, node.name)));
+      break;
+
+    case "binary":
+      lowerExpression(node.left, code, locals);
+      lowerExpression(node.right, code, locals);
+      if (node.type === "v128") {
+        emitSimd(code, V128_OPCODES[node.op]);
+      } else if (node.op === "andnot") {
+        code.push(Opcodes.I32_CONST, ...encodeSLEB128(-1));
+        code.push(Opcodes.I32_XOR);
+        code.push(Opcodes.I32_AND);
+      } else {
+        code.push(I32_OPCODES[node.op]);
+      }
+      break;
+
+    case "not":
+      lowerExpression(node.value, code, locals);
+      emitNot(code, node.type);
+      break;
+
+    case "load": {
+      emitAddress(node.buffer, node.index, code, locals);
+      const offset = encodeULEB128(node.offset * 4);
+      if (node.type === "v128") {
+        emitSimd(code, SimdOpcodes.V128_LOAD);
+        code.push(0x02, ...offset); // alignment=2 (4 bytes)
+      } else {
+        code.push(Opcodes.I32_LOAD, 0x02, ...offset); // alignment=2 (4 bytes)
+      }
+      break;
+    }
+
+    case "splat":
+      lowerExpression(node.value, code, locals);
+      emitSimd(code, SimdOpcodes.I32X4_SPLAT);
+      break;
+
+    case "select":
+      lowerExpression(node.then, code, locals);
+      lowerExpression(node.otherwise, code, locals);
+      lowerExpression(node.cond, code, locals);
+      code.push(Opcodes.SELECT);
+      break;
+
+    case "combine":
+      lowerCombination(node, code, locals);
+      break;
+
+    default:
+      throw new Error(`Unknown IR expression: ${node.kind}`);
+  }
+}
+
+/**
+ * Emit the complement of the value on top of the stack
+ * @param {number[]} code - Opcode array to append to
+ * @param {string} type - "i32" or "v128"
+ */
+function emitNot(code, type) {
+  if (type === "v128") {
+    emitSimd(code, SimdOpcodes.V128_NOT);
+  } else {
+    code.push(Opcodes.I32_CONST, ...encodeSLEB128(-1));
+    code.push(Opcodes.I32_XOR);
+  }
+}
+
+/**
+ * Lower a combination rule by running its postfix program
+ * @param {Object} node - IR combine expression
+ * @param {number[]} code - Opcode array to append to
+ * @param {Object} locals - Allocated locals
+ */
+function lowerCombination(node, code, locals) {
+  const vector = node.type === "v128";
+
+  for (const op of getRuleProgram(node.rule)) {
+    switch (op) {
+      case "s":
+        lowerExpression(node.src, code, locals);
+        break;
+      case "d":
+        lowerExpression(node.dst, code, locals);
+        break;
+      case "zero":
+      case "ones":
+        if (vector) {
+          emitSimd(code, SimdOpcodes.V128_CONST);
+          code.push(...new Array(16).fill(op === "ones" ? 0xff : 0x00));
+        } else {
+          code.push(Opcodes.I32_CONST, ...encodeSLEB128(op === "ones" ? -1 : 0));
+        }
+        break;
+      case "not":
+        emitNot(code, node.type);
+        break;
+      default:
+        if (vector) {
+          emitSimd(code, V128_OPCODES[op]);
+        } else {
+          code.push(I32_OPCODES[op]);
+        }
+    }
+  }
+}
+
+module.exports = {
+  lowerToWasm,
+};
@@ -0,0 +1,356 @@
+/**
+ * Memory Arena
+ *
+ * One growable WebAssembly.Memory that WebAssembly generators compile
+ * their modules against, with an allocator for bitmaps that live in it.
+ * A blit between two arena bitmaps runs in place; buffers from outside
+ * the arena are copied into a scratch block for the call.
+ *
+ * Offsets ("pointers") are in 32-bit words, as the generated code takes
+ * them. Growing a memory detaches the views of its old ArrayBuffer, so
+ * get a bitmap's pixels again after anything was allocated. Blits never
+ * grow an arena that holds bitmaps (see allocateScratch).
+ */
+
+const { normalizeDepth, getWordsPerRow } = require("./pixel-depth");
+
+/**
+ * Words in a WebAssembly page (64 KiB)
+ */
+const PAGE_WORDS = 65536 / 4;
+
+/**
+ * The most pages an arena (or a shared memory) grows to: 1 GiB
+ */
+const MAX_MEMORY_PAGES = 16384;
+
+/**
+ * Arenas created so far, to give each an id
+ */
+let arenaCount = 0;
+
+/**
+ * The arena of generators that were not given one
+ */
+let defaultArena = null;
+
+class MemoryArena {
+  /**
+   * Create a new arena
+   *
+   * @param {Object} options - Arena options
+   * @param {number} options.initialPages - Pages to start with (default: 1)
+   * @param {number} options.maximumPages - Pages to grow to at most (default: 16384)
+   */
+  constructor({ initialPages = 1, maximumPages = MAX_MEMORY_PAGES } = {}) {
+    if (
+      !Number.isInteger(initialPages) ||
+      !Number.isInteger(maximumPages) ||
+      initialPages < 1 ||
+      maximumPages < initialPages ||
+      maximumPages > 65536
+    ) {
+      throw new Error(
+        `Invalid arena size ${initialPages}-${maximumPages}: expected 1 <= initialPages <= maximumPages <= 65536`
+      );
+    }
+
+    this.id = ++arenaCount;
+    this.memory = new WebAssembly.Memory({
+      initial: initialPages,
+      maximum: maximumPages,
+    });
+    this.maximumPages = maximumPages;
+    this.view = null;
+
+    // Free blocks in address order, and the length of each allocated block
+    this.freeBlocks = [{ pointer: 0, length: initialPages * PAGE_WORDS }];
+    this.blocks = new Map();
+    this.grows = 0;
+  }
+
+  /**
+   * Get a view of the whole memory, made again after the memory grows
+   *
+   * @returns {Uint32Array} - The memory as words
+   */
+  getView() {
+    if (!this.view || this.view.buffer !== this.memory.buffer) {
+      this.view = new Uint32Array(this.memory.buffer);
+    }
+    return this.view;
+  }
+
+  /**
+   * Allocate a zeroed block, growing the memory if no free block is big
+   * enough
+   *
+   * @param {number} length - Words to allocate
+   * @returns {number} - The block's offset in words
+   */
+  allocate(length) {
+    if (!(Number.isInteger(length) && length > 0)) {
+      throw new Error(
+        `Invalid allocation of ${length} words: expected a positive integer`
+      );
+    }
+
+    let index = this.freeBlocks.findIndex((block) => block.length >= length);
+    if (index === -1) {
+      this.grow(length);
+      index = this.freeBlocks.length - 1;
+    }
+
+    const block = this.freeBlocks[index];
+    const pointer = block.pointer;
+    if (block.length === length) {
+      this.freeBlocks.splice(index, 1);
+    } else {
+      block.pointer += length;
+      block.length -= length;
+    }
+
+    this.blocks.set(pointer, length);
+    this.getView().fill(0, pointer, pointer + length);
+    return pointer;
+  }
+
+  /**
+   * Allocate a scratch block for the length of one blit
+   *
+   * Callers hold views of their bitmaps' pixels across a blit, and growing
+   * the memory would detach them, so the memory only grows while no
+   * blocks are allocated.
+   *
+   * @param {number} length - Words to allocate
+   * @returns {number} - The block's offset in words, or -1 if no free
+   *   block is big enough and the memory cannot grow
+   */
+  allocateScratch(length) {
+    if (
+      this.blocks.size > 0 &&
+      !this.freeBlocks.some((block) => block.length >= length)
+    ) {
+      return -1;
+    }
+    return this.allocate(length);
+  }
+
+  /**
+   * Return a block to the arena, merging it with the free blocks next to it
+   *
+   * @param {number} pointer - The block's offset in words
+   */
+  free(pointer) {
+    const length = this.blocks.get(pointer);
+    if (length === undefined) {
+      throw new Error(`No block is allocated at ${pointer}`);
+    }
+    this.blocks.delete(pointer);
+
+    let index = this.freeBlocks.findIndex((block) => block.pointer > pointer);
+    if (index === -1) {
+      index = this.freeBlocks.length;
+    }
+    this.freeBlocks.splice(index, 0, { pointer, length });
+
+    // Merge with the next block, then with the previous one
+    const next = this.freeBlocks[index + 1];
+    const block = this.freeBlocks[index];
+    if (next && block.pointer + block.length === next.pointer) {
+      block.length += next.length;
+      this.freeBlocks.splice(index + 1, 1);
+    }
+    const previous = this.freeBlocks[index - 1];
+    if (previous && previous.pointer + previous.length === block.pointer) {
+      previous.length += block.length;
+      this.freeBlocks.splice(index, 1);
+    }
+  }
+
+  /**
+   * Grow the memory so that its last free block holds at least the given
+   * number of words
+   *
+   * @param {number} length - Words needed
+   */
+  grow(length) {
+    const end = this.memory.buffer.byteLength / 4;
+    const last = this.freeBlocks[this.freeBlocks.length - 1];
+    const trailing = last && last.pointer + last.length === end ? last : null;
+    const pages = Math.ceil(
+      (length - (trailing ? trailing.length : 0)) / PAGE_WORDS
+    );
+    const currentPages = end / PAGE_WORDS;
+
+    if (currentPages + pages > this.maximumPages) {
+      throw new RangeError(
+        `Cannot allocate ${length} words: the arena would grow past ${this.maximumPages} pages`
+      );
+    }
+
+    this.memory.grow(pages);
+    this.grows++;
+    if (trailing) {
+      trailing.length += pages * PAGE_WORDS;
+    } else {
+      this.freeBlocks.push({ pointer: end, length: pages * PAGE_WORDS });
+    }
+  }
+
+  /**
+   * Get the offset of a buffer that lives in the arena
+   *
+   * @param {Uint32Array} buffer - A buffer
+   * @returns {number} - The buffer's offset in words, or -1 if it is not
+   *   a view of the arena's memory
+   */
+  pointerOf(buffer) {
+    return buffer.buffer === this.memory.buffer ? buffer.byteOffset / 4 : -1;
+  }
+
+  /**
+   * Allocate a bitmap in the arena
+   *
+   * @param {number} width - Width in pixels
+   * @param {number} height - Height in pixels
+   * @param {number} depth - Bits per pixel (default: 1)
+   * @returns {ArenaBitmap} - The bitmap, cleared to 0
+   */
+  createBitmap(width, height, depth = 1) {
+    return new ArenaBitmap(this, width, height, depth);
+  }
+
+  /**
+   * Get the arena's statistics
+   *
+   * @returns {Object} - { pages, maximumPages, allocated, free, blocks,
+   *   grows }, with allocated and free in words
+   */
+  getStats() {
+    let allocated = 0;
+    for (const length of this.blocks.values()) {
+      allocated += length;
+    }
+
+    return {
+      pages: this.memory.buffer.byteLength / 4 / PAGE_WORDS,
+      maximumPages: this.maximumPages,
+      allocated,
+      free: this.memory.buffer.byteLength / 4 - allocated,
+      blocks: this.blocks.size,
+      grows: this.grows,
+    };
+  }
+
+  /**
+   * Identify the arena in generator option keys
+   *
+   * @returns {string} - The arena's id
+   */
+  toJSON() {
+    return `arena${this.id}`;
+  }
+}
+
+class ArenaBitmap {
+  /**
+   * Allocate a bitmap (see MemoryArena.createBitmap)
+   *
+   * @param {MemoryArena} arena - The arena to allocate in
+   * @param {number} width - Width in pixels
+   * @param {number} height - Height in pixels
+   * @param {number} depth - Bits per pixel (default: 1)
+   */
+  constructor(arena, width, height, depth = 1) {
+    this.arena = arena;
+    this.width = width;
+    this.height = height;
+    this.depth = normalizeDepth(depth);
+    this.length = getWordsPerRow(width, this.depth) * height;
+
+    // Empty bitmaps take no memory, and their pixels are an empty view
+    this.pointer = this.length > 0 ? arena.allocate(this.length) : 0;
+    this.view = null;
+  }
+
+  /**
+   * The bitmap's pixels, as a view of the arena's memory that can be
+   * passed to bitblt()
+   *
+   * @returns {Uint32Array} - The pixels
+   */
+  get pixels() {
+    if (this.pointer === -1) {
+      throw new Error("The bitmap has been freed");
+    }
+    if (!this.view || this.view.buffer !== this.arena.memory.buffer) {
+      this.view = new Uint32Array(
+        this.arena.memory.buffer,
+        this.pointer * 4,
+        this.length
+      );
+    }
+    return this.view;
+  }
+
+  /**
+   * Copy pixels from a buffer outside the arena into the bitmap
+   *
+   * @param {Uint32Array} buffer - Pixels with the bitmap's layout
+   * @returns {ArenaBitmap} - The bitmap
+   */
+  upload(buffer) {
+    if (buffer.length !== this.length) {
+      throw new Error(
+        `Expected ${this.length} words for a ${this.width}x${this.height} bitmap of depth ${this.depth}, got ${buffer.length}`
+      );
+    }
+    this.pixels.set(buffer);
+    return this;
+  }
+
+  /**
+   * Copy the bitmap's pixels out of the arena
+   *
+   * @param {Uint32Array} buffer - Buffer to copy into (optional)
+   * @returns {Uint32Array} - The buffer with the pixels
+   */
+  download(buffer = new Uint32Array(this.length)) {
+    buffer.set(this.pixels);
+    return buffer;
+  }
+
+  /**
+   * Return the bitmap's memory to the arena
+   */
+  free() {
+    if (this.pointer === -1) {
+      throw new Error("The bitmap has been freed");
+    }
+    if (this.length > 0) {
+      this.arena.free(this.pointer);
+    }
+    this.pointer = -1;
+    this.view = null;
+  }
+}
+
+/**
+ * Get the arena that generators use unless they are given one
+ *
+ * @returns {MemoryArena} - The default arena
+ */
+function getDefaultArena() {
+  if (!defaultArena) {
+    defaultArena = new MemoryArena();
+  }
+  return defaultArena;
+}
+
+module.exports = {
+  MAX_MEMORY_PAGES,
+  MemoryArena,
+  ArenaBitmap,
+  getDefaultArena,
+};
@@ -0,0 +1,130 @@
+/**
+ * Overlap Detection
+ *
+ * When the source and destination of a BitBLT share memory (for example
+ * when scrolling a window within one bitmap), copying in the usual
+ * top-to-bottom, left-to-right order can overwrite source pixels before
+ * they are read. This module decides which order makes such a copy safe.
+ */
+
+/**
+ * Check whether two typed arrays share any memory
+ *
+ * @param {Uint32Array} a - First buffer
+ * @param {Uint32Array} b - Second buffer
+ * @returns {boolean} - Whether the buffers view overlapping bytes of the same ArrayBuffer
+ */
+function buffersAlias(a, b) {
+  if (a === b) {
+    return true;
+  }
+
+  if (a.buffer !== b.buffer) {
+    return false;
+  }
+
+  return (
+    a.byteOffset < b.byteOffset + b.byteLength &&
+    b.byteOffset < a.byteOffset + a.byteLength
+  );
+}
+
+/**
+ * Get the bit address of a pixel relative to the start of its ArrayBuffer
+ *
+ * @param {Uint32Array} buffer - The buffer containing the pixel
+ * @param {number} widthInUint32 - Words per row of the buffer
+ * @param {number} x - X coordinate
+ * @param {number} y - Y coordinate
+ * @param {number} depth - Bits per pixel (default: 1)
+ * @returns {number} - The address of the pixel's lowest bit
+ */
+function bitAddress(buffer, widthInUint32, x, y, depth = 1) {
+  return buffer.byteOffset * 8 + (y * widthInUint32 * 32 + x * depth);
+}
+
+/**
+ * Choose the row and word order for a BitBLT operation
+ *
+ * If the source and destination regions overlap in memory and the
+ * destination starts after the source, the copy must run backwards:
+ * bottom-to-top and right-to-left. Otherwise the usual forward order is
+ * safe. Aliased views are assumed to share a row layout (the same width),
+ * which is always the case when a bitmap is copied onto itself.
+ *
+ * @param {Uint32Array} srcBuffer - Source buffer
+ * @param {number} srcWidth - Source width in pixels
+ * @param {number} srcX - Source X coordinate
+ * @param {number} srcY - Source Y coordinate
+ * @param {Uint32Array} dstBuffer - Destination buffer
+ * @param {number} dstWidth - Destination width in pixels
+ * @param {number} dstX - Destination X coordinate
+ * @param {number} dstY - Destination Y coordinate
+ * @param {number} width - Width to copy in pixels
+ * @param {number} height - Height to copy in pixels
+ * @param {number} depth - Bits per pixel (default: 1)
+ * @returns {Object} - { overlapping, reverseRows, reverseColumns }
+ */
+function getCopyDirection(
+  srcBuffer,
+  srcWidth,
+  srcX,
+  srcY,
+  dstBuffer,
+  dstWidth,
+  dstX,
+  dstY,
+  width,
+  height,
+  depth = 1
+) {
+  const forward = {
+    overlapping: false,
+    reverseRows: false,
+    reverseColumns: false,
+  };
+
+  if (width <= 0 || height <= 0 || !buffersAlias(srcBuffer, dstBuffer)) {
+    return forward;
+  }
+
+  const srcWidthInUint32 = Math.ceil((srcWidth * depth) / 32);
+  const dstWidthInUint32 = Math.ceil((dstWidth * depth) / 32);
+
+  // First and last pixels of each region
+  const srcStart = bitAddress(srcBuffer, srcWidthInUint32, srcX, srcY, depth);
+  const srcEnd = bitAddress(
+    srcBuffer,
+    srcWidthInUint32,
+    srcX + width - 1,
+    srcY + height - 1,
+    depth
+  );
+  const dstStart = bitAddress(dstBuffer, dstWidthInUint32, dstX, dstY, depth);
+  const dstEnd = bitAddress(
+    dstBuffer,
+    dstWidthInUint32,
+    dstX + width - 1,
+    dstY + height - 1,
+    depth
+  );
+
+  // Regions whose address ranges are disjoint cannot interfere
+  if (srcEnd < dstStart || dstEnd < srcStart) {
+    return forward;
+  }
+
+  const backward = dstStart > srcStart;
+
+  return {
+    overlapping: true,
+    reverseRows: backward,
+    reverseColumns: backward,
+  };
+}
+
+module.exports = {
+  buffersAlias,
+  bitAddress,
+  getCopyDirection,
+};
@@ -0,0 +1,83 @@
+/**
+ * Parallel BitBLT Worker
+ *
+ * Runs bands of rows for ParallelExecutor (see parallel.js). A job names
+ * views of SharedArrayBuffers; when the band is done the worker counts
+ * it in the job's control array and wakes the waiting thread with
+ * Atomics. Errors are sent on the worker's port, which the waiting thread
+ * reads synchronously.
+ */
+
+const { parentPort, workerData } = require("worker_threads");
+const GeneratorFactory = require("./GeneratorFactory");
+
+// Generators by type and compiler options, so compiled code is kept
+// from band to band
+const generators = new Map();
+
+/**
+ * Get the generator for a type and set of compiler options
+ *
+ * @param {string} type - Generator type
+ * @param {Object} compiler - Compiler options
+ * @returns {Generator} - The generator
+ */
+function getGenerator(type, compiler) {
+  const key = `${type}:${JSON.stringify(compiler)}`;
+  if (!generators.has(key)) {
+    generators.set(key, GeneratorFactory.createGenerator(type, compiler));
+  }
+  return generators.get(key);
+}
+
+/**
+ * Make a view described by the executor
+ *
+ * @param {Object} view - { buffer, byteOffset, length }
+ * @returns {Uint32Array} - The view
+ */
+function createView({ buffer, byteOffset, length }) {
+  return new Uint32Array(buffer, byteOffset, length);
+}
+
+/**
+ * Run the band of a job
+ *
+ * @param {Object} job - The job posted by ParallelExecutor.run
+ * @returns {Promise<void>} - Resolves when the band is done
+ */
+async function runBand(job) {
+  const generator = getGenerator(job.generatorType, job.compiler);
+
+  await generator.execute({
+    src: createView(job.src),
+    srcWidth: job.srcWidth,
+    srcHeight: job.srcHeight,
+    srcX: job.srcX,
+    srcY: job.srcY,
+    dst: createView(job.dst),
+    dstWidth: job.dstWidth,
+    dstX: job.dstX,
+    dstY: job.dstY,
+    width: job.width,
+    height: job.height,
+    rule: job.rule,
+    mask: job.mask,
+    depth: job.depth,
+  });
+}
+
+parentPort.on("message", (job) => {
+  runBand(job)
+    .catch((err) => {
+      workerData.port.postMessage({
+        message: err && err.message ? err.message : String(err),
+        stack: err && err.stack,
+      });
+      Atomics.add(job.control, 1, 1);
+    })
+    .then(() => {
+      Atomics.add(job.control, 0, 1);
+      Atomics.notify(job.control, 0);
+    });
+});
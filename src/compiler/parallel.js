@@ -0,0 +1,339 @@
+/**
+ * Parallel Execution
+ *
+ * Very large blits can use several cores. In parallel mode the rows of
+ * the destination are split into bands, one per worker thread of a pool.
+ * The pixels are in SharedArrayBuffers that every worker sees, and the
+ * calling thread waits with Atomics until each band is done, so a call
+ * returns synchronously.
+ *
+ * Each worker gets views of the rows of its band only. Bands write
+ * disjoint rows of the destination, but with an overlapping source one
+ * band could read rows another has already written. The source is
+ * therefore copied when it shares memory with the destination, so every
+ * band reads the pixels from before the call, as a copy in the safe
+ * direction would.
+ */
+
+const os = require("os");
+const path = require("path");
+const {
+  Worker,
+  MessageChannel,
+  receiveMessageOnPort,
+} = require("worker_threads");
+const { buffersAlias } = require("./overlap");
+const { BitBLTDescriptor } = require("./descriptor");
+const { getWordsPerRow } = require("./pixel-depth");
+const { BitBLTExecutionError } = require("./errors");
+
+/**
+ * Pixels a call must cover to run in parallel, unless configured
+ */
+const DEFAULT_PARALLEL_THRESHOLD = 256 * 256;
+
+/**
+ * Worker threads in the pool, unless configured
+ */
+const DEFAULT_WORKERS = Math.max(1, Math.min(os.cpus().length, 8));
+
+/**
+ * How long to wait for the bands of a call before giving up, in ms
+ */
+const TIMEOUT = 60000;
+
+/**
+ * Check whether a buffer is a view of a SharedArrayBuffer
+ *
+ * @param {Uint32Array} buffer - A buffer
+ * @returns {boolean} - Whether workers can use the buffer in place
+ */
+function isShared(buffer) {
+  return (
+    typeof SharedArrayBuffer !== "undefined" &&
+    buffer.buffer instanceof SharedArrayBuffer
+  );
+}
+
+/**
+ * Describe the view of some rows of a buffer, so that a worker can make it
+ *
+ * @param {Uint32Array} buffer - A view of a SharedArrayBuffer
+ * @param {number} bufferWidth - Width of the buffer in pixels
+ * @param {number} depth - Bits per pixel
+ * @param {number} row - First row
+ * @param {number} rows - Number of rows
+ * @returns {Object} - { buffer, byteOffset, length }
+ */
+function describeRows(buffer, bufferWidth, depth, row, rows) {
+  const widthInUint32 = getWordsPerRow(bufferWidth, depth);
+  return {
+    buffer: buffer.buffer,
+    byteOffset: buffer.byteOffset + row * widthInUint32 * 4,
+    length: rows * widthInUint32,
+  };
+}
+
+/**
+ * Rotate a halftone so that its first word is the one for a given row
+ *
+ * @param {Uint32Array} halftone - Halftone mask, one word per row (optional)
+ * @param {number} row - Destination row
+ * @returns {Uint32Array|null} - The rotated halftone
+ */
+function alignHalftone(halftone, row) {
+  if (!halftone) {
+    return null;
+  }
+  return Uint32Array.from(
+    halftone,
+    (word, i) => halftone[(row + i) % halftone.length]
+  );
+}
+
+class ParallelExecutor {
+  /**
+   * Create a new parallel executor, with no workers until the first call
+   */
+  constructor() {
+    this.workers = [];
+    this.scratch = null;
+    this.calls = 0;
+    this.bands = 0;
+  }
+
+  /**
+   * Start or stop workers so that the pool has the given size
+   *
+   * Workers do not keep the process alive while they are idle.
+   *
+   * @param {number} size - Worker threads to have
+   */
+  resize(size) {
+    while (this.workers.length < size) {
+      const { port1, port2 } = new MessageChannel();
+      const worker = new Worker(path.join(__dirname, "parallel-worker.js"), {
+        workerData: { port: port2 },
+        transferList: [port2],
+      });
+      worker.unref();
+      port1.unref();
+      this.workers.push({ worker, port: port1 });
+    }
+
+    while (this.workers.length > size) {
+      const { worker, port } = this.workers.pop();
+      worker.terminate();
+      port.close();
+    }
+  }
+
+  /**
+   * Get shared memory for the buffers that have to be copied
+   *
+   * @param {number} length - Words needed
+   * @returns {SharedArrayBuffer} - Memory of at least that many words,
+   *   reused from call to call
+   */
+  getScratch(length) {
+    if (!this.scratch || this.scratch.byteLength < length * 4) {
+      this.scratch = new SharedArrayBuffer(length * 4);
+    }
+    return this.scratch;
+  }
+
+  /**
+   * Get an object with a generator's execute() and isAsync() that runs
+   * calls in parallel, so bitblt() can run and verify it like a generator
+   *
+   * @param {string} generatorType - Generator type the workers run
+   * @param {Object} compiler - Compiler options
+   * @param {number} workers - Worker threads to use
+   * @returns {Object} - { execute, isAsync }
+   */
+  getRunner(generatorType, compiler, workers) {
+    return {
+      execute: (...args) => {
+        const descriptor = BitBLTDescriptor.from(args).clipped();
+        return this.run(generatorType, compiler, workers, descriptor);
+      },
+      isAsync: () => false,
+    };
+  }
+
+  /**
+   * Run a call in bands of rows on the workers, and wait for them
+   *
+   * @param {string} generatorType - Generator type the workers run
+   * @param {Object} compiler - Compiler options
+   * @param {number} workers - Worker threads to use
+   * @param {BitBLTDescriptor} descriptor - The operation, clipped
+   * @returns {Uint32Array} - The destination buffer
+   */
+  run(generatorType, compiler, workers, descriptor) {
+    const {
+      src: srcBuffer,
+      srcWidth,
+      srcX,
+      srcY,
+      dst: dstBuffer,
+      dstWidth,
+      dstX,
+      dstY,
+      width,
+      height,
+      rule,
+      mask,
+      depth,
+    } = descriptor;
+
+    if (!(Number.isInteger(workers) && workers > 0)) {
+      throw new Error(
+        `Invalid worker count ${workers}: expected a positive integer`
+      );
+    }
+    this.resize(workers);
+
+    // Buffers that are not shared, and a source that shares memory with
+    // the destination, are copied into shared memory
+    const srcInPlace =
+      isShared(srcBuffer) && !buffersAlias(srcBuffer, dstBuffer);
+    const dstInPlace = isShared(dstBuffer);
+    const scratch = this.getScratch(
+      (srcInPlace ? 0 : srcBuffer.length) + (dstInPlace ? 0 : dstBuffer.length)
+    );
+    let offset = 0;
+    const share = (buffer, inPlace) => {
+      if (inPlace) {
+        return buffer;
+      }
+      const copy = new Uint32Array(scratch, offset * 4, buffer.length);
+      copy.set(buffer);
+      offset += buffer.length;
+      return copy;
+    };
+    const src = share(srcBuffer, srcInPlace);
+    const dst = share(dstBuffer, dstInPlace);
+
+    // The arena is the main thread's; workers use their own
+    const { arena, ...options } = compiler;
+
+    // Counts of finished and failed bands
+    const control = new Int32Array(new SharedArrayBuffer(8));
+    const bandCount = Math.min(this.workers.length, height);
+
+    for (let band = 0; band < bandCount; band++) {
+      const start = Math.floor((band * height) / bandCount);
+      const end = Math.floor(((band + 1) * height) / bandCount);
+
+      // Each band sees only its own rows, so that generators which copy
+      // whole buffers do not write over the rows of other bands
+      this.workers[band].worker.postMessage({
+        generatorType,
+        compiler: options,
+        src: describeRows(src, srcWidth, depth, srcY + start, end - start),
+        srcWidth,
+        srcHeight: end - start,
+        srcX,
+        srcY: 0,
+        dst: describeRows(dst, dstWidth, depth, dstY + start, end - start),
+        dstWidth,
+        dstX,
+        dstY: 0,
+        width,
+        height: end - start,
+        rule,
+        mask: alignHalftone(mask, dstY + start),
+        depth,
+        control,
+      });
+    }
+
+    this.wait(control, bandCount, generatorType);
+
+    if (dst !== dstBuffer) {
+      dstBuffer.set(dst);
+    }
+    this.calls++;
+    this.bands += bandCount;
+    return dstBuffer;
+  }
+
+  /**
+   * Wait until the workers have finished every band of a call
+   *
+   * @param {Int32Array} control - Counts of finished and failed bands
+   * @param {number} bandCount - Bands of the call
+   * @param {string} generatorType - Generator type the workers run
+   * @param {number} timeout - How long to wait in ms (default: TIMEOUT)
+   */
+  wait(control, bandCount, generatorType, timeout = TIMEOUT) {
+    const deadline = Date.now() + timeout;
+    let done;
+
+    while ((done = Atomics.load(control, 0)) < bandCount) {
+      const remaining = deadline - Date.now();
+      if (
+        remaining <= 0 ||
+        Atomics.wait(control, 0, done, remaining) === "timed-out"
+      ) {
+        // The workers may still write to the scratch memory
+        this.terminate();
+        throw new BitBLTExecutionError(
+          `Parallel BitBLT timed out with ${done} of ${bandCount} bands done`,
+          { generator: generatorType, bands: bandCount, done }
+        );
+      }
+    }
+
+    if (Atomics.load(control, 1) > 0) {
+      const errors = [];
+      for (const { port } of this.workers) {
+        let received;
+        while ((received = receiveMessageOnPort(port))) {
+          errors.push(received.message);
+        }
+      }
+      const cause = new Error(errors[0].message);
+      cause.stack = errors[0].stack;
+      throw new BitBLTExecutionError(
+        `Parallel BitBLT failed in a worker: ${cause.message}`,
+        {
+          generator: generatorType,
+          cause,
+          bands: bandCount,
+          done: bandCount - Atomics.load(control, 1),
+        }
+      );
+    }
+  }
+
+  /**
+   * Get the size of the pool and how much it has run
+   *
+   * @returns {Object} - { workers, calls, bands }
+   */
+  getStats() {
+    return {
+      workers: this.workers.length,
+      calls: this.calls,
+      bands: this.bands,
+    };
+  }
+
+  /**
+   * Stop the workers and forget the statistics
+   */
+  terminate() {
+    this.resize(0);
+    this.scratch = null;
+    this.calls = 0;
+    this.bands = 0;
+  }
+}
+
+module.exports = {
+  DEFAULT_PARALLEL_THRESHOLD,
+  DEFAULT_WORKERS,
+  ParallelExecutor,
+};
@@ -0,0 +1,78 @@
+/**
+ * Pixel Depths
+ *
+ * A pixel takes depth bits, where depth is 1, 2, 4, 8, 16 or 32, so that
+ * 32 / depth pixels fit in a word and no pixel straddles two words. As at
+ * depth 1, the leftmost pixel of a word is in its least significant bits
+ * and every row starts on a word boundary.
+ *
+ * The combination rules work bit by bit, so a blit at any depth changes
+ * the same bits as a 1-bit blit of x * depth and width * depth: the edge
+ * masks and the skew follow from those bit offsets.
+ */
+
+const { BitBLTRangeError } = require("./errors");
+
+/**
+ * The supported pixel depths, in bits per pixel
+ */
+const PIXEL_DEPTHS = [1, 2, 4, 8, 16, 32];
+
+/**
+ * The default depth: one bit per pixel
+ */
+const DEFAULT_DEPTH = 1;
+
+/**
+ * Resolve a pixel depth, applying the default and validating it
+ *
+ * @param {number|undefined} depth - The requested depth
+ * @returns {number} - The depth to use
+ */
+function normalizeDepth(depth) {
+  if (depth === undefined || depth === null) {
+    return DEFAULT_DEPTH;
+  }
+
+  if (!PIXEL_DEPTHS.includes(depth)) {
+    throw new BitBLTRangeError(
+      `Invalid pixel depth: ${depth} (expected one of ${PIXEL_DEPTHS.join(", ")})`,
+      {
+        field: "depth",
+        value: depth,
+        expected: `one of ${PIXEL_DEPTHS.join(", ")}`,
+      }
+    );
+  }
+
+  return depth;
+}
+
+/**
+ * Get the number of words in a row of pixels
+ *
+ * @param {number} width - Width in pixels
+ * @param {number} depth - Bits per pixel (default: 1)
+ * @returns {number} - Words per row
+ */
+function getWordsPerRow(width, depth = DEFAULT_DEPTH) {
+  return Math.ceil((width * depth) / 32);
+}
+
+/**
+ * Get the mask of the bits of one pixel, in the lowest bits of a word
+ *
+ * @param {number} depth - Bits per pixel
+ * @returns {number} - The mask (for example 0xff at depth 8)
+ */
+function getPixelMask(depth) {
+  return 0xffffffff >>> (32 - depth);
+}
+
+module.exports = {
+  PIXEL_DEPTHS,
+  DEFAULT_DEPTH,
+  normalizeDepth,
+  getWordsPerRow,
+  getPixelMask,
+};
@@ -0,0 +1,216 @@
+/**
+ * Shape Profiler
+ *
+ * Counts BitBLT calls by the shape of the operation: the buffer widths,
+ * where the source and destination start within their words, the size
+ * of the region and the combination rule. A shape that is called often
+ * enough is promoted, and from then on bitblt() runs it on a generator
+ * that compiles code specialized for it.
+ */
+
+/**
+ * Calls with one shape before it is promoted, unless configured
+ */
+const DEFAULT_THRESHOLD = 16;
+
+/**
+ * The most shapes the profiler keeps counters for
+ */
+const MAX_SHAPES = 1024;
+
+/**
+ * The largest region (in pixels) that specialized code unrolls
+ */
+const UNROLL_LIMIT = 64;
+
+/**
+ * Get the shape of a (clipped) BitBLT operation
+ *
+ * @param {Object} params - Operation parameters
+ * @param {string} params.generatorType - Generator type
+ * @param {number} params.srcWidth - Width of source buffer in pixels
+ * @param {number} params.dstWidth - Width of destination buffer in pixels
+ * @param {number} params.srcX - X coordinate in source
+ * @param {number} params.dstX - X coordinate in destination
+ * @param {number} params.width - Width of region to copy
+ * @param {number} params.height - Height of region to copy
+ * @param {number} params.combinationRule - Combination rule (0-15)
+ * @param {number} params.halftoneHeight - Rows in the halftone, or 0
+ * @param {number} params.depth - Bits per pixel (default: 1)
+ * @returns {Object} - The shape, with the alignments in bits
+ */
+function getShape(params) {
+  const depth = params.depth || 1;
+  return {
+    generatorType: params.generatorType,
+    srcWidth: params.srcWidth,
+    dstWidth: params.dstWidth,
+    srcAlignment: (params.srcX * depth) & 31,
+    dstAlignment: (params.dstX * depth) & 31,
+    width: params.width,
+    height: params.height,
+    combinationRule: params.combinationRule,
+    halftoneHeight: params.halftoneHeight || 0,
+    depth,
+  };
+}
+
+/**
+ * Get a string key for a shape
+ *
+ * @param {Object} shape - Shape from getShape
+ * @returns {string} - The key
+ */
+function getShapeKey(shape) {
+  return [
+    shape.generatorType,
+    `sw${shape.srcWidth}`,
+    `dw${shape.dstWidth}`,
+    `sa${shape.srcAlignment}`,
+    `da${shape.dstAlignment}`,
+    `w${shape.width}`,
+    `h${shape.height}`,
+    `r${shape.combinationRule}`,
+    `ht${shape.halftoneHeight}`,
+    `d${shape.depth}`,
+  ].join("_");
+}
+
+/**
+ * Get the compiler options for code specialized for a shape: constants
+ * inlined with the size pinned, and the loops unrolled when the region
+ * is small
+ *
+ * @param {Object} shape - Shape from getShape
+ * @param {Object} compiler - The compiler options the shape ran with
+ * @returns {Object} - Compiler options
+ */
+function getSpecializedOptions(shape, compiler = {}) {
+  return {
+    ...compiler,
+    inlineConstants: true,
+    unrollLoops: shape.width * shape.height <= UNROLL_LIMIT,
+    pin: Array.from(new Set([...(compiler.pin || []), "width", "height"])),
+  };
+}
+
+class ShapeProfiler {
+  /**
+   * Create a new profiler
+   *
+   * @param {Object} options - Profiler options
+   * @param {number} options.maxShapes - The most shapes to keep counters for (default: 1024)
+   */
+  constructor(options = {}) {
+    this.maxShapes = options.maxShapes || MAX_SHAPES;
+    this.reset();
+  }
+
+  /**
+   * Count a call with the given shape
+   *
+   * When the profiler is full, the least recently called shape is
+   * dropped, preferring shapes that have not been promoted.
+   *
+   * @param {Object} shape - Shape from getShape
+   * @returns {Object} - The shape's entry: { key, shape, count, promoted, generator }
+   */
+  record(shape) {
+    const key = getShapeKey(shape);
+    let entry = this.entries.get(key);
+
+    if (entry) {
+      // Move the entry to the end, so the map stays in order of use
+      this.entries.delete(key);
+    } else {
+      if (this.entries.size >= this.maxShapes) {
+        this.evict();
+      }
+      entry = { key, shape, count: 0, promoted: false, generator: null };
+    }
+
+    entry.count++;
+    this.calls++;
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  /**
+   * Drop the least recently called shape
+   */
+  evict() {
+    let oldest = null;
+    for (const entry of this.entries.values()) {
+      if (!entry.promoted) {
+        oldest = entry;
+        break;
+      }
+      oldest = oldest || entry;
+    }
+    this.entries.delete(oldest.key);
+  }
+
+  /**
+   * Promote a shape to specialized code
+   *
+   * @param {Object} entry - The shape's entry from record()
+   * @param {Object} generator - Generator that compiles code for the shape
+   * @param {Object} options - The compiler options of the generator
+   * @returns {Object} - The promotion event: { key, shape, calls, options }
+   */
+  promote(entry, generator, options) {
+    entry.promoted = true;
+    entry.generator = generator;
+
+    const event = {
+      key: entry.key,
+      shape: { ...entry.shape },
+      calls: entry.count,
+      options: {
+        inlineConstants: options.inlineConstants,
+        unrollLoops: options.unrollLoops,
+      },
+    };
+    this.promotions.push(event);
+    return event;
+  }
+
+  /**
+   * Get the counters and promotion events
+   *
+   * @returns {Object} - { calls, shapes, promotions }, shapes ordered from
+   *   most to least called
+   */
+  getStats() {
+    const shapes = Array.from(this.entries.values(), (entry) => ({
+      key: entry.key,
+      shape: { ...entry.shape },
+      count: entry.count,
+      promoted: entry.promoted,
+    })).sort((a, b) => b.count - a.count);
+
+    return {
+      calls: this.calls,
+      shapes,
+      promotions: this.promotions.map((event) => ({ ...event })),
+    };
+  }
+
+  /**
+   * Forget all counters, promotions and specialized generators
+   */
+  reset() {
+    this.entries = new Map();
+    this.promotions = [];
+    this.calls = 0;
+  }
+}
+
+module.exports = {
+  DEFAULT_THRESHOLD,
+  UNROLL_LIMIT,
+  ShapeProfiler,
+  getShape,
+  getShapeKey,
+  getSpecializedOptions,
+};
@@ -0,0 +1,113 @@
+/**
+ * Specialization Policy
+ *
+ * Decides what compiled code is specialized for. Keying code on exact
+ * coordinates makes a moving sprite compile a new function every frame,
+ * so by default code is keyed on properties that stay the same while a
+ * blit moves: the word widths of the buffers, the skew between source and
+ * destination, whether rows fit in one word, whether the left and right
+ * edges of the rows fall on word boundaries, and the rule. These are
+ * measured in bits, so they depend on the pixel depth. The exact
+ * coordinates are passed to the code at run time unless they are pinned
+ * with the `pin` compiler option.
+ */
+
+/**
+ * Parameters whose exact values can be pinned into compiled code
+ */
+const PINNABLE_PARAMETERS = [
+  "srcWidth",
+  "srcHeight",
+  "dstWidth",
+  "srcX",
+  "srcY",
+  "dstX",
+  "dstY",
+  "width",
+  "height",
+];
+
+/**
+ * Get the alignment class of an operation: the properties that compiled
+ * code is specialized for unless coordinates are pinned
+ *
+ * @param {Object} params - Operation parameters with exact coordinates
+ * @returns {Object} - { srcWordWidth, dstWordWidth, skew, widthClass,
+ *   leftAligned, rightAligned }, where widthClass is "single" when every
+ *   destination row fits in one word and "multi" otherwise, and
+ *   leftAligned and rightAligned say whether the destination rows start
+ *   and end on word boundaries
+ */
+function getAlignmentClass(params) {
+  // Ahead-of-time modules carry a copy of this function (see aot.js), so
+  // it uses no other helpers
+  const depth = params.depth || 1;
+  const dstAlignment = (params.dstX * depth) & 31;
+  return {
+    srcWordWidth: Math.ceil((params.srcWidth * depth) / 32),
+    dstWordWidth: Math.ceil((params.dstWidth * depth) / 32),
+    skew: (params.srcX * depth - dstAlignment) & 31,
+    widthClass: dstAlignment + params.width * depth <= 32 ? "single" : "multi",
+    leftAligned: dstAlignment === 0,
+    rightAligned: (((params.dstX + params.width) * depth) & 31) === 0,
+  };
+}
+
+/**
+ * Replace the exact coordinates in compile parameters with their
+ * alignment class
+ *
+ * Pinned parameters keep their values. Without inlineConstants nothing is
+ * compiled in, so the alignment class is left out as well.
+ *
+ * @param {Object} params - Compile parameters with exact coordinates
+ * @param {string[]} pin - Parameters to keep exact (default: none)
+ * @returns {Object} - Compile parameters for the alignment class
+ */
+function specializeParams(params, pin = []) {
+  for (const name of pin) {
+    if (!PINNABLE_PARAMETERS.includes(name)) {
+      throw new Error(
+        `Cannot pin ${name}: expected one of ${PINNABLE_PARAMETERS.join(", ")}`
+      );
+    }
+  }
+
+  const specialized = { ...params };
+  for (const name of PINNABLE_PARAMETERS) {
+    if (!pin.includes(name)) {
+      delete specialized[name];
+    }
+  }
+
+  if (params.inlineConstants) {
+    Object.assign(specialized, getAlignmentClass(params));
+  }
+
+  return specialized;
+}
+
+/**
+ * Cache key parts for the alignment class in compile parameters
+ *
+ * @param {Object} params - Compile parameters
+ * @returns {string[]} - Key parts
+ */
+function getAlignmentCacheKeys(params) {
+  const keyParts = [];
+  if (params.srcWordWidth !== undefined) keyParts.push(`sww${params.srcWordWidth}`);
+  if (params.dstWordWidth !== undefined) keyParts.push(`dww${params.dstWordWidth}`);
+  if (params.skew !== undefined) keyParts.push(`sk${params.skew}`);
+  if (params.widthClass === "single") keyParts.push("ws");
+  if (params.widthClass === "multi") keyParts.push("wm");
+  if (params.leftAligned) keyParts.push("la");
+  if (params.rightAligned) keyParts.push("ra");
+  return keyParts;
+}
+
+module.exports = {
+  PINNABLE_PARAMETERS,
+  getAlignmentClass,
+  specializeParams,
+  getAlignmentCacheKeys,
+};
@@ -0,0 +1,183 @@
+/**
+ * Tiered Execution
+ *
+ * Generating and compiling code often costs more than running it, so a
+ * blit that runs once is cheaper on the reference implementation. In
+ * tiered mode each call starts on the reference implementation. Once a
+ * cache key has been called often enough its code is compiled, and later
+ * calls with that key run on the compiled code. JavaScript is compiled on
+ * the spot; WebAssembly is compiled in the background while the calls
+ * that arrive in the meantime keep running on the reference.
+ */
+
+const GeneratorFactory = require("./GeneratorFactory");
+
+/**
+ * Calls with one cache key before it is compiled, unless configured
+ */
+const DEFAULT_TIER_THRESHOLD = 8;
+
+/**
+ * The most cache keys the tiers keep call counts for
+ */
+const MAX_ENTRIES = 4096;
+
+class TieredExecutor {
+  /**
+   * Create a new tiered executor
+   *
+   * @param {Object} options - Executor options
+   * @param {number} options.maxEntries - The most cache keys to keep call counts for (default: 4096)
+   */
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries || MAX_ENTRIES;
+    this.reset();
+  }
+
+  /**
+   * Get the generator for a type and set of compiler options, creating it
+   * on first use so its compiled code is kept from call to call
+   *
+   * @param {string} type - Generator type
+   * @param {Object} compiler - Compiler options
+   * @returns {Generator} - The generator
+   */
+  getGenerator(type, compiler = {}) {
+    const key = `${type}:${JSON.stringify(compiler)}`;
+    if (!this.generators.has(key)) {
+      this.generators.set(key, GeneratorFactory.createGenerator(type, compiler));
+    }
+    return this.generators.get(key);
+  }
+
+  /**
+   * Count a call and choose the tier it runs on
+   *
+   * @param {string} type - Generator type
+   * @param {Object} compiler - Compiler options
+   * @param {number} threshold - Calls with one cache key before it is compiled
+   * @param {BitBLTDescriptor} descriptor - The operation, clipped
+   * @returns {Generator|null} - The generator to run the call on, or null
+   *   to run it on the reference implementation
+   */
+  select(type, compiler, threshold, descriptor) {
+    const generator = this.getGenerator(type, compiler);
+    const params = generator.getExecutionParams(descriptor);
+    const entry = this.record(generator.getCacheKey(params));
+
+    if (entry.state === "reference" && entry.calls >= threshold) {
+      if (generator.isAsync()) {
+        this.compileInBackground(entry, generator, params);
+      } else {
+        generator.compile(params);
+        entry.state = "compiled";
+      }
+    }
+
+    if (entry.state === "compiled") {
+      this.compiledCalls++;
+      return generator;
+    }
+
+    this.referenceCalls++;
+    return null;
+  }
+
+  /**
+   * Count a call with a cache key
+   *
+   * @param {string} key - Cache key
+   * @returns {Object} - The key's entry: { key, calls, state }
+   */
+  record(key) {
+    let entry = this.entries.get(key);
+
+    if (entry) {
+      // Move the entry to the end, so the map stays in order of use
+      this.entries.delete(key);
+    } else {
+      if (this.entries.size >= this.maxEntries) {
+        this.entries.delete(this.entries.keys().next().value);
+      }
+      entry = { key, calls: 0, state: "reference", error: null };
+    }
+
+    entry.calls++;
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  /**
+   * Compile a key's code without waiting for it
+   *
+   * The entry moves to "compiled" when the code is ready, or to "failed"
+   * (and stays on the reference) if it cannot be compiled.
+   *
+   * @param {Object} entry - The key's entry
+   * @param {Generator} generator - Generator to compile with
+   * @param {Object} params - Compile parameters
+   */
+  compileInBackground(entry, generator, params) {
+    entry.state = "compiling";
+
+    const compiling = Promise.resolve()
+      .then(() => generator.compile(params))
+      .then(
+        () => {
+          entry.state = "compiled";
+        },
+        (err) => {
+          entry.state = "failed";
+          entry.error = err;
+        }
+      )
+      .then(() => {
+        this.pending.delete(compiling);
+      });
+
+    this.pending.add(compiling);
+  }
+
+  /**
+   * Wait until every background compile has finished
+   *
+   * @returns {Promise<void>} - Resolves when nothing is compiling
+   */
+  async settle() {
+    while (this.pending.size > 0) {
+      await Promise.all(this.pending);
+    }
+  }
+
+  /**
+   * Get the call counts and the tier of each cache key
+   *
+   * @returns {Object} - { referenceCalls, compiledCalls, compiling, entries },
+   *   where each entry has its key, calls, state ("reference", "compiling",
+   *   "compiled" or "failed") and the compile error, if any
+   */
+  getStats() {
+    return {
+      referenceCalls: this.referenceCalls,
+      compiledCalls: this.compiledCalls,
+      compiling: this.pending.size,
+      entries: Array.from(this.entries.values(), (entry) => ({ ...entry })),
+    };
+  }
+
+  /**
+   * Forget all call counts and generators
+   */
+  reset() {
+    this.generators = new Map();
+    this.entries = new Map();
+    this.pending = new Set();
+    this.referenceCalls = 0;
+    this.compiledCalls = 0;
+  }
+}
+
+module.exports = {
+  DEFAULT_TIER_THRESHOLD,
+  TieredExecutor,
+};
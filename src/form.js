@@ -0,0 +1,293 @@
+/**
+ * Form - a bitmap object
+ *
+ * A Form owns a packed buffer of pixels together with its width, height,
+ * depth and words per row, so that the dimensions of a bitmap travel with
+ * it. Like the Forms of Smalltalk-80, pixels are packed 32 / depth to a
+ * word with the leftmost pixel in the least significant bits, and every
+ * row starts on a word boundary. The depth is 1 unless given: 2-bit
+ * grayscale and 8-bit indexed bitmaps are Forms of depth 2 and 8.
+ *
+ * Forms can be passed to bitblt() in place of the loose buffer, width and
+ * height arguments:
+ *
+ *   bitblt(source, srcX, srcY, destination, dstX, dstY, width, height, options)
+ */
+
+const referenceBitBLT = require("./reference/bitblt").bitblt;
+const {
+  normalizeDepth,
+  getWordsPerRow,
+  getPixelMask,
+} = require("./compiler/pixel-depth");
+
+/**
+ * Get the bitblt module
+ *
+ * bitblt.js requires this module, so it is only required when first used.
+ *
+ * @returns {Object} - The exports of bitblt.js
+ */
+function getBitBLTModule() {
+  return require("./bitblt");
+}
+
+class Form {
+  /**
+   * Create a new form
+   *
+   * @param {number} width - Width in pixels
+   * @param {number} height - Height in pixels
+   * @param {Uint32Array} bits - Packed pixels to use (default: a new buffer cleared to 0)
+   * @param {number} depth - Bits per pixel: 1, 2, 4, 8, 16 or 32 (default: 1)
+   */
+  constructor(width, height, bits = null, depth = 1) {
+    if (
+      !Number.isInteger(width) ||
+      !Number.isInteger(height) ||
+      width < 0 ||
+      height < 0
+    ) {
+      throw new RangeError(
+        `Invalid form size ${width}x${height}: expected non-negative integers`
+      );
+    }
+
+    this.width = width;
+    this.height = height;
+    this.depth = normalizeDepth(depth);
+    this.wordsPerRow = getWordsPerRow(width, this.depth);
+    this.bits = bits || new Uint32Array(this.wordsPerRow * height);
+
+    if (!(this.bits instanceof Uint32Array)) {
+      throw new TypeError("The bits of a form must be a Uint32Array");
+    }
+    if (this.bits.length < this.wordsPerRow * height) {
+      throw new RangeError(
+        `A ${width}x${height} form needs ${this.wordsPerRow * height} words, got ${this.bits.length}`
+      );
+    }
+  }
+
+  /**
+   * Check that a pixel is inside the form
+   *
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   */
+  checkPixel(x, y) {
+    if (!(x >= 0 && x < this.width && y >= 0 && y < this.height)) {
+      throw new RangeError(
+        `Pixel (${x}, ${y}) is outside the ${this.width}x${this.height} form`
+      );
+    }
+  }
+
+  /**
+   * Get the value of a pixel
+   *
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @returns {number} - The pixel value (0 to 2^depth - 1)
+   */
+  getPixel(x, y) {
+    this.checkPixel(x, y);
+    return getBitBLTModule().getPixel(
+      this.bits,
+      this.width,
+      x,
+      y,
+      this.depth
+    );
+  }
+
+  /**
+   * Set the value of a pixel
+   *
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @param {number} value - The pixel value (0 to 2^depth - 1)
+   */
+  setPixel(x, y, value) {
+    this.checkPixel(x, y);
+    const bitOffset = x * this.depth;
+    const index = y * this.wordsPerRow + (bitOffset >>> 5);
+    const shift = bitOffset & 31;
+    const mask = getPixelMask(this.depth) << shift;
+    this.bits[index] = (this.bits[index] & ~mask) | ((value << shift) & mask);
+  }
+
+  /**
+   * Set every pixel of a rectangle (the whole form by default) to a value
+   *
+   * The rectangle is clipped to the form.
+   *
+   * @param {number} value - The pixel value (0 to 2^depth - 1)
+   * @param {Object} rect - { x, y, width, height } (optional)
+   * @returns {Form} - The form
+   */
+  fill(value, rect = {}) {
+    const { x = 0, y = 0, width = this.width, height = this.height } = rect;
+    const x0 = Math.max(0, x);
+    const y0 = Math.max(0, y);
+    const x1 = Math.min(this.width, x + width);
+    const y1 = Math.min(this.height, y + height);
+    if (x0 >= x1 || y0 >= y1) {
+      return this;
+    }
+
+    // The value repeated across a word, and the edges of the rows in bits
+    let pattern = value & getPixelMask(this.depth);
+    for (let shift = this.depth; shift < 32; shift *= 2) {
+      pattern |= pattern << shift;
+    }
+    const firstBit = x0 * this.depth;
+    const lastBit = x1 * this.depth - 1;
+
+    const firstWord = firstBit >>> 5;
+    const lastWord = lastBit >>> 5;
+    const leftMask = (0xffffffff << (firstBit & 31)) >>> 0;
+    const rightMask = 0xffffffff >>> (31 - (lastBit & 31));
+
+    for (let line = y0; line < y1; line++) {
+      const row = line * this.wordsPerRow;
+      for (let word = firstWord; word <= lastWord; word++) {
+        let mask = 0xffffffff;
+        if (word === firstWord) mask &= leftMask;
+        if (word === lastWord) mask &= rightMask;
+        this.bits[row + word] =
+          (this.bits[row + word] & ~mask) | (pattern & mask);
+      }
+    }
+
+    return this;
+  }
+
+  /**
+   * Copy pixels from another form into this one with bitblt()
+   *
+   * @param {Form} source - Form to copy from
+   * @param {Object} options - bitblt() options, and where to copy
+   * @param {number} options.x - X coordinate in this form (default: 0)
+   * @param {number} options.y - Y coordinate in this form (default: 0)
+   * @param {number} options.sourceX - X coordinate in the source (default: 0)
+   * @param {number} options.sourceY - Y coordinate in the source (default: 0)
+   * @param {number} options.width - Width to copy (default: the source's width)
+   * @param {number} options.height - Height to copy (default: the source's height)
+   * @returns {Object|Promise<Object>} - What bitblt() returns: the clipped region that was transferred (or a Promise that resolves to it)
+   */
+  copy(source, options = {}) {
+    const {
+      x = 0,
+      y = 0,
+      sourceX = 0,
+      sourceY = 0,
+      width = source.width,
+      height = source.height,
+      ...bitbltOptions
+    } = options;
+
+    return getBitBLTModule().bitblt(
+      source,
+      sourceX,
+      sourceY,
+      this,
+      x,
+      y,
+      width,
+      height,
+      bitbltOptions
+    );
+  }
+
+  /**
+   * Extract a rectangle of the form into a new form
+   *
+   * @param {number} x - X coordinate of the rectangle
+   * @param {number} y - Y coordinate of the rectangle
+   * @param {number} width - Width of the rectangle
+   * @param {number} height - Height of the rectangle
+   * @returns {Form} - A new form with the rectangle's pixels
+   */
+  extract(x, y, width, height) {
+    if (
+      !(x >= 0 && y >= 0 && width >= 0 && height >= 0) ||
+      x + width > this.width ||
+      y + height > this.height
+    ) {
+      throw new RangeError(
+        `Rectangle ${width}x${height} at (${x}, ${y}) is outside the ${this.width}x${this.height} form`
+      );
+    }
+
+    const form = new Form(width, height, null, this.depth);
+    if (width > 0 && height > 0) {
+      referenceBitBLT(
+        this.bits,
+        this.width,
+        this.height,
+        x,
+        y,
+        form.bits,
+        width,
+        0,
+        0,
+        width,
+        height,
+        { depth: this.depth }
+      );
+    }
+    return form;
+  }
+
+  /**
+   * Create a form with the same size, depth and pixels
+   *
+   * @returns {Form} - The copy
+   */
+  clone() {
+    return new Form(
+      this.width,
+      this.height,
+      this.bits.slice(0, this.wordsPerRow * this.height),
+      this.depth
+    );
+  }
+
+  /**
+   * Check whether another form has the same size, depth and pixels
+   *
+   * The bits past the right edge of each row are ignored.
+   *
+   * @param {Form} other - Form to compare with
+   * @returns {boolean} - Whether the forms are equal
+   */
+  equals(other) {
+    if (
+      !(other instanceof Form) ||
+      other.width !== this.width ||
+      other.height !== this.height ||
+      other.depth !== this.depth
+    ) {
+      return false;
+    }
+
+    const lastWord = this.wordsPerRow - 1;
+    const rightMask =
+      0xffffffff >>> (31 - ((this.width * this.depth - 1) & 31));
+
+    for (let y = 0; y < this.height; y++) {
+      const row = y * this.wordsPerRow;
+      for (let word = 0; word <= lastWord; word++) {
+        const mask = word === lastWord ? rightMask : 0xffffffff;
+        if (((this.bits[row + word] ^ other.bits[row + word]) & mask) !== 0) {
+          return false;
+        }
+      }
+    }
+
+    return true;
+  }
+}
+
+module.exports = { Form };
@@ -4,17 +4,21 @@
  * This is the baseline implementation that serves as the reference for
  * correctness. All optimized versions should produce identical results.
  *
- * @param {Uint32Array} srcBuffer - Source pixel buffer (32 pixels per Uint32)
+ * @param {Uint32Array} srcBuffer - Source pixel buffer (32 / depth pixels per Uint32)
  * @param {number} srcWidth - Width of source buffer in pixels
  * @param {number} srcHeight - Height of source buffer
  * @param {number} srcX - X coordinate in source
  * @param {number} srcY - Y coordinate in source
- * @param {Uint32Array} dstBuffer - Destination pixel buffer (32 pixels per Uint32)
+ * @param {Uint32Array} dstBuffer - Destination pixel buffer (32 / depth pixels per Uint32)
  * @param {number} dstWidth - Width of destination buffer in pixels
  * @param {number} dstX - X coordinate in destination
  * @param {number} dstY - Y coordinate in destination
  * @param {number} width - Width of region to copy
  * @param {number} height - Height of region to copy
+ * @param {Object} options - Additional options
+ * @param {number} options.combinationRule - Smalltalk combination rule (0-15, default: 3 = store)
+ * @param {Uint32Array} options.halftone - Halftone mask with one word per row, typically 16 or 32 rows (optional)
+ * @param {number} options.depth - Bits per pixel: 1, 2, 4, 8, 16 or 32 (default: 1)
  */
 function bitblt(
   srcBuffer, // source pixel buffer (Uint32Array with 32 pixels per element)
@@ -27,53 +31,106 @@ function bitblt(
   dstX, // x coordinate in destination
   dstY, // y coordinate in destination
   width, // width of region to copy in pixels
-  height // height of region to copy in pixels
+  height, // height of region to copy in pixels
+  options = {} // additional options (combinationRule, halftone, depth)
 ) {
+  // The combination rule is a 4-bit truth table indexed by (srcBit, dstBit):
+  // bit 3 is the result for (0, 0), bit 2 for (0, 1), bit 1 for (1, 0) and
+  // bit 0 for (1, 1). Rule 3 (the default) stores the source.
+  const combinationRule =
+    options.combinationRule === undefined ? 3 : options.combinationRule;
+
+  // The halftone is ANDed with the source before the combination rule.
+  // It is aligned to the destination: row (dstYPos % halftone.length),
+  // the bits of the destination pixel within its word.
+  const halftone = options.halftone || null;
+
+  // Each pixel takes depth bits, so 32 / depth pixels fit in a Uint32.
+  // The rule is applied to each bit of a pixel on its own.
+  const depth = options.depth === undefined ? 1 : options.depth;
+  const pixelMask = 0xffffffff >>> (32 - depth);
+
   // Calculate width in Uint32 elements (32 bits per element)
-  const srcWidthInUint32 = Math.ceil(srcWidth / 32);
-  const dstWidthInUint32 = Math.ceil(dstWidth / 32);
+  const srcWidthInUint32 = Math.ceil((srcWidth * depth) / 32);
+  const dstWidthInUint32 = Math.ceil((dstWidth * depth) / 32);
+
+  // When the source and destination share memory (e.g. scrolling within
+  // one bitmap) and the destination starts after the source, run backwards
+  // (bottom-to-top, right-to-left) so that no source pixel is overwritten
+  // before it is read
+  let backward = false;
+  if (srcBuffer.buffer === dstBuffer.buffer) {
+    const srcStart =
+      srcBuffer.byteOffset * 8 + srcY * srcWidthInUint32 * 32 + srcX * depth;
+    const dstStart =
+      dstBuffer.byteOffset * 8 + dstY * dstWidthInUint32 * 32 + dstX * depth;
+    backward = dstStart > srcStart;
+  }
 
   // Iterate through each row
-  for (let y = 0; y < height; y++) {
+  for (let row = 0; row < height; row++) {
+    const y = backward ? height - 1 - row : row;
+
     // Calculate the y-position in the source and destination
     const srcYPos = srcY + y;
     const dstYPos = dstY + y;
 
     // Process each pixel in the row
-    for (let x = 0; x < width; x++) {
+    for (let column = 0; column < width; column++) {
+      const x = backward ? width - 1 - column : column;
+
       // Calculate the x-position in the source and destination
       const srcXPos = srcX + x;
       const dstXPos = dstX + x;
 
+      // Calculate the bit offset of the pixel within its row
+      const srcBitOffset = srcXPos * depth;
+      const dstBitOffset = dstXPos * depth;
+
       // Calculate which Uint32 element contains the pixel
       const srcElementIndex =
-        Math.floor(srcXPos / 32) + srcYPos * srcWidthInUint32;
+        Math.floor(srcBitOffset / 32) + srcYPos * srcWidthInUint32;
       const dstElementIndex =
-        Math.floor(dstXPos / 32) + dstYPos * dstWidthInUint32;
-
-      // Calculate the bit position within the Uint32 element (0-31)
-      const srcBitPos = srcXPos % 32;
-      const dstBitPos = dstXPos % 32;
-
-      // Extract the bit from the source
-      const srcBit = (srcBuffer[srcElementIndex] >>> srcBitPos) & 1;
-
-      // Clear the destination bit and set it to the source bit value
-      if (srcBit === 1) {
-        // Set the bit
-        dstBuffer[dstElementIndex] |= 1 << dstBitPos;
-      } else {
-        // Clear the bit
-        dstBuffer[dstElementIndex] &= ~(1 << dstBitPos);
+        Math.floor(dstBitOffset / 32) + dstYPos * dstWidthInUint32;
+
+      // Calculate the position of the pixel's lowest bit within the Uint32
+      // element (0-31)
+      const srcBitPos = srcBitOffset % 32;
+      const dstBitPos = dstBitOffset % 32;
+
+      // Extract the pixel from the source
+      let srcPixel = (srcBuffer[srcElementIndex] >>> srcBitPos) & pixelMask;
+
+      // Mask the source pixel with the halftone
+      if (halftone !== null) {
+        srcPixel &=
+          (halftone[dstYPos % halftone.length] >>> dstBitPos) & pixelMask;
       }
+
+      // Extract the pixel from the destination
+      const dstPixel = (dstBuffer[dstElementIndex] >>> dstBitPos) & pixelMask;
+
+      // Look up the result of the combination rule for each bit: a result
+      // bit is set for the (srcBit, dstBit) pairs whose rule bit is set
+      let resultPixel = 0;
+      if (combinationRule & 8) resultPixel |= ~srcPixel & ~dstPixel;
+      if (combinationRule & 4) resultPixel |= ~srcPixel & dstPixel;
+      if (combinationRule & 2) resultPixel |= srcPixel & ~dstPixel;
+      if (combinationRule & 1) resultPixel |= srcPixel & dstPixel;
+      resultPixel &= pixelMask;
+
+      // Clear the destination pixel and set it to the result pixel value
+      dstBuffer[dstElementIndex] =
+        (dstBuffer[dstElementIndex] & ~(pixelMask << dstBitPos)) |
+        (resultPixel << dstBitPos);
     }
   }
 }
 
-// Test helper function for packed pixels (32 pixels per Uint32)
-function createTestBuffer(width, height, fillValue) {
+// Test helper function for packed pixels (32 / depth pixels per Uint32)
+function createTestBuffer(width, height, fillValue, depth = 1) {
   // Calculate how many Uint32 elements we need for the given width
-  const widthInUint32 = Math.ceil(width / 32);
+  const widthInUint32 = Math.ceil((width * depth) / 32);
   // Create the buffer
   const buffer = new Uint32Array(widthInUint32 * height);
 
@@ -0,0 +1,275 @@
+/**
+ * Operation Analysis Tests
+ *
+ * Tests for analyzeOperation, which looks at the pixels of a BitBLT
+ * operation for solid sources, repeating rows, single-word rows and
+ * no-op blits, and for the specialized code the generators emit when
+ * config.compiler.detectPatterns is set.
+ */
+
+// Import the BitBLT module
+const { bitblt, config, createGenerator } = require("../src/bitblt");
+const referenceBitBLT = require("../src/reference/bitblt").bitblt;
+const { analyzeOperation } = require("../src/compiler/bitblt-compiler");
+
+// Import our testing framework
+const {
+  describe,
+  test,
+  runTests,
+  createBuffers,
+  assertBitBuffersEqual,
+  createTestBuffer,
+  patterns,
+} = require("./bitblt-tester");
+
+const srcWidth = 100;
+const srcHeight = 12;
+const dstWidth = 90;
+const dstHeight = 12;
+
+const region = { srcX: 7, srcY: 1, dstX: 21, dstY: 2, width: 61, height: 8 };
+const narrow = { srcX: 40, srcY: 0, dstX: 35, dstY: 3, width: 20, height: 6 };
+
+// Source contents: solid, repeating every three rows, and irregular
+const sources = {
+  zeros: () => 0,
+  ones: () => 1,
+  stripes: (x, y) => (x + (y % 3)) % 4 === 0,
+  noise: (x, y) => patterns.diagonal(x, y) || (x * 7 + y) % 9 < 3,
+};
+
+const layout = {
+  srcWidth,
+  srcHeight,
+  dstWidth,
+  dstHeight,
+};
+
+/**
+ * Analyze a region of freshly created buffers
+ * @param {Function} source - Pattern for the source
+ * @param {Object} area - Source and destination coordinates and size
+ * @param {Object} options - Options for analyzeOperation
+ * @returns {Object} - The analysis
+ */
+function analyze(source, area, options = {}) {
+  const { srcBuffer, dstBuffer } = createBuffers({ ...layout, srcPattern: source });
+  return analyzeOperation(
+    srcBuffer, srcWidth, srcHeight, area.srcX, area.srcY,
+    dstWidth, area.dstX, area.dstY, area.width, area.height,
+    { dstBuffer, ...options }
+  );
+}
+
+/**
+ * Get the types of the patterns or recommendations in an analysis
+ * @param {Object[]} entries - Patterns or recommendations
+ * @returns {string[]} - Their types
+ */
+function types(entries) {
+  return entries.map((entry) => entry.type);
+}
+
+// Begin tests
+describe("Operation Analysis", () => {
+  test("Irregular sources have nothing to optimize", () => {
+    const analysis = analyze(sources.noise, region);
+    if (analysis.canOptimize || analysis.patterns.length !== 0) {
+      throw new Error(`Unexpected analysis ${JSON.stringify(analysis)}`);
+    }
+  });
+
+  test("Solid sources become fills", () => {
+    const expected = [
+      // [source, rule, fill rule]
+      ["zeros", 3, 0],
+      ["ones", 3, 15],
+      ["ones", 6, 10],
+      ["zeros", 12, 15],
+      ["ones", 4, 0],
+    ];
+
+    for (const [source, rule, fill] of expected) {
+      const analysis = analyze(sources[source], region, { combinationRule: rule });
+      const solid = analysis.patterns.find((pattern) => pattern.type === "solid");
+      const recommendation = analysis.recommendations.find(
+        (entry) => entry.type === "fill"
+      );
+      if (!solid || solid.value !== (source === "ones" ? 1 : 0)) {
+        throw new Error(`${source} should be reported as solid`);
+      }
+      if (!recommendation || recommendation.params.combinationRule !== fill) {
+        throw new Error(`Rule ${rule} over ${source} should become rule ${fill}`);
+      }
+    }
+  });
+
+  test("A halftone keeps a solid 1 source from becoming a fill", () => {
+    const halftone = new Uint32Array([0xf0f0f0f0, 0x0f0f0f0f]);
+    const analysis = analyze(sources.ones, region, { halftone });
+    if (types(analysis.recommendations).includes("fill")) {
+      throw new Error("The halftone patterns a solid 1 source");
+    }
+  });
+
+  test("Repeating source rows are detected", () => {
+    const analysis = analyze(sources.stripes, region);
+    const repeating = analysis.patterns.find(
+      (pattern) => pattern.type === "repeating-rows"
+    );
+    if (!repeating || repeating.period !== 3) {
+      throw new Error(`Expected a period of 3 rows, got ${JSON.stringify(analysis)}`);
+    }
+    const recommendation = analysis.recommendations.find(
+      (entry) => entry.type === "repeat-rows"
+    );
+    if (!recommendation || recommendation.params.sourceRowPeriod !== 3) {
+      throw new Error("Expected a recommendation to read three source rows");
+    }
+  });
+
+  test("Repeating rows are not reread when the blit could overwrite them", () => {
+    const { srcBuffer } = createBuffers({ ...layout, srcPattern: sources.stripes });
+    const analysis = analyzeOperation(
+      srcBuffer, srcWidth, srcHeight, 0, 0,
+      srcWidth, 3, 1, 60, 9,
+      { dstBuffer: srcBuffer }
+    );
+    if (!types(analysis.patterns).includes("repeating-rows")) {
+      throw new Error("The pattern should still be reported");
+    }
+    if (types(analysis.recommendations).includes("repeat-rows")) {
+      throw new Error("Overlapping blits must read every source row");
+    }
+  });
+
+  test("Rows within one destination word are detected", () => {
+    const analysis = analyze(sources.noise, narrow);
+    const column = analysis.patterns.find(
+      (pattern) => pattern.type === "single-word-column"
+    );
+    if (!column || column.word !== 1) {
+      throw new Error(`Expected word 1, got ${JSON.stringify(analysis.patterns)}`);
+    }
+    if (!types(analysis.recommendations).includes("single-word")) {
+      throw new Error("Expected a single-word recommendation");
+    }
+  });
+
+  test("Blits that leave the destination unchanged are no-ops", () => {
+    // Copying a region onto itself, and the NOOP rule
+    const { srcBuffer } = createBuffers({ ...layout, srcPattern: sources.noise });
+    const onto = analyzeOperation(
+      srcBuffer, srcWidth, srcHeight, 5, 2,
+      srcWidth, 5, 2, 70, 6,
+      { dstBuffer: srcBuffer }
+    );
+    const rule = analyze(sources.noise, region, { combinationRule: 5 });
+    for (const analysis of [onto, rule]) {
+      if (
+        !types(analysis.patterns).includes("no-op") ||
+        types(analysis.recommendations).join() !== "skip"
+      ) {
+        throw new Error(`Expected only a skip, got ${JSON.stringify(analysis)}`);
+      }
+    }
+
+    // OR onto a destination that is already all ones
+    const dstBuffer = createTestBuffer(dstWidth, dstHeight, 0);
+    dstBuffer.fill(0xffffffff);
+    const ors = analyzeOperation(
+      srcBuffer, srcWidth, srcHeight, region.srcX, region.srcY,
+      dstWidth, region.dstX, region.dstY, region.width, region.height,
+      { dstBuffer, combinationRule: 7 }
+    );
+    if (!types(ors.patterns).includes("no-op")) {
+      throw new Error("OR onto all ones should be a no-op");
+    }
+
+    // Without the destination only the rule can show a no-op
+    const unknown = analyzeOperation(
+      srcBuffer, srcWidth, srcHeight, 5, 2, srcWidth, 5, 2, 70, 6
+    );
+    if (unknown.canOptimize) {
+      throw new Error("A no-op cannot be detected without the destination");
+    }
+  });
+
+  test("Generators emit code for the recommendations", () => {
+    const generator = createGenerator("javascript");
+    const generate = (params) =>
+      generator.generate({ srcWidth, dstWidth, ...region, ...params });
+
+    if (/for|dstBuffer\[/.test(generate({ noop: true }))) {
+      throw new Error("A no-op should compile to an empty function");
+    }
+    if (generate({ combinationRule: 0 }).includes("srcBuffer[")) {
+      throw new Error("A fill should not read the source");
+    }
+    if (!generate({ sourceRowPeriod: 4 }).includes("srcYPos = 1 + (y & 3)")) {
+      throw new Error("Repeating rows should read the first four source rows");
+    }
+
+    const dynamic = createGenerator("javascript", { inlineConstants: false });
+    if (dynamic.generate({ singleWordRows: true }).includes("firstWord === lastWord")) {
+      throw new Error("Single-word rows should not test the row width");
+    }
+  });
+
+  test("Recommendations get their own cache keys", () => {
+    const variants = [{}, { noop: true }, { sourceRowPeriod: 3 }, { singleWordRows: true }];
+    for (const type of ["javascript", "wasm"]) {
+      const generator = createGenerator(type);
+      const keys = new Set(
+        variants.map((params) => generator.getCacheKey({ ...region, ...params }))
+      );
+      if (keys.size !== variants.length) {
+        throw new Error(`${type} cache keys should record the recommendations`);
+      }
+    }
+  });
+
+  test("Detected patterns do not change the result", async () => {
+    const areas = [region, narrow];
+    for (const type of ["javascript", "wasm"]) {
+      for (const inlineConstants of [true, false]) {
+        for (const [name, source] of Object.entries(sources)) {
+          for (const area of areas) {
+            for (const rule of [3, 4, 6, 7]) {
+              for (const halftone of [null, new Uint32Array([0xff00ff00, 0x0ff00ff0])]) {
+                const actual = createBuffers({ ...layout, srcPattern: source });
+                const expected = createBuffers({ ...layout, srcPattern: source });
+                const args = [srcWidth, srcHeight, area.srcX, area.srcY];
+                const dstArgs = [dstWidth, area.dstX, area.dstY, area.width, area.height];
+
+                await bitblt(actual.srcBuffer, ...args, actual.dstBuffer, ...dstArgs, {
+                  generatorType: type,
+                  compiler: { ...config.compiler, inlineConstants, detectPatterns: true },
+                  combinationRule: rule,
+                  halftone,
+                  verifyResults: false,
+                });
+                referenceBitBLT(expected.srcBuffer, ...args, expected.dstBuffer, ...dstArgs, {
+                  combinationRule: rule,
+                  halftone,
+                });
+
+                assertBitBuffersEqual(
+                  expected.dstBuffer,
+                  actual.dstBuffer,
+                  dstWidth,
+                  dstHeight,
+                  `${type} over ${name} with rule ${rule} should match the reference`
+                );
+              }
+            }
+          }
+        }
+      }
+    }
+  });
+});
+
+// Run all tests
+runTests().then((exitCode) => process.exit(exitCode));
@@ -0,0 +1,242 @@
+/**
+ * Ahead-of-Time Compilation Tests
+ *
+ * Tests for compiling BitBLT code for a list of shapes into a standalone
+ * module, and for the dispatcher in that module.
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { spawnSync } = require("child_process");
+const { pathToFileURL } = require("url");
+
+// Import the modules under test
+const { clipRegion, createTestBuffer } = require("../src/bitblt");
+const referenceBitBLT = require("../src/reference/bitblt").bitblt;
+const { compileAheadOfTime, writeAheadOfTimeModule } = require("../src/aot");
+
+// Import our testing framework
+const {
+  describe,
+  test,
+  runTests,
+  assertBitBuffersEqual,
+  createPattern,
+  patterns,
+} = require("./bitblt-tester");
+
+const screenWidth = 160;
+const screenHeight = 24;
+
+// A sprite drawn with XOR, and a scroll within the screen
+const shapes = [
+  { srcWidth: 40, srcHeight: 16, dstWidth: screenWidth, dstHeight: screenHeight, width: 40, height: 16, combinationRule: 6 },
+  { srcWidth: 40, srcHeight: 16, dstWidth: screenWidth, dstHeight: screenHeight, dstX: 7, width: 40, height: 16, combinationRule: 6 },
+  { srcWidth: screenWidth, dstWidth: screenWidth, srcHeight: screenHeight, srcY: 1, width: screenWidth, height: 23, sameBuffer: true },
+  { srcWidth: screenWidth, dstWidth: screenWidth, srcHeight: screenHeight, dstY: 1, width: screenWidth, height: 23, sameBuffer: true },
+];
+
+/**
+ * Create an empty output directory
+ * @returns {string} - The directory
+ */
+function createOutputDirectory() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), "bitblt-aot-"));
+}
+
+/**
+ * Run a sequence of blits with a module's bitblt() and with the reference,
+ * and compare the screens
+ * @param {Function} bitblt - The module's bitblt()
+ */
+function drawFrames(bitblt) {
+  const sprite = createTestBuffer(40, 16, 0);
+  createPattern(sprite, 40, 16, patterns.checkerboard);
+  const halftone = new Uint32Array([0xaaaaaaaa, 0x55555555]);
+
+  const calls = [];
+  for (let frame = 0; frame < 20; frame++) {
+    const dstX = (frame % 4) * 32 + (frame % 2) * 7;
+    calls.push(["sprite", dstX, frame % 8, 40, 16, { combinationRule: 6 }]);
+  }
+  calls.push(["screen", 0, 0, screenWidth, 23, { srcY: 1 }]);
+  calls.push(["screen", 0, 1, screenWidth, 23, { srcY: 0 }]);
+  calls.push(["sprite", 150, -3, 40, 16, { combinationRule: 7 }]);
+  calls.push(["sprite", 11, 2, 40, 16, { combinationRule: 6, halftone }]);
+
+  const run = (blit) => {
+    const screen = createTestBuffer(screenWidth, screenHeight, 0);
+    createPattern(screen, screenWidth, screenHeight, patterns.diagonal);
+    for (const [source, dstX, dstY, width, height, options] of calls) {
+      const fromScreen = source === "screen";
+      blit(
+        fromScreen ? screen : sprite,
+        fromScreen ? screenWidth : 40,
+        fromScreen ? screenHeight : 16,
+        0,
+        fromScreen ? options.srcY : 0,
+        screen,
+        screenWidth,
+        dstX,
+        dstY,
+        width,
+        height,
+        options
+      );
+    }
+    return screen;
+  };
+
+  // The reference does not clip, so give it the clipped calls
+  const expected = run((src, srcWidth, srcHeight, srcX, srcY, dst, dstWidth, dstX, dstY, width, height, options) => {
+    const region = clipRegion({ srcWidth, srcHeight, srcX, srcY, dstWidth, dstHeight: screenHeight, dstX, dstY, width, height });
+    if (region.width > 0) {
+      referenceBitBLT(src, srcWidth, srcHeight, region.srcX, region.srcY, dst, dstWidth, region.dstX, region.dstY, region.width, region.height, options);
+    }
+  });
+  const actual = run(bitblt);
+  assertBitBuffersEqual(expected, actual, screenWidth, screenHeight, "The module should match the reference");
+}
+
+// Begin tests
+describe("Ahead-of-Time Compilation", () => {
+  test("Shapes with the same dispatch key share a function", () => {
+    const { files, entries } = compileAheadOfTime(shapes, { generatorType: "javascript" });
+    if (entries.length !== 4) {
+      throw new Error(`Expected four functions, got ${entries.map((entry) => entry.key)}`);
+    }
+
+    const moved = compileAheadOfTime([shapes[0], { ...shapes[0], dstX: 64 }], { generatorType: "javascript" });
+    if (moved.entries.length !== 1) {
+      throw new Error("A shape moved by whole words should reuse the function");
+    }
+
+    const source = files["bitblt-aot.cjs"];
+    if (/new Function|eval\(|require\("\.\.?\//.test(source)) {
+      throw new Error("The module should not compile code or require this library");
+    }
+  });
+
+  test("A JavaScript CommonJS module matches the reference", () => {
+    const outDir = createOutputDirectory();
+    try {
+      const result = writeAheadOfTimeModule(shapes, { outDir, generatorType: "javascript" });
+      const module = require(result.module);
+      drawFrames(module.bitblt);
+
+      const stats = module.getStats();
+      if (stats.compiledCalls < 10 || stats.referenceCalls < 1) {
+        throw new Error(`Expected compiled calls and reference fallbacks, got ${JSON.stringify(stats)}`);
+      }
+    } finally {
+      fs.rmSync(outDir, { recursive: true, force: true });
+    }
+  });
+
+  test("A WebAssembly module loads its .wasm files synchronously", () => {
+    const outDir = createOutputDirectory();
+    try {
+      const result = writeAheadOfTimeModule(shapes, { outDir, generatorType: "wasm", name: "blitters" });
+      if (result.files.filter((file) => file.endsWith(".wasm")).length !== 4) {
+        throw new Error(`Expected one .wasm file per function, got ${result.files}`);
+      }
+
+      const module = require(result.module);
+      drawFrames(module.bitblt);
+      if (module.getStats().compiledCalls < 10) {
+        throw new Error("The precompiled functions should run");
+      }
+    } finally {
+      fs.rmSync(outDir, { recursive: true, force: true });
+    }
+  });
+
+  test("ES modules are supported", async () => {
+    const outDir = createOutputDirectory();
+    try {
+      for (const generatorType of ["javascript", "wasm"]) {
+        const result = writeAheadOfTimeModule(shapes, {
+          outDir: path.join(outDir, generatorType),
+          generatorType,
+          format: "esm",
+        });
+        const module = await import(pathToFileURL(result.module).href);
+        drawFrames(module.bitblt);
+      }
+    } finally {
+      fs.rmSync(outDir, { recursive: true, force: true });
+    }
+  });
+
+  test("Shapes of other pixel depths get functions of their own", () => {
+    const outDir = createOutputDirectory();
+    const shape = { srcWidth: 40, srcHeight: 16, dstWidth: 64, dstHeight: 20, width: 40, height: 16, combinationRule: 6 };
+    try {
+      for (const generatorType of ["javascript", "wasm"]) {
+        const result = writeAheadOfTimeModule([{ ...shape, depth: 8 }], {
+          outDir: path.join(outDir, generatorType),
+          generatorType,
+        });
+        const module = require(result.module);
+
+        for (const depth of [8, 1]) {
+          const src = createTestBuffer(40, 16, 0, depth);
+          const dst = createTestBuffer(64, 20, 0, depth);
+          for (let i = 0; i < src.length; i++) {
+            src[i] = Math.imul(i + 1, 0x9e3779b1) >>> 0;
+          }
+          const expected = dst.slice();
+          module.bitblt(src, 40, 16, 0, 0, dst, 64, 4, 2, 40, 16, { combinationRule: 6, depth });
+          referenceBitBLT(src, 40, 16, 0, 0, expected, 64, 4, 2, 40, 16, { combinationRule: 6, depth });
+          assertBitBuffersEqual(expected, dst, 64 * depth, 20, `The ${generatorType} module should match the reference at depth ${depth}`);
+        }
+
+        // Only the 8-bit call runs on the 8-bit function
+        const stats = module.getStats();
+        if (stats.compiledCalls !== 1 || stats.referenceCalls !== 1) {
+          throw new Error(`Expected one compiled and one reference call, got ${JSON.stringify(stats)}`);
+        }
+      }
+    } finally {
+      fs.rmSync(outDir, { recursive: true, force: true });
+    }
+  });
+
+  test("The CLI writes a module from a shapes file", () => {
+    const outDir = createOutputDirectory();
+    try {
+      const shapesFile = path.join(outDir, "shapes.json");
+      fs.writeFileSync(shapesFile, JSON.stringify(shapes));
+
+      const cli = spawnSync(
+        process.execPath,
+        [
+          path.join(__dirname, "../bin/bitblt-aot.js"),
+          "--shapes", shapesFile,
+          "--out", path.join(outDir, "dist"),
+          "--compiler", JSON.stringify({ unrollLoops: true }),
+        ],
+        { encoding: "utf8", timeout: 60000 }
+      );
+      if (cli.status !== 0) {
+        throw new Error(`The CLI failed: ${cli.stderr}`);
+      }
+
+      drawFrames(require(path.join(outDir, "dist", "bitblt-aot.cjs")).bitblt);
+
+      const bad = spawnSync(process.execPath, [path.join(__dirname, "../bin/bitblt-aot.js")], {
+        encoding: "utf8",
+        timeout: 60000,
+      });
+      if (bad.status === 0 || !bad.stderr.includes("Usage")) {
+        throw new Error("The CLI should print its usage without arguments");
+      }
+    } finally {
+      fs.rmSync(outDir, { recursive: true, force: true });
+    }
+  });
+});
+
+// Run all tests
+runTests().then((exitCode) => process.exit(exitCode));
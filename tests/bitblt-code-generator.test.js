@@ -6,6 +6,7 @@
 
 // Import the BitBLT compiler
 const { compileBitBLT } = require('../src/compiler/bitblt-compiler');
+const { BitBLTRangeError } = require('../src/compiler/errors');
 
 // Import our testing framework
 const {
@@ -16,6 +17,7 @@ const {
   visualizeBitBuffer,
   compareBitBuffers,
   assertBitBuffersEqual,
+  assertThrows,
   createTestBuffer,
   createPattern,
   patterns
@@ -189,7 +191,15 @@ describe('BitBLT Code Generator', () => {
       'Copy with unrolled loops should match the expected pattern'
     );
   });
+
+  test('Depths other than 1 are rejected', () => {
+    compileBitBLT({ depth: 1 });
+
+    for (const depth of [2, 8, 32]) {
+      assertThrows(() => compileBitBLT({ depth }), BitBLTRangeError, { field: 'depth', value: depth });
+    }
+  });
 });
 
 // Run all tests
-process.exit(runTests());
+runTests().then((exitCode) => process.exit(exitCode));
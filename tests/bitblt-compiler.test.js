@@ -133,4 +133,4 @@ describe('BitBLT Compiler', () => {
 });
 
 // Run all tests
-process.exit(runTests());
+runTests().then((exitCode) => process.exit(exitCode));
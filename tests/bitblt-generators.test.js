@@ -169,4 +169,4 @@ describe("BitBLT with Different Generators", () => {
 });
 
 // Run all tests
-process.exit(runTests());
+runTests().then((exitCode) => process.exit(exitCode));
@@ -0,0 +1,302 @@
+/**
+ * BitBlt Object Tests
+ *
+ * Tests for the Smalltalk-80 BitBlt object and its copyBits method,
+ * including the combination rule vectors of the Blue Book.
+ */
+
+// Import the BitBLT module
+const { BitBlt, Form, createGenerator, config } = require("../src/bitblt");
+const referenceBitBLT = require("../src/reference/bitblt").bitblt;
+
+// Import our testing framework
+const {
+  describe,
+  test,
+  runTests,
+  assertBitBuffersEqual,
+  createForm,
+  createPattern,
+  patterns,
+} = require("./bitblt-tester");
+
+/**
+ * Create a form from rows of "0" and "1"
+ * @param {string[]} rows - The pixels, one string per row
+ * @returns {Form} - The form
+ */
+function formFromRows(rows) {
+  const form = new Form(rows[0].length, rows.length);
+  rows.forEach((row, y) => {
+    for (let x = 0; x < row.length; x++) {
+      form.setPixel(x, y, row[x] === "1" ? 1 : 0);
+    }
+  });
+  return form;
+}
+
+/**
+ * Read a row of a form as a string of "0" and "1"
+ * @param {Form} form - The form
+ * @param {number} y - The row
+ * @returns {string} - The pixels of the row
+ */
+function rowOf(form, y) {
+  let row = "";
+  for (let x = 0; x < form.width; x++) {
+    row += form.getPixel(x, y);
+  }
+  return row;
+}
+
+// The Blue Book (figure 18.3) shows each rule on a source of 0011 and a
+// destination of 0101, so the result spells out the rule in binary
+const blueBookVectors = [
+  [0, "0000"],
+  [1, "0001"],
+  [2, "0010"],
+  [3, "0011"],
+  [4, "0100"],
+  [5, "0101"],
+  [6, "0110"],
+  [7, "0111"],
+  [8, "1000"],
+  [9, "1001"],
+  [10, "1010"],
+  [11, "1011"],
+  [12, "1100"],
+  [13, "1101"],
+  [14, "1110"],
+  [15, "1111"],
+];
+
+// Begin tests
+describe("BitBlt Object", () => {
+  test("copyBits follows the Blue Book for every rule", () => {
+    for (const [combinationRule, expected] of blueBookVectors) {
+      const destForm = formFromRows(["0101"]);
+      new BitBlt({
+        sourceForm: formFromRows(["0011"]),
+        destForm,
+        combinationRule,
+        width: 4,
+        height: 1,
+      }).copyBits();
+
+      if (rowOf(destForm, 0) !== expected) {
+        throw new Error(`Rule ${combinationRule} gave ${rowOf(destForm, 0)}, expected ${expected}`);
+      }
+    }
+  });
+
+  test("The Blue Book vectors hold across word boundaries", () => {
+    const count = 24;
+    for (const [combinationRule, expected] of blueBookVectors) {
+      for (const [sourceX, destX] of [[0, 0], [3, 29], [30, 1], [17, 17]]) {
+        const sourceForm = formFromRows(["1".repeat(130)]);
+        const destForm = formFromRows(["1".repeat(130)]);
+        sourceForm.fill(0, { x: sourceX, width: count * 4 });
+        destForm.fill(0, { x: destX, width: count * 4 });
+        for (let i = 0; i < count; i++) {
+          sourceForm.setPixel(sourceX + i * 4 + 2, 0, 1);
+          sourceForm.setPixel(sourceX + i * 4 + 3, 0, 1);
+          destForm.setPixel(destX + i * 4 + 1, 0, 1);
+          destForm.setPixel(destX + i * 4 + 3, 0, 1);
+        }
+
+        new BitBlt({
+          sourceForm,
+          destForm,
+          combinationRule,
+          sourceX,
+          destX,
+          width: count * 4,
+          height: 1,
+        }).copyBits();
+
+        const row = rowOf(destForm, 0);
+        const want = "1".repeat(destX) + expected.repeat(count) + "1".repeat(130 - destX - count * 4);
+        if (row !== want) {
+          throw new Error(`Rule ${combinationRule} from ${sourceX} to ${destX} gave ${row}`);
+        }
+      }
+    }
+  });
+
+  test("A halftone form masks the source, and no source form means all ones", () => {
+    // A 16x16 halftone with a diagonal, repeated across each word
+    const halftoneForm = new Form(16, 16);
+    for (let i = 0; i < 16; i++) {
+      halftoneForm.setPixel(i, i, 1);
+      halftoneForm.setPixel((i + 5) % 16, i, 1);
+    }
+
+    const sourceForm = createForm(80, 40, patterns.checkerboard);
+    const destForm = createForm(90, 50, patterns.diagonal);
+    const expected = destForm.clone();
+
+    new BitBlt({
+      sourceForm,
+      destForm,
+      halftoneForm,
+      combinationRule: 6,
+      sourceX: 3,
+      sourceY: 2,
+      destX: 11,
+      destY: 7,
+      width: 70,
+      height: 30,
+    }).copyBits();
+
+    const halftone = new Uint32Array(16);
+    for (let y = 0; y < 16; y++) {
+      halftone[y] = (halftoneForm.bits[y] | (halftoneForm.bits[y] << 16)) >>> 0;
+    }
+    referenceBitBLT(sourceForm.bits, 80, 40, 3, 2, expected.bits, 90, 11, 7, 70, 30, {
+      combinationRule: 6,
+      halftone,
+    });
+    assertBitBuffersEqual(expected.bits, destForm.bits, 90, 50, "The halftone should be repeated across each word");
+
+    // Without a source, rule 3 paints the halftone itself
+    const painted = new Form(64, 32);
+    new BitBlt({ destForm: painted, halftoneForm, width: 64, height: 32 }).copyBits();
+    for (let y = 0; y < 32; y++) {
+      for (let x = 0; x < 64; x++) {
+        if (painted.getPixel(x, y) !== halftoneForm.getPixel(x % 16, y % 16)) {
+          throw new Error(`Painted pixel (${x}, ${y}) should come from the halftone`);
+        }
+      }
+    }
+
+    let error = null;
+    try {
+      new BitBlt({ destForm: painted, halftoneForm: new Form(12, 12), width: 8, height: 8 }).copyBits();
+    } catch (err) {
+      error = err;
+    }
+    if (!(error instanceof RangeError)) {
+      throw new Error(`A halftone that does not divide a word should throw, got ${error}`);
+    }
+  });
+
+  test("copyBits clips to the clipping rectangle", () => {
+    const destForm = new Form(64, 64);
+    const bitBlt = new BitBlt({
+      destForm,
+      combinationRule: 15,
+      destX: 5,
+      destY: 5,
+      width: 50,
+      height: 50,
+      clipX: 20,
+      clipY: 10,
+      clipWidth: 30,
+      clipHeight: 100,
+    });
+
+    const region = bitBlt.copyBits();
+    if (region.dstX !== 20 || region.dstY !== 10 || region.width !== 30 || region.height !== 45) {
+      throw new Error(`Unexpected clipped region ${JSON.stringify(region)}`);
+    }
+    for (let y = 0; y < 64; y++) {
+      for (let x = 0; x < 64; x++) {
+        const inside = x >= 20 && x < 50 && y >= 10 && y < 55;
+        if (destForm.getPixel(x, y) !== (inside ? 1 : 0)) {
+          throw new Error(`Pixel (${x}, ${y}) should be ${inside ? 1 : 0}`);
+        }
+      }
+    }
+  });
+
+  test("Empty rectangles are no-ops", () => {
+    const destForm = createForm(64, 16, patterns.diagonal);
+    const expected = destForm.bits.slice();
+    const rectangles = [
+      { width: -4, height: 8 },
+      { width: 8, height: -1 },
+      { width: 0, height: 8 },
+      { width: 8, height: 8, destX: 70 },
+      { width: 8, height: 8, clipWidth: 0 },
+    ];
+
+    for (const rectangle of rectangles) {
+      const bitBlt = new BitBlt({ destForm, combinationRule: 15, ...rectangle });
+      const region = bitBlt.copyBits();
+      if (region.width !== 0 || region.height !== 0 || bitBlt.onesForm !== null) {
+        throw new Error(`${JSON.stringify(rectangle)} should transfer nothing, got ${JSON.stringify(region)}`);
+      }
+    }
+    assertBitBuffersEqual(expected, destForm.bits, 64, 16, "Empty rectangles should leave the destination alone");
+  });
+
+  test("Repeated copyBits with one shape reuse the compiled blitter", () => {
+    const savedType = config.generatorType;
+    try {
+      for (const type of ["javascript", "wasm"]) {
+        config.generatorType = type;
+        const sourceForm = new Form(96, 40);
+        const destForm = createForm(96, 40, patterns.diagonal);
+        const expected = destForm.clone();
+        const bitBlt = new BitBlt({
+          sourceForm,
+          destForm,
+          combinationRule: 7,
+          sourceX: 5,
+          destX: 9,
+          destY: 4,
+          width: 40,
+          height: 8,
+        });
+
+        // Smalltalk code changes the pixels of its forms between calls
+        for (let step = 0; step < 6; step++) {
+          createPattern(sourceForm.bits, 96, 40, step % 2 ? patterns.checkerboard : patterns.diagonal);
+          const region = bitBlt.copyBits();
+          if (typeof region.then === "function") {
+            throw new Error(`copyBits should not return a Promise with the ${type} generator`);
+          }
+          referenceBitBLT(sourceForm.bits, 96, 40, 5, 0, expected.bits, 96, 9, 4, 40, 8, { combinationRule: 7 });
+        }
+
+        assertBitBuffersEqual(expected.bits, destForm.bits, 96, 40, `The ${type} copies should match the reference`);
+        const { compiles } = bitBlt.generator.getCacheStats();
+        if (compiles !== 1) {
+          throw new Error(`The ${type} blitter should be compiled once, got ${compiles} compiles`);
+        }
+      }
+    } finally {
+      config.generatorType = savedType;
+    }
+  });
+
+  test("A closure generator keeps one blitter as the rectangles move", () => {
+    const generator = createGenerator("closure");
+    const sourceForm = createForm(96, 40, patterns.checkerboard);
+    const destForm = createForm(96, 40, patterns.diagonal);
+    const expected = destForm.clone();
+    const bitBlt = new BitBlt({ generator, sourceForm, destForm, combinationRule: 6, width: 40, height: 8 });
+    if (bitBlt.getGenerator() !== generator) {
+      throw new Error("A BitBlt should use the generator it is given");
+    }
+
+    for (let step = 0; step < 6; step++) {
+      bitBlt.sourceX = step * 5;
+      bitBlt.destX = step * 9;
+      bitBlt.destY = step * 4;
+      bitBlt.copyBits();
+      referenceBitBLT(sourceForm.bits, 96, 40, step * 5, 0, expected.bits, 96, step * 9, step * 4, 40, 8, {
+        combinationRule: 6,
+      });
+    }
+
+    assertBitBuffersEqual(expected.bits, destForm.bits, 96, 40, "The moving copies should match the reference");
+    const { compiles } = generator.getCacheStats();
+    if (compiles !== 1) {
+      throw new Error(`The closure blitter should be built once, got ${compiles}`);
+    }
+  });
+});
+
+// Run all tests
+runTests().then((exitCode) => process.exit(exitCode));
@@ -9,6 +9,8 @@
 // Import the BitBLT implementation
 const path = require('path');
 const fs = require('fs');
+const { Form } = require('../src/form');
+const referenceBitBLT = require('../src/reference/bitblt').bitblt;
 
 // Test suite management
 let tests = [];
@@ -50,9 +52,10 @@ test.skip = function(name, fn) {
 };
 
 /**
- * Run all defined tests
+ * Run all defined tests, waiting for asynchronous tests to finish
+ * @returns {Promise<number>} - Exit code (0 if all tests passed)
  */
-function runTests() {
+async function runTests() {
   console.log('\n🧪 Running BitBLT Tests...\n');
   
   for (const t of tests) {
@@ -65,7 +68,7 @@ function runTests() {
     }
     
     try {
-      t.fn();
+      await t.fn();
       console.log(`  \x1b[32m✓ PASS: ${t.name}\x1b[0m`);
       stats.passed++;
     } catch (err) {
@@ -90,6 +93,131 @@ function runTests() {
   return stats.failed === 0 ? 0 : 1;
 }
 
+/**
+ * Create a source and a destination buffer filled with patterns
+ * @param {Object} layout - Sizes and patterns of the buffers
+ * @param {number} layout.srcWidth - Source width in pixels
+ * @param {number} layout.srcHeight - Source height in pixels
+ * @param {number} layout.dstWidth - Destination width in pixels
+ * @param {number} layout.dstHeight - Destination height in pixels
+ * @param {Function} layout.srcPattern - Source pattern (default: patterns.noise)
+ * @param {Function|null} layout.dstPattern - Destination pattern, or null
+ *   to leave it clear (default: patterns.checkerboard)
+ * @param {boolean} layout.shared - Whether to put the buffers in
+ *   SharedArrayBuffers (default: false)
+ * @returns {Object} - Fresh { srcBuffer, dstBuffer }
+ */
+function createBuffers({
+  srcWidth,
+  srcHeight,
+  dstWidth,
+  dstHeight,
+  srcPattern = patterns.noise,
+  dstPattern = patterns.checkerboard,
+  shared = false
+}) {
+  const create = (width, height) => shared
+    ? new Uint32Array(new SharedArrayBuffer(Math.ceil(width / 32) * height * 4))
+    : createTestBuffer(width, height, 0);
+
+  const srcBuffer = create(srcWidth, srcHeight);
+  createPattern(srcBuffer, srcWidth, srcHeight, srcPattern);
+  const dstBuffer = create(dstWidth, dstHeight);
+  if (dstPattern) {
+    createPattern(dstBuffer, dstWidth, dstHeight, dstPattern);
+  }
+  return { srcBuffer, dstBuffer };
+}
+
+/**
+ * Create a 1-bit form with a pattern
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @param {Function} pattern - Pattern function
+ * @returns {Form} - The form
+ */
+function createForm(width, height, pattern) {
+  const form = new Form(width, height);
+  createPattern(form.bits, width, height, pattern);
+  return form;
+}
+
+/**
+ * Run a region through a generator and the reference and compare them
+ * @param {Object} generator - The generator to test
+ * @param {Object} layout - Buffer sizes and patterns, as for createBuffers
+ * @param {Object} region - Source and destination coordinates and size
+ * @param {Object} options - Per-call options (rule, halftone)
+ * @returns {Promise<void>}
+ */
+async function checkRegion(generator, layout, region, options = {}) {
+  const { srcWidth, srcHeight, dstWidth, dstHeight } = layout;
+  const actual = createBuffers(layout);
+  const expected = createBuffers(layout);
+  const args = [srcWidth, srcHeight, region.srcX, region.srcY];
+  const dstArgs = [
+    dstWidth,
+    region.dstX,
+    region.dstY,
+    region.width,
+    region.height,
+    options
+  ];
+
+  await generator.execute(actual.srcBuffer, ...args, actual.dstBuffer, ...dstArgs);
+  referenceBitBLT(expected.srcBuffer, ...args, expected.dstBuffer, ...dstArgs);
+
+  assertBitBuffersEqual(
+    expected.dstBuffer,
+    actual.dstBuffer,
+    dstWidth,
+    dstHeight,
+    `${generator.name} copy of ${JSON.stringify(region)} with ${JSON.stringify(options)} should match the reference`
+  );
+}
+
+/**
+ * Check that a function throws a given kind of error, or returns a
+ * Promise that rejects with one
+ * @param {Function} fn - Function to call
+ * @param {Function} type - Expected error class
+ * @param {string|Object} expected - Text the message should contain, or
+ *   the values the error's fields should have (optional)
+ * @returns {Error|Promise<Error>} - The error, or a Promise to await
+ *   that resolves to it if fn returned one
+ */
+function assertThrows(fn, type, expected = {}) {
+  const check = (error) => {
+    if (!(error instanceof type)) {
+      throw new Error(`Expected a ${type.name} from ${fn}, got ${error}`);
+    }
+
+    if (typeof expected === 'string') {
+      if (!error.message.includes(expected)) {
+        throw new Error(`Expected a ${type.name} mentioning "${expected}", got ${error}`);
+      }
+      return error;
+    }
+    for (const [name, value] of Object.entries(expected)) {
+      if (error[name] !== value) {
+        throw new Error(`Expected ${name} ${value} on ${error.name}, got ${error[name]}`);
+      }
+    }
+    return error;
+  };
+
+  let result;
+  try {
+    result = fn();
+  } catch (err) {
+    return check(err);
+  }
+  if (result && typeof result.then === 'function') {
+    return result.then(() => check(null), check);
+  }
+  return check(null);
+}
+
 /**
  * Helper function to get the value of a specific bit in a packed buffer
  * @param {Uint32Array} buffer - The buffer containing packed pixels
@@ -278,6 +406,7 @@ const patterns = {
   horizontal: (x, y) => y % 2 === 0,
   vertical: (x, y) => x % 2 === 0,
   diagonal: (x, y) => (x + y) % 2 === 0,
+  noise: (x, y) => (x + y) % 2 === 0 || (x * 5 + y) % 7 < 2,
   circle: (x, y, centerX, centerY, radius) => {
     const dx = x - centerX;
     const dy = y - centerY;
@@ -290,6 +419,10 @@ module.exports = {
   describe,
   test,
   runTests,
+  createBuffers,
+  createForm,
+  checkRegion,
+  assertThrows,
   getPixel,
   visualizeBitBuffer,
   compareBitBuffers,
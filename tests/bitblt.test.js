@@ -160,4 +160,4 @@ describe('BitBLT Basic Operations', () => {
 });
 
 // Run all tests
-process.exit(runTests());
+runTests().then((exitCode) => process.exit(exitCode));
@@ -0,0 +1,221 @@
+/**
+ * Clipping Tests
+ *
+ * Tests for the clip rectangle and automatic clipping to the source and
+ * destination bounds.
+ */
+
+// Import the BitBLT module
+const { bitblt, clipRegion, createGenerator } = require("../src/bitblt");
+
+// Import our testing framework
+const {
+  describe,
+  test,
+  runTests,
+  createBuffers,
+  getPixel,
+  assertBitBuffersEqual,
+  createTestBuffer,
+  createPattern,
+  patterns,
+} = require("./bitblt-tester");
+
+const srcWidth = 40;
+const srcHeight = 10;
+const dstWidth = 40;
+const dstHeight = 10;
+
+const layout = {
+  srcWidth,
+  srcHeight,
+  dstWidth,
+  dstHeight,
+  srcPattern: patterns.diagonal,
+  dstPattern: null,
+};
+
+/**
+ * Build the expected destination by copying the given (already clipped)
+ * region pixel by pixel
+ * @param {Uint32Array} srcBuffer - Source buffer
+ * @param {Object} region - The clipped region
+ * @returns {Uint32Array} - The expected destination buffer
+ */
+function expectedResult(srcBuffer, region) {
+  const expected = createTestBuffer(dstWidth, dstHeight, 0);
+  createPattern(expected, dstWidth, dstHeight, (x, y) => {
+    const dx = x - region.dstX;
+    const dy = y - region.dstY;
+    if (dx < 0 || dx >= region.width || dy < 0 || dy >= region.height) {
+      return 0;
+    }
+    return getPixel(srcBuffer, srcWidth, region.srcX + dx, region.srcY + dy);
+  });
+  return expected;
+}
+
+/**
+ * Assert that a region has the expected fields
+ * @param {Object} actual - Region returned by bitblt() or clipRegion()
+ * @param {Object} expected - Expected region
+ */
+function assertRegion(actual, expected) {
+  for (const key of ["srcX", "srcY", "dstX", "dstY", "width", "height"]) {
+    if (actual[key] !== expected[key]) {
+      throw new Error(
+        `Expected region ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`
+      );
+    }
+  }
+}
+
+// Begin tests
+describe("Clipping", () => {
+  test("Negative source coordinates move the destination origin", () => {
+    const { srcBuffer, dstBuffer } = createBuffers(layout);
+
+    const region = bitblt(
+      srcBuffer, srcWidth, srcHeight,
+      -3, -2,                  // source x, y
+      dstBuffer, dstWidth,     // dest buffer and width
+      10, 4,                   // dest x, y
+      8, 5                     // width, height
+    );
+
+    assertRegion(region, {
+      srcX: 0, srcY: 0, dstX: 13, dstY: 6, width: 5, height: 3,
+    });
+    assertBitBuffersEqual(
+      expectedResult(srcBuffer, region), dstBuffer, dstWidth, dstHeight,
+      "Only the part of the source inside its bounds should be copied"
+    );
+  });
+
+  test("Regions running past the destination are clipped", () => {
+    const { srcBuffer, dstBuffer } = createBuffers(layout);
+
+    const region = bitblt(
+      srcBuffer, srcWidth, srcHeight,
+      0, 0,
+      dstBuffer, dstWidth,
+      30, 7,
+      20, 20
+    );
+
+    assertRegion(region, {
+      srcX: 0, srcY: 0, dstX: 30, dstY: 7, width: 10, height: 3,
+    });
+
+    // Nothing may be written into the padding bits of each row
+    for (let y = 0; y < dstHeight; y++) {
+      if (dstBuffer[y * 2 + 1] >>> 8 !== 0) {
+        throw new Error(`Row ${y} has bits set past the destination width`);
+      }
+    }
+
+    assertBitBuffersEqual(
+      expectedResult(srcBuffer, region), dstBuffer, dstWidth, dstHeight,
+      "The copy should stop at the destination edges"
+    );
+  });
+
+  test("Regions running past the source are clipped", () => {
+    const { srcBuffer, dstBuffer } = createBuffers(layout);
+
+    const region = bitblt(
+      srcBuffer, srcWidth, srcHeight,
+      35, 8,
+      dstBuffer, dstWidth,
+      0, 0,
+      10, 10
+    );
+
+    assertRegion(region, {
+      srcX: 35, srcY: 8, dstX: 0, dstY: 0, width: 5, height: 2,
+    });
+    assertBitBuffersEqual(
+      expectedResult(srcBuffer, region), dstBuffer, dstWidth, dstHeight,
+      "The copy should stop at the source edges"
+    );
+  });
+
+  test("The clip rectangle limits the destination", () => {
+    const { srcBuffer, dstBuffer } = createBuffers(layout);
+
+    const region = bitblt(
+      srcBuffer, srcWidth, srcHeight,
+      0, 0,
+      dstBuffer, dstWidth,
+      0, 0,
+      40, 10,
+      { clipX: 5, clipY: 2, clipWidth: 30, clipHeight: 4 }
+    );
+
+    assertRegion(region, {
+      srcX: 5, srcY: 2, dstX: 5, dstY: 2, width: 30, height: 4,
+    });
+    assertBitBuffersEqual(
+      expectedResult(srcBuffer, region), dstBuffer, dstWidth, dstHeight,
+      "Only the clip rectangle should change"
+    );
+  });
+
+  test("Fully clipped operations change nothing", () => {
+    const { srcBuffer, dstBuffer } = createBuffers(layout);
+
+    const region = bitblt(
+      srcBuffer, srcWidth, srcHeight,
+      0, 0,
+      dstBuffer, dstWidth,
+      50, 0,
+      8, 8
+    );
+
+    if (region.width !== 0 || region.height !== 0) {
+      throw new Error(`Expected an empty region, got ${JSON.stringify(region)}`);
+    }
+    if (dstBuffer.some((word) => word !== 0)) {
+      throw new Error("A fully clipped operation should not write anything");
+    }
+  });
+
+  test("clipRegion handles a clip rectangle outside the destination", () => {
+    const region = clipRegion({
+      srcWidth: 16, srcHeight: 16, srcX: 0, srcY: 0,
+      dstWidth: 16, dstHeight: 16, dstX: -4, dstY: -4,
+      width: 16, height: 16,
+      clipX: -10, clipY: -10, clipWidth: 100, clipHeight: 100,
+    });
+
+    assertRegion(region, {
+      srcX: 4, srcY: 4, dstX: 0, dstY: 0, width: 12, height: 12,
+    });
+  });
+
+  for (const generatorType of ["javascript", "wasm", "closure"]) {
+    test(`${generatorType} generator receives clipped coordinates`, async () => {
+      const { srcBuffer, dstBuffer } = createBuffers(layout);
+
+      const region = await bitblt(
+        srcBuffer, srcWidth, srcHeight,
+        -7, 3,
+        dstBuffer, dstWidth,
+        25, -2,
+        30, 12,
+        { generator: createGenerator(generatorType), verifyResults: true }
+      );
+
+      assertRegion(region, {
+        srcX: 0, srcY: 5, dstX: 32, dstY: 0, width: 8, height: 5,
+      });
+      assertBitBuffersEqual(
+        expectedResult(srcBuffer, region), dstBuffer, dstWidth, dstHeight,
+        `${generatorType} should only write the clipped region`
+      );
+    });
+  }
+});
+
+// Run all tests
+runTests().then((exitCode) => process.exit(exitCode));
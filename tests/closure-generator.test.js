@@ -0,0 +1,128 @@
+/**
+ * Closure Generator Tests
+ *
+ * Tests for the closure generator, which composes BitBLT functions from
+ * prebuilt closures and never evaluates strings.
+ */
+
+const path = require("path");
+const { spawnSync } = require("child_process");
+
+// Import the BitBLT module
+const {
+  bitblt,
+  createGenerator,
+  createTestBuffer,
+  generators,
+} = require("../src/bitblt");
+
+// Import our testing framework
+const {
+  describe,
+  test,
+  runTests,
+  createPattern,
+  patterns,
+} = require("./bitblt-tester");
+
+const width = 200;
+const height = 12;
+
+/**
+ * Run blits at every alignment, each checked against the reference
+ * @param {Object} generator - Generator to run on
+ * @param {number} combinationRule - Combination rule (0-15)
+ */
+async function blitAtEveryAlignment(generator, combinationRule) {
+  for (let srcX = 0; srcX < 40; srcX += 3) {
+    for (let dstX = 0; dstX < 40; dstX += 5) {
+      for (const blitWidth of [1, 17, 33, 150]) {
+        const srcBuffer = createTestBuffer(width, height, 0);
+        createPattern(srcBuffer, width, height, patterns.diagonal);
+        const dstBuffer = createTestBuffer(width, height, 0);
+        createPattern(dstBuffer, width, height, patterns.checkerboard);
+
+        await bitblt(srcBuffer, width, height, srcX, 1, dstBuffer, width, dstX, 2, blitWidth, 9, {
+          generator,
+          combinationRule,
+          verifyResults: true,
+        });
+      }
+    }
+  }
+}
+
+// Begin tests
+describe("Closure Generator", () => {
+  test("The closure generator is available", () => {
+    if (!generators.available.includes("closure")) {
+      throw new Error("closure should be listed as an available generator");
+    }
+    if (createGenerator("closure").isAsync()) {
+      throw new Error("The closure generator should be synchronous");
+    }
+  });
+
+  test("Every alignment matches the reference", async () => {
+    const generator = createGenerator("closure");
+    for (const rule of [3, 6, 7, 12]) {
+      await blitAtEveryAlignment(generator, rule);
+    }
+  });
+
+  test("One function serves every position of a blit", async () => {
+    const generator = createGenerator("closure");
+    await blitAtEveryAlignment(generator, 6);
+    if (generator.compiledFunctions.size !== 1) {
+      throw new Error(`Expected one function, got ${[...generator.compiledFunctions.keys()]}`);
+    }
+  });
+
+  test("Blits run without evaluating strings", () => {
+    const script = `
+      const { bitblt, createGenerator } = require(${JSON.stringify(path.join(__dirname, "../src/bitblt"))});
+      const referenceBitBLT = require(${JSON.stringify(path.join(__dirname, "../src/reference/bitblt"))}).bitblt;
+      const { createBuffers } = require(${JSON.stringify(path.join(__dirname, "bitblt-tester"))});
+      const layout = { srcWidth: 96, srcHeight: 8, dstWidth: 96, dstHeight: 8 };
+      const blit = (type) => {
+        const { srcBuffer, dstBuffer } = createBuffers(layout);
+        const original = dstBuffer.slice();
+        const expected = dstBuffer.slice();
+        bitblt(srcBuffer, 96, 8, 5, 0, dstBuffer, 96, 3, 1, 70, 6, {
+          generator: createGenerator(type),
+          combinationRule: 6,
+          verifyResults: true,
+        });
+        referenceBitBLT(srcBuffer, 96, 8, 5, 0, expected, 96, 3, 1, 70, 6, { combinationRule: 6 });
+        if (dstBuffer.every((word, i) => word === original[i])) {
+          throw new Error("The blit left the destination unchanged");
+        }
+        if (dstBuffer.some((word, i) => word !== expected[i])) {
+          throw new Error("The blit does not match the reference");
+        }
+      };
+
+      blit("closure");
+      try {
+        blit("javascript");
+      } catch (err) {
+        console.log("javascript failed");
+      }
+    `;
+    const child = spawnSync(
+      process.execPath,
+      ["--disallow-code-generation-from-strings", "-e", script],
+      { encoding: "utf8", timeout: 60000 }
+    );
+
+    if (child.status !== 0) {
+      throw new Error(`The closure generator failed: ${child.stderr}`);
+    }
+    if (!child.stdout.includes("javascript failed")) {
+      throw new Error("The JavaScript generator should need code generation from strings");
+    }
+  });
+});
+
+// Run all tests
+runTests().then((exitCode) => process.exit(exitCode));
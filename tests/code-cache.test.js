@@ -0,0 +1,142 @@
+/**
+ * Code Cache Tests
+ *
+ * Tests for the bounded cache of compiled functions that every generator
+ * keeps: LRU eviction, the maxCacheSize option and the cache statistics.
+ */
+
+// Import the BitBLT module
+const {
+  bitblt,
+  config,
+  createGenerator,
+  getCacheStats,
+  createTestBuffer,
+} = require("../src/bitblt");
+const { CodeCache, DEFAULT_MAX_CACHE_SIZE } = require("../src/compiler/code-cache");
+
+// Import our testing framework
+const {
+  describe,
+  test,
+  runTests,
+  createPattern,
+  patterns,
+} = require("./bitblt-tester");
+
+const width = 96;
+const height = 8;
+
+/**
+ * Run a blit with a given combination rule, checked against the reference
+ * @param {Object} generator - Generator to run on, or null for the default ones
+ * @param {number} combinationRule - Combination rule (0-15)
+ */
+async function blit(generator, combinationRule) {
+  const srcBuffer = createTestBuffer(width, height, 0);
+  createPattern(srcBuffer, width, height, patterns.diagonal);
+  const dstBuffer = createTestBuffer(width, height, 0);
+  createPattern(dstBuffer, width, height, patterns.checkerboard);
+
+  await bitblt(srcBuffer, width, height, 3, 1, dstBuffer, width, 10, 2, 50, 5, {
+    ...(generator ? { generator } : {}),
+    combinationRule,
+    verifyResults: true,
+  });
+}
+
+// Begin tests
+describe("Code Cache", () => {
+  test("The least recently used entry is evicted first", () => {
+    const cache = new CodeCache(3);
+    cache.set("a", 1);
+    cache.set("b", 2);
+    cache.set("c", 3);
+    cache.get("a");
+    cache.set("d", 4);
+
+    const keys = [...cache.keys()].join();
+    if (keys !== "c,a,d") {
+      throw new Error(`Expected b to be evicted, got ${keys}`);
+    }
+
+    const stats = cache.getStats();
+    if (stats.hits !== 1 || stats.evictions !== 1 || stats.compiles !== 4) {
+      throw new Error(`Unexpected stats ${JSON.stringify(stats)}`);
+    }
+    if (cache.get("b") !== undefined || cache.getStats().misses !== 1) {
+      throw new Error("An evicted key should miss");
+    }
+  });
+
+  test("The cache size must be a positive integer", () => {
+    if (new CodeCache().maxSize !== DEFAULT_MAX_CACHE_SIZE) {
+      throw new Error("The default size should be used");
+    }
+    for (const size of [0, -1, 2.5, "8"]) {
+      try {
+        new CodeCache(size);
+      } catch (err) {
+        continue;
+      }
+      throw new Error(`Size ${size} should be rejected`);
+    }
+  });
+
+  test("Generators keep at most maxCacheSize functions", async () => {
+    for (const type of ["javascript", "wasm"]) {
+      const generator = createGenerator(type, { maxCacheSize: 4 });
+      for (const rule of [1, 3, 6, 7, 12, 14]) {
+        await blit(generator, rule);
+      }
+      await blit(generator, 14);
+
+      const stats = generator.getCacheStats();
+      if (stats.size !== 4 || stats.evictions !== 2 || stats.compiles !== 6) {
+        throw new Error(`${type}: unexpected stats ${JSON.stringify(stats)}`);
+      }
+      if (stats.hits < 1 || !(stats.compileTime > 0)) {
+        throw new Error(`${type}: expected hits and compile time, got ${JSON.stringify(stats)}`);
+      }
+
+      // A function that was evicted is compiled again
+      await blit(generator, 1);
+      if (generator.getCacheStats().compiles !== 7) {
+        throw new Error(`${type}: rule 1 should have been recompiled`);
+      }
+    }
+  });
+
+  test("Clearing the cache keeps the statistics", async () => {
+    const generator = createGenerator("javascript");
+    await blit(generator, 3);
+    generator.clearCache();
+    const stats = generator.getCacheStats();
+    if (stats.size !== 0 || stats.compiles !== 1) {
+      throw new Error(`Unexpected stats ${JSON.stringify(stats)}`);
+    }
+  });
+
+  test("bitblt() reuses its generators and reports their statistics", async () => {
+    const saved = config.verifyResults;
+    config.verifyResults = true;
+    try {
+      const before = getCacheStats();
+      await blit(null, 9);
+      await blit(null, 9);
+      const after = getCacheStats();
+
+      if (after.generators < 1 || after.compiles - before.compiles !== 1) {
+        throw new Error(`Expected one compile, got ${JSON.stringify([before, after])}`);
+      }
+      if (after.hits - before.hits < 1) {
+        throw new Error("The second call should hit the cache");
+      }
+    } finally {
+      config.verifyResults = saved;
+    }
+  });
+});
+
+// Run all tests
+runTests().then((exitCode) => process.exit(exitCode));
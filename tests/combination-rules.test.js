@@ -0,0 +1,232 @@
+/**
+ * Combination Rule Tests
+ *
+ * Tests for the 16 Smalltalk combination rules across the reference
+ * implementation and every generator.
+ */
+
+// Import the BitBLT module
+const { bitblt, CombinationRule, createGenerator } = require("../src/bitblt");
+const referenceBitBLT = require("../src/reference/bitblt").bitblt;
+
+// Import our testing framework
+const {
+  describe,
+  test,
+  runTests,
+  createBuffers,
+  getPixel,
+  assertBitBuffersEqual,
+  createPattern,
+  patterns,
+} = require("./bitblt-tester");
+
+// A region that straddles word boundaries in both buffers
+const srcWidth = 40;
+const srcHeight = 6;
+const dstWidth = 48;
+const dstHeight = 6;
+const region = { srcX: 3, srcY: 1, dstX: 29, dstY: 0, width: 17, height: 5 };
+
+const layout = {
+  srcWidth,
+  srcHeight,
+  dstWidth,
+  dstHeight,
+  srcPattern: patterns.checkerboard,
+  dstPattern: (x, y) => (x >> 1) % 2 === 0,
+};
+
+/**
+ * Compute the expected destination one pixel at a time from the rule's
+ * truth table
+ * @param {number} rule - Combination rule (0-15)
+ * @returns {Uint32Array} - The expected destination buffer
+ */
+function expectedResult(rule) {
+  const { srcBuffer, dstBuffer } = createBuffers(layout);
+  const expected = dstBuffer.slice();
+
+  createPattern(expected, dstWidth, dstHeight, (x, y) => {
+    const d = getPixel(dstBuffer, dstWidth, x, y);
+    const inside =
+      x >= region.dstX &&
+      x < region.dstX + region.width &&
+      y >= region.dstY &&
+      y < region.dstY + region.height;
+
+    if (!inside) {
+      return d;
+    }
+
+    const s = getPixel(
+      srcBuffer,
+      srcWidth,
+      x - region.dstX + region.srcX,
+      y - region.dstY + region.srcY
+    );
+    return (rule >> (3 - ((s << 1) | d))) & 1;
+  });
+
+  return expected;
+}
+
+/**
+ * Run bitblt() over the shared region with the given rule and options
+ * @param {number} rule - Combination rule (0-15)
+ * @param {Object} options - Options passed to bitblt()
+ * @returns {Promise<Uint32Array>} - The destination buffer
+ */
+async function runRule(rule, options) {
+  const { srcBuffer, dstBuffer } = createBuffers(layout);
+
+  await bitblt(
+    srcBuffer,
+    srcWidth,
+    srcHeight,
+    region.srcX,
+    region.srcY,
+    dstBuffer,
+    dstWidth,
+    region.dstX,
+    region.dstY,
+    region.width,
+    region.height,
+    { ...options, combinationRule: rule }
+  );
+
+  return dstBuffer;
+}
+
+// Begin tests
+describe("Combination Rules", () => {
+  test("Named rules cover all 16 boolean functions", () => {
+    const values = Object.values(CombinationRule).sort((a, b) => a - b);
+
+    if (values.length !== 16 || values.some((value, i) => value !== i)) {
+      throw new Error(`Expected rules 0-15, got ${values.join(", ")}`);
+    }
+  });
+
+  test("Reference implementation honors every rule", () => {
+    for (let rule = 0; rule < 16; rule++) {
+      const { srcBuffer, dstBuffer } = createBuffers(layout);
+
+      referenceBitBLT(
+        srcBuffer,
+        srcWidth,
+        srcHeight,
+        region.srcX,
+        region.srcY,
+        dstBuffer,
+        dstWidth,
+        region.dstX,
+        region.dstY,
+        region.width,
+        region.height,
+        { combinationRule: rule }
+      );
+
+      assertBitBuffersEqual(
+        expectedResult(rule),
+        dstBuffer,
+        dstWidth,
+        dstHeight,
+        `Reference result for rule ${rule} should match its truth table`
+      );
+    }
+  });
+
+  test("Reference implementation defaults to the store rule", () => {
+    const { srcBuffer, dstBuffer } = createBuffers(layout);
+
+    referenceBitBLT(
+      srcBuffer,
+      srcWidth,
+      srcHeight,
+      region.srcX,
+      region.srcY,
+      dstBuffer,
+      dstWidth,
+      region.dstX,
+      region.dstY,
+      region.width,
+      region.height
+    );
+
+    assertBitBuffersEqual(
+      expectedResult(CombinationRule.STORE),
+      dstBuffer,
+      dstWidth,
+      dstHeight,
+      "Omitting the rule should store the source"
+    );
+  });
+
+  for (const generatorType of ["javascript", "wasm", "zero-copy-wasm", "closure"]) {
+    test(`${generatorType} generator honors every rule`, async () => {
+      const generator = createGenerator(generatorType);
+
+      for (let rule = 0; rule < 16; rule++) {
+        // verifyResults compares against the reference on every call
+        const dstBuffer = await runRule(rule, {
+          generator,
+          generatorType,
+          verifyResults: true,
+        });
+
+        assertBitBuffersEqual(
+          expectedResult(rule),
+          dstBuffer,
+          dstWidth,
+          dstHeight,
+          `${generatorType} result for rule ${rule} should match its truth table`
+        );
+      }
+    });
+  }
+
+  test("Cache keys differ by rule", () => {
+    for (const generatorType of ["javascript", "wasm", "closure"]) {
+      const generator = createGenerator(generatorType);
+      const keys = new Set();
+
+      for (let rule = 0; rule < 16; rule++) {
+        keys.add(generator.getCacheKey({ ...region, combinationRule: rule }));
+      }
+
+      if (keys.size !== 16) {
+        throw new Error(
+          `${generatorType} produced ${keys.size} distinct cache keys for 16 rules`
+        );
+      }
+    }
+  });
+
+  test("Invalid rules are rejected", () => {
+    try {
+      bitblt(
+        new Uint32Array(1),
+        8,
+        1,
+        0,
+        0,
+        new Uint32Array(1),
+        8,
+        0,
+        0,
+        8,
+        1,
+        { combinationRule: 16 }
+      );
+      throw new Error("Expected error was not thrown");
+    } catch (err) {
+      if (!err.message.includes("Invalid combination rule")) {
+        throw new Error(`Unexpected error message: ${err.message}`);
+      }
+    }
+  });
+});
+
+// Run all tests
+runTests().then((exitCode) => process.exit(exitCode));
@@ -0,0 +1,257 @@
+/**
+ * Disk Cache Tests
+ *
+ * Tests for the opt-in cache of generated code on disk: warm starts,
+ * invalidation by version, atomic writes and corrupted entries.
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { spawnSync } = require("child_process");
+
+// Import the BitBLT module
+const { bitblt, createGenerator, createTestBuffer } = require("../src/bitblt");
+const { DiskCache, getGeneratorVersion } = require("../src/compiler/disk-cache");
+
+// Import our testing framework
+const {
+  describe,
+  test,
+  runTests,
+  createPattern,
+  patterns,
+} = require("./bitblt-tester");
+
+const width = 96;
+const height = 8;
+
+/**
+ * Create an empty cache directory
+ * @returns {string} - The directory
+ */
+function createCacheDirectory() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), "bitblt-cache-"));
+}
+
+/**
+ * List the files in a directory and its subdirectories
+ * @param {string} directory - Directory to list
+ * @returns {string[]} - File paths
+ */
+function listFiles(directory) {
+  return fs.readdirSync(directory, { withFileTypes: true }).flatMap((entry) =>
+    entry.isDirectory()
+      ? listFiles(path.join(directory, entry.name))
+      : [path.join(directory, entry.name)]
+  );
+}
+
+/**
+ * Run a blit, checked against the reference
+ * @param {Object} generator - Generator to run on
+ * @param {number} combinationRule - Combination rule (0-15)
+ */
+async function blit(generator, combinationRule = 6) {
+  const srcBuffer = createTestBuffer(width, height, 0);
+  createPattern(srcBuffer, width, height, patterns.diagonal);
+  const dstBuffer = createTestBuffer(width, height, 0);
+  createPattern(dstBuffer, width, height, patterns.checkerboard);
+
+  await bitblt(srcBuffer, width, height, 3, 1, dstBuffer, width, 10, 2, 50, 5, {
+    generator,
+    combinationRule,
+    verifyResults: true,
+  });
+}
+
+/**
+ * Make a generator fail if it has to generate code
+ * @param {Object} generator - Generator
+ * @returns {Object} - The generator
+ */
+function forbidGeneration(generator) {
+  generator.generate = () => {
+    throw new Error("The code should have been loaded from the disk cache");
+  };
+  return generator;
+}
+
+// Begin tests
+describe("Disk Cache", () => {
+  test("Generated code is loaded by later generators", async () => {
+    const directory = createCacheDirectory();
+    try {
+      for (const type of ["javascript", "wasm"]) {
+        await blit(createGenerator(type, { diskCache: directory }));
+        await blit(forbidGeneration(createGenerator(type, { diskCache: directory })));
+      }
+      const files = listFiles(directory);
+      if (files.length !== 2 || !files.every((file) => file.includes(getGeneratorVersion()))) {
+        throw new Error(`Expected one entry per generator, got ${files.join(", ")}`);
+      }
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+
+  test("Entries round-trip source and bytes", () => {
+    const directory = createCacheDirectory();
+    try {
+      const cache = new DiskCache(directory);
+      cache.set("js_key", "function bitblt() {}");
+      cache.set("wasm_key", new Uint8Array([0, 97, 115, 109, 255]));
+
+      if (cache.get("js_key") !== "function bitblt() {}") {
+        throw new Error("The source should be loaded unchanged");
+      }
+      const bytes = cache.get("wasm_key");
+      if (!(bytes instanceof Uint8Array) || bytes.join() !== "0,97,115,109,255") {
+        throw new Error(`The bytes should be loaded unchanged, got ${bytes}`);
+      }
+      if (cache.get("other_key") !== null) {
+        throw new Error("An unknown key should miss");
+      }
+
+      // Writes go through a temporary file that is renamed into place
+      if (listFiles(directory).some((file) => file.endsWith(".tmp"))) {
+        throw new Error("No temporary files should be left behind");
+      }
+
+      const stats = cache.getStats();
+      if (stats.hits !== 2 || stats.misses !== 1 || stats.writes !== 2) {
+        throw new Error(`Unexpected stats ${JSON.stringify(stats)}`);
+      }
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+
+  test("Corrupted entries are dropped and regenerated", async () => {
+    const directory = createCacheDirectory();
+    try {
+      const cache = new DiskCache(directory);
+      const corruptions = [
+        (text) => text.slice(0, text.length >> 1),
+        (text) => text.replace(/"data":"./, '"data":"#'),
+        () => "",
+      ];
+      for (const corrupt of corruptions) {
+        cache.set("key", "function bitblt() {}");
+        const file = cache.getPath("key");
+        fs.writeFileSync(file, corrupt(fs.readFileSync(file, "utf8")));
+        if (cache.get("key") !== null || fs.existsSync(file)) {
+          throw new Error("A corrupted entry should miss and be removed");
+        }
+      }
+      if (cache.getStats().errors !== corruptions.length) {
+        throw new Error("Each corrupted entry should be counted");
+      }
+
+      // A generator regenerates the code of a corrupted entry
+      const generator = createGenerator("javascript", { diskCache: directory });
+      await blit(generator);
+      for (const file of listFiles(directory)) {
+        fs.writeFileSync(file, "{");
+      }
+      await blit(createGenerator("javascript", { diskCache: directory }));
+      await blit(forbidGeneration(createGenerator("javascript", { diskCache: directory })));
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+
+  test("A new version invalidates older entries", () => {
+    const directory = createCacheDirectory();
+    try {
+      const old = new DiskCache(directory, { version: "old" });
+      old.set("key", "function bitblt() {}");
+      if (!fs.existsSync(path.join(directory, "bitblt-cache-vold"))) {
+        throw new Error("Entries should be kept in a version subdirectory");
+      }
+
+      const current = new DiskCache(directory, { version: "new" });
+      if (current.get("key") !== null) {
+        throw new Error("Entries of another version should miss");
+      }
+      if (fs.existsSync(path.join(directory, "bitblt-cache-vold"))) {
+        throw new Error("Entries of other versions should be removed");
+      }
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+
+  test("Pruning leaves other files in the directory alone", () => {
+    const directory = createCacheDirectory();
+    try {
+      fs.mkdirSync(path.join(directory, "src"));
+      fs.writeFileSync(path.join(directory, "src", "index.js"), "// keep me");
+      fs.mkdirSync(path.join(directory, "old"));
+      fs.writeFileSync(path.join(directory, "README.md"), "# keep me");
+
+      new DiskCache(directory, { version: "old" }).set("key", "function bitblt() {}");
+      new DiskCache(directory, { version: "new" });
+
+      for (const file of ["src/index.js", "old", "README.md"]) {
+        if (!fs.existsSync(path.join(directory, file))) {
+          throw new Error(`${file} should survive a prune`);
+        }
+      }
+
+      let threw = false;
+      try {
+        new DiskCache(directory, { version: "../src" });
+      } catch (err) {
+        threw = true;
+      }
+      if (!threw) {
+        throw new Error("A version that is not a plain name should be rejected");
+      }
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+
+  test("bitblt() loads code from the cache on a warm start", () => {
+    const directory = createCacheDirectory();
+    const script = `
+      const { bitblt, config, getCacheStats, createTestBuffer } = require(${JSON.stringify(
+        path.join(__dirname, "../src/bitblt")
+      )});
+      config.compiler = { ...config.compiler, diskCache: ${JSON.stringify(directory)} };
+      const src = createTestBuffer(64, 4, 0x12345678);
+      const dst = createTestBuffer(64, 4, 0);
+      for (const rule of [3, 6, 7]) {
+        bitblt(src, 64, 4, 5, 0, dst, 64, 1, 0, 40, 4, { combinationRule: rule });
+      }
+      console.log(JSON.stringify(getCacheStats().disk[0]));
+    `;
+    const start = () => {
+      const child = spawnSync(process.execPath, ["-e", script], {
+        encoding: "utf8",
+        timeout: 60000,
+      });
+      if (child.status !== 0) {
+        throw new Error(`The process failed: ${child.stderr}`);
+      }
+      return JSON.parse(child.stdout.trim().split("\n").pop());
+    };
+
+    try {
+      const cold = start();
+      const warm = start();
+      if (cold.writes !== 3 || cold.hits !== 0) {
+        throw new Error(`The cold start should store the code: ${JSON.stringify(cold)}`);
+      }
+      if (warm.hits !== 3 || warm.writes !== 0) {
+        throw new Error(`The warm start should load the code: ${JSON.stringify(warm)}`);
+      }
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+});
+
+// Run all tests
+runTests().then((exitCode) => process.exit(exitCode));
@@ -0,0 +1,272 @@
+/**
+ * Error Tests
+ *
+ * Tests for the typed errors bitblt() throws, their structured fields,
+ * and the validation that config.validate switches off.
+ */
+
+// Import the BitBLT module
+const {
+  bitblt,
+  createGenerator,
+  createTestBuffer,
+  BitBLTError,
+  BitBLTRangeError,
+  BitBLTBufferError,
+  BitBLTCompileError,
+  BitBLTExecutionError,
+  BitBLTVerificationError,
+  resetParallel,
+} = require("../src/bitblt");
+const referenceBitBLT = require("../src/reference/bitblt").bitblt;
+const { ParallelExecutor } = require("../src/compiler/parallel");
+
+// Import our testing framework
+const {
+  describe,
+  test,
+  runTests,
+  assertThrows,
+  assertBitBuffersEqual,
+  createBuffers,
+  patterns,
+} = require("./bitblt-tester");
+
+// Begin tests
+describe("Errors", () => {
+  test("Fractional and negative numbers throw BitBLTRangeError", async () => {
+    const src = createTestBuffer(64, 8, 0);
+    const dst = createTestBuffer(64, 8, 0);
+
+    const error = await assertThrows(() => bitblt(src, 64, 8, 0.5, 0, dst, 64, 0, 0, 8, 8), BitBLTRangeError, {
+      name: "BitBLTRangeError",
+      field: "srcX",
+      value: 0.5,
+      expected: "an integer",
+    });
+    if (!(error instanceof RangeError)) {
+      throw new Error("A BitBLTRangeError should be a RangeError");
+    }
+
+    await assertThrows(() => bitblt(src, 64, 8, 0, 0, dst, 64, 0, 0, 8, -1), BitBLTRangeError, {
+      field: "height",
+      value: -1,
+      expected: "a non-negative integer",
+    });
+    await assertThrows(() => bitblt(src, 64, 8, 0, 0, dst, 64, 0, 0, 8, 8, { clipWidth: 2.5 }), BitBLTRangeError, {
+      field: "clip.width",
+    });
+    await assertThrows(() => bitblt(src, 64, 8, 0, 0, dst, 64, 0, 0, 8, 8, { combinationRule: 99 }), BitBLTRangeError, {
+      field: "rule",
+      value: 99,
+    });
+  });
+
+  test("Wrong and short buffers throw BitBLTBufferError", async () => {
+    const dst = createTestBuffer(64, 8, 0);
+
+    const error = await assertThrows(() => bitblt(new Uint8Array(64), 64, 8, 0, 0, dst, 64, 0, 0, 8, 8), BitBLTBufferError, {
+      name: "BitBLTBufferError",
+      buffer: "src",
+      type: "Uint8Array",
+      length: 64,
+    });
+    if (!(error instanceof BitBLTError)) {
+      throw new Error("A BitBLTBufferError should be a BitBLTError");
+    }
+
+    await assertThrows(() => bitblt(new Uint32Array(10), 64, 8, 0, 0, dst, 64, 0, 0, 8, 8), BitBLTBufferError, {
+      buffer: "src",
+      type: "Uint32Array",
+      length: 10,
+      required: 16,
+    });
+    await assertThrows(() => bitblt(dst, 64, 8, 0, 0, dst, 64, 0, 0, 8, 8, { dstHeight: 9 }), BitBLTBufferError, {
+      buffer: "dst",
+      required: 18,
+    });
+    await assertThrows(() => bitblt(dst, 64, 8, 0, 0, dst, 64, 0, 0, 8, 8, { halftone: [1, 2] }), BitBLTBufferError, {
+      buffer: "mask",
+      type: "Array",
+    });
+
+    // Sources that are not typed arrays, and missing buffers
+    await assertThrows(() => bitblt([0, 1], 64, 8, 0, 0, dst, 64, 0, 0, 8, 8), BitBLTBufferError, {
+      buffer: "src",
+      type: "Array",
+      length: 2,
+    });
+    await assertThrows(() => bitblt(null, 64, 8, 0, 0, dst, 64, 0, 0, 8, 8), BitBLTBufferError, {
+      buffer: "src",
+      type: "null",
+    });
+    await assertThrows(() => bitblt({ srcWidth: 64, dst, dstWidth: 64, width: 8, height: 8 }), BitBLTBufferError, {
+      buffer: "src",
+      type: "undefined",
+    });
+  });
+
+  test("Missing and non-integer sizes throw BitBLTRangeError", async () => {
+    const src = createTestBuffer(64, 8, 0);
+    const dst = createTestBuffer(64, 8, 0);
+
+    await assertThrows(() => bitblt({ src, dst, dstWidth: 64, width: 8, height: 8 }), BitBLTRangeError, {
+      field: "srcWidth",
+      value: undefined,
+      expected: "a non-negative integer",
+    });
+    await assertThrows(() => bitblt({ src, srcWidth: 64, dst, dstWidth: 64, width: 8 }), BitBLTRangeError, {
+      field: "height",
+      value: undefined,
+    });
+    await assertThrows(() => bitblt(src, 64, 8, 0, 0, dst, 64, 0, 0, "8", 8), BitBLTRangeError, {
+      field: "width",
+      value: "8",
+      expected: "an integer",
+    });
+  });
+
+  test("Validation can be switched off", async () => {
+    // A source that only holds the rows that are copied, but claims more
+    const { srcBuffer: src, dstBuffer: dst } = createBuffers({
+      srcWidth: 64,
+      srcHeight: 4,
+      dstWidth: 64,
+      dstHeight: 8,
+      srcPattern: patterns.checkerboard,
+      dstPattern: patterns.diagonal,
+    });
+    const expected = dst.slice();
+
+    await assertThrows(() => bitblt(src, 64, 8, 0, 0, dst, 64, 3, 2, 40, 4), BitBLTBufferError, {
+      buffer: "src",
+    });
+
+    bitblt(src, 64, 8, 0, 0, dst, 64, 3, 2, 40, 4, { validate: false });
+    referenceBitBLT(src, 64, 4, 0, 0, expected, 64, 3, 2, 40, 4, {});
+    assertBitBuffersEqual(expected, dst, 64, 8, "Without validation the call should run as given");
+  });
+
+  test("Failed compiles throw BitBLTCompileError", async () => {
+    const src = createTestBuffer(64, 8, 0);
+    const dst = createTestBuffer(64, 8, 0);
+    const quiet = console.error;
+    console.error = () => {};
+
+    try {
+      const javascript = createGenerator("javascript");
+      javascript.generate = () => "function (";
+      const error = await assertThrows(() => bitblt(src, 64, 8, 0, 0, dst, 64, 0, 0, 8, 8, { generator: javascript }), BitBLTCompileError, {
+        generator: "javascript",
+      });
+      if (!(error.cause instanceof SyntaxError) || !error.cacheKey) {
+        throw new Error("A compile error should carry its cause and cache key");
+      }
+
+      for (const synchronous of [true, false]) {
+        const wasm = createGenerator("wasm", { synchronous });
+        wasm.getBinary = () => new Uint8Array([0, 97, 115, 109, 9, 9, 9, 9]);
+        await assertThrows(() => bitblt(src, 64, 8, 0, 0, dst, 64, 0, 0, 8, 8, { generator: wasm }), BitBLTCompileError, {
+          generator: "wasm",
+        });
+      }
+    } finally {
+      console.error = quiet;
+    }
+  });
+
+  test("Failed runs throw BitBLTExecutionError", async () => {
+    const src = createTestBuffer(64, 8, 0);
+    const dst = createTestBuffer(64, 8, 0);
+    const quiet = console.error;
+    console.error = () => {};
+
+    try {
+      for (const synchronous of [true, false]) {
+        const wasm = createGenerator("wasm", { synchronous });
+        const cause = new Error("out of bounds");
+        wasm.runInArena = () => {
+          throw cause;
+        };
+        const error = await assertThrows(() => bitblt(src, 64, 8, 0, 0, dst, 64, 0, 0, 8, 8, { generator: wasm }), BitBLTExecutionError, {
+          name: "BitBLTExecutionError",
+          generator: "wasm",
+          cause,
+          bands: undefined,
+        });
+      }
+    } finally {
+      console.error = quiet;
+    }
+
+    // A band that fails in a worker, and bands that never finish
+    const parallel = { parallel: true, parallelThreshold: 1, parallelWorkers: 2, generatorType: "no-such-generator" };
+    try {
+      const error = await assertThrows(() => bitblt(src, 64, 8, 0, 0, dst, 64, 0, 0, 64, 8, parallel), BitBLTExecutionError, {
+        generator: "no-such-generator",
+        bands: 2,
+        done: 0,
+      });
+      if (!error.cause.message.includes("no-such-generator")) {
+        throw new Error(`The worker's error should be the cause, got ${error.cause}`);
+      }
+    } finally {
+      resetParallel();
+    }
+
+    const control = new Int32Array(new SharedArrayBuffer(8));
+    Atomics.store(control, 0, 1);
+    await assertThrows(() => new ParallelExecutor().wait(control, 3, "javascript", 10), BitBLTExecutionError, {
+      generator: "javascript",
+      cause: undefined,
+      bands: 3,
+      done: 1,
+    });
+  });
+
+  test("Verification failures throw BitBLTVerificationError", async () => {
+    const { srcBuffer: src, dstBuffer: dst } = createBuffers({
+      srcWidth: 64,
+      srcHeight: 8,
+      dstWidth: 64,
+      dstHeight: 8,
+      srcPattern: patterns.checkerboard,
+      dstPattern: null,
+    });
+
+    // A generator that gets one pixel wrong
+    const generator = {
+      isAsync: () => false,
+      execute: (descriptor) => {
+        referenceBitBLT(...descriptor.toArguments());
+        descriptor.dst[9] ^= 1 << 5;
+        return descriptor.dst;
+      },
+    };
+    const error = await assertThrows(() => bitblt(src, 64, 8, 0, 0, dst, 64, 0, 0, 64, 8, { generator, verifyResults: true }), BitBLTVerificationError, {
+      name: "BitBLTVerificationError",
+      x: 37,
+      y: 4,
+    });
+    if (error.expected === error.actual || !error.generator) {
+      throw new Error(`Unexpected fields ${JSON.stringify(error)}`);
+    }
+
+    // Differences outside the pixels are reported too
+    const padded = createTestBuffer(60, 8, 0);
+    generator.execute = (descriptor) => {
+      referenceBitBLT(...descriptor.toArguments());
+      descriptor.dst[3] ^= 1 << 30;
+      return descriptor.dst;
+    };
+    const paddingError = await assertThrows(() => bitblt(src, 64, 8, 0, 0, padded, 60, 0, 0, 60, 8, { generator, verifyResults: true }), BitBLTVerificationError, {
+      x: undefined,
+    });
+    if (!paddingError.message.includes("padding")) {
+      throw new Error(`Unexpected message: ${paddingError.message}`);
+    }
+  });
+});
+
+// Run all tests
+runTests().then((exitCode) => process.exit(exitCode));
@@ -0,0 +1,152 @@
+/**
+ * Form Tests
+ *
+ * Tests for the Form class, a bitmap that carries its own width, height
+ * and words per row, and for passing Forms to bitblt().
+ */
+
+// Import the BitBLT module
+const { bitblt, createGenerator, Form } = require("../src/bitblt");
+
+// Import our testing framework
+const {
+  describe,
+  test,
+  runTests,
+  assertThrows,
+  assertBitBuffersEqual,
+  createForm,
+  patterns,
+} = require("./bitblt-tester");
+
+// Begin tests
+describe("Form", () => {
+  test("A form owns its buffer and dimensions", () => {
+    const form = new Form(70, 5);
+    if (form.wordsPerRow !== 3 || form.bits.length !== 15) {
+      throw new Error(`Unexpected layout: ${form.wordsPerRow} words per row, ${form.bits.length} words`);
+    }
+
+    const bits = new Uint32Array(15);
+    if (new Form(70, 5, bits).bits !== bits) {
+      throw new Error("A form should use the bits it is given");
+    }
+
+    assertThrows(() => new Form(70, 5, new Uint32Array(14)), RangeError, "needs 15 words, got 14");
+    assertThrows(() => new Form(-1, 5), RangeError, "Invalid form size -1x5");
+    assertThrows(() => new Form(2.5, 5), RangeError, "Invalid form size 2.5x5");
+  });
+
+  test("Pixels are read and written within bounds", () => {
+    const form = new Form(40, 3);
+    form.setPixel(0, 0, 1);
+    form.setPixel(31, 1, 1);
+    form.setPixel(39, 2, 1);
+    form.setPixel(39, 2, 0);
+    form.setPixel(33, 2, 1);
+
+    const set = [];
+    for (let y = 0; y < 3; y++) {
+      for (let x = 0; x < 40; x++) {
+        if (form.getPixel(x, y)) set.push(`${x},${y}`);
+      }
+    }
+    if (set.join(" ") !== "0,0 31,1 33,2") {
+      throw new Error(`Unexpected pixels ${set.join(" ")}`);
+    }
+
+    assertThrows(() => form.getPixel(40, 0), RangeError, "Pixel (40, 0) is outside");
+    assertThrows(() => form.setPixel(0, -1, 1), RangeError, "Pixel (0, -1) is outside");
+  });
+
+  test("fill, clone, equals and extract agree with the pixels", () => {
+    const form = createForm(75, 20, patterns.diagonal);
+    const copy = form.clone();
+    if (copy.bits === form.bits || !copy.equals(form)) {
+      throw new Error("A clone should be equal and own its bits");
+    }
+
+    form.fill(1, { x: 5, y: 3, width: 60, height: 4 });
+    form.fill(0, { x: 70, y: 10, width: 30, height: 30 });
+    for (let y = 0; y < 20; y++) {
+      for (let x = 0; x < 75; x++) {
+        let expected = copy.getPixel(x, y);
+        if (x >= 5 && x < 65 && y >= 3 && y < 7) expected = 1;
+        if (x >= 70 && y >= 10) expected = 0;
+        if (form.getPixel(x, y) !== expected) {
+          throw new Error(`Pixel (${x}, ${y}) should be ${expected} after filling`);
+        }
+      }
+    }
+    if (form.equals(copy)) {
+      throw new Error("Forms with different pixels should not be equal");
+    }
+
+    // The bits past the right edge do not count
+    const padded = copy.clone();
+    padded.bits[2] |= 0x80000000;
+    if (!padded.equals(copy) || padded.equals(new Form(74, 20))) {
+      throw new Error("Only the pixels and the size should count");
+    }
+
+    const part = copy.extract(7, 2, 50, 9);
+    for (let y = 0; y < 9; y++) {
+      for (let x = 0; x < 50; x++) {
+        if (part.getPixel(x, y) !== copy.getPixel(x + 7, y + 2)) {
+          throw new Error(`Extracted pixel (${x}, ${y}) is wrong`);
+        }
+      }
+    }
+    assertThrows(() => copy.extract(70, 0, 10, 1), RangeError, "Rectangle 10x1 at (70, 0) is outside");
+  });
+
+  test("bitblt() accepts Forms", async () => {
+    for (const type of ["javascript", "wasm"]) {
+      const generator = createGenerator(type);
+      const source = createForm(100, 30, patterns.checkerboard);
+      const destination = createForm(90, 25, patterns.diagonal);
+      const expected = destination.clone();
+
+      const region = await bitblt(source, 3, 4, destination, 40, 20, 80, 20, {
+        generator,
+        combinationRule: 6,
+      });
+      await bitblt(source.bits, 100, 30, 3, 4, expected.bits, 90, 40, 20, 80, 20, {
+        generator,
+        combinationRule: 6,
+        dstHeight: 25,
+      });
+
+      if (region.width !== 50 || region.height !== 5) {
+        throw new Error(`The region should be clipped to the destination, got ${JSON.stringify(region)}`);
+      }
+      assertBitBuffersEqual(expected.bits, destination.bits, 90, 25, `The ${type} Form blit should match the positional one`);
+    }
+
+    assertThrows(
+      () => bitblt(new Form(8, 8), 0, 0, new Uint32Array(8), 0, 0, 8, 8),
+      TypeError,
+      "expects a destination Form"
+    );
+  });
+
+  test("copy() blits from another form", () => {
+    const source = createForm(64, 16, patterns.checkerboard);
+    const form = new Form(64, 16).fill(1);
+
+    form.copy(source, { x: 8, sourceY: 4, height: 8, combinationRule: 1 });
+
+    for (let y = 0; y < 16; y++) {
+      for (let x = 0; x < 64; x++) {
+        const inside = x >= 8 && y < 8;
+        const expected = inside ? source.getPixel(x - 8, y + 4) : 1;
+        if (form.getPixel(x, y) !== expected) {
+          throw new Error(`Pixel (${x}, ${y}) should be ${expected}`);
+        }
+      }
+    }
+  });
+});
+
+// Run all tests
+runTests().then((exitCode) => process.exit(exitCode));
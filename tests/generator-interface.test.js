@@ -63,4 +63,4 @@ describe('Generator Interface', () => {
 });
 
 // Run all tests
-process.exit(runTests());
+runTests().then((exitCode) => process.exit(exitCode));
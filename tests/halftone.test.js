@@ -0,0 +1,291 @@
+/**
+ * Halftone Tests
+ *
+ * Tests for halftone (mask) forms across the reference implementation
+ * and every generator.
+ */
+
+// Import the BitBLT module
+const { bitblt, CombinationRule, createGenerator } = require("../src/bitblt");
+const referenceBitBLT = require("../src/reference/bitblt").bitblt;
+
+// Import our testing framework
+const {
+  describe,
+  test,
+  runTests,
+  getPixel,
+  assertBitBuffersEqual,
+  createTestBuffer,
+  createPattern,
+  patterns,
+} = require("./bitblt-tester");
+
+/**
+ * Create a gray halftone: alternating 0xAAAAAAAA / 0x55555555 rows
+ * @param {number} rows - Number of rows in the halftone
+ * @returns {Uint32Array} - The halftone
+ */
+function grayHalftone(rows) {
+  const halftone = new Uint32Array(rows);
+  for (let y = 0; y < rows; y++) {
+    halftone[y] = y % 2 === 0 ? 0xaaaaaaaa : 0x55555555;
+  }
+  return halftone;
+}
+
+/**
+ * Create a halftone whose rows are all different, so a wrong row index
+ * shows up in the result
+ * @param {number} rows - Number of rows in the halftone
+ * @returns {Uint32Array} - The halftone
+ */
+function stripedHalftone(rows) {
+  const halftone = new Uint32Array(rows);
+  for (let y = 0; y < rows; y++) {
+    halftone[y] = (0x80000001 * (y + 1)) ^ (0x01010101 << y % 8);
+  }
+  return halftone;
+}
+
+/**
+ * Compute the expected destination pixel by pixel
+ * @param {Object} blit - Buffers, geometry, rule and halftone
+ * @returns {Uint32Array} - The expected destination buffer
+ */
+function expectedResult(blit) {
+  const expected = blit.dstBuffer.slice();
+
+  createPattern(expected, blit.dstWidth, blit.dstHeight, (x, y) => {
+    const d = getPixel(blit.dstBuffer, blit.dstWidth, x, y);
+    if (
+      x < blit.dstX ||
+      x >= blit.dstX + blit.width ||
+      y < blit.dstY ||
+      y >= blit.dstY + blit.height
+    ) {
+      return d;
+    }
+
+    const s =
+      getPixel(
+        blit.srcBuffer,
+        blit.srcWidth,
+        x - blit.dstX + blit.srcX,
+        y - blit.dstY + blit.srcY
+      ) &
+      (blit.halftone[y % blit.halftone.length] >>> x % 32) &
+      1;
+    return (blit.rule >> (3 - ((s << 1) | d))) & 1;
+  });
+
+  return expected;
+}
+
+/**
+ * Create a blit that straddles word boundaries
+ * @param {Uint32Array} halftone - The halftone to use
+ * @param {number} rule - Combination rule
+ * @returns {Object} - Buffers and geometry
+ */
+function createBlit(halftone, rule) {
+  const blit = {
+    srcWidth: 48,
+    srcHeight: 40,
+    srcX: 5,
+    srcY: 2,
+    dstWidth: 64,
+    dstHeight: 40,
+    dstX: 21,
+    dstY: 3,
+    width: 37,
+    height: 35,
+    halftone,
+    rule,
+  };
+
+  blit.srcBuffer = createTestBuffer(blit.srcWidth, blit.srcHeight, 1);
+  createPattern(blit.srcBuffer, blit.srcWidth, blit.srcHeight, (x, y) =>
+    patterns.circle(x, y, 24, 20, 15)
+  );
+  blit.dstBuffer = createTestBuffer(blit.dstWidth, blit.dstHeight, 0);
+  createPattern(
+    blit.dstBuffer,
+    blit.dstWidth,
+    blit.dstHeight,
+    patterns.horizontal
+  );
+
+  return blit;
+}
+
+/**
+ * Run a blit through bitblt()
+ * @param {Object} blit - Buffers, geometry, rule and halftone
+ * @param {Object} options - Options passed to bitblt()
+ * @returns {Promise<Uint32Array>} - The destination buffer
+ */
+async function runBlit(blit, options) {
+  await bitblt(
+    blit.srcBuffer,
+    blit.srcWidth,
+    blit.srcHeight,
+    blit.srcX,
+    blit.srcY,
+    blit.dstBuffer,
+    blit.dstWidth,
+    blit.dstX,
+    blit.dstY,
+    blit.width,
+    blit.height,
+    { ...options, combinationRule: blit.rule, halftone: blit.halftone }
+  );
+  return blit.dstBuffer;
+}
+
+// Begin tests
+describe("Halftone Forms", () => {
+  test("Reference fills an area with a gray pattern", () => {
+    const width = 32;
+    const height = 16;
+    const srcBuffer = createTestBuffer(width, height, 1);
+    const dstBuffer = createTestBuffer(width, height, 0);
+
+    referenceBitBLT(
+      srcBuffer,
+      width,
+      height,
+      0,
+      0,
+      dstBuffer,
+      width,
+      0,
+      0,
+      width,
+      height,
+      { halftone: grayHalftone(16) }
+    );
+
+    const expected = createTestBuffer(width, height, 0);
+    createPattern(expected, width, height, patterns.checkerboard);
+
+    assertBitBuffersEqual(
+      expected,
+      dstBuffer,
+      width,
+      height,
+      "An all-ones source through a gray halftone should be a checkerboard"
+    );
+  });
+
+  test("Reference repeats the halftone every halftone.length rows", () => {
+    for (const rows of [16, 32, 3]) {
+      const blit = createBlit(stripedHalftone(rows), CombinationRule.STORE);
+      const expected = expectedResult(blit);
+
+      referenceBitBLT(
+        blit.srcBuffer,
+        blit.srcWidth,
+        blit.srcHeight,
+        blit.srcX,
+        blit.srcY,
+        blit.dstBuffer,
+        blit.dstWidth,
+        blit.dstX,
+        blit.dstY,
+        blit.width,
+        blit.height,
+        { combinationRule: blit.rule, halftone: blit.halftone }
+      );
+
+      assertBitBuffersEqual(
+        expected,
+        blit.dstBuffer,
+        blit.dstWidth,
+        blit.dstHeight,
+        `Reference with a ${rows}-row halftone should match`
+      );
+    }
+  });
+
+  for (const generatorType of ["javascript", "wasm", "zero-copy-wasm", "closure"]) {
+    test(`${generatorType} generator applies the halftone before the rule`, async () => {
+      const generator = createGenerator(generatorType);
+
+      for (const rows of [16, 32, 3]) {
+        for (const rule of [
+          CombinationRule.STORE,
+          CombinationRule.OR,
+          CombinationRule.XOR,
+          CombinationRule.AND_INVERTED,
+        ]) {
+          const blit = createBlit(stripedHalftone(rows), rule);
+          const expected = expectedResult(blit);
+
+          await runBlit(blit, { generator, verifyResults: true });
+
+          assertBitBuffersEqual(
+            expected,
+            blit.dstBuffer,
+            blit.dstWidth,
+            blit.dstHeight,
+            `${generatorType} with a ${rows}-row halftone and rule ${rule} should match`
+          );
+        }
+      }
+    });
+  }
+
+  test("Generators specialize on the halftone height", () => {
+    for (const generatorType of ["javascript", "wasm"]) {
+      const generator = createGenerator(generatorType);
+      const params = { srcWidth: 32, dstWidth: 32 };
+
+      const keys = new Set([
+        generator.getCacheKey(params),
+        generator.getCacheKey({ ...params, halftoneHeight: 16 }),
+        generator.getCacheKey({ ...params, halftoneHeight: 32 }),
+      ]);
+
+      if (keys.size !== 3) {
+        throw new Error(
+          `${generatorType} cache keys should differ with and without a halftone and by its height`
+        );
+      }
+    }
+
+    const code = createGenerator("javascript").generate({
+      halftoneHeight: 16,
+    });
+    if (!code.includes("& 15")) {
+      throw new Error("A 16-row halftone should be indexed with a mask");
+    }
+  });
+
+  test("Invalid halftones are rejected", () => {
+    try {
+      bitblt(
+        new Uint32Array(1),
+        8,
+        1,
+        0,
+        0,
+        new Uint32Array(1),
+        8,
+        0,
+        0,
+        8,
+        1,
+        { halftone: new Uint8Array(16) }
+      );
+      throw new Error("Expected error was not thrown");
+    } catch (err) {
+      if (!err.message.includes("Invalid halftone")) {
+        throw new Error(`Unexpected error message: ${err.message}`);
+      }
+    }
+  });
+});
+
+// Run all tests
+runTests().then((exitCode) => process.exit(exitCode));
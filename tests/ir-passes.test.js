@@ -0,0 +1,240 @@
+/**
+ * IR Optimization Pass Tests
+ *
+ * Tests for the optimization passes over the BitBLT IR: constant folding,
+ * strength reduction, loop-invariant hoisting and the removal of aligned
+ * edge masks, and the config.compiler options that switch them.
+ */
+
+// Import the BitBLT module
+const { bitblt, config, createGenerator } = require("../src/bitblt");
+const referenceBitBLT = require("../src/reference/bitblt").bitblt;
+const { PASSES } = require("../src/compiler/ir/passes");
+
+// Import our testing framework
+const {
+  describe,
+  test,
+  runTests,
+  createBuffers,
+  assertBitBuffersEqual,
+  patterns,
+} = require("./bitblt-tester");
+
+const srcWidth = 160;
+const srcHeight = 8;
+const dstWidth = 128;
+const dstHeight = 8;
+
+// An aligned region, and one whose left edge is aligned but not its right
+const aligned = { srcX: 32, srcY: 1, dstX: 32, dstY: 0, width: 64, height: 6 };
+const unaligned = { srcX: 13, srcY: 0, dstX: 64, dstY: 2, width: 50, height: 5 };
+
+/**
+ * Generate JavaScript for a region with some passes switched off
+ * @param {Object} region - Source and destination coordinates and size
+ * @param {Object} options - Compiler options
+ * @returns {string} - The function body, without the parameter list
+ */
+function generateBody(region, options = {}) {
+  const generator = createGenerator("javascript", options);
+  const code = generator.generate({
+    srcWidth,
+    dstWidth,
+    ...region,
+    combinationRule: 3,
+  });
+  return code.slice(code.indexOf(") {"));
+}
+
+/**
+ * Generate JavaScript for a region as execute() compiles it, with the
+ * coordinates replaced by their alignment class
+ * @param {Object} region - Source and destination coordinates and size
+ * @param {Object} options - Compiler options
+ * @returns {string} - The function body, without the parameter list
+ */
+function generateExecutedBody(region, options = {}) {
+  const generator = createGenerator("javascript", options);
+  const { srcBuffer, dstBuffer } = createBuffers(layout);
+  const params = generator.getExecutionParams(
+    srcBuffer,
+    srcWidth,
+    srcHeight,
+    region.srcX,
+    region.srcY,
+    dstBuffer,
+    dstWidth,
+    region.dstX,
+    region.dstY,
+    region.width,
+    region.height,
+    { combinationRule: 3 }
+  );
+  if (params.dstX !== undefined || params.width !== undefined) {
+    throw new Error("The coordinates should not be compiled in");
+  }
+  const code = generator.generate(params);
+  return code.slice(code.indexOf(") {"));
+}
+
+const layout = {
+  srcWidth,
+  srcHeight,
+  dstWidth,
+  dstHeight,
+  srcPattern: (x, y) => patterns.diagonal(x, y) || (x * 7 + y) % 9 < 3,
+};
+
+// Begin tests
+describe("IR Optimization Passes", () => {
+  test("Every pass is switched on in config.compiler", () => {
+    for (const pass of PASSES) {
+      if (config.compiler[pass.option] !== true) {
+        throw new Error(`config.compiler.${pass.option} should default to true`);
+      }
+    }
+  });
+
+  test("Constant folding replaces known parameters", () => {
+    const folded = generateBody(unaligned);
+    if (/\bsrcWidth\b|\bdstY\b/.test(folded)) {
+      throw new Error(`Known parameters should be folded:\n${folded}`);
+    }
+
+    const unfolded = generateBody(unaligned, { foldConstants: false });
+    if (!unfolded.includes("(srcWidth + 31) >>> 5")) {
+      throw new Error(`Without folding the expression should remain:\n${unfolded}`);
+    }
+  });
+
+  test("Strength reduction turns /32 and %32 into shifts and masks", () => {
+    const options = { optimizeAlignedCopy: false, inlineConstants: false };
+    const reduced = generateBody(unaligned, options);
+    if (reduced.includes("Math.floor") || reduced.includes("% 32")) {
+      throw new Error(`Expected shifts and masks:\n${reduced}`);
+    }
+    if (!reduced.includes(">>> 5") || !reduced.includes("& 31")) {
+      throw new Error(`Expected >>> 5 and & 31:\n${reduced}`);
+    }
+
+    const plain = generateBody(unaligned, { ...options, strengthReduction: false });
+    if (!plain.includes("Math.floor") || !plain.includes("% 32")) {
+      throw new Error(`Without the pass the division should remain:\n${plain}`);
+    }
+  });
+
+  test("Row base addresses are hoisted out of the pixel loop", () => {
+    const options = {
+      optimizeAlignedCopy: false,
+      inlineConstants: false,
+      strengthReduction: false,
+    };
+    const rowBase = "srcYPos * srcWidthInUint32";
+
+    const hoisted = generateBody(unaligned, options);
+    if (hoisted.indexOf(rowBase) > hoisted.indexOf("for (let x")) {
+      throw new Error(`The row base should be computed per row:\n${hoisted}`);
+    }
+
+    const inner = generateBody(unaligned, { ...options, hoistInvariants: false });
+    if (inner.indexOf(rowBase) < inner.indexOf("for (let x")) {
+      throw new Error(`Without the pass the row base stays in the loop:\n${inner}`);
+    }
+  });
+
+  test("Aligned regions are stored without edge masks", () => {
+    // Folding would turn the masks into constants, so leave it out
+    const options = { foldConstants: false };
+
+    // Both for exact coordinates and for the alignment class that
+    // execute() compiles code for
+    for (const generate of [generateBody, generateExecutedBody]) {
+      const whole = generate(aligned, options);
+      if (/leftMask|rightMask|dstWord/.test(whole)) {
+        throw new Error(`Aligned rows should be stored as whole words:\n${whole}`);
+      }
+
+      const partial = generate(unaligned, options);
+      if (partial.includes("leftMask") || !partial.includes("rightMask")) {
+        throw new Error(`Only the unaligned right edge needs a mask:\n${partial}`);
+      }
+
+      const masked = generate(aligned, {
+        ...options,
+        removeAlignedEdgeMasks: false,
+      });
+      if (!masked.includes("leftMask") || !masked.includes("rightMask")) {
+        throw new Error("Without the pass the edge masks should remain");
+      }
+    }
+  });
+
+  test("Blits with aligned and unaligned edges get their own code", () => {
+    const generator = createGenerator("javascript");
+    const keys = [aligned, { ...aligned, srcX: 40, dstX: 40, width: 56 }, { ...aligned, width: 60 }].map((region) => {
+      const { srcBuffer, dstBuffer } = createBuffers(layout);
+      return generator.getCacheKey(
+        generator.getExecutionParams(srcBuffer, srcWidth, srcHeight, region.srcX, region.srcY, dstBuffer, dstWidth, region.dstX, region.dstY, region.width, region.height, {})
+      );
+    });
+    if (new Set(keys).size !== 3) {
+      throw new Error(`Each alignment of the edges needs its own key, got ${keys}`);
+    }
+  });
+
+  test("Disabled passes get their own cache keys", () => {
+    for (const type of ["javascript", "wasm"]) {
+      const keys = new Set(
+        [{}, ...PASSES.map((pass) => ({ [pass.option]: false }))].map(
+          (options) =>
+            createGenerator(type, options).getCacheKey({ ...aligned, ...options })
+        )
+      );
+      if (keys.size !== PASSES.length + 1) {
+        throw new Error(`${type} cache keys should record disabled passes`);
+      }
+    }
+  });
+
+  test("Every combination of passes matches the reference", async () => {
+    for (let mask = 0; mask < 1 << PASSES.length; mask++) {
+      const options = {};
+      PASSES.forEach((pass, i) => {
+        if (mask & (1 << i)) options[pass.option] = false;
+      });
+
+      for (const type of ["javascript", "wasm"]) {
+        for (const region of [aligned, unaligned]) {
+          for (const rule of [3, 6, 10]) {
+            const actual = createBuffers(layout);
+            const expected = createBuffers(layout);
+            const args = [srcWidth, srcHeight, region.srcX, region.srcY];
+            const dstArgs = [dstWidth, region.dstX, region.dstY, region.width, region.height];
+
+            await bitblt(actual.srcBuffer, ...args, actual.dstBuffer, ...dstArgs, {
+              generatorType: type,
+              compiler: { ...config.compiler, ...options },
+              combinationRule: rule,
+              verifyResults: false,
+            });
+            referenceBitBLT(expected.srcBuffer, ...args, expected.dstBuffer, ...dstArgs, {
+              combinationRule: rule,
+            });
+
+            assertBitBuffersEqual(
+              expected.dstBuffer,
+              actual.dstBuffer,
+              dstWidth,
+              dstHeight,
+              `${type} with ${JSON.stringify(options)}, rule ${rule} should match the reference`
+            );
+          }
+        }
+      }
+    }
+  });
+});
+
+// Run all tests
+runTests().then((exitCode) => process.exit(exitCode));
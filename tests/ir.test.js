@@ -0,0 +1,235 @@
+/**
+ * BitBLT IR Tests
+ *
+ * Tests for the intermediate representation: the front end that builds
+ * programs from compile parameters and the JavaScript and WebAssembly
+ * backends that lower them.
+ */
+
+// Import the BitBLT module
+const { createGenerator } = require("../src/bitblt");
+const referenceBitBLT = require("../src/reference/bitblt").bitblt;
+const {
+  buildBitBLTProgram,
+  lowerToJavaScript,
+  lowerToWasm,
+  constant,
+  param,
+  local,
+  not,
+  load,
+  define,
+  store,
+  loop,
+  program,
+  ltS,
+} = require("../src/compiler/ir");
+const { ValueType } = require("../src/compiler/generators/wasm-binary-utils");
+
+// Import our testing framework
+const {
+  describe,
+  test,
+  runTests,
+  createBuffers,
+  assertBitBuffersEqual,
+  patterns,
+} = require("./bitblt-tester");
+
+const srcWidth = 100;
+const srcHeight = 8;
+const dstWidth = 90;
+const dstHeight = 8;
+
+const region = { srcX: 7, srcY: 1, dstX: 21, dstY: 2, width: 61, height: 5 };
+
+const layout = {
+  srcWidth,
+  srcHeight,
+  dstWidth,
+  dstHeight,
+  srcPattern: (x, y) => patterns.diagonal(x, y) || (x + 3 * y) % 5 === 0,
+};
+
+/**
+ * Collect the names defined anywhere in a list of IR statements
+ * @param {Object[]} statements - IR statements
+ * @param {string[]} names - Names found so far
+ * @returns {string[]} - Defined names and loop variables
+ */
+function definedNames(statements, names = []) {
+  for (const node of statements) {
+    if (node.kind === "let") names.push(node.name);
+    if (node.kind === "loop") names.push(node.variable);
+    for (const body of [node.body, node.then, node.otherwise]) {
+      if (body) definedNames(body, names);
+    }
+  }
+  return names;
+}
+
+// Begin tests
+describe("BitBLT IR", () => {
+  test("The front end builds pixel and word programs", () => {
+    const pixels = buildBitBLTProgram({});
+    const pixelNames = definedNames(pixels.body);
+    for (const name of ["y", "x", "srcBitPos", "resultBit"]) {
+      if (!pixelNames.includes(name)) {
+        throw new Error(`The pixel program should define ${name}`);
+      }
+    }
+
+    const words = buildBitBLTProgram({ wordCopy: true });
+    const wordNames = definedNames(words.body);
+    for (const name of ["leftMask", "rightMask", "skew", "carry"]) {
+      if (!wordNames.includes(name)) {
+        throw new Error(`The word program should define ${name}`);
+      }
+    }
+  });
+
+  test("A known zero skew needs no merging", () => {
+    const names = definedNames(
+      buildBitBLTProgram({
+        wordCopy: true,
+        inlineConstants: true,
+        srcX: 40,
+        dstX: 8,
+      }).body
+    );
+    if (names.includes("skew") || names.includes("carry")) {
+      throw new Error("Aligned source words should be loaded directly");
+    }
+  });
+
+  test("Backward copies count down", () => {
+    const rows = buildBitBLTProgram({ reverseRows: true }).body.find(
+      (node) => node.kind === "loop"
+    );
+    if (rows.variable !== "y" || rows.step !== -1) {
+      throw new Error("reverseRows should run the row loop backwards");
+    }
+  });
+
+  test("The JavaScript backend lowers hand-written programs", () => {
+    // dstBuffer[i] = ~srcBuffer[i] for the first `width` words
+    const invert = program([
+      loop("i", constant(0), ltS(local("i"), param("width")), 1, [
+        define("word", load("src", local("i"))),
+        store("dst", local("i"), not(local("word"))),
+      ]),
+    ]);
+
+    const fn = new Function("return " + lowerToJavaScript(invert))();
+    const src = new Uint32Array([0, 0xffffffff, 0x12345678]);
+    const dst = new Uint32Array(3);
+    fn(src, 0, 0, 0, 0, dst, 0, 0, 0, 2, 0);
+
+    if (dst[0] !== 0xffffffff || dst[1] !== 0 || dst[2] !== 0) {
+      throw new Error(`Unexpected result ${Array.from(dst)}`);
+    }
+  });
+
+  test("The JavaScript backend rejects v128 operations", () => {
+    const params = { wordCopy: true, useSIMD: true };
+    try {
+      lowerToJavaScript(buildBitBLTProgram(params));
+    } catch (err) {
+      if (err.message.includes("v128")) return;
+      throw err;
+    }
+    throw new Error("Expected an error for v128 operations");
+  });
+
+  test("The WebAssembly backend declares v128 locals only when needed", () => {
+    // The body starts with the number of local groups, then (count, type)
+    const scalar = lowerToWasm(buildBitBLTProgram({ wordCopy: true }));
+    const vector = lowerToWasm(
+      buildBitBLTProgram({ wordCopy: true, useSIMD: true })
+    );
+
+    if (scalar[0] !== 1 || scalar[2] !== ValueType.I32) {
+      throw new Error("Scalar bodies should declare one group of i32 locals");
+    }
+    if (vector[0] !== 2 || vector[4] !== ValueType.V128) {
+      throw new Error("SIMD bodies should declare a group of v128 locals");
+    }
+  });
+
+  test("Programs lowered to JavaScript match the reference", () => {
+    const variants = [
+      { wordCopy: false },
+      { wordCopy: true },
+      { wordCopy: true, inlineConstants: true, ...region },
+      { wordCopy: false, unrollLoops: true, inlineConstants: true, ...region },
+      { wordCopy: true, reverseRows: true, reverseColumns: true },
+    ];
+
+    for (const variant of variants) {
+      for (let rule = 0; rule < 16; rule++) {
+        const actual = createBuffers(layout);
+        const expected = createBuffers(layout);
+        const halftone = new Uint32Array([0xf0f0f0f0, 0x3c3c3c3c, 0xffff0000]);
+        const fn = new Function(
+          "return " +
+            lowerToJavaScript(
+              buildBitBLTProgram({
+                ...variant,
+                combinationRule: rule,
+                halftoneHeight: 3,
+              })
+            )
+        )();
+        const args = [
+          srcWidth, srcHeight, region.srcX, region.srcY,
+          dstWidth, region.dstX, region.dstY, region.width, region.height,
+        ];
+
+        fn(actual.srcBuffer, ...args.slice(0, 4), actual.dstBuffer, ...args.slice(4), halftone);
+        referenceBitBLT(
+          expected.srcBuffer, ...args.slice(0, 4),
+          expected.dstBuffer, ...args.slice(4),
+          { combinationRule: rule, halftone }
+        );
+
+        assertBitBuffersEqual(
+          expected.dstBuffer,
+          actual.dstBuffer,
+          dstWidth,
+          dstHeight,
+          `IR program ${JSON.stringify(variant)} with rule ${rule} should match the reference`
+        );
+      }
+    }
+  });
+
+  test("Generators built on the IR agree with each other", async () => {
+    const results = [];
+    for (const type of ["javascript", "wasm", "simd-wasm"]) {
+      for (const optimizeAlignedCopy of [true, false]) {
+        const generator = createGenerator(type, { optimizeAlignedCopy });
+        const { srcBuffer, dstBuffer } = createBuffers(layout);
+        await generator.execute(
+          srcBuffer, srcWidth, srcHeight, region.srcX, region.srcY,
+          dstBuffer, dstWidth, region.dstX, region.dstY,
+          region.width, region.height,
+          { combinationRule: 6 }
+        );
+        results.push(dstBuffer);
+      }
+    }
+
+    for (const result of results.slice(1)) {
+      assertBitBuffersEqual(
+        results[0],
+        result,
+        dstWidth,
+        dstHeight,
+        "Every backend and body should produce the same result"
+      );
+    }
+  });
+});
+
+// Run all tests
+runTests().then((exitCode) => process.exit(exitCode));
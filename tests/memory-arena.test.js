@@ -0,0 +1,336 @@
+/**
+ * Memory Arena Tests
+ *
+ * Tests for the growable WebAssembly memory that WebAssembly generators
+ * run in, its allocator, and blits between bitmaps that live in it.
+ */
+
+// Import the BitBLT module
+const {
+  bitblt,
+  createBitmap,
+  createGenerator,
+  getArenaStats,
+  createTestBuffer,
+} = require("../src/bitblt");
+const referenceBitBLT = require("../src/reference/bitblt").bitblt;
+const { MemoryArena } = require("../src/compiler/memory-arena");
+
+// Import our testing framework
+const {
+  describe,
+  test,
+  runTests,
+  assertBitBuffersEqual,
+  createPattern,
+  patterns,
+} = require("./bitblt-tester");
+
+const width = 96;
+const height = 16;
+const PAGE_WORDS = 65536 / 4;
+
+/**
+ * Create a synchronous WebAssembly generator with its own arena, counting
+ * the arena's allocations
+ * @returns {Object} - { arena, generator, counts }
+ */
+function createArenaGenerator() {
+  const arena = new MemoryArena();
+  const counts = { allocations: 0 };
+  const allocate = arena.allocate.bind(arena);
+  arena.allocate = (length) => {
+    counts.allocations++;
+    return allocate(length);
+  };
+
+  const generator = createGenerator("wasm", { arena, synchronous: true });
+  return { arena, generator, counts };
+}
+
+/**
+ * Fill a buffer with a pattern
+ * @param {Uint32Array} buffer - Buffer to fill
+ * @param {Function} pattern - Pattern function
+ * @returns {Uint32Array} - The buffer
+ */
+function fill(buffer, pattern) {
+  createPattern(buffer, width, height, pattern);
+  return buffer;
+}
+
+// Begin tests
+describe("Memory Arena", () => {
+  test("Blocks are allocated, zeroed, freed and merged", () => {
+    const arena = new MemoryArena();
+    const a = arena.allocate(100);
+    const b = arena.allocate(200);
+    const c = arena.allocate(300);
+    if (a !== 0 || b !== 100 || c !== 300) {
+      throw new Error(`Unexpected offsets ${a}, ${b}, ${c}`);
+    }
+
+    arena.getView().fill(0xffffffff, b, b + 200);
+    arena.free(b);
+    if (arena.allocate(150) !== b || arena.getView()[b + 10] !== 0) {
+      throw new Error("A freed block should be reused and cleared");
+    }
+
+    arena.free(b);
+    arena.free(a);
+    arena.free(c);
+    const stats = arena.getStats();
+    if (stats.allocated !== 0 || stats.blocks !== 0 || arena.freeBlocks.length !== 1) {
+      throw new Error(`The free blocks should merge, got ${JSON.stringify(arena.freeBlocks)}`);
+    }
+
+    let threw = false;
+    try {
+      arena.free(a);
+    } catch (err) {
+      threw = true;
+    }
+    if (!threw) {
+      throw new Error("Freeing a block twice should throw");
+    }
+  });
+
+  test("The arena grows past 16 pages, up to its maximum", () => {
+    const arena = new MemoryArena({ maximumPages: 40 });
+    const bitmap = arena.createBitmap(8192, 640);
+    arena.createBitmap(8192, 640);
+    const stats = arena.getStats();
+    if (stats.pages <= 16 || stats.grows === 0) {
+      throw new Error(`Expected the arena to grow past 16 pages, got ${JSON.stringify(stats)}`);
+    }
+    if (bitmap.pixels.length !== 256 * 640) {
+      throw new Error("The bitmap's pixels should be available after growing");
+    }
+
+    let error = null;
+    try {
+      arena.allocate(PAGE_WORDS * 40);
+    } catch (err) {
+      error = err;
+    }
+    if (!(error instanceof RangeError)) {
+      throw new Error("Growing past the maximum should throw a RangeError");
+    }
+  });
+
+  test("Large buffers are blitted beyond the old 1 MB ceiling", () => {
+    const { arena, generator } = createArenaGenerator();
+    const bigWidth = 8192;
+    const bigHeight = 640;
+    const create = () => {
+      const buffer = createTestBuffer(bigWidth, bigHeight, 0);
+      for (let i = 0; i < buffer.length; i += 7) {
+        buffer[i] = Math.imul(i, 0x9e3779b1) >>> 0;
+      }
+      return buffer;
+    };
+    const srcBuffer = create();
+    const actual = create().reverse();
+    const expected = actual.slice();
+
+    const args = [bigWidth, bigHeight, 4000, 500, actual, bigWidth, 7000, 300, 300, 120];
+    bitblt(srcBuffer, ...args, { generator, combinationRule: 6, verifyResults: false });
+    args[4] = expected;
+    referenceBitBLT(srcBuffer, ...args, { combinationRule: 6 });
+
+    assertBitBuffersEqual(expected, actual, bigWidth, bigHeight, "The large blit should match the reference");
+    if (arena.getStats().pages <= 16 || arena.getStats().allocated !== 0) {
+      throw new Error(`The scratch block should have grown the arena and been freed: ${JSON.stringify(arena.getStats())}`);
+    }
+  });
+
+  test("Blits between arena bitmaps copy nothing", () => {
+    const { arena, generator, counts } = createArenaGenerator();
+    const src = arena.createBitmap(width, height).upload(fill(createTestBuffer(width, height, 0), patterns.diagonal));
+    const dst = arena.createBitmap(width, height).upload(fill(createTestBuffer(width, height, 0), patterns.checkerboard));
+    const expected = dst.download();
+    const allocations = counts.allocations;
+
+    for (const combinationRule of [3, 6, 7]) {
+      const result = bitblt(src.pixels, width, height, 5, 1, dst.pixels, width, 19, 2, 70, 12, {
+        generator,
+        combinationRule,
+      });
+      referenceBitBLT(src.pixels, width, height, 5, 1, expected, width, 19, 2, 70, 12, { combinationRule });
+      if (result.width !== 70) {
+        throw new Error("bitblt() should return the region");
+      }
+    }
+
+    if (counts.allocations !== allocations) {
+      throw new Error("No scratch memory should be allocated");
+    }
+    assertBitBuffersEqual(expected, dst.pixels, width, height, "Arena blits should match the reference");
+  });
+
+  test("Arena bitmaps mix with other buffers, halftones and overlap", () => {
+    const { arena, generator } = createArenaGenerator();
+    const halftone = new Uint32Array([0xaaaaaaaa, 0x55555555, 0xffffffff]);
+    const outside = fill(createTestBuffer(width, height, 0), patterns.diagonal);
+    const bitmap = arena.createBitmap(width, height).upload(fill(createTestBuffer(width, height, 0), patterns.checkerboard));
+    const expected = bitmap.download();
+
+    const calls = [
+      [outside, bitmap.pixels, expected, { combinationRule: 7, halftone }],
+      [bitmap.pixels, bitmap.pixels, expected, { combinationRule: 3 }],
+      [expected, bitmap.pixels, expected, { combinationRule: 6 }],
+    ];
+    for (const [src, dst, reference, options] of calls) {
+      const srcForReference = src === bitmap.pixels ? reference : src;
+      bitblt(src, width, height, 3, 0, dst, width, 11, 2, 80, 13, { generator, verifyResults: false, ...options });
+      referenceBitBLT(srcForReference, width, height, 3, 0, reference, width, 11, 2, 80, 13, options);
+      assertBitBuffersEqual(reference, bitmap.pixels, width, height, "The arena bitmap should match the reference");
+    }
+
+    // A bitmap as the source of a blit to an outside buffer
+    const target = createTestBuffer(width, height, 0);
+    const targetExpected = createTestBuffer(width, height, 0);
+    bitblt(bitmap.pixels, width, height, 9, 4, target, width, 0, 0, 60, 10, { generator, verifyResults: false });
+    referenceBitBLT(bitmap.download(), width, height, 9, 4, targetExpected, width, 0, 0, 60, 10, {});
+    assertBitBuffersEqual(targetExpected, target, width, height, "The outside buffer should match the reference");
+
+    if (arena.getStats().allocated !== bitmap.length) {
+      throw new Error("Scratch blocks should be freed after each call");
+    }
+  });
+
+  test("Blits do not grow an arena that holds bitmaps", () => {
+    const { arena, generator } = createArenaGenerator();
+    const bigWidth = 1024;
+
+    // Two bitmaps that fill the arena's one page, so no scratch block fits
+    const src = arena.createBitmap(bigWidth, 256);
+    const dst = arena.createBitmap(bigWidth, 256);
+    createPattern(src.pixels, bigWidth, 256, patterns.diagonal);
+    createPattern(dst.pixels, bigWidth, 256, patterns.checkerboard);
+    const srcPixels = src.pixels;
+    const dstPixels = dst.pixels;
+    const expected = dst.download();
+    const outside = createTestBuffer(bigWidth, 40, 0);
+    createPattern(outside, bigWidth, 40, patterns.diagonal);
+    const halftone = new Uint32Array([0xf0f0f0f0, 0x0f0f0f0f]);
+
+    const calls = [
+      [outside, 40, { combinationRule: 6 }],
+      [srcPixels, 256, { combinationRule: 7, halftone }],
+    ];
+    for (const [source, sourceHeight, options] of calls) {
+      bitblt(source, bigWidth, sourceHeight, 5, 3, dstPixels, bigWidth, 300, 100, 600, 30, {
+        generator,
+        verifyResults: true,
+        ...options,
+      });
+      referenceBitBLT(source, bigWidth, sourceHeight, 5, 3, expected, bigWidth, 300, 100, 600, 30, options);
+    }
+
+    if (arena.getStats().grows !== 0 || srcPixels.length !== src.length || dstPixels.length !== dst.length) {
+      throw new Error(`The blits should not grow the arena: ${JSON.stringify(arena.getStats())}`);
+    }
+    assertBitBuffersEqual(expected, dstPixels, bigWidth, 256, "Blits that do not fit the arena should match the reference");
+    if (arena.getStats().allocated !== src.length + dst.length) {
+      throw new Error("No scratch block should be left allocated");
+    }
+  });
+
+  test("Blits that do not fit reuse one instance outside the arena", () => {
+    const { arena, generator } = createArenaGenerator();
+    const bigWidth = 1024;
+    arena.createBitmap(bigWidth, 256);
+    arena.createBitmap(bigWidth, 256);
+
+    // Count the instances made while the blits run
+    const Instance = WebAssembly.Instance;
+    let instances = 0;
+    WebAssembly.Instance = class extends Instance {
+      constructor(...args) {
+        super(...args);
+        instances++;
+      }
+    };
+    try {
+      for (let dstX = 0; dstX < 5 * 32; dstX += 32) {
+        const src = fill(createTestBuffer(bigWidth, 40, 0), patterns.diagonal);
+        const dst = fill(createTestBuffer(bigWidth, 40, 0), patterns.checkerboard);
+        const expected = dst.slice();
+        bitblt(src, bigWidth, 40, 3, 2, dst, bigWidth, dstX, 1, 500, 30, { generator, combinationRule: 6 });
+        referenceBitBLT(src, bigWidth, 40, 3, 2, expected, bigWidth, dstX, 1, 500, 30, { combinationRule: 6 });
+        assertBitBuffersEqual(expected, dst, bigWidth, 40, "The blit outside the arena should match the reference");
+      }
+    } finally {
+      WebAssembly.Instance = Instance;
+    }
+
+    // One instance in the arena when the function is compiled, and one outside it
+    if (instances !== 2 || arena.getStats().grows !== 0) {
+      throw new Error(`Expected two instances, got ${instances}`);
+    }
+  });
+
+  test("Empty bitmaps take no memory", () => {
+    const { arena, generator } = createArenaGenerator();
+    const allocated = arena.getStats().allocated;
+    const empty = [arena.createBitmap(0, height), arena.createBitmap(width, 0, 8)];
+    if (empty.some((bitmap) => bitmap.pixels.length !== 0) || arena.getStats().allocated !== allocated) {
+      throw new Error("Empty bitmaps should not allocate");
+    }
+
+    const src = fill(createTestBuffer(width, height, 0), patterns.diagonal);
+    const result = bitblt(src, width, height, 0, 0, empty[0].pixels, 0, 0, 0, width, height, { generator });
+    if (result.width !== 0) {
+      throw new Error("A blit to an empty bitmap should transfer nothing");
+    }
+
+    for (const bitmap of empty) {
+      bitmap.free();
+    }
+    if (arena.getStats().allocated !== allocated) {
+      throw new Error("Freeing empty bitmaps should leave the arena as it was");
+    }
+  });
+
+  test("Bitmaps are sized by their depth", () => {
+    const { arena, generator } = createArenaGenerator();
+    const src = arena.createBitmap(width, height, 8);
+    const dst = arena.createBitmap(width, height, 8);
+    if (src.depth !== 8 || src.length !== 24 * height) {
+      throw new Error(`A ${width}-pixel row of 8-bit pixels takes 24 words, got ${src.length / height}`);
+    }
+
+    for (let i = 0; i < src.length; i++) {
+      src.pixels[i] = Math.imul(i + 1, 0x9e3779b1) >>> 0;
+    }
+    const expected = dst.download();
+    bitblt(src.pixels, width, height, 7, 1, dst.pixels, width, 30, 3, 60, 12, { generator, depth: 8, verifyResults: true });
+    referenceBitBLT(src.pixels, width, height, 7, 1, expected, width, 30, 3, 60, 12, { depth: 8 });
+    assertBitBuffersEqual(expected, dst.pixels, width * 8, height, "The 8-bit arena blit should match the reference");
+  });
+
+  test("bitblt() allocates bitmaps in the default arena", async () => {
+    const before = getArenaStats().allocated;
+    const src = createBitmap(width, height).upload(fill(createTestBuffer(width, height, 0), patterns.diagonal));
+    const dst = createBitmap(width, height);
+    if (getArenaStats().allocated !== before + src.length + dst.length) {
+      throw new Error("The bitmaps should be allocated in the default arena");
+    }
+
+    await bitblt(src.pixels, width, height, 1, 1, dst.pixels, width, 30, 0, 60, 14, {
+      generatorType: "wasm",
+      combinationRule: 6,
+      verifyResults: true,
+    });
+
+    src.free();
+    dst.free();
+    if (getArenaStats().allocated !== before) {
+      throw new Error("Freed bitmaps should return their memory");
+    }
+  });
+});
+
+// Run all tests
+runTests().then((exitCode) => process.exit(exitCode));
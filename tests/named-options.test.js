@@ -0,0 +1,177 @@
+/**
+ * Named Options Tests
+ *
+ * Tests for the named-options form of bitblt(), its validation, and the
+ * descriptors that generators receive in execute().
+ */
+
+// Import the BitBLT module
+const {
+  bitblt,
+  createGenerator,
+  BitBLTDescriptor,
+  BitBLTRangeError,
+  BitBLTBufferError,
+} = require("../src/bitblt");
+const referenceBitBLT = require("../src/reference/bitblt").bitblt;
+
+// Import our testing framework
+const {
+  describe,
+  test,
+  runTests,
+  assertThrows,
+  assertBitBuffersEqual,
+  createBuffers,
+  patterns,
+} = require("./bitblt-tester");
+
+// Begin tests
+describe("Named Options", () => {
+  test("The named form matches the positional form", async () => {
+    const halftone = new Uint32Array([0xf0f0f0f0, 0x0ff00ff0, 0xffffffff]);
+    for (const type of ["javascript", "wasm", "closure"]) {
+      const generator = createGenerator(type);
+      const { srcBuffer: src, dstBuffer: dst } = createBuffers({
+        srcWidth: 100,
+        srcHeight: 30,
+        dstWidth: 90,
+        dstHeight: 25,
+        srcPattern: patterns.checkerboard,
+        dstPattern: patterns.diagonal,
+      });
+      const expected = dst.slice();
+
+      const region = await bitblt(
+        {
+          src,
+          srcWidth: 100,
+          srcX: 3,
+          srcY: 4,
+          dst,
+          dstWidth: 90,
+          dstX: -5,
+          dstY: 2,
+          width: 80,
+          height: 20,
+          rule: 6,
+          mask: halftone,
+          clip: { x: 10, width: 60 },
+        },
+        { generator }
+      );
+      const positional = await bitblt(src, 100, 30, 3, 4, expected, 90, -5, 2, 80, 20, {
+        generator,
+        combinationRule: 6,
+        halftone,
+        clipX: 10,
+        clipWidth: 60,
+      });
+
+      if (JSON.stringify(region) !== JSON.stringify(positional)) {
+        throw new Error(`The ${type} regions differ: ${JSON.stringify(region)} and ${JSON.stringify(positional)}`);
+      }
+      assertBitBuffersEqual(expected, dst, 90, 25, `The ${type} named call should match the positional one`);
+    }
+  });
+
+  test("Missing fields are reported by name", () => {
+    const src = new Uint32Array(8);
+    const dst = new Uint32Array(8);
+    assertThrows(() => bitblt({ srcWidth: 32, dst, dstWidth: 32, width: 8, height: 8 }), BitBLTBufferError, "src is required");
+    assertThrows(() => bitblt({ src, dst, dstWidth: 32, width: 8, height: 8 }), BitBLTRangeError, "srcWidth is required");
+    assertThrows(() => bitblt({ src, srcWidth: 32, dst, dstWidth: 32, width: 8 }), BitBLTRangeError, "height is required");
+    assertThrows(() => bitblt({ src, srcWidth: 32, dst: [0], dstWidth: 32, width: 8, height: 8 }), BitBLTBufferError, "dst must be a Uint32Array, got Array");
+    assertThrows(() => bitblt({ src, srcWidth: 32, dst, dstWidth: 32, width: 8, height: 1.5 }), BitBLTRangeError, "height must be an integer");
+  });
+
+  test("Contradictory and unknown fields are rejected", () => {
+    const src = new Uint32Array(8);
+    const dst = new Uint32Array(8);
+    const base = { src, srcWidth: 32, dst, dstWidth: 32, width: 8, height: 8 };
+
+    assertThrows(() => bitblt({ ...base, srcHeight: 9 }), BitBLTBufferError, "src has 8 words, too few for srcWidth 32 and srcHeight 9");
+    assertThrows(() => bitblt({ ...base, dst: src, dstWidth: 64 }), RangeError, "same buffer");
+    assertThrows(() => bitblt({ ...base, width: -1 }), RangeError, "width must not be negative");
+    assertThrows(() => bitblt({ ...base, clip: { x: 0, w: 4 } }), TypeError, 'Unknown clip field "w"');
+    assertThrows(() => bitblt({ ...base, combinationRule: 6 }), TypeError, 'Unknown BitBLT field "combinationRule"');
+    assertThrows(() => bitblt(base, { halftone: new Uint32Array(1) }), TypeError, "give mask in the descriptor");
+    assertThrows(() => bitblt({ ...base, rule: 16 }), Error, "Invalid combination rule");
+    assertThrows(() => bitblt({ ...base, mask: new Uint32Array(0) }), Error, "Invalid halftone");
+  });
+
+  test("Generators receive one clipped descriptor", () => {
+    const generator = createGenerator("javascript");
+    const received = [];
+    const executeDescriptor = generator.executeDescriptor.bind(generator);
+    generator.executeDescriptor = (descriptor) => {
+      received.push(descriptor);
+      return executeDescriptor(descriptor);
+    };
+
+    const { srcBuffer: src, dstBuffer: dst } = createBuffers({
+      srcWidth: 64,
+      srcHeight: 16,
+      dstWidth: 64,
+      dstHeight: 16,
+      srcPattern: patterns.checkerboard,
+      dstPattern: patterns.diagonal,
+    });
+    const expected = dst.slice();
+    bitblt({ src, srcWidth: 64, dst, dstWidth: 64, dstX: 40, dstY: -2, width: 40, height: 10, rule: 7 }, { generator });
+    referenceBitBLT(src, 64, 16, 0, 2, expected, 64, 40, 0, 24, 8, { combinationRule: 7 });
+    assertBitBuffersEqual(expected, dst, 64, 16, "The clipped call should match the reference");
+
+    const [descriptor] = received;
+    if (
+      received.length !== 1 ||
+      !(descriptor instanceof BitBLTDescriptor) ||
+      !Object.isFrozen(descriptor) ||
+      descriptor.clip !== null ||
+      JSON.stringify(descriptor.getRegion()) !== JSON.stringify({ srcX: 0, srcY: 2, dstX: 40, dstY: 0, width: 24, height: 8 }) ||
+      descriptor.rule !== 7 ||
+      descriptor.srcHeight !== 16
+    ) {
+      throw new Error(`Unexpected descriptor ${JSON.stringify(descriptor && descriptor.getRegion())}`);
+    }
+
+    // Calling execute() positionally or with named fields builds the same
+    // descriptor, clipped the same way
+    received.length = 0;
+    generator.execute(src, 64, 16, 0, 0, dst, 64, 60, 0, 10, 4, { combinationRule: 3 });
+    generator.execute({ src, srcWidth: 64, dst, dstWidth: 64, dstX: 60, width: 10, height: 4 });
+    if (received.length !== 2 || received.some((d) => d.width !== 4 || d.rule !== 3)) {
+      throw new Error("execute() should clip positional and named calls alike");
+    }
+
+    // Nothing is left after clipping, so the generator is not called
+    generator.execute({ src, srcWidth: 64, dst, dstWidth: 64, dstX: 64, width: 10, height: 4 });
+    if (received.length !== 2) {
+      throw new Error("An empty call should not reach the generator");
+    }
+  });
+
+  test("Backends read the descriptor they are given", () => {
+    const { srcBuffer: src, dstBuffer: dst } = createBuffers({ srcWidth: 64, srcHeight: 16, dstWidth: 64, dstHeight: 16 });
+    for (const type of ["javascript", "wasm", "closure"]) {
+      const generator = createGenerator(type, type === "wasm" ? { synchronous: true } : {});
+      const spied = type === "wasm" ? ["executeDescriptor", "getExecutionParams", "runInArena"] : ["executeDescriptor", "getExecutionParams"];
+      const seen = [];
+      for (const name of spied) {
+        const method = generator[name].bind(generator);
+        generator[name] = (...args) => {
+          seen.push(args.find((arg) => arg instanceof BitBLTDescriptor));
+          return method(...args);
+        };
+      }
+
+      generator.execute({ src, srcWidth: 64, dst, dstWidth: 64, dstX: 5, width: 40, height: 8, rule: 6 });
+      if (seen.length !== spied.length || seen.some((descriptor) => !descriptor || descriptor !== seen[0])) {
+        throw new Error(`The ${type} generator should pass its descriptor through`);
+      }
+    }
+  });
+});
+
+// Run all tests
+runTests().then((exitCode) => process.exit(exitCode));
@@ -0,0 +1,217 @@
+/**
+ * Overlap Tests
+ *
+ * Tests for copies whose source and destination are the same buffer, as
+ * when scrolling a bitmap in place.
+ */
+
+// Import the BitBLT module
+const { bitblt, createGenerator } = require("../src/bitblt");
+const referenceBitBLT = require("../src/reference/bitblt").bitblt;
+const { getCopyDirection } = require("../src/compiler/overlap");
+
+// Import our testing framework
+const {
+  describe,
+  test,
+  runTests,
+  getPixel,
+  assertBitBuffersEqual,
+  createTestBuffer,
+  createPattern,
+  patterns,
+} = require("./bitblt-tester");
+
+const width = 72;
+const height = 24;
+
+// Scroll offsets, including ones that are not word aligned
+const scrolls = {
+  up: [
+    { dx: 0, dy: -1 },
+    { dx: 0, dy: -7 },
+  ],
+  down: [
+    { dx: 0, dy: 1 },
+    { dx: 0, dy: 7 },
+  ],
+  left: [
+    { dx: -1, dy: 0 },
+    { dx: -13, dy: 0 },
+    { dx: -32, dy: 0 },
+  ],
+  right: [
+    { dx: 1, dy: 0 },
+    { dx: 13, dy: 0 },
+    { dx: 32, dy: 0 },
+  ],
+};
+
+/**
+ * Create a bitmap with a pattern that changes along both axes
+ * @returns {Uint32Array} - The bitmap
+ */
+function createBitmap() {
+  const buffer = createTestBuffer(width, height, 0);
+  createPattern(buffer, width, height, (x, y) =>
+    patterns.diagonal(x, y) || (x * 7 + y * 3) % 5 === 0
+  );
+  return buffer;
+}
+
+/**
+ * Describe a scroll of the whole bitmap as a blit onto itself
+ * @param {number} dx - Horizontal offset
+ * @param {number} dy - Vertical offset
+ * @returns {Object} - Source and destination coordinates and size
+ */
+function scrollRegion(dx, dy) {
+  return {
+    srcX: Math.max(0, -dx),
+    srcY: Math.max(0, -dy),
+    dstX: Math.max(0, dx),
+    dstY: Math.max(0, dy),
+    width: width - Math.abs(dx),
+    height: height - Math.abs(dy),
+  };
+}
+
+/**
+ * Compute the expected bitmap after a scroll from an untouched copy
+ * @param {Uint32Array} original - The bitmap before scrolling
+ * @param {Object} region - The scroll region
+ * @returns {Uint32Array} - The expected bitmap
+ */
+function expectedScroll(original, region) {
+  const expected = original.slice();
+  createPattern(expected, width, height, (x, y) => {
+    const sx = x - region.dstX + region.srcX;
+    const sy = y - region.dstY + region.srcY;
+    if (
+      x < region.dstX ||
+      x >= region.dstX + region.width ||
+      y < region.dstY ||
+      y >= region.dstY + region.height
+    ) {
+      return getPixel(original, width, x, y);
+    }
+    return getPixel(original, width, sx, sy);
+  });
+  return expected;
+}
+
+/**
+ * Call a bitblt-shaped function to scroll a bitmap in place
+ * @param {Function} fn - bitblt() or the reference implementation
+ * @param {Uint32Array} buffer - The bitmap
+ * @param {Object} region - The scroll region
+ * @param {Object} options - Options passed through
+ * @returns {*} - Whatever fn returns
+ */
+function scroll(fn, buffer, region, options) {
+  return fn(
+    buffer,
+    width,
+    height,
+    region.srcX,
+    region.srcY,
+    buffer,
+    width,
+    region.dstX,
+    region.dstY,
+    region.width,
+    region.height,
+    options
+  );
+}
+
+// Begin tests
+describe("Overlapping Copies", () => {
+  test("Copy direction is only reversed when it has to be", () => {
+    const buffer = createBitmap();
+    const other = createBitmap();
+
+    const down = getCopyDirection(buffer, width, 0, 0, buffer, width, 0, 1, 8, 8);
+    const up = getCopyDirection(buffer, width, 0, 1, buffer, width, 0, 0, 8, 8);
+    const apart = getCopyDirection(buffer, width, 0, 0, other, width, 0, 1, 8, 8);
+
+    if (!down.overlapping || !down.reverseRows) {
+      throw new Error("Scrolling down within one buffer should run backwards");
+    }
+    if (!up.overlapping || up.reverseRows || up.reverseColumns) {
+      throw new Error("Scrolling up within one buffer should run forwards");
+    }
+    if (apart.overlapping) {
+      throw new Error("Separate buffers should never overlap");
+    }
+  });
+
+  test("Views of one ArrayBuffer are treated as the same memory", () => {
+    const buffer = createBitmap();
+    const original = buffer.slice();
+    const rowWords = Math.ceil(width / 32);
+
+    // A destination view that starts one row into the source
+    const view = new Uint32Array(buffer.buffer, rowWords * 4);
+    const expected = expectedScroll(original, scrollRegion(0, 1));
+
+    referenceBitBLT(buffer, width, height, 0, 0, view, width, 0, 0, width, height - 1);
+
+    assertBitBuffersEqual(
+      expected,
+      buffer,
+      width,
+      height,
+      "Copying into an offset view should scroll the bitmap down"
+    );
+  });
+
+  for (const [direction, offsets] of Object.entries(scrolls)) {
+    test(`Reference scrolls ${direction}`, () => {
+      for (const { dx, dy } of offsets) {
+        const buffer = createBitmap();
+        const region = scrollRegion(dx, dy);
+        const expected = expectedScroll(buffer, region);
+
+        scroll(referenceBitBLT, buffer, region);
+
+        assertBitBuffersEqual(
+          expected,
+          buffer,
+          width,
+          height,
+          `Reference scroll by (${dx}, ${dy}) should match`
+        );
+      }
+    });
+
+    for (const generatorType of ["javascript", "wasm", "zero-copy-wasm", "closure"]) {
+      test(`${generatorType} generator scrolls ${direction}`, async () => {
+        const generator = createGenerator(generatorType);
+
+        for (const { dx, dy } of offsets) {
+          const buffer = createBitmap();
+          const region = scrollRegion(dx, dy);
+          const expected = expectedScroll(buffer, region);
+
+          // verifyResults also checks against the reference on every call
+          await scroll(bitblt, buffer, region, {
+            generator,
+            verifyResults: true,
+          });
+
+          assertBitBuffersEqual(
+            expected,
+            buffer,
+            width,
+            height,
+            `${generatorType} scroll by (${dx}, ${dy}) should match`
+          );
+        }
+      });
+    }
+  }
+});
+
+// Run all tests
+runTests().then((exitCode) => process.exit(exitCode));
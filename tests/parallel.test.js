@@ -0,0 +1,145 @@
+/**
+ * Parallel Execution Tests
+ *
+ * Tests for config.parallel, which splits large calls into bands of rows
+ * that run on a pool of worker threads sharing SharedArrayBuffers.
+ */
+
+// Import the BitBLT module
+const {
+  bitblt,
+  getParallelStats,
+  resetParallel,
+} = require("../src/bitblt");
+const referenceBitBLT = require("../src/reference/bitblt").bitblt;
+
+// Import our testing framework
+const {
+  describe,
+  test,
+  runTests,
+  assertBitBuffersEqual,
+  createBuffers,
+  createPattern,
+  patterns,
+} = require("./bitblt-tester");
+
+const width = 512;
+const height = 200;
+
+// Options for a parallel call on three workers
+const parallelOptions = {
+  parallel: true,
+  parallelThreshold: 1000,
+  parallelWorkers: 3,
+  verifyResults: true,
+};
+
+const layout = {
+  srcWidth: width,
+  srcHeight: height,
+  dstWidth: width,
+  dstHeight: height,
+};
+
+// Begin tests
+describe("Parallel Execution", () => {
+  test("Large calls run in bands and match the reference", () => {
+    resetParallel();
+    for (const combinationRule of [3, 6, 7, 12]) {
+      const { srcBuffer, dstBuffer } = createBuffers(layout);
+      const result = bitblt(srcBuffer, width, height, 5, 3, dstBuffer, width, 17, 1, 400, 190, {
+        ...parallelOptions,
+        combinationRule,
+      });
+      if (typeof result.then === "function" || result.height !== 190) {
+        throw new Error("A parallel call should return the region synchronously");
+      }
+    }
+
+    const stats = getParallelStats();
+    if (stats.workers !== 3 || stats.calls !== 4 || stats.bands !== 12) {
+      throw new Error(`Expected four calls of three bands, got ${JSON.stringify(stats)}`);
+    }
+  });
+
+  test("Small calls do not use the workers", () => {
+    resetParallel();
+    const { srcBuffer, dstBuffer } = createBuffers(layout);
+    bitblt(srcBuffer, width, height, 0, 0, dstBuffer, width, 3, 3, 20, 20, parallelOptions);
+    if (getParallelStats().calls !== 0) {
+      throw new Error("A call under the threshold should run on the main thread");
+    }
+  });
+
+  test("Overlapping copies within one buffer stay correct", () => {
+    const moves = [
+      [0, 0, 0, 7],
+      [0, 7, 0, 0],
+      [0, 0, 45, 0],
+      [45, 0, 0, 0],
+      [3, 2, 40, 30],
+      [40, 30, 3, 2],
+    ];
+    for (const shared of [false, true]) {
+      for (const [srcX, srcY, dstX, dstY] of moves) {
+        const buffer = createBuffers({ ...layout, shared }).srcBuffer;
+        const expected = buffer.slice();
+        referenceBitBLT(expected.slice(), width, height, srcX, srcY, expected, width, dstX, dstY, 450, 160, {});
+
+        bitblt(buffer, width, height, srcX, srcY, buffer, width, dstX, dstY, 450, 160, {
+          ...parallelOptions,
+          verifyResults: false,
+        });
+        assertBitBuffersEqual(expected, buffer, width, height, `Moving (${srcX}, ${srcY}) to (${dstX}, ${dstY}) should match a copy`);
+      }
+    }
+  });
+
+  test("Shared buffers are used in place", () => {
+    const { srcBuffer, dstBuffer } = createBuffers({
+      ...layout,
+      dstPattern: patterns.diagonal,
+      shared: true,
+    });
+    const halftone = new Uint32Array([0xf0f0f0f0, 0xffffffff, 0x0f0f0f0f]);
+    bitblt(srcBuffer, width, height, 9, 0, dstBuffer, width, 2, 5, 480, 195, {
+      ...parallelOptions,
+      combinationRule: 6,
+      halftone,
+    });
+
+    // Views of one SharedArrayBuffer that overlap
+    const memory = new SharedArrayBuffer(Math.ceil(width / 32) * (height + 10) * 4);
+    const below = new Uint32Array(memory, 0, Math.ceil(width / 32) * height);
+    const above = new Uint32Array(memory, Math.ceil(width / 32) * 10 * 4, below.length);
+    createPattern(below, width, height, patterns.noise);
+    bitblt(below, width, height, 0, 0, above, width, 0, 0, width, height, parallelOptions);
+  });
+
+  test("Workers run WebAssembly and report errors", () => {
+    const { srcBuffer, dstBuffer } = createBuffers(layout);
+    bitblt(srcBuffer, width, height, 1, 1, dstBuffer, width, 30, 2, 470, 180, {
+      ...parallelOptions,
+      generatorType: "wasm",
+      combinationRule: 7,
+    });
+
+    let error = null;
+    try {
+      bitblt(srcBuffer, width, height, 1, 1, dstBuffer, width, 30, 2, 470, 180, {
+        ...parallelOptions,
+        generatorType: "no-such-generator",
+      });
+    } catch (err) {
+      error = err;
+    }
+    if (!error || !error.message.includes("failed in a worker")) {
+      throw new Error(`A failing band should throw, got ${error}`);
+    }
+    resetParallel();
+  });
+});
+
+// Run all tests
+runTests().then((exitCode) => process.exit(exitCode));
@@ -0,0 +1,197 @@
+/**
+ * Pixel Depth Tests
+ *
+ * Tests for blits of 2, 4, 8, 16 and 32-bit pixels, in the reference
+ * implementation, the generators, Forms and the validation of bitblt().
+ */
+
+// Import the BitBLT module
+const {
+  bitblt,
+  createGenerator,
+  createTestBuffer,
+  getPixel,
+  Form,
+  PIXEL_DEPTHS,
+  BitBLTRangeError,
+  BitBLTBufferError,
+} = require("../src/bitblt");
+const referenceBitBLT = require("../src/reference/bitblt").bitblt;
+
+// Import our testing framework
+const {
+  describe,
+  test,
+  runTests,
+  assertThrows,
+  assertBitBuffersEqual,
+} = require("./bitblt-tester");
+
+/**
+ * Create a generator of repeatable pseudo-random words
+ * @param {number} seed - Seed
+ * @returns {Function} - Returns the next word on each call
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (Math.imul(state, 1664525) + 1013904223) >>> 0;
+    return state;
+  };
+}
+
+/**
+ * Create a buffer of pseudo-random pixels
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @param {number} depth - Bits per pixel
+ * @param {Function} random - Source of words
+ * @returns {Uint32Array} - The buffer
+ */
+function createRandomBuffer(width, height, depth, random) {
+  const buffer = createTestBuffer(width, height, 0, depth);
+  for (let i = 0; i < buffer.length; i++) {
+    buffer[i] = random();
+  }
+  return buffer;
+}
+
+// Begin tests
+describe("Pixel Depth", () => {
+  test("The reference combines whole pixels", () => {
+    // At depth 4, source 0011 and destination 0101 hold every pair of
+    // bits, so the result of each rule is the rule itself
+    for (let rule = 0; rule < 16; rule++) {
+      const src = createTestBuffer(16, 1, 0, 4).fill(0x33333333);
+      const dst = createTestBuffer(16, 1, 0, 4).fill(0x55555555);
+      referenceBitBLT(src, 16, 1, 0, 0, dst, 16, 3, 0, 10, 1, { combinationRule: rule, depth: 4 });
+
+      for (let x = 0; x < 16; x++) {
+        const expected = x >= 3 && x < 13 ? rule : 5;
+        const actual = getPixel(dst, 16, x, 0, 4);
+        if (actual !== expected) {
+          throw new Error(`Rule ${rule}: pixel ${x} is ${actual}, expected ${expected}`);
+        }
+      }
+    }
+  });
+
+  test("The generators match the reference at every depth", async () => {
+    const random = createRandom(25);
+    const generators = [
+      createGenerator("javascript"),
+      createGenerator("javascript", { optimizeAlignedCopy: false }),
+      createGenerator("wasm", { synchronous: true }),
+      createGenerator("closure"),
+    ];
+    const width = 70;
+    const height = 9;
+
+    for (const depth of PIXEL_DEPTHS) {
+      for (let i = 0; i < 12; i++) {
+        const srcX = random() % 20;
+        const dstX = random() % 20;
+        const blitWidth = 1 + (random() % 50);
+        const rule = random() % 16;
+        const halftone = i % 3 === 0 ? new Uint32Array([random(), random()]) : null;
+        const src = createRandomBuffer(width, height, depth, random);
+        const dst = createRandomBuffer(width, height, depth, random);
+        const expected = dst.slice();
+        const options = { combinationRule: rule, halftone, depth };
+        referenceBitBLT(src, width, height, srcX, 1, expected, width, dstX, 2, blitWidth, 6, options);
+
+        for (const generator of generators) {
+          const actual = dst.slice();
+          await bitblt(src, width, height, srcX, 1, actual, width, dstX, 2, blitWidth, 6, { ...options, generator });
+          assertBitBuffersEqual(
+            expected,
+            actual,
+            width * depth,
+            height,
+            `${generator.constructor.name} at depth ${depth}, rule ${rule}, srcX ${srcX}, dstX ${dstX}, width ${blitWidth}`
+          );
+        }
+      }
+
+      // Overlapping copies within one buffer
+      for (const generator of generators) {
+        const buffer = createRandomBuffer(width, height, depth, random);
+        const expected = buffer.slice();
+        referenceBitBLT(expected, width, height, 2, 1, expected, width, 7, 2, 50, 6, { depth });
+        await bitblt(buffer, width, height, 2, 1, buffer, width, 7, 2, 50, 6, { depth, generator });
+        assertBitBuffersEqual(expected, buffer, width * depth, height, `Overlapping copy at depth ${depth}`);
+      }
+    }
+  });
+
+  test("Depth is part of the compiled code's identity", async () => {
+    for (const type of ["javascript", "wasm", "closure"]) {
+      const generator = createGenerator(type, { synchronous: true });
+      const src = createTestBuffer(64, 4, 0, 8).fill(0xf0f0f0f0);
+      const dst = createTestBuffer(64, 4, 0, 8);
+
+      await bitblt(src, 64, 4, 0, 0, dst, 64, 0, 0, 16, 4, { generator, depth: 1 });
+      await bitblt(src, 64, 4, 0, 0, dst, 64, 0, 0, 16, 4, { generator, depth: 8 });
+      await bitblt(src, 64, 4, 0, 0, dst, 64, 0, 0, 16, 4, { generator, depth: 8 });
+
+      const { compiles } = generator.getCacheStats();
+      if (compiles !== 2) {
+        throw new Error(`The ${type} generator compiled ${compiles} times, expected 2`);
+      }
+    }
+  });
+
+  test("Forms hold pixels of their depth", async () => {
+    const form = new Form(10, 3, null, 8);
+    if (form.depth !== 8 || form.wordsPerRow !== 3 || form.bits.length !== 9) {
+      throw new Error(`Unexpected depth-8 form: ${form.depth}, ${form.wordsPerRow}`);
+    }
+
+    form.setPixel(5, 1, 0x1a4);
+    if (form.getPixel(5, 1) !== 0xa4 || form.getPixel(4, 1) !== 0 || form.getPixel(6, 1) !== 0) {
+      throw new Error("setPixel should store one masked 8-bit pixel");
+    }
+
+    const filled = new Form(7, 2, null, 2).fill(2);
+    for (let x = 0; x < 7; x++) {
+      if (filled.getPixel(x, 1) !== 2) {
+        throw new Error(`Filled pixel ${x} is ${filled.getPixel(x, 1)}`);
+      }
+    }
+    if (filled.bits[0] >>> 14 !== 0) {
+      throw new Error("fill should leave the padding of each row clear");
+    }
+
+    const part = form.extract(4, 1, 3, 1);
+    if (part.depth !== 8 || part.getPixel(1, 0) !== 0xa4 || !form.clone().equals(form)) {
+      throw new Error("extract and clone should keep the depth and pixels");
+    }
+
+    const destination = new Form(10, 3, null, 8).fill(0x11);
+    await bitblt(form, 0, 0, destination, 2, 0, 8, 3, { combinationRule: 7 });
+    if (destination.getPixel(7, 1) !== (0xa4 | 0x11) || destination.getPixel(1, 1) !== 0x11) {
+      throw new Error("bitblt between Forms should combine 8-bit pixels");
+    }
+
+    assertThrows(() => new Form(4, 4, null, 3), BitBLTRangeError, { field: "depth", value: 3 });
+    assertThrows(() => bitblt(form, 0, 0, filled, 0, 0, 2, 2), BitBLTRangeError, { field: "depth" });
+  });
+
+  test("bitblt() validates the depth and sizes buffers by it", () => {
+    const src = createTestBuffer(16, 4, 0, 8);
+    const dst = createTestBuffer(16, 4, 0, 8);
+
+    assertThrows(() => bitblt(src, 16, 4, 0, 0, dst, 16, 0, 0, 4, 4, { depth: 3 }), BitBLTRangeError, {
+      field: "depth",
+      value: 3,
+    });
+    assertThrows(() => bitblt(src.subarray(0, 12), 16, 4, 0, 0, dst, 16, 0, 0, 4, 4, { depth: 8 }), BitBLTBufferError, {
+      buffer: "src",
+      length: 12,
+      required: 16,
+    });
+  });
+});
+
+// Run all tests
+runTests().then((exitCode) => process.exit(exitCode));
@@ -0,0 +1,216 @@
+/**
+ * Shape Profiler Tests
+ *
+ * Tests for the profiler in bitblt() that counts calls by shape and, with
+ * config.autoRecompile, promotes hot shapes to specialized code.
+ */
+
+// Import the BitBLT module
+const {
+  bitblt,
+  config,
+  getProfile,
+  resetProfile,
+  createTestBuffer,
+} = require("../src/bitblt");
+const referenceBitBLT = require("../src/reference/bitblt").bitblt;
+const {
+  ShapeProfiler,
+  getShape,
+  getSpecializedOptions,
+} = require("../src/compiler/shape-profiler");
+
+// Import our testing framework
+const {
+  describe,
+  test,
+  runTests,
+  createBuffers,
+  assertBitBuffersEqual,
+} = require("./bitblt-tester");
+
+const srcWidth = 96;
+const srcHeight = 16;
+const dstWidth = 80;
+const dstHeight = 16;
+
+const layout = {
+  srcWidth,
+  srcHeight,
+  dstWidth,
+  dstHeight,
+};
+
+/**
+ * Run a blit and check it against the reference
+ * @param {number} srcX - Source X coordinate
+ * @param {number} dstX - Destination X coordinate
+ * @param {number} width - Width of the region
+ * @param {number} height - Height of the region
+ * @param {Object} options - Options for bitblt
+ */
+function blit(srcX, dstX, width, height, options = {}) {
+  const actual = createBuffers(layout);
+  const expected = createBuffers(layout);
+  const args = [srcWidth, srcHeight, srcX, 1];
+  const dstArgs = [dstWidth, dstX, 2, width, height];
+
+  bitblt(actual.srcBuffer, ...args, actual.dstBuffer, ...dstArgs, {
+    combinationRule: 6,
+    ...options,
+  });
+  referenceBitBLT(expected.srcBuffer, ...args, expected.dstBuffer, ...dstArgs, {
+    combinationRule: 6,
+  });
+
+  assertBitBuffersEqual(
+    expected.dstBuffer,
+    actual.dstBuffer,
+    dstWidth,
+    dstHeight,
+    `Blit from ${srcX} to ${dstX} should match the reference`
+  );
+}
+
+/**
+ * Run a test with some config settings, restoring them afterwards
+ * @param {Object} settings - Config settings
+ * @param {Function} fn - Test body
+ */
+function withConfig(settings, fn) {
+  const saved = { ...config };
+  Object.assign(config, settings);
+  resetProfile();
+  try {
+    fn();
+  } finally {
+    Object.assign(config, saved);
+    resetProfile();
+  }
+}
+
+// Begin tests
+describe("Shape Profiler", () => {
+  test("Calls are counted by shape", () => {
+    withConfig({}, () => {
+      // Same alignment class and size at different source positions
+      blit(3, 10, 40, 5);
+      blit(35, 10, 40, 5);
+      // A different alignment, then a different size
+      blit(4, 10, 40, 5);
+      blit(3, 10, 41, 5);
+
+      const profile = getProfile();
+      if (profile.calls !== 4 || profile.shapes.length !== 3) {
+        throw new Error(`Expected 4 calls in 3 shapes, got ${JSON.stringify(profile)}`);
+      }
+      const hottest = profile.shapes[0];
+      if (
+        hottest.count !== 2 ||
+        hottest.shape.srcAlignment !== 3 ||
+        hottest.shape.dstAlignment !== 10
+      ) {
+        throw new Error(`Unexpected hottest shape ${JSON.stringify(hottest)}`);
+      }
+    });
+  });
+
+  test("Nothing is counted when analyzeOperations is off", () => {
+    withConfig({ analyzeOperations: false }, () => {
+      blit(3, 10, 40, 5);
+      if (getProfile().calls !== 0) {
+        throw new Error("The profiler should be off");
+      }
+    });
+  });
+
+  test("Hot shapes are not promoted without autoRecompile", () => {
+    withConfig({ autoRecompileThreshold: 2 }, () => {
+      for (let i = 0; i < 5; i++) blit(3, 10, 40, 5);
+      if (getProfile().promotions.length !== 0) {
+        throw new Error("autoRecompile is off by default");
+      }
+    });
+  });
+
+  test("A shape is promoted once it reaches the threshold", () => {
+    const events = [];
+    withConfig(
+      {
+        autoRecompile: true,
+        autoRecompileThreshold: 3,
+        onPromote: (event) => events.push(event),
+      },
+      () => {
+        blit(3, 10, 40, 5);
+        blit(35, 10, 40, 5);
+        if (events.length !== 0) {
+          throw new Error("The shape should not be promoted before the threshold");
+        }
+
+        // The third call is compiled for the shape, and so are later ones
+        for (let i = 0; i < 4; i++) blit(3 + 32 * (i & 1), 10, 40, 5);
+
+        const { promotions, shapes } = getProfile();
+        if (events.length !== 1 || promotions.length !== 1) {
+          throw new Error(`Expected one promotion, got ${events.length}`);
+        }
+        if (
+          promotions[0].calls !== 3 ||
+          !promotions[0].options.inlineConstants ||
+          promotions[0].shape.width !== 40 ||
+          !shapes[0].promoted
+        ) {
+          throw new Error(`Unexpected promotion ${JSON.stringify(promotions[0])}`);
+        }
+      }
+    );
+  });
+
+  test("Only small shapes are unrolled", () => {
+    const small = getShape({ srcWidth, dstWidth, srcX: 0, dstX: 0, width: 8, height: 8 });
+    const large = getShape({ srcWidth, dstWidth, srcX: 0, dstX: 0, width: 40, height: 8 });
+    if (!getSpecializedOptions(small).unrollLoops || getSpecializedOptions(large).unrollLoops) {
+      throw new Error("Only regions of up to 64 pixels should be unrolled");
+    }
+
+    withConfig({ autoRecompile: true, autoRecompileThreshold: 1 }, () => {
+      for (let i = 0; i < 3; i++) blit(5, 9, 8, 8);
+      if (!getProfile().promotions[0].options.unrollLoops) {
+        throw new Error("The small shape should be unrolled");
+      }
+    });
+  });
+
+  test("The profiler keeps a bounded number of shapes", () => {
+    const profiler = new ShapeProfiler({ maxShapes: 4 });
+    const hot = profiler.record(getShape({ srcX: 0, dstX: 0, width: 1, height: 1 }));
+    profiler.promote(hot, null, {});
+
+    for (let width = 2; width < 20; width++) {
+      profiler.record(getShape({ srcX: 0, dstX: 0, width, height: 1 }));
+    }
+
+    const { shapes, calls } = profiler.getStats();
+    if (shapes.length !== 4 || calls !== 19) {
+      throw new Error(`Expected 4 shapes after 19 calls, got ${shapes.length}`);
+    }
+    if (!shapes.some((entry) => entry.promoted)) {
+      throw new Error("Promoted shapes should be kept over unpromoted ones");
+    }
+  });
+
+  test("resetProfile clears counters and promotions", () => {
+    withConfig({ autoRecompile: true, autoRecompileThreshold: 1 }, () => {
+      blit(3, 10, 40, 5);
+      resetProfile();
+      const profile = getProfile();
+      if (profile.calls || profile.shapes.length || profile.promotions.length) {
+        throw new Error(`Expected an empty profile, got ${JSON.stringify(profile)}`);
+      }
+    });
+  });
+});
+
+// Run all tests
+runTests().then((exitCode) => process.exit(exitCode));
@@ -0,0 +1,161 @@
+/**
+ * SIMD WebAssembly Generator Tests
+ *
+ * Tests for the simd-wasm generator: v128 code for the middle of each row,
+ * scalar row edges and the fallback to scalar WebAssembly.
+ */
+
+// Import the BitBLT module
+const { bitblt, createGenerator, generators } = require("../src/bitblt");
+const { SimdOpcodes, SIMD_PREFIX } = require("../src/compiler/generators/wasm-binary-utils");
+
+// Import our testing framework
+const {
+  describe,
+  test,
+  runTests,
+  createBuffers,
+  checkRegion,
+  patterns,
+} = require("./bitblt-tester");
+
+const srcWidth = 400;
+const srcHeight = 10;
+const dstWidth = 420;
+const dstHeight = 10;
+
+// Wide regions so the v128 loop runs, plus narrow ones that never reach it
+const regions = [
+  { srcX: 0, srcY: 0, dstX: 0, dstY: 0, width: 384, height: 10 },
+  { srcX: 32, srcY: 1, dstX: 64, dstY: 2, width: 320, height: 8 },
+  { srcX: 7, srcY: 0, dstX: 19, dstY: 1, width: 381, height: 9 },
+  { srcX: 45, srcY: 2, dstX: 3, dstY: 0, width: 300, height: 8 },
+  { srcX: 10, srcY: 0, dstX: 30, dstY: 0, width: 150, height: 10 },
+  { srcX: 1, srcY: 3, dstX: 60, dstY: 4, width: 40, height: 5 },
+];
+
+const layout = {
+  srcWidth,
+  srcHeight,
+  dstWidth,
+  dstHeight,
+  srcPattern: (x, y) => patterns.diagonal(x, y) || (x * 3 + y * 7) % 11 < 4,
+};
+
+/**
+ * Check whether a module contains a given SIMD instruction
+ * @param {Uint8Array} binary - WebAssembly module
+ * @param {number} op - SIMD opcode (a single LEB128 byte)
+ * @returns {boolean} - Whether the prefix/opcode pair appears
+ */
+function hasSimdOp(binary, op) {
+  for (let i = 0; i < binary.length - 1; i++) {
+    if (binary[i] === SIMD_PREFIX && binary[i + 1] === op) {
+      return true;
+    }
+  }
+  return false;
+}
+
+// Begin tests
+describe("SIMD WebAssembly Generator", () => {
+  test("The factory creates the simd-wasm generator", () => {
+    const generator = createGenerator("simd-wasm");
+
+    if (generator.name !== "simd-wasm") {
+      throw new Error(`Expected simd-wasm, got ${generator.name}`);
+    }
+    if (!generators.available.includes("simd-wasm")) {
+      throw new Error("simd-wasm should be listed as an available generator");
+    }
+    if (!generator.isSupported()) {
+      throw new Error("Node supports WebAssembly SIMD, so the generator should too");
+    }
+  });
+
+  test("Generated modules use v128 loads, stores and bitwise operations", () => {
+    const generator = createGenerator("simd-wasm");
+    const params = { combinationRule: 6 };
+    generator.applyAnalysis(params);
+
+    const binary = generator.generate(params);
+
+    if (!WebAssembly.validate(binary)) {
+      throw new Error("The SIMD module should validate");
+    }
+    for (const op of [
+      SimdOpcodes.V128_LOAD,
+      SimdOpcodes.V128_STORE,
+      SimdOpcodes.V128_XOR,
+    ]) {
+      if (!hasSimdOp(binary, op)) {
+        throw new Error(`Expected SIMD opcode 0x${op.toString(16)}`);
+      }
+    }
+    if (!generator.getCacheKey(params).includes("simd")) {
+      throw new Error("SIMD modules should have their own cache keys");
+    }
+  });
+
+  test("Copies match the reference", async () => {
+    const generator = createGenerator("simd-wasm");
+    for (const region of regions) {
+      await checkRegion(generator, layout, region);
+    }
+  });
+
+  test("Every rule matches the reference", async () => {
+    const generator = createGenerator("simd-wasm");
+    for (let rule = 0; rule < 16; rule++) {
+      for (const region of regions) {
+        await checkRegion(generator, layout, region, { combinationRule: rule });
+      }
+    }
+  });
+
+  test("Halftones are applied in every lane", async () => {
+    const generator = createGenerator("simd-wasm");
+    const halftone = new Uint32Array([0x0f0f0f0f, 0x33333333, 0xff00ff00]);
+    for (const region of regions) {
+      await checkRegion(generator, layout, region, { combinationRule: 7, halftone });
+    }
+  });
+
+  test("Overlapping scrolls are copied in a safe order", async () => {
+    const generator = createGenerator("simd-wasm");
+
+    for (const [dx, dy] of [[-37, 0], [37, 0], [0, -2], [0, 2]]) {
+      const { srcBuffer: buffer } = createBuffers(layout);
+
+      await bitblt(
+        buffer, srcWidth, srcHeight,
+        Math.max(0, -dx), Math.max(0, -dy),
+        buffer, srcWidth,
+        Math.max(0, dx), Math.max(0, dy),
+        srcWidth - Math.abs(dx), srcHeight - Math.abs(dy),
+        { generator, verifyResults: true }
+      );
+    }
+  });
+
+  test("Falls back to scalar WebAssembly without SIMD", async () => {
+    const generator = createGenerator("simd-wasm");
+    generator.simdSupported = false;
+
+    const params = {};
+    generator.applyAnalysis(params);
+    if (params.useSIMD) {
+      throw new Error("SIMD should not be used when it is unsupported");
+    }
+    if (hasSimdOp(generator.generate(params), SimdOpcodes.V128_LOAD)) {
+      throw new Error("The fallback module should not contain v128 code");
+    }
+
+    for (const region of regions) {
+      await checkRegion(generator, layout, region, { combinationRule: 9 });
+    }
+  });
+});
+
+// Run all tests
+runTests().then((exitCode) => process.exit(exitCode));
@@ -0,0 +1,158 @@
+/**
+ * Specialization Policy Tests
+ *
+ * Tests for keying compiled code on the alignment class of a blit (word
+ * widths, skew, width class and rule) instead of its exact coordinates,
+ * and for pinning coordinates with the `pin` compiler option.
+ */
+
+// Import the BitBLT module
+const { bitblt, createGenerator, createTestBuffer } = require("../src/bitblt");
+const {
+  getAlignmentClass,
+  specializeParams,
+} = require("../src/compiler/specialization");
+
+// Import our testing framework
+const {
+  describe,
+  test,
+  runTests,
+  createPattern,
+  patterns,
+} = require("./bitblt-tester");
+
+const screenWidth = 320;
+const screenHeight = 64;
+const spriteWidth = 40;
+const spriteHeight = 16;
+
+/**
+ * Move a sprite across the screen, one blit per frame, checking every
+ * frame against the reference
+ * @param {Object} generator - Generator to draw with
+ * @param {number} frames - Number of frames
+ */
+async function animate(generator, frames) {
+  const sprite = createTestBuffer(spriteWidth, spriteHeight, 0);
+  createPattern(sprite, spriteWidth, spriteHeight, patterns.checkerboard);
+  const screen = createTestBuffer(screenWidth, screenHeight, 0);
+  createPattern(screen, screenWidth, screenHeight, patterns.diagonal);
+
+  for (let frame = 0; frame < frames; frame++) {
+    await bitblt(
+      sprite, spriteWidth, spriteHeight, 0, 0,
+      screen, screenWidth,
+      (frame * 3) % (screenWidth - spriteWidth), frame % (screenHeight - spriteHeight),
+      spriteWidth, spriteHeight,
+      { generator, combinationRule: 6, verifyResults: true }
+    );
+  }
+}
+
+/**
+ * Count the functions a generator has compiled
+ * @param {Object} generator - JavaScript or WebAssembly generator
+ * @returns {number} - Number of cached functions
+ */
+function cacheSize(generator) {
+  return (generator.compiledFunctions || generator.compiledModules).size;
+}
+
+// Begin tests
+describe("Specialization Policy", () => {
+  test("The alignment class ignores where a blit is", () => {
+    const base = { srcWidth: 100, dstWidth: 90, srcX: 7, dstX: 21, width: 61 };
+    const moved = { ...base, srcX: 39, dstX: 53 };
+    const a = getAlignmentClass(base);
+    const b = getAlignmentClass(moved);
+    if (JSON.stringify(a) !== JSON.stringify(b)) {
+      throw new Error(`Expected the same class, got ${JSON.stringify([a, b])}`);
+    }
+    if (a.srcWordWidth !== 4 || a.dstWordWidth !== 3 || a.skew !== 18 || a.widthClass !== "multi") {
+      throw new Error(`Unexpected class ${JSON.stringify(a)}`);
+    }
+    if (getAlignmentClass({ ...base, dstX: 3, width: 29 }).widthClass !== "single") {
+      throw new Error("A row within one word should be in the single-word class");
+    }
+
+    const edges = getAlignmentClass({ ...base, dstX: 64, width: 61 });
+    if (a.leftAligned || a.rightAligned || !edges.leftAligned || edges.rightAligned) {
+      throw new Error(`Unexpected edge alignment ${JSON.stringify([a, edges])}`);
+    }
+    if (!getAlignmentClass({ ...base, dstX: 11, width: 21 }).rightAligned) {
+      throw new Error("A row that ends on a word boundary should be right-aligned");
+    }
+  });
+
+  test("Coordinates are runtime parameters unless pinned", () => {
+    const params = {
+      srcWidth: 100, srcHeight: 8, dstWidth: 90,
+      srcX: 7, srcY: 1, dstX: 21, dstY: 2, width: 61, height: 5,
+      inlineConstants: true,
+    };
+    const specialized = specializeParams(params);
+    for (const name of ["srcX", "srcY", "dstX", "dstY", "width", "height", "srcWidth"]) {
+      if (specialized[name] !== undefined) {
+        throw new Error(`${name} should not be compiled in`);
+      }
+    }
+
+    const pinned = specializeParams(params, ["dstY", "height"]);
+    if (pinned.dstY !== 2 || pinned.height !== 5 || pinned.dstX !== undefined) {
+      throw new Error("Only the pinned coordinates should be kept");
+    }
+
+    const generic = specializeParams({ ...params, inlineConstants: false });
+    if (generic.skew !== undefined) {
+      throw new Error("Without inlineConstants there is no alignment class");
+    }
+
+    try {
+      specializeParams(params, ["combinationRule"]);
+    } catch (err) {
+      return;
+    }
+    throw new Error("Pinning an unknown parameter should throw");
+  });
+
+  test("A moving sprite compiles a bounded number of functions", async () => {
+    for (const type of ["javascript", "wasm"]) {
+      const generator = createGenerator(type);
+      await animate(generator, 100);
+      const afterWarmUp = cacheSize(generator);
+      await animate(generator, 300);
+
+      // At most one function per skew and width class
+      if (cacheSize(generator) !== afterWarmUp || afterWarmUp > 64) {
+        throw new Error(
+          `${type} compiled ${afterWarmUp} functions, then ${cacheSize(generator)}`
+        );
+      }
+    }
+  });
+
+  test("Generic code compiles once for the whole animation", async () => {
+    const generator = createGenerator("javascript", { inlineConstants: false });
+    await animate(generator, 200);
+    if (cacheSize(generator) !== 1) {
+      throw new Error(`Expected one function, got ${cacheSize(generator)}`);
+    }
+  });
+
+  test("Pinned coordinates are compiled in", async () => {
+    const generator = createGenerator("javascript", { pin: ["dstY"] });
+    await animate(generator, 48);
+    const keys = [...generator.compiledFunctions.keys()];
+    if (!keys.every((key) => /_dy\d+_/.test(key))) {
+      throw new Error(`Expected dstY in every key, got ${keys.join(", ")}`);
+    }
+    const rows = new Set(keys.map((key) => key.match(/_dy(\d+)_/)[1]));
+    if (rows.size !== screenHeight - spriteHeight) {
+      throw new Error(`Expected ${screenHeight - spriteHeight} pinned rows, got ${rows.size}`);
+    }
+  });
+});
+
+// Run all tests
+runTests().then((exitCode) => process.exit(exitCode));
@@ -0,0 +1,200 @@
+/**
+ * Tiered Execution Tests
+ *
+ * Tests for config.tiered, which runs calls on the reference
+ * implementation until their cache key is warm and compiles WebAssembly
+ * in the background.
+ */
+
+// Import the BitBLT module
+const {
+  bitblt,
+  config,
+  getTierStats,
+  settleTiers,
+  resetTiers,
+  createTestBuffer,
+} = require("../src/bitblt");
+const referenceBitBLT = require("../src/reference/bitblt").bitblt;
+const { TieredExecutor } = require("../src/compiler/tiers");
+
+// Import our testing framework
+const {
+  describe,
+  test,
+  runTests,
+  assertBitBuffersEqual,
+  createPattern,
+  patterns,
+} = require("./bitblt-tester");
+
+const srcWidth = 96;
+const srcHeight = 12;
+const dstWidth = 80;
+const dstHeight = 12;
+
+/**
+ * Run a blit on fresh buffers
+ * @param {number} srcX - Source X coordinate
+ * @param {Object} options - Options for bitblt
+ * @returns {Object} - { result, check }, where check() compares the
+ *   destination with the reference once the blit has finished
+ */
+function blit(srcX, options = {}) {
+  const create = () => {
+    const srcBuffer = createTestBuffer(srcWidth, srcHeight, 0);
+    createPattern(srcBuffer, srcWidth, srcHeight, (x, y) =>
+      patterns.diagonal(x, y) || (x * 3 + y) % 5 === 0
+    );
+    const dstBuffer = createTestBuffer(dstWidth, dstHeight, 0);
+    createPattern(dstBuffer, dstWidth, dstHeight, patterns.checkerboard);
+    return { srcBuffer, dstBuffer };
+  };
+  const actual = create();
+  const expected = create();
+  const args = [srcWidth, srcHeight, srcX, 1];
+  const dstArgs = [dstWidth, 9, 2, 50, 7];
+
+  const result = bitblt(actual.srcBuffer, ...args, actual.dstBuffer, ...dstArgs, {
+    combinationRule: 7,
+    ...options,
+  });
+  referenceBitBLT(expected.srcBuffer, ...args, expected.dstBuffer, ...dstArgs, {
+    combinationRule: 7,
+  });
+
+  const check = () =>
+    assertBitBuffersEqual(
+      expected.dstBuffer,
+      actual.dstBuffer,
+      dstWidth,
+      dstHeight,
+      `Tiered blit from ${srcX} should match the reference`
+    );
+  return { result, check };
+}
+
+/**
+ * Run a test with some config settings, restoring them afterwards
+ * @param {Object} settings - Config settings
+ * @param {Function} fn - Test body
+ */
+async function withConfig(settings, fn) {
+  const saved = { ...config };
+  Object.assign(config, settings);
+  resetTiers();
+  try {
+    await fn();
+  } finally {
+    await settleTiers();
+    Object.assign(config, saved);
+    resetTiers();
+  }
+}
+
+// Begin tests
+describe("Tiered Execution", () => {
+  test("Tiered mode is off by default", async () => {
+    await withConfig({}, () => {
+      blit(3).check();
+      const stats = getTierStats();
+      if (stats.referenceCalls || stats.compiledCalls || stats.entries.length) {
+        throw new Error(`Expected no tier activity, got ${JSON.stringify(stats)}`);
+      }
+    });
+  });
+
+  test("JavaScript calls move to compiled code at the threshold", async () => {
+    await withConfig({ tiered: true, tierThreshold: 3 }, () => {
+      for (let i = 0; i < 2; i++) blit(3).check();
+      let stats = getTierStats();
+      if (stats.referenceCalls !== 2 || stats.compiledCalls !== 0) {
+        throw new Error(`The first calls should run on the reference: ${JSON.stringify(stats)}`);
+      }
+
+      for (let i = 0; i < 3; i++) blit(3).check();
+      stats = getTierStats();
+      if (stats.referenceCalls !== 2 || stats.compiledCalls !== 3) {
+        throw new Error(`Warm calls should be compiled: ${JSON.stringify(stats)}`);
+      }
+      if (stats.entries.length !== 1 || stats.entries[0].state !== "compiled") {
+        throw new Error("The cache key should be compiled");
+      }
+    });
+  });
+
+  test("Each cache key warms up on its own", async () => {
+    await withConfig({ tiered: true, tierThreshold: 2 }, () => {
+      blit(3).check();
+      blit(4).check();
+      blit(3).check();
+
+      const states = Object.fromEntries(
+        getTierStats().entries.map((entry) => [entry.calls, entry.state])
+      );
+      if (states[2] !== "compiled" || states[1] !== "reference") {
+        throw new Error(`Unexpected states ${JSON.stringify(states)}`);
+      }
+    });
+  });
+
+  test("WebAssembly compiles in the background", async () => {
+    await withConfig({ tiered: true, tierThreshold: 2, generatorType: "wasm" }, async () => {
+      // Both calls are served synchronously; the second starts the compile
+      for (let i = 0; i < 2; i++) {
+        const { result, check } = blit(3);
+        if (typeof result.then === "function") {
+          throw new Error("Calls on the reference should not return a Promise");
+        }
+        check();
+      }
+      if (getTierStats().entries[0].state !== "compiling") {
+        throw new Error("The second call should start a background compile");
+      }
+
+      await settleTiers();
+      const { result, check } = blit(3);
+      await result;
+      check();
+
+      const stats = getTierStats();
+      if (stats.compiledCalls !== 1 || stats.entries[0].state !== "compiled") {
+        throw new Error(`The third call should be compiled: ${JSON.stringify(stats)}`);
+      }
+    });
+  });
+
+  test("A key whose compile fails stays on the reference", async () => {
+    const executor = new TieredExecutor();
+    executor.getGenerator = () => ({
+      getExecutionParams: () => ({}),
+      getCacheKey: () => "broken",
+      isAsync: () => true,
+      compile: async () => {
+        throw new Error("no compiler");
+      },
+    });
+
+    executor.select("wasm", {}, 1, []);
+    await executor.settle();
+    const [entry] = executor.getStats().entries;
+    if (entry.state !== "failed" || entry.error.message !== "no compiler") {
+      throw new Error(`Expected a failed entry, got ${JSON.stringify(entry)}`);
+    }
+    if (executor.select("wasm", {}, 1, []) !== null) {
+      throw new Error("Failed keys should run on the reference");
+    }
+  });
+
+  test("The executor keeps a bounded number of cache keys", () => {
+    const executor = new TieredExecutor({ maxEntries: 3 });
+    for (let i = 0; i < 10; i++) executor.record(`key${i}`);
+    const keys = executor.getStats().entries.map((entry) => entry.key);
+    if (keys.join() !== "key7,key8,key9") {
+      throw new Error(`Expected the three most recent keys, got ${keys}`);
+    }
+  });
+});
+
+// Run all tests
+runTests().then((exitCode) => process.exit(exitCode));
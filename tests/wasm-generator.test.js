@@ -118,4 +118,4 @@ describe('WebAssembly Generator', () => {
 });
 
 // Run all tests
-process.exit(runTests());
+runTests().then((exitCode) => process.exit(exitCode));
@@ -123,4 +123,4 @@ describe('WebAssembly Shared Memory', () => {
 });
 
 // Run all tests
-process.exit(runTests());
+runTests().then((exitCode) => process.exit(exitCode));
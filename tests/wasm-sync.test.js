@@ -0,0 +1,130 @@
+/**
+ * Synchronous WebAssembly Tests
+ *
+ * Tests for compiler.synchronous, which compiles WebAssembly with
+ * new WebAssembly.Module and new WebAssembly.Instance so that bitblt()
+ * returns without a Promise.
+ */
+
+// Import the BitBLT module
+const {
+  bitblt,
+  config,
+  setGeneratorType,
+  createGenerator,
+  getTierStats,
+  resetTiers,
+  createTestBuffer,
+} = require("../src/bitblt");
+
+// Import our testing framework
+const {
+  describe,
+  test,
+  runTests,
+  createPattern,
+  patterns,
+} = require("./bitblt-tester");
+
+const width = 96;
+const height = 12;
+
+/**
+ * Run a blit checked against the reference, and make sure it returned
+ * the region rather than a Promise
+ * @param {Object} options - Options for bitblt
+ * @returns {Object} - The clipped region
+ */
+function blitSync(options = {}) {
+  const srcBuffer = createTestBuffer(width, height, 0);
+  createPattern(srcBuffer, width, height, patterns.diagonal);
+  const dstBuffer = createTestBuffer(width, height, 0);
+  createPattern(dstBuffer, width, height, patterns.checkerboard);
+
+  const result = bitblt(srcBuffer, width, height, 5, 1, dstBuffer, width, 19, 2, 70, 9, {
+    verifyResults: true,
+    ...options,
+  });
+  if (!result || typeof result.then === "function" || !(result.width > 0)) {
+    throw new Error("bitblt() should return the region synchronously");
+  }
+  return result;
+}
+
+// Begin tests
+describe("Synchronous WebAssembly", () => {
+  test("isAsync() follows the compile path", () => {
+    for (const type of ["wasm", "simd-wasm", "zero-copy-wasm"]) {
+      if (!createGenerator(type).isAsync()) {
+        throw new Error(`${type} should be asynchronous by default`);
+      }
+      if (createGenerator(type, { synchronous: true }).isAsync()) {
+        throw new Error(`${type} should be synchronous with compiler.synchronous`);
+      }
+    }
+  });
+
+  test("compile() returns the function itself", async () => {
+    const params = { srcWidth: 64, srcHeight: 8, dstWidth: 64, combinationRule: 6 };
+    const generator = createGenerator("wasm", { synchronous: true });
+    const bitbltFunction = generator.compile(params);
+    if (typeof bitbltFunction !== "function") {
+      throw new Error("The synchronous path should return a function");
+    }
+    if (generator.compile(params) !== bitbltFunction) {
+      throw new Error("The compiled function should be cached");
+    }
+
+    const compiled = createGenerator("wasm").compile(params);
+    if (typeof compiled.then !== "function" || typeof (await compiled) !== "function") {
+      throw new Error("The asynchronous path should return a Promise of a function");
+    }
+  });
+
+  test("Synchronous generators match the reference", () => {
+    for (const type of ["wasm", "simd-wasm", "zero-copy-wasm"]) {
+      const generator = createGenerator(type, { synchronous: true });
+      for (const combinationRule of [3, 6, 7, 12]) {
+        blitSync({ generator, combinationRule });
+      }
+      blitSync({ generator, halftone: new Uint32Array([0xaaaaaaaa, 0x55555555]) });
+    }
+  });
+
+  test("setGeneratorType() offers a synchronous WebAssembly mode", () => {
+    const saved = { generatorType: config.generatorType, compiler: config.compiler };
+    try {
+      setGeneratorType("wasm", { synchronous: true });
+      blitSync({ combinationRule: 6 });
+      blitSync({ combinationRule: 6, clipX: 30, clipWidth: 200 });
+    } finally {
+      Object.assign(config, saved);
+    }
+  });
+
+  test("Tiered mode compiles synchronous WebAssembly in place", () => {
+    const saved = { ...config };
+    Object.assign(config, {
+      tiered: true,
+      tierThreshold: 2,
+      generatorType: "wasm",
+      compiler: { ...config.compiler, synchronous: true },
+    });
+    resetTiers();
+    try {
+      for (let i = 0; i < 3; i++) {
+        blitSync({ combinationRule: 7 });
+      }
+      const stats = getTierStats();
+      if (stats.referenceCalls !== 1 || stats.compiledCalls !== 2 || stats.compiling) {
+        throw new Error(`Expected the second call to compile, got ${JSON.stringify(stats)}`);
+      }
+    } finally {
+      Object.assign(config, saved);
+      resetTiers();
+    }
+  });
+});
+
+// Run all tests
+runTests().then((exitCode) => process.exit(exitCode));
@@ -0,0 +1,125 @@
+/**
+ * WebAssembly Word Copy Tests
+ *
+ * Tests for the word-oriented WebAssembly function body: edge masks,
+ * skewed (rotated and merged) source words and the choice between the
+ * word and bit bodies.
+ */
+
+// Import the BitBLT module
+const { bitblt, createGenerator } = require("../src/bitblt");
+
+// Import our testing framework
+const {
+  describe,
+  test,
+  runTests,
+  createBuffers,
+  checkRegion,
+} = require("./bitblt-tester");
+
+const srcWidth = 150;
+const srcHeight = 12;
+const dstWidth = 130;
+const dstHeight = 12;
+
+// Regions covering aligned, skewed, single-word and multi-word rows. Some
+// start before the first destination word's bit 0 lines up with the source.
+const regions = [
+  { srcX: 0, srcY: 0, dstX: 0, dstY: 0, width: 128, height: 12 },
+  { srcX: 32, srcY: 1, dstX: 64, dstY: 2, width: 64, height: 9 },
+  { srcX: 5, srcY: 0, dstX: 5, dstY: 3, width: 100, height: 8 },
+  { srcX: 3, srcY: 0, dstX: 17, dstY: 0, width: 90, height: 10 },
+  { srcX: 40, srcY: 0, dstX: 1, dstY: 1, width: 109, height: 11 },
+  { srcX: 0, srcY: 0, dstX: 31, dstY: 0, width: 2, height: 7 },
+  { srcX: 61, srcY: 3, dstX: 9, dstY: 5, width: 20, height: 6 },
+  { srcX: 120, srcY: 0, dstX: 0, dstY: 0, width: 30, height: 12 },
+];
+
+const layout = {
+  srcWidth,
+  srcHeight,
+  dstWidth,
+  dstHeight,
+};
+
+// Begin tests
+describe("WebAssembly Word Copies", () => {
+  test("analyzeOperation selects the word body", () => {
+    const generator = createGenerator("wasm");
+
+    const analysis = generator.analyzeOperation({ ...regions[3] });
+    if (!analysis.optimizations.includes("word-copy")) {
+      throw new Error("Expected the word-copy optimization");
+    }
+
+    const params = { ...regions[3], optimizeAlignedCopy: false };
+    generator.applyAnalysis(params);
+    if (params.wordCopy) {
+      throw new Error("optimizeAlignedCopy: false should keep the bit body");
+    }
+  });
+
+  test("Word and bit bodies have different cache keys", () => {
+    const generator = createGenerator("wasm");
+    if (
+      generator.getCacheKey({ ...regions[0], wordCopy: true }) ===
+      generator.getCacheKey({ ...regions[0] })
+    ) {
+      throw new Error("The body variant should be part of the cache key");
+    }
+  });
+
+  test("Copies match the reference", async () => {
+    const generator = createGenerator("wasm");
+    for (const region of regions) {
+      await checkRegion(generator, layout, region);
+    }
+  });
+
+  test("Every rule matches the reference", async () => {
+    const generator = createGenerator("wasm");
+    for (let rule = 0; rule < 16; rule++) {
+      for (const region of regions) {
+        await checkRegion(generator, layout, region, { combinationRule: rule });
+      }
+    }
+  });
+
+  test("Halftones are applied to whole words", async () => {
+    const generator = createGenerator("wasm");
+    const halftone = new Uint32Array([0x0f0f0f0f, 0x33333333, 0xff00ff00]);
+    for (const region of regions) {
+      await checkRegion(generator, layout, region, { combinationRule: 6, halftone });
+    }
+  });
+
+  test("The bit body still matches when selected", async () => {
+    const generator = createGenerator("wasm", { optimizeAlignedCopy: false });
+    for (const region of regions) {
+      await checkRegion(generator, layout, region, { combinationRule: 7 });
+    }
+  });
+
+  test("bitblt() uses the word body", async () => {
+    const generator = createGenerator("wasm");
+    const { srcBuffer, dstBuffer } = createBuffers(layout);
+
+    await bitblt(
+      srcBuffer, srcWidth, srcHeight,
+      3, 2,
+      dstBuffer, dstWidth,
+      17, 1,
+      90, 9,
+      { generator, verifyResults: true }
+    );
+
+    const keys = [...generator.compiledModules.keys()];
+    if (!keys.every((key) => key.includes("_wc"))) {
+      throw new Error(`Expected word-body cache keys, got ${keys.join(", ")}`);
+    }
+  });
+});
+
+// Run all tests
+runTests().then((exitCode) => process.exit(exitCode));
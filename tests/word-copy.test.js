@@ -0,0 +1,116 @@
+/**
+ * Word Copy Tests
+ *
+ * Tests for the word-at-a-time copy code emitted by the JavaScript
+ * generator: whole-word stores, edge masks and shift-and-merge of
+ * unaligned source words.
+ */
+
+// Import the BitBLT module
+const { createGenerator } = require("../src/bitblt");
+
+// Import our testing framework
+const {
+  describe,
+  test,
+  runTests,
+  checkRegion,
+} = require("./bitblt-tester");
+
+const srcWidth = 150;
+const srcHeight = 12;
+const dstWidth = 130;
+const dstHeight = 12;
+
+// Regions covering aligned, skewed, single-word and multi-word rows
+const regions = [
+  { srcX: 0, srcY: 0, dstX: 0, dstY: 0, width: 128, height: 12 },
+  { srcX: 32, srcY: 1, dstX: 64, dstY: 2, width: 64, height: 9 },
+  { srcX: 5, srcY: 0, dstX: 5, dstY: 3, width: 100, height: 8 },
+  { srcX: 3, srcY: 2, dstX: 17, dstY: 0, width: 90, height: 10 },
+  { srcX: 40, srcY: 0, dstX: 1, dstY: 1, width: 109, height: 11 },
+  { srcX: 0, srcY: 4, dstX: 31, dstY: 0, width: 2, height: 7 },
+  { srcX: 61, srcY: 3, dstX: 9, dstY: 5, width: 20, height: 6 },
+  { srcX: 120, srcY: 0, dstX: 0, dstY: 0, width: 30, height: 12 },
+];
+
+const layout = {
+  srcWidth,
+  srcHeight,
+  dstWidth,
+  dstHeight,
+};
+
+// Begin tests
+describe("Word-at-a-time Copies", () => {
+  test("Generated code copies whole words", () => {
+    const code = createGenerator("javascript").generate({});
+
+    if (code.includes("Math.floor") || code.includes("% 32")) {
+      throw new Error("Word copies should not compute per-pixel positions");
+    }
+    if (!code.includes("leftMask") || !code.includes("rightMask")) {
+      throw new Error("Word copies should mask the row edges");
+    }
+  });
+
+  test("Aligned copies skip the shift-and-merge", () => {
+    const code = createGenerator("javascript").generate({
+      srcX: 32,
+      dstX: 64,
+      inlineConstants: true,
+    });
+
+    if (code.includes("skew")) {
+      throw new Error("A word-aligned copy should not shift source words");
+    }
+  });
+
+  test("Copies match the reference with constants inlined", async () => {
+    const generator = createGenerator("javascript", { inlineConstants: true });
+    for (const region of regions) {
+      await checkRegion(generator, layout, region);
+    }
+  });
+
+  test("Copies match the reference with runtime coordinates", async () => {
+    const generator = createGenerator("javascript", { inlineConstants: false });
+    for (const region of regions) {
+      await checkRegion(generator, layout, region);
+    }
+  });
+
+  test("Every rule matches the reference", async () => {
+    const generator = createGenerator("javascript");
+    for (let rule = 0; rule < 16; rule++) {
+      for (const region of regions) {
+        await checkRegion(generator, layout, region, { combinationRule: rule });
+      }
+    }
+  });
+
+  test("Halftones are applied to whole words", async () => {
+    const generator = createGenerator("javascript", { inlineConstants: false });
+    const halftone = new Uint32Array([0x0f0f0f0f, 0x33333333, 0xff00ff00]);
+    for (const region of regions) {
+      await checkRegion(generator, layout, region, { combinationRule: 6, halftone });
+    }
+  });
+
+  test("The pixel loop is kept when optimizeAlignedCopy is off", async () => {
+    const generator = createGenerator("javascript", {
+      optimizeAlignedCopy: false,
+    });
+    const code = generator.generate({});
+
+    if (code.includes("leftMask")) {
+      throw new Error("optimizeAlignedCopy: false should copy pixel by pixel");
+    }
+    for (const region of regions) {
+      await checkRegion(generator, layout, region);
+    }
+  });
+});
+
+// Run all tests
+runTests().then((exitCode) => process.exit(exitCode));
@@ -103,4 +103,4 @@ describe('Zero-Copy WebAssembly Generator', () => {
 });
 
 // Run all tests
-process.exit(runTests());
+runTests().then((exitCode) => process.exit(exitCode));